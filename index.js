@@ -5,11 +5,12 @@
 
 const { SAPAdapter } = require('./src/application/SAPAdapter')
 const { SAPRFCService } = require('./src/infrastructure/sap/SAPRFCService')
+const { RFCTableQuery } = require('./src/infrastructure/sap/RFCTableQuery')
 const { SignalRClient } = require('./src/infrastructure/signalr/SignalRClient')
 const { WebhookServer } = require('./src/infrastructure/http/WebhookServer')
 const { IntegrationEvent, EventType, EntityType } = require('./src/domain/entities/IntegrationEvent')
 const { SAPRecord } = require('./src/domain/entities/SAPRecord')
-const { ProcessingResult, SAPOperation } = require('./src/domain/entities/ProcessingResult')
+const { ProcessingResult, ProcessingErrorType, SAPOperation } = require('./src/domain/entities/ProcessingResult')
 
 // Export main classes for external use
 module.exports = {
@@ -18,6 +19,7 @@ module.exports = {
   
   // Infrastructure services
   SAPRFCService,
+  RFCTableQuery,
   SignalRClient,
   WebhookServer,
   
@@ -30,6 +32,7 @@ module.exports = {
   EventType,
   EntityType,
   SAPOperation,
+  ProcessingErrorType,
   
   // Utility functions
   createSAPAdapter: (config, logger) => {
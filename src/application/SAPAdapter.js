@@ -4,11 +4,12 @@
  */
 
 const { SAPRFCService } = require('../infrastructure/sap/SAPRFCService')
+const { CircuitState } = require('../infrastructure/sap/RFCCircuitBreaker')
 const { SignalRClient } = require('../infrastructure/signalr/SignalRClient')
 const { WebhookServer } = require('../infrastructure/http/WebhookServer')
-const { IntegrationEvent } = require('../domain/entities/IntegrationEvent')
+const { IntegrationEvent, EntityType } = require('../domain/entities/IntegrationEvent')
 const { SAPRecord } = require('../domain/entities/SAPRecord')
-const { ProcessingResult } = require('../domain/entities/ProcessingResult')
+const { ProcessingResult, ProcessingErrorType } = require('../domain/entities/ProcessingResult')
 
 class SAPAdapter {
   constructor(config = {}, logger = console) {
@@ -18,12 +19,31 @@ class SAPAdapter {
     this.isRunning = false
     
     // Initialize services
-    this.sapService = new SAPRFCService(logger)
+    this.sapService = new SAPRFCService(logger, {
+      entityMappings: config.entityMappings,
+      backend: config.sap?.backend,
+      circuitBreaker: config.sap?.circuitBreaker,
+      limiter: config.sap?.limiter,
+      conversion: config.sap?.conversion,
+      metadata: {
+        language: config.sap?.language,
+        ...config.sap?.metadata
+      }
+    })
     this.signalRClient = new SignalRClient(logger)
     this.webhookServer = new WebhookServer(logger)
     
     // Event handlers
     this.eventHandlers = new Set()
+
+    // Last SAP connection event, reported by getHealth()
+    this.sapConnection = {
+      state: 'disconnected',
+      since: null,
+      reason: null,
+      reconnectAttempt: 0
+    }
+    this._setupSAPConnectionHandlers()
     
     // Statistics
     this.stats = {
@@ -184,6 +204,13 @@ class SAPAdapter {
       // Create SAP record from integration event
       const sapRecord = SAPRecord.fromIntegrationEvent(integrationEvent, this.config.sap)
 
+      // processing.timeout cancels the SAP calls still running for this event
+      const options = {
+        integrationEvent,
+        sapRecord,
+        signal: this._createProcessingSignal()
+      }
+
       // Process based on event type
       let result
       switch (integrationEvent.eventType) {
@@ -191,7 +218,7 @@ class SAPAdapter {
           result = await this.sapService.createRecord(
             sapRecord.sapEntityType,
             sapRecord.data,
-            { integrationEvent, sapRecord }
+            options
           )
           break
 
@@ -200,7 +227,7 @@ class SAPAdapter {
             sapRecord.sapEntityType,
             sapRecord.sapKey,
             sapRecord.data,
-            { integrationEvent, sapRecord }
+            options
           )
           break
 
@@ -208,13 +235,13 @@ class SAPAdapter {
           result = await this.sapService.deleteRecord(
             sapRecord.sapEntityType,
             sapRecord.sapKey,
-            { integrationEvent, sapRecord }
+            options
           )
           break
 
         case 'Sync':
           // For sync operations, we might need to read from SAP and compare
-          result = await this._handleSyncEvent(integrationEvent, sapRecord)
+          result = await this._handleSyncEvent(integrationEvent, sapRecord, options)
           break
 
         default:
@@ -282,6 +309,8 @@ class SAPAdapter {
       services: {
         sap: {
           connected: this.sapService?.isConnected() || false,
+          connection: this.sapConnection,
+          circuitBreaker: this.sapService?.getCircuitBreakerState() || null,
           stats: this.sapService?.getConnectionStats() || null
         },
         signalR: {
@@ -309,7 +338,16 @@ class SAPAdapter {
     if (this.config.sap?.enabled !== false) {
       if (!status.services.sap.connected) {
         overallHealth = 'degraded'
-        issues.push('SAP connection not established')
+        if (this.sapConnection.state === 'reconnecting') {
+          issues.push(`SAP connection lost (${this.sapConnection.reason}), reconnecting (attempt ${this.sapConnection.reconnectAttempt})`)
+        } else {
+          issues.push('SAP connection not established')
+        }
+      } else if (status.services.sap.circuitBreaker?.state !== CircuitState.CLOSED) {
+        // Calls are failing fast; the breaker probes SAP itself
+        const breaker = status.services.sap.circuitBreaker
+        overallHealth = 'degraded'
+        issues.push(`SAP circuit breaker ${breaker.state} (last failure: ${breaker.lastFailure}), next probe at ${breaker.retryAt}`)
       } else {
         // Test SAP connection
         const sapTest = await this.sapService.testConnection()
@@ -341,6 +379,43 @@ class SAPAdapter {
     }
   }
 
+  /**
+   * Get the stock of a material per plant and storage location, with ATP quantities
+   * @param {string} material - Material number
+   * @param {Object} filter - plant, storageLocation, availability, requirementDate, requirementQuantity, checkRule
+   * @returns {Promise<ProcessingResult>} Result with STOCK and AVAILABILITY
+   */
+  async getInventory(material, filter = {}) {
+    return await this.sapService.readRecord(
+      EntityType.getSAPEntityMapping(EntityType.INVENTORY),
+      material,
+      { inventory: filter }
+    )
+  }
+
+  /**
+   * Search stock by material, plant and storage location
+   * @param {Object} criteria - material (one or several), plant, storageLocation
+   * @param {Object} filter - availability, requirementDate, requirementQuantity, checkRule, limit, offset
+   * @returns {Promise<Array<Object>|ProcessingResult>} Stock entries, or a failure result
+   */
+  async searchInventory(criteria = {}, filter = {}) {
+    return await this.sapService.searchRecords(
+      EntityType.getSAPEntityMapping(EntityType.INVENTORY),
+      criteria,
+      { inventory: filter }
+    )
+  }
+
+  /**
+   * Simulate a sales order: net prices, conditions, taxes and confirmed schedule lines, nothing is created
+   * @param {Object} order - Sales order data (as for a SalesOrder create)
+   * @returns {Promise<ProcessingResult>} Result with SIMULATION
+   */
+  async simulateSalesOrder(order) {
+    return await this.sapService.simulateSalesOrder(order)
+  }
+
   /**
    * Register event handler
    * @param {Function} handler - Event handler function
@@ -359,6 +434,59 @@ class SAPAdapter {
 
   // Private helper methods
 
+  /**
+   * Track SAP connection events for health reporting
+   * @private
+   */
+  _setupSAPConnectionHandlers() {
+    this.sapService.on('connected', (data) => {
+      this.sapConnection = {
+        state: 'connected',
+        since: data.timestamp,
+        reason: null,
+        reconnectAttempt: 0
+      }
+
+      if (data.reconnected) {
+        this._notifyEventHandlers('sap-reconnected', data)
+      }
+    })
+
+    this.sapService.on('disconnected', (data) => {
+      this.sapConnection = {
+        ...this.sapConnection,
+        state: 'disconnected',
+        since: data.timestamp,
+        reason: data.reason
+      }
+
+      this._notifyEventHandlers('sap-disconnected', data)
+    })
+
+    this.sapService.on('reconnecting', (data) => {
+      this.sapConnection = {
+        ...this.sapConnection,
+        state: 'reconnecting',
+        reconnectAttempt: data.attempt
+      }
+    })
+
+    this.sapService.on('circuit-state-changed', (data) => {
+      this._notifyEventHandlers('sap-circuit-state-changed', data)
+    })
+
+    this.sapService.on('reconnect-failed', (data) => {
+      this.sapConnection = {
+        ...this.sapConnection,
+        state: 'disconnected',
+        reconnectAttempt: data.attempts
+      }
+
+      this.logger.error('SAP reconnection abandoned', { attempts: data.attempts })
+      this._notifyEventHandlers('sap-reconnect-failed', data)
+    })
+  }
+
   /**
    * Setup SignalR event handlers
    * @private
@@ -375,6 +503,25 @@ class SAPAdapter {
         })
       }
     })
+
+    // Answer sales order simulation requests with the request id
+    process.on('signalr-sales-order-simulation', async ({ requestId, order }) => {
+      let reply
+      try {
+        reply = this._toSimulationReply(await this.simulateSalesOrder(order))
+      } catch (error) {
+        reply = { success: false, message: 'Sales order simulation failed', error: error.message }
+      }
+
+      try {
+        await this.signalRClient.send('SalesOrderSimulationResult', requestId, reply)
+      } catch (error) {
+        this.logger.error('Failed to send sales order simulation result', {
+          requestId,
+          error: error.message
+        })
+      }
+    })
   }
 
   /**
@@ -414,27 +561,77 @@ class SAPAdapter {
     this.webhookServer.onStatus(async () => {
       return this.getStatus()
     })
+
+    // Handle inventory queries; a single material is read with its ATP quantities
+    this.webhookServer.onInventoryQuery(async (query) => {
+      const { material, plant, storageLocation, ...filter } = query
+      const scope = { plant, storageLocation }
+
+      if (material && !Array.isArray(material)) {
+        const result = await this.getInventory(material, { ...filter, ...scope })
+        return result.success
+          ? { success: true, material, stock: result.sapResult.STOCK, availability: result.sapResult.AVAILABILITY }
+          : { success: false, message: result.message, error: result.error }
+      }
+
+      const result = await this.searchInventory({ material, ...scope }, filter)
+      return Array.isArray(result)
+        ? { success: true, stock: result }
+        : { success: false, message: result.message, error: result.error }
+    })
+
+    // Handle sales order simulations
+    this.webhookServer.onSalesOrderSimulation(async (order) => {
+      return this._toSimulationReply(await this.simulateSalesOrder(order))
+    })
+  }
+
+  /**
+   * Turn a simulation result into the reply for webhook and SignalR callers
+   * @param {ProcessingResult} result - Simulation result
+   * @returns {Object} success, simulation and SAP messages, or the error
+   * @private
+   */
+  _toSimulationReply(result) {
+    if (!result.success) {
+      return { success: false, message: result.message, error: result.error }
+    }
+
+    return {
+      success: true,
+      simulation: result.sapResult.SIMULATION,
+      messages: result.metadata.bapiMessages
+    }
   }
 
   /**
    * Handle sync events
    * @param {IntegrationEvent} integrationEvent - Integration event
    * @param {SAPRecord} sapRecord - SAP record
+   * @param {Object} options - SAP operation options
    * @returns {Promise<ProcessingResult>} Processing result
    * @private
    */
-  async _handleSyncEvent(integrationEvent, sapRecord) {
+  async _handleSyncEvent(integrationEvent, sapRecord, options = {}) {
     // Read current data from SAP
     const readResult = await this.sapService.readRecord(
       sapRecord.sapEntityType,
-      sapRecord.sapKey
+      sapRecord.sapKey,
+      options
     )
 
     if (!readResult.success) {
+      // Only a record confirmed missing is created; a read that timed out, hit an open
+      // circuit or failed otherwise says nothing about whether the record exists
+      if (readResult.errorType !== ProcessingErrorType.NOT_FOUND) {
+        return readResult
+      }
+
       // Record doesn't exist in SAP, create it
       return await this.sapService.createRecord(
         sapRecord.sapEntityType,
-        sapRecord.data
+        sapRecord.data,
+        options
       )
     }
 
@@ -444,10 +641,21 @@ class SAPAdapter {
     return await this.sapService.updateRecord(
       sapRecord.sapEntityType,
       sapRecord.sapKey,
-      sapRecord.data
+      sapRecord.data,
+      options
     )
   }
 
+  /**
+   * Create the abort signal that enforces processing.timeout for one event
+   * @returns {AbortSignal|undefined} Signal, or undefined without a timeout
+   * @private
+   */
+  _createProcessingSignal() {
+    const timeout = this.config.processing?.timeout
+    return timeout ? AbortSignal.timeout(timeout) : undefined
+  }
+
   /**
    * Update processing statistics
    * @param {number} processingTime - Processing time in milliseconds
@@ -270,6 +270,7 @@ class EntityType {
   static COST_CENTER = 'CostCenter'
   static PROFIT_CENTER = 'ProfitCenter'
   static GL_ACCOUNT = 'GLAccount'
+  static JOURNAL_ENTRY = 'JournalEntry'
 
   static getAllTypes() {
     return [
@@ -277,7 +278,8 @@ class EntityType {
       this.MATERIAL, this.CUSTOMER, this.VENDOR,
       this.SALES_ORDER, this.PURCHASE_ORDER,
       this.GOODS_RECEIPT, this.GOODS_ISSUE, this.INVENTORY,
-      this.COST_CENTER, this.PROFIT_CENTER, this.GL_ACCOUNT
+      this.COST_CENTER, this.PROFIT_CENTER, this.GL_ACCOUNT,
+      this.JOURNAL_ENTRY
     ]
   }
 
@@ -285,7 +287,12 @@ class EntityType {
     return this.getAllTypes().includes(entityType)
   }
 
-  static getSAPEntityMapping(entityType) {
+  static getSAPEntityMapping(entityType, data = null) {
+    // Vendor invoices are posted in invoice verification, customer invoices are billing documents
+    if (entityType === this.INVOICE && data && data.invoiceType === 'vendor') {
+      return 'INCOMING_INVOICE'
+    }
+
     const mappings = {
       [this.PRODUCT]: 'MATERIAL',
       [this.USER]: 'USER',
@@ -301,7 +308,8 @@ class EntityType {
       [this.INVENTORY]: 'STOCK',
       [this.COST_CENTER]: 'COST_CENTER',
       [this.PROFIT_CENTER]: 'PROFIT_CENTER',
-      [this.GL_ACCOUNT]: 'GL_ACCOUNT'
+      [this.GL_ACCOUNT]: 'GL_ACCOUNT',
+      [this.JOURNAL_ENTRY]: 'ACCOUNTING_DOCUMENT'
     }
     return mappings[entityType] || entityType
   }
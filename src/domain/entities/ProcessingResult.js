@@ -15,7 +15,8 @@ class ProcessingResult {
     metadata = null,
     timestamp = null,
     processingTime = null,
-    retryable = true
+    retryable = true,
+    errorType = null
   }) {
     this.success = success
     this.eventId = eventId
@@ -28,6 +29,7 @@ class ProcessingResult {
     this.timestamp = timestamp || new Date().toISOString()
     this.processingTime = processingTime
     this.retryable = retryable
+    this.errorType = errorType
   }
 
   /**
@@ -60,9 +62,10 @@ class ProcessingResult {
    * @param {Error|string} error - Error that occurred
    * @param {boolean} retryable - Whether the operation can be retried
    * @param {Object} metadata - Additional metadata
+   * @param {string} errorType - Error classification (ProcessingErrorType)
    * @returns {ProcessingResult}
    */
-  static failure(eventId, entityType, operation, error, retryable = true, metadata = {}) {
+  static failure(eventId, entityType, operation, error, retryable = true, metadata = {}, errorType = ProcessingErrorType.ERROR) {
     const errorMessage = error instanceof Error ? error.message : String(error)
     
     return new ProcessingResult({
@@ -73,10 +76,33 @@ class ProcessingResult {
       error: errorMessage,
       message: `Failed to process ${operation} for ${entityType}: ${errorMessage}`,
       metadata,
-      retryable
+      retryable,
+      errorType
     })
   }
 
+  /**
+   * Create a result for an SAP call that timed out or was aborted
+   * @param {string} eventId - Event ID
+   * @param {string} entityType - Entity type
+   * @param {string} operation - Operation attempted
+   * @param {Error} error - Cancellation error
+   * @param {boolean} timedOut - True for a timeout, false for an abort by the caller
+   * @param {Object} metadata - Additional metadata
+   * @returns {ProcessingResult}
+   */
+  static cancelled(eventId, entityType, operation, error, timedOut, metadata = {}) {
+    return ProcessingResult.failure(
+      eventId,
+      entityType,
+      operation,
+      error,
+      timedOut,
+      metadata,
+      timedOut ? ProcessingErrorType.TIMEOUT : ProcessingErrorType.CANCELLED
+    )
+  }
+
   /**
    * Create result from SAP RFC response
    * @param {string} eventId - Event ID
@@ -145,7 +171,8 @@ class ProcessingResult {
     if (hasErrors) {
       const errorMessages = messages
         .filter(msg => msg.TYPE === 'E' || msg.TYPE === 'A' || msg.MESSAGE_TYPE === 'E')
-        .map(msg => `${msg.ID || msg.MESSAGE_ID}${msg.NUMBER || msg.MESSAGE_NUMBER}: ${msg.MESSAGE}`)
+        // BAPIRETURN carries the message class and number together in CODE
+        .map(msg => `${msg.CODE || `${msg.ID || msg.MESSAGE_ID}${msg.NUMBER || msg.MESSAGE_NUMBER}`}: ${msg.MESSAGE}`)
         .join('; ')
 
       return ProcessingResult.failure(
@@ -161,13 +188,49 @@ class ProcessingResult {
       )
     }
 
+    // Material documents are keyed by number and year; a reversal returns the reversal document
+    const materialDocument = bapiResult.MATERIALDOCUMENT
+      ? { MAT_DOC: bapiResult.MATERIALDOCUMENT, DOC_YEAR: bapiResult.MATDOCUMENTYEAR }
+      : bapiResult.GOODSMVT_HEADRET
+
+    // Invoice documents are keyed the same way; a cancellation returns the reversal document
+    const invoiceDocument = bapiResult.INVOICEDOCNUMBER_REVERSAL
+      ? { number: bapiResult.INVOICEDOCNUMBER_REVERSAL, year: bapiResult.FISCALYEAR_REVERSAL }
+      : { number: bapiResult.INVOICEDOCNUMBER, year: bapiResult.FISCALYEAR }
+
+    // Billing documents are keyed by number; a cancellation returns the cancellation document in SUCCESS
+    const billingSuccess = Array.isArray(bapiResult.SUCCESS) ? bapiResult.SUCCESS[0] : null
+    const billingDocument = bapiResult.BILLINGDOCUMENT || (billingSuccess && billingSuccess.BILL_DOC)
+
+    // Accounting documents return OBJ_KEY = document number (10), company code (4), fiscal year (4)
+    const accountingDocument = bapiResult.OBJ_KEY && bapiResult.OBJ_KEY.length === 18
+      ? {
+          documentNumber: bapiResult.OBJ_KEY.slice(0, 10),
+          companyCode: bapiResult.OBJ_KEY.slice(10, 14),
+          fiscalYear: bapiResult.OBJ_KEY.slice(14, 18),
+          objectType: bapiResult.OBJ_TYPE,
+          objectSystem: bapiResult.OBJ_SYS
+        }
+      : null
+
     // Extract created/changed object key if available
-    const objectKey = bapiResult.MATERIAL || 
+    const objectKey = (materialDocument && materialDocument.MAT_DOC && `${materialDocument.MAT_DOC}/${materialDocument.DOC_YEAR}`) ||
+                     (invoiceDocument.number && `${invoiceDocument.number}/${invoiceDocument.year}`) ||
+                     billingDocument ||
+                     bapiResult.MATERIAL || 
                      bapiResult.CUSTOMER || 
                      bapiResult.VENDOR || 
+                     bapiResult.BUSINESSPARTNER ||
                      bapiResult.SALESDOCUMENT ||
                      bapiResult.PURCHASEORDER ||
-                     bapiResult.DOCUMENT_NUMBER
+                     bapiResult.EXPPURCHASEORDER ||
+                     bapiResult.DOCUMENT_NUMBER ||
+                     bapiResult.COSTCENTER ||
+                     bapiResult.PROFITCENTER ||
+                     bapiResult.GLACCOUNT ||
+                     bapiResult.USERNAME ||
+                     bapiResult.PLANT ||
+                     (accountingDocument && bapiResult.OBJ_KEY)
 
     return ProcessingResult.success(
       eventId,
@@ -176,6 +239,11 @@ class ProcessingResult {
       bapiResult,
       {
         objectKey,
+        fiscalYear: (materialDocument && materialDocument.DOC_YEAR) || invoiceDocument.year || bapiResult.FISCALYEAR ||
+          (accountingDocument && accountingDocument.fiscalYear) || null,
+        ...(accountingDocument ? { accountingDocument } : {}),
+        // Fields where a checked record differs from SAP
+        ...(bapiResult.DRIFT ? { drift: bapiResult.DRIFT } : {}),
         bapiMessages: messages,
         bapiFunction: bapiResult.FUNCTION_NAME
       }
@@ -243,6 +311,7 @@ class ProcessingResult {
       timestamp: this.timestamp,
       processingTime: this.processingTime,
       retryable: this.retryable,
+      errorType: this.errorType,
       sapResult: this.sapResult,
       metadata: this.metadata
     }
@@ -264,7 +333,8 @@ class ProcessingResult {
       metadata: this.metadata,
       timestamp: this.timestamp,
       processingTime: this.processingTime,
-      retryable: this.retryable
+      retryable: this.retryable,
+      errorType: this.errorType
     }
   }
 
@@ -278,6 +348,22 @@ class ProcessingResult {
   }
 }
 
+/**
+ * Processing Error Types
+ */
+class ProcessingErrorType {
+  static ERROR = 'ERROR'
+  static VALIDATION = 'VALIDATION'
+  static TIMEOUT = 'TIMEOUT'
+  static CANCELLED = 'CANCELLED'
+  static CIRCUIT_OPEN = 'CIRCUIT_OPEN'
+  static NOT_FOUND = 'NOT_FOUND'
+
+  static getAllTypes() {
+    return [this.ERROR, this.VALIDATION, this.TIMEOUT, this.CANCELLED, this.CIRCUIT_OPEN, this.NOT_FOUND]
+  }
+}
+
 /**
  * SAP Operation Types
  */
@@ -288,11 +374,12 @@ class SAPOperation {
   static READ = 'READ'
   static SYNC = 'SYNC'
   static VALIDATE = 'VALIDATE'
+  static SIMULATE = 'SIMULATE'
 
   static getAllOperations() {
     return [
       this.CREATE, this.UPDATE, this.DELETE, 
-      this.READ, this.SYNC, this.VALIDATE
+      this.READ, this.SYNC, this.VALIDATE, this.SIMULATE
     ]
   }
 
@@ -303,5 +390,6 @@ class SAPOperation {
 
 module.exports = {
   ProcessingResult,
+  ProcessingErrorType,
   SAPOperation
 }
\ No newline at end of file
@@ -93,7 +93,7 @@ class SAPRecord {
     
     return new SAPRecord({
       id: event.eventId + '_' + Date.now(),
-      sapEntityType: EntityType.getSAPEntityMapping(event.entityType),
+      sapEntityType: EntityType.getSAPEntityMapping(event.entityType, event.payload?.data),
       sapKey: event.payload?.data?.id || event.eventId,
       entityType: event.entityType,
       integrationEventId: event.eventId,
@@ -102,7 +102,9 @@ class SAPRecord {
       companyCode: sapConfig.companyCode,
       plant: sapConfig.plant,
       warehouse: sapConfig.warehouse,
-      language: sapConfig.language || 'EN'
+      language: sapConfig.language || 'EN',
+      validFrom: event.payload?.data?.validFrom || null,
+      validTo: event.payload?.data?.validTo || null
     })
   }
 
@@ -227,15 +229,31 @@ class SAPRecord {
     return {
       VENDOR: data.id || this.sapKey,
       VENDOR_TYPE: data.type || 'VENDOR',
+      ACCOUNT_GROUP: data.accountGroup || 'KRED',
       NAME1: data.name || data.companyName || '',
+      SEARCH_TERM: data.searchTerm || '',
       COUNTRY: data.country || 'US',
+      REGION: data.region || data.state || '',
       CITY: data.city || '',
       POSTAL_CODE: data.postalCode || data.zipCode || '',
       STREET: data.street || data.address || '',
       TELEPHONE: data.phone || '',
       EMAIL: data.email || '',
+      TAX_NUMBER_1: data.taxNumber || data.taxId || '',
+      TAX_NUMBER_2: data.taxNumber2 || '',
+      VAT_NUMBER: data.vatNumber || '',
       CURRENCY: data.currency || 'USD',
       PAYMENT_TERMS: data.paymentTerms || '0001',
+      RECONCILIATION_ACCOUNT: data.reconciliationAccount || '',
+      PURCHASING_ORG: data.purchasingOrg || '',
+      BANK_DETAILS: (data.bankAccounts || []).map(account => ({
+        BANK_COUNTRY: account.country || data.country || 'US',
+        BANK_KEY: account.bankKey || account.routingNumber,
+        BANK_ACCOUNT: account.accountNumber,
+        ACCOUNT_HOLDER: account.accountHolder || data.name || data.companyName || '',
+        CONTROL_KEY: account.controlKey || '',
+        IBAN: account.iban || ''
+      })),
       CREATED_BY: data.createdBy || 'INTEGRATION',
       CREATED_ON: data.createdAt ? this._formatSAPDate(data.createdAt) : this._formatSAPDate(new Date())
     }
@@ -279,12 +297,39 @@ class SAPRecord {
       VENDOR: data.vendorId || data.supplier,
       CURRENCY: data.currency || 'USD',
       DOC_DATE: data.documentDate ? this._formatSAPDate(data.documentDate) : this._formatSAPDate(new Date()),
+      PAYMENT_TERMS: data.paymentTerms,
+      INCOTERMS: data.incoterms,
+      DELIVERY_DATE: data.deliveryDate ? this._formatSAPDate(data.deliveryDate) : null,
       NET_VALUE: data.netValue || data.totalAmount || 0,
+      ITEMS: (data.items || data.lineItems || []).map((item, index) => this._mapPurchaseOrderItem(item, index)),
       CREATED_BY: data.createdBy || 'INTEGRATION',
       CREATED_ON: data.createdAt ? this._formatSAPDate(data.createdAt) : this._formatSAPDate(new Date())
     }
   }
 
+  /**
+   * Map a purchase order item
+   * @param {Object} item - Bridge item
+   * @param {number} index - Item position
+   * @returns {Object}
+   * @private
+   */
+  _mapPurchaseOrderItem(item, index) {
+    return {
+      PO_ITEM: String(item.itemNumber || (index + 1) * 10).padStart(5, '0'),
+      MATERIAL: item.materialId || item.material,
+      SHORT_TEXT: item.description,
+      PLANT: item.plant || this.data.plant,
+      STORAGE_LOCATION: item.storageLocation,
+      QUANTITY: item.quantity || 0,
+      UNIT: item.unit,
+      NET_PRICE: item.netPrice !== undefined ? item.netPrice : item.unitPrice,
+      COST_CENTER: item.costCenter || (item.accountAssignment && item.accountAssignment.costCenter),
+      GL_ACCOUNT: item.glAccount || (item.accountAssignment && item.accountAssignment.glAccount),
+      DELIVERY_DATE: item.deliveryDate ? this._formatSAPDate(item.deliveryDate) : null
+    }
+  }
+
   /**
    * Generic field mapping for unknown entity types
    * @returns {Object}
@@ -315,16 +360,17 @@ class SAPRecord {
    * @private
    */
   _formatSAPDate(date) {
+    // Same rules as the RFC field conversion: the date as written, otherwise the UTC date
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+      return date.slice(0, 10).replace(/-/g, '')
+    }
+
     const d = new Date(date)
     if (isNaN(d.getTime())) {
       return ''
     }
     
-    const year = d.getFullYear()
-    const month = String(d.getMonth() + 1).padStart(2, '0')
-    const day = String(d.getDate()).padStart(2, '0')
-    
-    return `${year}${month}${day}`
+    return d.toISOString().slice(0, 10).replace(/-/g, '')
   }
 
   /**
@@ -384,9 +430,14 @@ class SAPRecord {
       'GOODS_RECEIPT': 'MKPF',
       'GOODS_ISSUE': 'MKPF',
       'STOCK': 'MARD',
+      'BILLING_DOCUMENT': 'VBRK',
+      'INCOMING_INVOICE': 'RBKP',
       'COST_CENTER': 'CSKS',
       'PROFIT_CENTER': 'CEPC',
-      'GL_ACCOUNT': 'SKA1'
+      'GL_ACCOUNT': 'SKA1',
+      'ACCOUNTING_DOCUMENT': 'BKPF',
+      'USER': 'USR02',
+      'PLANT': 'T001W'
     }
     
     return tableNames[this.sapEntityType] || 'GENERIC'
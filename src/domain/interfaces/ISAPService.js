@@ -51,6 +51,24 @@ class ISAPService {
     throw new Error('Method executeBAPI must be implemented')
   }
 
+  /**
+   * Describe a function module interface
+   * @param {string} functionName - RFC function name
+   * @returns {Promise<Object>} Function description
+   */
+  async describeFunction(functionName) {
+    throw new Error('Method describeFunction must be implemented')
+  }
+
+  /**
+   * Run several BAPIs as one logical unit of work with a single commit or rollback
+   * @param {Function} work - async (tx) => result
+   * @returns {Promise<*>} Value returned by the callback
+   */
+  async transaction(work) {
+    throw new Error('Method transaction must be implemented')
+  }
+
   /**
    * Create record in SAP
    * @param {string} entityType - SAP entity type
@@ -107,6 +125,44 @@ class ISAPService {
     throw new Error('Method searchRecords must be implemented')
   }
 
+  /**
+   * Simulate a sales order: prices, conditions, taxes and confirmed schedule lines, nothing is created
+   * @param {Object} order - Sales order data (as for a SalesOrder create)
+   * @param {Object} options - Simulation options
+   * @returns {Promise<Object>} Simulation result
+   */
+  async simulateSalesOrder(order, options = {}) {
+    throw new Error('Method simulateSalesOrder must be implemented')
+  }
+
+  /**
+   * Read table rows with RFC_READ_TABLE
+   * @param {Object} query - Table query
+   * @param {Object} options - Execution options
+   * @returns {Promise<Array<Object>>} Parsed rows
+   */
+  async readTable(query, options = {}) {
+    throw new Error('Method readTable must be implemented')
+  }
+
+  /**
+   * Stream all rows of a table as an async iterable
+   * @param {string} tableName - Table or view to read
+   * @param {Object} query - Stream query
+   * @returns {AsyncIterable<Object>} Parsed rows
+   */
+  streamTable(tableName, query = {}) {
+    throw new Error('Method streamTable must be implemented')
+  }
+
+  /**
+   * Get circuit breaker state
+   * @returns {Object} Circuit breaker state
+   */
+  getCircuitBreakerState() {
+    throw new Error('Method getCircuitBreakerState must be implemented')
+  }
+
   /**
    * Get SAP system information
    * @returns {Promise<Object>} System information
@@ -123,6 +179,32 @@ class ISAPService {
     throw new Error('Method isConnected must be implemented')
   }
 
+  /**
+   * Get connection state
+   * @returns {string} connected, reconnecting or disconnected
+   */
+  getConnectionState() {
+    throw new Error('Method getConnectionState must be implemented')
+  }
+
+  /**
+   * Register connection event handler
+   * @param {string} eventName - Connection event name
+   * @param {Function} handler - Event handler function
+   */
+  on(eventName, handler) {
+    throw new Error('Method on must be implemented')
+  }
+
+  /**
+   * Unregister connection event handler
+   * @param {string} eventName - Connection event name
+   * @param {Function} handler - Event handler function
+   */
+  off(eventName, handler) {
+    throw new Error('Method off must be implemented')
+  }
+
   /**
    * Get last error
    * @returns {Error|null} Last error
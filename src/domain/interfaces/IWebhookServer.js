@@ -53,6 +53,22 @@ class IWebhookServer {
     throw new Error('Method onStatus must be implemented')
   }
 
+  /**
+   * Register inventory query handler
+   * @param {Function} handler - Inventory query handler function
+   */
+  onInventoryQuery(handler) {
+    throw new Error('Method onInventoryQuery must be implemented')
+  }
+
+  /**
+   * Register sales order simulation handler
+   * @param {Function} handler - Sales order simulation handler function
+   */
+  onSalesOrderSimulation(handler) {
+    throw new Error('Method onSalesOrderSimulation must be implemented')
+  }
+
   /**
    * Register custom route handler
    * @param {string} method - HTTP method (GET, POST, etc.)
@@ -23,6 +23,8 @@ class WebhookServer extends IWebhookServer {
     this.eventHandler = null
     this.healthCheckHandler = null
     this.statusHandler = null
+    this.inventoryQueryHandler = null
+    this.salesOrderSimulationHandler = null
     this.customRoutes = new Map()
     this.stats = {
       startTime: null,
@@ -187,6 +189,24 @@ class WebhookServer extends IWebhookServer {
     this.logger.debug('Status handler registered')
   }
 
+  /**
+   * Register inventory query handler
+   * @param {Function} handler - Inventory query handler function
+   */
+  onInventoryQuery(handler) {
+    this.inventoryQueryHandler = handler
+    this.logger.debug('Inventory query handler registered')
+  }
+
+  /**
+   * Register sales order simulation handler
+   * @param {Function} handler - Sales order simulation handler function
+   */
+  onSalesOrderSimulation(handler) {
+    this.salesOrderSimulationHandler = handler
+    this.logger.debug('Sales order simulation handler registered')
+  }
+
   /**
    * Register custom route handler
    * @param {string} method - HTTP method
@@ -581,6 +601,161 @@ class WebhookServer extends IWebhookServer {
       }
     )
 
+    // Stock and availability queries
+    this.app.post('/inventory/query',
+      [
+        body('material').optional().custom(value => typeof value === 'string' || Array.isArray(value))
+          .withMessage('Material must be a material number or a list of material numbers'),
+        body('plant').optional().isString().withMessage('Plant must be a string'),
+        body('storageLocation').optional().isString().withMessage('Storage location must be a string'),
+        body('requirementDate').optional().isISO8601().withMessage('Requirement date must be a valid date'),
+        body('requirementQuantity').optional().isFloat({ gt: 0 }).withMessage('Requirement quantity must be positive')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req)
+          if (!errors.isEmpty()) {
+            this.stats.requestsFailed++
+            return res.status(400).json({
+              error: 'Validation failed',
+              details: errors.array()
+            })
+          }
+
+          // Verify webhook signature if configured
+          if (this.webhookSecret && !this._verifySignature(req)) {
+            this.stats.requestsFailed++
+            return res.status(401).json({
+              error: 'Invalid signature'
+            })
+          }
+
+          if (!this.inventoryQueryHandler) {
+            this.stats.requestsFailed++
+            return res.status(503).json({
+              success: false,
+              message: 'Inventory queries are not available'
+            })
+          }
+
+          if (!req.body.material && !req.body.plant) {
+            this.stats.requestsFailed++
+            return res.status(400).json({
+              error: 'Validation failed',
+              details: [{ msg: 'Material or plant is required' }]
+            })
+          }
+
+          const result = await this.inventoryQueryHandler(req.body)
+
+          if (result.success) {
+            this.stats.requestsProcessed++
+            res.json({
+              ...result,
+              timestamp: new Date().toISOString()
+            })
+          } else {
+            this.stats.requestsFailed++
+            res.status(400).json({
+              ...result,
+              timestamp: new Date().toISOString()
+            })
+          }
+
+        } catch (error) {
+          this.stats.requestsFailed++
+          this.logger.error('Inventory query failed', {
+            error: error.message,
+            stack: error.stack
+          })
+
+          res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+          })
+        }
+      }
+    )
+
+    // Sales order pricing and availability simulation; nothing is created in SAP
+    this.app.post('/sales-orders/simulate',
+      [
+        body('customerId').optional().isString().withMessage('Customer ID must be a string'),
+        body('soldToParty').optional().isString().withMessage('Sold-to party must be a string'),
+        body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+        body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Item quantity must be positive'),
+        body('requestedDeliveryDate').optional().isISO8601().withMessage('Requested delivery date must be a valid date')
+      ],
+      async (req, res) => {
+        try {
+          const errors = validationResult(req)
+          if (!errors.isEmpty()) {
+            this.stats.requestsFailed++
+            return res.status(400).json({
+              error: 'Validation failed',
+              details: errors.array()
+            })
+          }
+
+          // Verify webhook signature if configured
+          if (this.webhookSecret && !this._verifySignature(req)) {
+            this.stats.requestsFailed++
+            return res.status(401).json({
+              error: 'Invalid signature'
+            })
+          }
+
+          if (!this.salesOrderSimulationHandler) {
+            this.stats.requestsFailed++
+            return res.status(503).json({
+              success: false,
+              message: 'Sales order simulation is not available'
+            })
+          }
+
+          if (!req.body.customerId && !req.body.soldToParty) {
+            this.stats.requestsFailed++
+            return res.status(400).json({
+              error: 'Validation failed',
+              details: [{ msg: 'Customer ID or sold-to party is required' }]
+            })
+          }
+
+          const result = await this.salesOrderSimulationHandler(req.body)
+
+          if (result.success) {
+            this.stats.requestsProcessed++
+            res.json({
+              ...result,
+              timestamp: new Date().toISOString()
+            })
+          } else {
+            this.stats.requestsFailed++
+            res.status(400).json({
+              ...result,
+              timestamp: new Date().toISOString()
+            })
+          }
+
+        } catch (error) {
+          this.stats.requestsFailed++
+          this.logger.error('Sales order simulation failed', {
+            error: error.message,
+            stack: error.stack
+          })
+
+          res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message,
+            timestamp: new Date().toISOString()
+          })
+        }
+      }
+    )
+
     // Test endpoint
     this.app.post('/webhook/test', (req, res) => {
       this.logger.info('Test webhook endpoint called', {
@@ -606,6 +781,8 @@ class WebhookServer extends IWebhookServer {
           health: '/health',
           status: '/status',
           webhook: '/webhook/events',
+          inventory: '/inventory/query',
+          salesOrderSimulation: '/sales-orders/simulate',
           test: '/webhook/test'
         }
       })
@@ -0,0 +1,266 @@
+/**
+ * RFC Call Limiter
+ * Caps concurrent calls and calls per second to SAP, globally and per function module
+ */
+
+const { RFCQueueTimeoutError } = require('./RFCErrors')
+
+// Rate limits are enforced over a sliding one-second window
+const RATE_WINDOW = 1000
+
+class RFCCallLimiter {
+  /**
+   * @param {Object} options - maxConcurrent, maxCallsPerSecond, queueTimeout, functions
+   * @param {Object} logger - Logger instance
+   */
+  constructor(options = {}, logger) {
+    this.options = {
+      maxConcurrent: options.maxConcurrent || 0,
+      maxCallsPerSecond: options.maxCallsPerSecond || 0,
+      queueTimeout: options.queueTimeout || 30000,
+      functions: {}
+    }
+
+    Object.entries(options.functions || {}).forEach(([functionName, limits]) => {
+      this.options.functions[functionName.toUpperCase()] = {
+        maxConcurrent: limits.maxConcurrent || 0,
+        maxCallsPerSecond: limits.maxCallsPerSecond || 0
+      }
+    })
+
+    this.logger = logger
+    this.active = 0
+    this.activeByFunction = new Map()
+    this.callTimes = []
+    this.callTimesByFunction = new Map()
+    this.queue = []
+    this.rateTimer = null
+    this.stats = {
+      granted: 0,
+      queued: 0,
+      queueTimeouts: 0,
+      maxQueueDepth: 0,
+      totalWaitTime: 0
+    }
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {string} functionName - Function module about to be called
+   * @param {Object} options - signal (AbortSignal) to stop waiting, onAbort (signal) => Error
+   * @returns {Promise<Function>} Release function, to be called once the call has finished
+   */
+  acquire(functionName, options = {}) {
+    const name = functionName.toUpperCase()
+
+    // Calls only wait behind queued calls of the same function or when a global limit is reached
+    if (this._canStart(name) && !this.queue.some(waiter => waiter.name === name)) {
+      return Promise.resolve(this._start(name, 0))
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        name,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+        timer: null,
+        signal: options.signal,
+        onAbort: null
+      }
+
+      waiter.timer = setTimeout(() => {
+        this._removeWaiter(waiter)
+        this.stats.queueTimeouts++
+
+        this.logger.warn('RFC call waited too long for a free slot', {
+          function: name,
+          queueTimeout: this.options.queueTimeout,
+          queueDepth: this.queue.length
+        })
+
+        reject(new RFCQueueTimeoutError(name, this.options.queueTimeout))
+      }, this.options.queueTimeout)
+
+      if (options.signal) {
+        waiter.onAbort = () => {
+          this._removeWaiter(waiter)
+          reject(options.onAbort ? options.onAbort(options.signal) : new Error(`${name} was cancelled`))
+        }
+        options.signal.addEventListener('abort', waiter.onAbort, { once: true })
+      }
+
+      this.queue.push(waiter)
+      this.stats.queued++
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length)
+      this._scheduleRateDrain()
+    })
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {Object} Active calls, queue depth and counters
+   */
+  getStats() {
+    this._pruneCallTimes(Date.now())
+
+    const functions = {}
+    Object.keys(this.options.functions).forEach(name => {
+      functions[name] = {
+        ...this.options.functions[name],
+        active: this.activeByFunction.get(name) || 0,
+        queued: this.queue.filter(waiter => waiter.name === name).length
+      }
+    })
+
+    return {
+      ...this.stats,
+      averageWaitTime: this.stats.granted > 0 ? this.stats.totalWaitTime / this.stats.granted : 0,
+      active: this.active,
+      queueDepth: this.queue.length,
+      callsLastSecond: this.callTimes.length,
+      maxConcurrent: this.options.maxConcurrent,
+      maxCallsPerSecond: this.options.maxCallsPerSecond,
+      functions
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Check the global and per-function limits for a new call
+   * @param {string} name - Function module name
+   * @returns {boolean} True when the call may start now
+   * @private
+   */
+  _canStart(name) {
+    const now = Date.now()
+    this._pruneCallTimes(now)
+
+    const { maxConcurrent, maxCallsPerSecond } = this.options
+    if (maxConcurrent && this.active >= maxConcurrent) {
+      return false
+    }
+    if (maxCallsPerSecond && this.callTimes.length >= maxCallsPerSecond) {
+      return false
+    }
+
+    const limits = this.options.functions[name]
+    if (limits) {
+      if (limits.maxConcurrent && (this.activeByFunction.get(name) || 0) >= limits.maxConcurrent) {
+        return false
+      }
+      if (limits.maxCallsPerSecond && (this.callTimesByFunction.get(name) || []).length >= limits.maxCallsPerSecond) {
+        return false
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * Take a slot for a call
+   * @param {string} name - Function module name
+   * @param {number} waitTime - Time spent in the queue
+   * @returns {Function} Release function
+   * @private
+   */
+  _start(name, waitTime) {
+    const now = Date.now()
+
+    this.active++
+    this.activeByFunction.set(name, (this.activeByFunction.get(name) || 0) + 1)
+    this.callTimes.push(now)
+    if (this.options.functions[name]) {
+      if (!this.callTimesByFunction.has(name)) {
+        this.callTimesByFunction.set(name, [])
+      }
+      this.callTimesByFunction.get(name).push(now)
+    }
+
+    this.stats.granted++
+    this.stats.totalWaitTime += waitTime
+
+    let released = false
+    return () => {
+      if (released) {
+        return
+      }
+      released = true
+
+      this.active--
+      this.activeByFunction.set(name, this.activeByFunction.get(name) - 1)
+      this._drain()
+    }
+  }
+
+  /**
+   * Start queued calls in order as far as the limits allow
+   * @private
+   */
+  _drain() {
+    // A waiter blocked only by its own function limit does not hold up other functions
+    for (const waiter of [...this.queue]) {
+      if (!this._canStart(waiter.name)) {
+        continue
+      }
+
+      this._removeWaiter(waiter)
+      waiter.resolve(this._start(waiter.name, Date.now() - waiter.enqueuedAt))
+    }
+
+    this._scheduleRateDrain()
+  }
+
+  /**
+   * Retry the queue when the oldest call leaves the rate window
+   * @private
+   */
+  _scheduleRateDrain() {
+    if (this.rateTimer || this.queue.length === 0 || this.callTimes.length === 0) {
+      return
+    }
+
+    const delay = Math.max(this.callTimes[0] + RATE_WINDOW - Date.now(), 1)
+    this.rateTimer = setTimeout(() => {
+      this.rateTimer = null
+      this._drain()
+    }, delay)
+  }
+
+  /**
+   * Drop call timestamps older than the rate window
+   * @param {number} now - Current time
+   * @private
+   */
+  _pruneCallTimes(now) {
+    const cutoff = now - RATE_WINDOW
+    const prune = times => {
+      while (times.length > 0 && times[0] <= cutoff) {
+        times.shift()
+      }
+    }
+
+    prune(this.callTimes)
+    this.callTimesByFunction.forEach(prune)
+  }
+
+  /**
+   * Remove a waiter from the queue and clear its timer and abort listener
+   * @param {Object} waiter - Queued waiter
+   * @private
+   */
+  _removeWaiter(waiter) {
+    const index = this.queue.indexOf(waiter)
+    if (index !== -1) {
+      this.queue.splice(index, 1)
+    }
+
+    clearTimeout(waiter.timer)
+    if (waiter.onAbort) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort)
+    }
+  }
+}
+
+module.exports = { RFCCallLimiter }
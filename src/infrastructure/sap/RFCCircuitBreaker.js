@@ -0,0 +1,255 @@
+/**
+ * RFC Circuit Breaker
+ * Fails SAP calls fast while SAP is unavailable and probes it before letting calls through again
+ */
+
+const { CircuitOpenError } = require('./RFCErrors')
+
+/**
+ * Circuit States enumeration
+ */
+class CircuitState {
+  static CLOSED = 'CLOSED'
+  static OPEN = 'OPEN'
+  static HALF_OPEN = 'HALF_OPEN'
+
+  static getAllStates() {
+    return [this.CLOSED, this.OPEN, this.HALF_OPEN]
+  }
+}
+
+class RFCCircuitBreaker {
+  /**
+   * @param {Object} options - enabled, failureRateThreshold, minimumCalls, windowSize, coolDown
+   * @param {Object} logger - Logger instance
+   * @param {Function} probe - async () => void, rejects while SAP is unavailable
+   */
+  constructor(options = {}, logger, probe) {
+    this.options = {
+      enabled: options.enabled !== false,
+      failureRateThreshold: options.failureRateThreshold || 0.5,
+      minimumCalls: options.minimumCalls || 10,
+      windowSize: options.windowSize || 20,
+      coolDown: options.coolDown || 30000
+    }
+    this.logger = logger
+    this.probe = probe
+    this.state = CircuitState.CLOSED
+    this.outcomes = []
+    this.openedAt = null
+    this.retryAt = null
+    this.lastFailure = null
+    this.probeTimer = null
+    this.stateChangeHandlers = new Set()
+    this.stats = {
+      opened: 0,
+      rejected: 0,
+      probes: 0,
+      probeFailures: 0
+    }
+  }
+
+  /**
+   * Throw when calls are currently not allowed
+   * @param {string} functionName - Function about to be called
+   * @throws {CircuitOpenError}
+   */
+  assertCallAllowed(functionName) {
+    if (!this.options.enabled || this.state === CircuitState.CLOSED) {
+      return
+    }
+
+    this.stats.rejected++
+    throw new CircuitOpenError(functionName, this.state, this.retryAt)
+  }
+
+  /**
+   * Record a call that reached SAP
+   */
+  recordSuccess() {
+    this._recordOutcome(true)
+  }
+
+  /**
+   * Record a call that failed because SAP was unavailable
+   * @param {Error} error - Call error
+   */
+  recordFailure(error) {
+    this.lastFailure = error.message
+    this._recordOutcome(false)
+  }
+
+  /**
+   * Register state change handler
+   * @param {Function} handler - (state, previousState) => void
+   */
+  onStateChange(handler) {
+    this.stateChangeHandlers.add(handler)
+  }
+
+  /**
+   * Probe SAP now instead of waiting for the cool-down
+   * @returns {Promise<boolean>} True when the circuit is closed afterwards
+   */
+  async probeNow() {
+    if (this.state === CircuitState.CLOSED) {
+      return true
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      return false // A probe is already running
+    }
+
+    clearTimeout(this.probeTimer)
+    this.probeTimer = null
+    return await this._runProbe()
+  }
+
+  /**
+   * Close the circuit and forget recorded outcomes
+   */
+  reset() {
+    clearTimeout(this.probeTimer)
+    this.probeTimer = null
+    this.outcomes = []
+    this.openedAt = null
+    this.retryAt = null
+    this._setState(CircuitState.CLOSED)
+  }
+
+  /**
+   * Get circuit breaker state
+   * @returns {Object} State, failure rate and statistics
+   */
+  getState() {
+    return {
+      enabled: this.options.enabled,
+      state: this.state,
+      failureRate: this._getFailureRate(),
+      calls: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      lastFailure: this.lastFailure,
+      options: this.options,
+      stats: { ...this.stats }
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Add an outcome to the sliding window and open the circuit above the threshold
+   * @param {boolean} success - Call outcome
+   * @private
+   */
+  _recordOutcome(success) {
+    if (!this.options.enabled || this.state !== CircuitState.CLOSED) {
+      return
+    }
+
+    this.outcomes.push(success)
+    if (this.outcomes.length > this.options.windowSize) {
+      this.outcomes.shift()
+    }
+
+    const failureRate = this._getFailureRate()
+    if (this.outcomes.length >= this.options.minimumCalls && failureRate >= this.options.failureRateThreshold) {
+      this.logger.warn('SAP circuit breaker opened', {
+        failureRate,
+        calls: this.outcomes.length,
+        lastFailure: this.lastFailure
+      })
+      this._open()
+    }
+  }
+
+  /**
+   * Get the failure rate of the sliding window
+   * @returns {number} Failure rate between 0 and 1
+   * @private
+   */
+  _getFailureRate() {
+    if (this.outcomes.length === 0) {
+      return 0
+    }
+
+    return this.outcomes.filter(success => !success).length / this.outcomes.length
+  }
+
+  /**
+   * Open the circuit and schedule the next probe
+   * @private
+   */
+  _open() {
+    if (this.state === CircuitState.CLOSED) {
+      this.stats.opened++
+    }
+    this.openedAt = Date.now()
+    this.retryAt = this.openedAt + this.options.coolDown
+    this._setState(CircuitState.OPEN)
+
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null
+      this._runProbe()
+    }, this.options.coolDown)
+
+    // Do not keep the process alive just to probe SAP
+    if (this.probeTimer.unref) {
+      this.probeTimer.unref()
+    }
+  }
+
+  /**
+   * Probe SAP in the half-open state
+   * @returns {Promise<boolean>} True when the probe succeeded
+   * @private
+   */
+  async _runProbe() {
+    this.stats.probes++
+    this._setState(CircuitState.HALF_OPEN)
+
+    try {
+      await this.probe()
+
+      this.logger.info('SAP circuit breaker closed after successful probe')
+      this.reset()
+      return true
+    } catch (error) {
+      this.stats.probeFailures++
+      this.lastFailure = error.message
+
+      this.logger.warn('SAP circuit breaker probe failed', {
+        error: error.message,
+        nextProbeIn: this.options.coolDown
+      })
+
+      this._open()
+      return false
+    }
+  }
+
+  /**
+   * Change state and notify handlers
+   * @param {string} state - New state
+   * @private
+   */
+  _setState(state) {
+    const previousState = this.state
+    if (previousState === state) {
+      return
+    }
+
+    this.state = state
+    this.stateChangeHandlers.forEach(handler => {
+      try {
+        handler(state, previousState)
+      } catch (error) {
+        this.logger.error('Error in circuit breaker state handler', {
+          error: error.message
+        })
+      }
+    })
+  }
+}
+
+module.exports = { RFCCircuitBreaker, CircuitState }
@@ -0,0 +1,365 @@
+/**
+ * RFC Connection Pool
+ * Manages a bounded set of node-rfc clients that are acquired and released per call
+ */
+
+const rfcClient = require('node-rfc')
+
+class RFCConnectionPool {
+  constructor(connectionParameters, options = {}, logger) {
+    this.connectionParameters = connectionParameters
+    this.logger = logger
+    this.options = {
+      min: options.min !== undefined ? options.min : 1,
+      max: options.max || 10,
+      acquireTimeout: options.acquireTimeout || 30000,
+      idleTimeout: options.idleTimeout || 300000,
+      healthCheckInterval: options.healthCheckInterval || 60000,
+      clientOptions: options.clientOptions || {}
+    }
+
+    if (this.options.min > this.options.max) {
+      this.options.min = this.options.max
+    }
+
+    this.idleClients = []
+    this.busyClients = new Set()
+    this.waitQueue = []
+    this.pendingCreates = 0
+    this.checkingCount = 0
+    this.isChecking = false
+    this.healthCheckTimer = null
+    this.isOpen = false
+    this.stats = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      released: 0,
+      acquireTimeouts: 0,
+      healthChecks: 0,
+      unhealthyRemoved: 0
+    }
+  }
+
+  /**
+   * Open the pool and create the minimum number of connections
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.isOpen = true
+
+    const initial = []
+    for (let i = 0; i < this.options.min; i++) {
+      initial.push(this._createClient())
+    }
+
+    try {
+      const clients = await Promise.all(initial)
+      clients.forEach(client => this.idleClients.push({ client, idleSince: Date.now() }))
+    } catch (error) {
+      await this.close()
+      throw error
+    }
+
+    this._startHealthCheck()
+
+    this.logger.info('RFC connection pool opened', {
+      min: this.options.min,
+      max: this.options.max
+    })
+  }
+
+  /**
+   * Acquire a connection from the pool, waiting if all connections are busy
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   * @returns {Promise<Object>} node-rfc client
+   */
+  async acquire(timeout = this.options.acquireTimeout) {
+    if (!this.isOpen) {
+      throw new Error('RFC connection pool is closed')
+    }
+
+    const idle = this.idleClients.pop()
+    if (idle) {
+      return this._lease(idle.client)
+    }
+
+    if (this._totalSize() < this.options.max) {
+      this.pendingCreates++
+      try {
+        const client = await this._createClient()
+        return this._lease(client)
+      } finally {
+        this.pendingCreates--
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null }
+
+      waiter.timer = setTimeout(() => {
+        const index = this.waitQueue.indexOf(waiter)
+        if (index !== -1) {
+          this.waitQueue.splice(index, 1)
+        }
+        this.stats.acquireTimeouts++
+        reject(new Error(`Timed out after ${timeout}ms waiting for an RFC connection`))
+      }, timeout)
+
+      this.waitQueue.push(waiter)
+    })
+  }
+
+  /**
+   * Return a connection to the pool
+   * @param {Object} client - node-rfc client
+   * @param {boolean} destroy - Close the connection instead of reusing it
+   */
+  release(client, destroy = false) {
+    if (!this.busyClients.has(client)) {
+      return
+    }
+
+    this.busyClients.delete(client)
+    this.stats.released++
+
+    if (destroy || !this.isOpen || client.alive === false) {
+      this._destroyClient(client)
+      this._replenish()
+      return
+    }
+
+    this._handOver(client)
+  }
+
+  /**
+   * Close all connections and reject pending waiters
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.isOpen = false
+
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer)
+      this.healthCheckTimer = null
+    }
+
+    this.waitQueue.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer)
+      waiter.reject(new Error('RFC connection pool is closed'))
+    })
+
+    const clients = [
+      ...this.idleClients.splice(0).map(idle => idle.client),
+      ...this.busyClients
+    ]
+    this.busyClients.clear()
+
+    await Promise.all(clients.map(client => this._destroyClient(client)))
+
+    this.logger.info('RFC connection pool closed')
+  }
+
+  /**
+   * Get pool occupancy statistics
+   * @returns {Object} Pool statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      min: this.options.min,
+      max: this.options.max,
+      size: this._totalSize(),
+      idle: this.idleClients.length,
+      inUse: this.busyClients.size,
+      waiting: this.waitQueue.length
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Create and open a new client
+   * @returns {Promise<Object>} Connected client
+   * @private
+   */
+  async _createClient() {
+    const client = new rfcClient.Client(this.connectionParameters, this.options.clientOptions)
+    await client.connect()
+    this.stats.created++
+    return client
+  }
+
+  /**
+   * Close a client, ignoring errors from already dead connections
+   * @param {Object} client - node-rfc client
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _destroyClient(client) {
+    this.stats.destroyed++
+
+    try {
+      if (client.alive !== false) {
+        await client.close()
+      }
+    } catch (error) {
+      this.logger.debug('Error closing pooled RFC connection', {
+        error: error.message
+      })
+    }
+  }
+
+  /**
+   * Mark a client as in use
+   * @param {Object} client - node-rfc client
+   * @returns {Object} The same client
+   * @private
+   */
+  _lease(client) {
+    this.busyClients.add(client)
+    this.stats.acquired++
+    return client
+  }
+
+  /**
+   * Give a free connection to the first waiter, or keep it idle
+   * @param {Object} client - node-rfc client
+   * @param {Object} idle - Idle bookkeeping to keep (idleSince); checked connections go to the
+   *   bottom of the idle stack so they can still expire
+   * @private
+   */
+  _handOver(client, idle = null) {
+    if (!this.isOpen) {
+      this._destroyClient(client)
+      return
+    }
+
+    const waiter = this.waitQueue.shift()
+    if (waiter) {
+      clearTimeout(waiter.timer)
+      waiter.resolve(this._lease(client))
+      return
+    }
+
+    if (idle) {
+      this.idleClients.unshift(idle)
+    } else {
+      this.idleClients.push({ client, idleSince: Date.now() })
+    }
+  }
+
+  /**
+   * Count open and opening connections
+   * @returns {number} Pool size
+   * @private
+   */
+  _totalSize() {
+    return this.idleClients.length + this.busyClients.size + this.pendingCreates + this.checkingCount
+  }
+
+  /**
+   * Top the pool back up after a connection was destroyed, serving waiters first
+   * @private
+   */
+  _replenish() {
+    if (!this.isOpen) {
+      return
+    }
+
+    const target = Math.max(this.options.min, this.busyClients.size + this.waitQueue.length)
+    const missing = Math.min(target, this.options.max) - this._totalSize()
+
+    for (let i = 0; i < missing; i++) {
+      this.pendingCreates++
+      this._createClient()
+        .then(client => {
+          this.pendingCreates--
+          this._handOver(client)
+        })
+        .catch(error => {
+          this.pendingCreates--
+          this.logger.warn('Failed to replenish RFC connection pool', {
+            error: error.message
+          })
+        })
+    }
+  }
+
+  /**
+   * Start periodic idle connection health check
+   * @private
+   */
+  _startHealthCheck() {
+    if (this.options.healthCheckInterval <= 0) {
+      return
+    }
+
+    this.healthCheckTimer = setInterval(() => {
+      this._checkIdleConnections().catch(error => {
+        this.logger.warn('RFC connection pool health check failed', {
+          error: error.message
+        })
+      })
+    }, this.options.healthCheckInterval)
+
+    if (this.healthCheckTimer.unref) {
+      this.healthCheckTimer.unref()
+    }
+  }
+
+  /**
+   * Trim connections idle beyond the idle timeout and ping the remaining ones
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkIdleConnections() {
+    // A slow check must not overlap with the next one
+    if (this.isChecking) {
+      return
+    }
+
+    this.isChecking = true
+    this.stats.healthChecks++
+
+    const now = Date.now()
+    const candidates = this.idleClients.splice(0)
+    this.checkingCount += candidates.length
+
+    try {
+      for (const idle of candidates) {
+        const expired = now - idle.idleSince > this.options.idleTimeout
+        const aboveMin = this._totalSize() > this.options.min
+
+        if (expired && aboveMin) {
+          this.checkingCount--
+          await this._destroyClient(idle.client)
+          continue
+        }
+
+        let healthy = false
+        try {
+          healthy = await idle.client.ping()
+        } catch (error) {
+          healthy = false
+        }
+
+        this.checkingCount--
+
+        if (healthy) {
+          // Waiters queued during the check are served first
+          this._handOver(idle.client, idle)
+        } else {
+          this.stats.unhealthyRemoved++
+          await this._destroyClient(idle.client)
+        }
+      }
+    } finally {
+      this.isChecking = false
+    }
+
+    this._replenish()
+  }
+}
+
+module.exports = { RFCConnectionPool }
@@ -0,0 +1,240 @@
+/**
+ * RFC Error Classification
+ * Maps node-rfc / NW RFC SDK errors onto adapter error types
+ */
+
+/**
+ * RFC Error Types enumeration
+ */
+class RFCErrorType {
+  static COMMUNICATION_FAILURE = 'COMMUNICATION_FAILURE'
+  static RFC_CLOSED = 'RFC_CLOSED'
+  static INVALID_HANDLE = 'INVALID_HANDLE'
+  static LOGON_FAILURE = 'LOGON_FAILURE'
+  static ABAP_EXCEPTION = 'ABAP_EXCEPTION'
+  static ABAP_MESSAGE = 'ABAP_MESSAGE'
+  static ABAP_RUNTIME_FAILURE = 'ABAP_RUNTIME_FAILURE'
+  static AUTHORIZATION_FAILURE = 'AUTHORIZATION_FAILURE'
+  static TIMEOUT = 'TIMEOUT'
+  static CANCELLED = 'CANCELLED'
+  static UNKNOWN = 'UNKNOWN'
+
+  static getAllTypes() {
+    return [
+      this.COMMUNICATION_FAILURE, this.RFC_CLOSED, this.INVALID_HANDLE,
+      this.LOGON_FAILURE, this.ABAP_EXCEPTION, this.ABAP_MESSAGE,
+      this.ABAP_RUNTIME_FAILURE, this.AUTHORIZATION_FAILURE, this.TIMEOUT,
+      this.CANCELLED, this.UNKNOWN
+    ]
+  }
+
+  /**
+   * Check if an error type means the SAP session is gone
+   * @param {string} errorType - RFC error type
+   * @returns {boolean}
+   */
+  static isConnectionError(errorType) {
+    return [
+      this.COMMUNICATION_FAILURE,
+      this.RFC_CLOSED,
+      this.INVALID_HANDLE
+    ].includes(errorType)
+  }
+
+  /**
+   * Check if an error type means SAP itself is unavailable (counted by the circuit breaker)
+   * @param {string} errorType - RFC error type
+   * @returns {boolean}
+   */
+  static isAvailabilityError(errorType) {
+    return this.isConnectionError(errorType) || [
+      this.LOGON_FAILURE,
+      this.TIMEOUT
+    ].includes(errorType)
+  }
+}
+
+// NW RFC SDK return codes (RFC_RC) as reported in error.codeString / error.key
+const RETURN_CODE_TYPES = {
+  RFC_COMMUNICATION_FAILURE: RFCErrorType.COMMUNICATION_FAILURE,
+  RFC_CLOSED: RFCErrorType.RFC_CLOSED,
+  RFC_INVALID_HANDLE: RFCErrorType.INVALID_HANDLE,
+  RFC_LOGON_FAILURE: RFCErrorType.LOGON_FAILURE,
+  RFC_ABAP_EXCEPTION: RFCErrorType.ABAP_EXCEPTION,
+  RFC_ABAP_CLASS_EXCEPTION: RFCErrorType.ABAP_EXCEPTION,
+  RFC_ABAP_MESSAGE: RFCErrorType.ABAP_MESSAGE,
+  RFC_ABAP_RUNTIME_FAILURE: RFCErrorType.ABAP_RUNTIME_FAILURE,
+  RFC_AUTHORIZATION_FAILURE: RFCErrorType.AUTHORIZATION_FAILURE,
+  RFC_CANCELED: RFCErrorType.CANCELLED,
+  RFC_TIMEOUT: RFCErrorType.TIMEOUT
+}
+
+// NW RFC SDK numeric return codes, for errors without codeString
+const RETURN_CODE_NUMBERS = {
+  1: 'RFC_COMMUNICATION_FAILURE',
+  2: 'RFC_LOGON_FAILURE',
+  3: 'RFC_ABAP_RUNTIME_FAILURE',
+  4: 'RFC_ABAP_MESSAGE',
+  5: 'RFC_ABAP_EXCEPTION',
+  6: 'RFC_CLOSED',
+  7: 'RFC_CANCELED',
+  8: 'RFC_TIMEOUT',
+  13: 'RFC_INVALID_HANDLE',
+  27: 'RFC_ABAP_CLASS_EXCEPTION',
+  29: 'RFC_AUTHORIZATION_FAILURE'
+}
+
+// Messages seen when the gateway drops the session without a proper code
+const CONNECTION_LOST_PATTERNS = [
+  /connection (is )?closed/i,
+  /connection reset/i,
+  /partner .* not reached/i,
+  /broken pipe/i,
+  /ECONNRESET/,
+  /invalid (rfc )?handle/i
+]
+
+/**
+ * Classify an RFC error
+ * @param {Error} error - Error thrown by node-rfc
+ * @returns {string} RFC error type
+ */
+function classifyRFCError(error) {
+  if (!error) {
+    return RFCErrorType.UNKNOWN
+  }
+
+  if (error instanceof RFCCancelledError) {
+    return error.reason === 'timeout' ? RFCErrorType.TIMEOUT : RFCErrorType.CANCELLED
+  }
+
+  const codeString = error.codeString || error.key || RETURN_CODE_NUMBERS[error.code]
+  if (codeString && RETURN_CODE_TYPES[codeString]) {
+    return RETURN_CODE_TYPES[codeString]
+  }
+
+  const message = error.message || String(error)
+  if (CONNECTION_LOST_PATTERNS.some(pattern => pattern.test(message))) {
+    return RFCErrorType.COMMUNICATION_FAILURE
+  }
+
+  if (error.name === 'ABAPError') {
+    return RFCErrorType.ABAP_EXCEPTION
+  }
+
+  return RFCErrorType.UNKNOWN
+}
+
+/**
+ * Error raised when a BAPI reports E/A messages in its RETURN parameter
+ */
+class BAPIError extends Error {
+  /**
+   * @param {string} functionName - BAPI that reported the errors
+   * @param {Object} result - Full BAPI result
+   */
+  constructor(functionName, result) {
+    const returnMessages = result.RETURN || result.ET_RETURN || []
+    const messages = (Array.isArray(returnMessages) ? returnMessages : [returnMessages])
+      .filter(msg => msg.TYPE === 'E' || msg.TYPE === 'A')
+
+    const text = messages.map(msg => `${msg.ID || ''}${msg.NUMBER || ''}: ${msg.MESSAGE}`).join('; ')
+    super(`${functionName} failed: ${text}`)
+
+    this.name = 'BAPIError'
+    this.functionName = functionName
+    this.result = result
+    this.messages = messages
+  }
+}
+
+/**
+ * Error raised when call parameters do not match the function module interface
+ */
+class ParameterValidationError extends Error {
+  /**
+   * @param {string} functionName - Function module being called
+   * @param {Array<Object>} issues - Issues from RFCFunctionMetadata.validateParameters
+   */
+  constructor(functionName, issues) {
+    const text = issues.map(issue => issue.field
+      ? `${issue.parameter}-${issue.field}: ${issue.message}`
+      : `${issue.parameter}: ${issue.message}`).join('; ')
+    super(`Invalid parameters for ${functionName}: ${text}`)
+
+    this.name = 'ParameterValidationError'
+    this.functionName = functionName
+    this.issues = issues
+  }
+}
+
+/**
+ * Error raised when an RFC call is cancelled by a timeout or an AbortSignal
+ */
+class RFCCancelledError extends Error {
+  /**
+   * @param {string} functionName - Function module that was cancelled
+   * @param {string} reason - timeout or aborted
+   * @param {number} timeout - Timeout in milliseconds (for timeouts)
+   */
+  constructor(functionName, reason, timeout = null) {
+    let message = `${functionName} was cancelled`
+    if (reason === 'timeout') {
+      message = timeout
+        ? `${functionName} timed out after ${timeout}ms and was cancelled`
+        : `${functionName} timed out and was cancelled`
+    }
+    super(message)
+
+    this.name = 'RFCCancelledError'
+    this.functionName = functionName
+    this.reason = reason
+    this.timeout = timeout
+  }
+}
+
+/**
+ * Error raised when the circuit breaker rejects a call without contacting SAP
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} functionName - Function that was not called
+   * @param {string} circuitState - OPEN or HALF_OPEN
+   * @param {number} retryAt - Time of the next probe (ms since epoch)
+   */
+  constructor(functionName, circuitState, retryAt = null) {
+    super(`SAP circuit breaker is ${circuitState}, ${functionName} was not called`)
+
+    this.name = 'CircuitOpenError'
+    this.functionName = functionName
+    this.circuitState = circuitState
+    this.retryAt = retryAt ? new Date(retryAt).toISOString() : null
+  }
+}
+
+/**
+ * Error raised when a call waits longer than the queue timeout for a free slot
+ */
+class RFCQueueTimeoutError extends Error {
+  /**
+   * @param {string} functionName - Function that was not called
+   * @param {number} queueTimeout - Queue timeout in milliseconds
+   */
+  constructor(functionName, queueTimeout) {
+    super(`${functionName} waited more than ${queueTimeout}ms for a free SAP call slot`)
+
+    this.name = 'RFCQueueTimeoutError'
+    this.functionName = functionName
+    this.queueTimeout = queueTimeout
+  }
+}
+
+module.exports = {
+  RFCErrorType,
+  BAPIError,
+  ParameterValidationError,
+  RFCCancelledError,
+  CircuitOpenError,
+  RFCQueueTimeoutError,
+  classifyRFCError
+}
@@ -0,0 +1,319 @@
+/**
+ * RFC Field Converter
+ * Converts values between the external (Bridge) and internal (SAP) format:
+ * conversion exits (ALPHA, MATN1) from DDIC metadata or config, DATS, TIMS and packed numbers
+ */
+
+// Conversion exits handled here; other exits are left to SAP
+const SUPPORTED_EXITS = ['ALPHA', 'MATN1']
+
+// ABAP types read back as numbers
+const PACKED_TYPES = ['P', 'a', 'e']
+
+const INPUT = 'input'
+const OUTPUT = 'output'
+
+class RFCFieldConverter {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - enabled (opt-in), materialLength (MATN1 padding), fields (name -> { exit, length })
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger
+    this.enabled = options.enabled === true
+    this.materialLength = options.materialLength || 18
+    this.fields = options.fields || {}
+  }
+
+  /**
+   * Convert call parameters to the internal format
+   * @param {Object|null} description - Function description (null when it could not be read)
+   * @param {Object} parameters - Call parameters
+   * @returns {Object} Converted parameters
+   */
+  toInternal(description, parameters = {}) {
+    return this._convertParameters(description, ['IMPORT', 'CHANGING', 'TABLES'], parameters, INPUT)
+  }
+
+  /**
+   * Convert a call result to the external format
+   * @param {Object|null} description - Function description (null when it could not be read)
+   * @param {Object} result - RFC result
+   * @returns {Object} Converted result
+   */
+  toExternal(description, result = {}) {
+    return this._convertParameters(description, ['EXPORT', 'CHANGING', 'TABLES'], result, OUTPUT)
+  }
+
+  /**
+   * Convert table rows (RFC_READ_TABLE) to the external format
+   * @param {Array<Object>|null} fields - Table field descriptions
+   * @param {Array<Object>} rows - Parsed rows
+   * @returns {Array<Object>} Converted rows
+   */
+  rowsToExternal(fields, rows) {
+    return rows.map(row => this._convertStructure(fields, row, OUTPUT))
+  }
+
+  /**
+   * Convert the values of a criteria object (see RFCConditionGroup.addCriteria) to the internal format
+   * @param {Array<Object>|null} fields - Table field descriptions
+   * @param {Object} criteria - Search criteria
+   * @returns {Object} Converted criteria
+   */
+  criteriaToInternal(fields, criteria = {}) {
+    const byName = this._indexFields(fields)
+    const converted = {}
+
+    Object.entries(criteria).forEach(([key, value]) => {
+      if (key === '$or' || key === '$and') {
+        converted[key] = value.map(entry => this.criteriaToInternal(fields, entry))
+        return
+      }
+
+      const convert = operand => this._convertValue(byName.get(key), key, operand, INPUT)
+
+      if (Array.isArray(value)) {
+        converted[key] = value.map(convert)
+      } else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        converted[key] = {}
+        Object.entries(value).forEach(([operator, operand]) => {
+          converted[key][operator] = Array.isArray(operand) ? operand.map(convert) : convert(operand)
+        })
+      } else {
+        converted[key] = convert(value)
+      }
+    })
+
+    return converted
+  }
+
+  // Private helper methods
+
+  /**
+   * Convert the parameters of the given directions
+   * @param {Object|null} description - Function description
+   * @param {Array<string>} directions - Parameter directions to look up
+   * @param {Object} values - Parameters or result
+   * @param {string} direction - input or output
+   * @returns {Object} Converted values
+   * @private
+   */
+  _convertParameters(description, directions, values, direction) {
+    const params = new Map()
+
+    if (description) {
+      directions.forEach(paramDirection => {
+        description.parameters[paramDirection].forEach(param => params.set(param.name, param))
+      })
+    }
+
+    const converted = {}
+    Object.entries(values).forEach(([name, value]) => {
+      converted[name] = this._convertParameter(params.get(name), name, value, direction)
+    })
+
+    return converted
+  }
+
+  /**
+   * Convert one parameter value: a table, a structure or a scalar
+   * @param {Object|undefined} param - Parameter description
+   * @param {string} name - Parameter name
+   * @param {*} value - Value
+   * @param {string} direction - input or output
+   * @returns {*} Converted value
+   * @private
+   */
+  _convertParameter(param, name, value, direction) {
+    const fields = param ? param.fields : null
+
+    if (Array.isArray(value)) {
+      return value.map(row => this._isStructure(row) ? this._convertStructure(fields, row, direction) : row)
+    }
+
+    if (this._isStructure(value)) {
+      return this._convertStructure(fields, value, direction)
+    }
+
+    // Scalar parameters typed with a table field carry that field's conversion exit and length
+    const meta = param && param.field ? { ...param.field, abapType: param.abapType } : param && { abapType: param.abapType }
+    return this._convertValue(meta || undefined, name, value, direction)
+  }
+
+  /**
+   * Convert the fields of a structure; nested structures without metadata use the configured fields only
+   * @param {Array<Object>|null} fields - Field descriptions
+   * @param {Object} structure - Structure value
+   * @param {string} direction - input or output
+   * @returns {Object} Converted structure
+   * @private
+   */
+  _convertStructure(fields, structure, direction) {
+    const byName = this._indexFields(fields)
+    const converted = {}
+
+    Object.entries(structure).forEach(([name, value]) => {
+      if (Array.isArray(value) || this._isStructure(value)) {
+        converted[name] = this._convertParameter(undefined, name, value, direction)
+      } else {
+        converted[name] = this._convertValue(byName.get(name), name, value, direction)
+      }
+    })
+
+    return converted
+  }
+
+  /**
+   * Convert a scalar value by conversion exit and ABAP type
+   * @param {Object|undefined} meta - Field description (abapType, length, conversionExit)
+   * @param {string} name - Field name
+   * @param {*} value - Value
+   * @param {string} direction - input or output
+   * @returns {*} Converted value
+   * @private
+   */
+  _convertValue(meta, name, value, direction) {
+    if (value === undefined || value === null) {
+      return value
+    }
+
+    const configured = this.fields[name] || {}
+    const exit = configured.exit || (meta && meta.conversionExit)
+    const length = configured.length || (meta && meta.length)
+    const abapType = meta ? meta.abapType : null
+
+    if (direction === INPUT) {
+      return this._applyInputExit(exit, length, this._typeToInternal(abapType, value))
+    }
+
+    return this._typeToExternal(abapType, this._applyOutputExit(exit, value))
+  }
+
+  /**
+   * Apply a conversion exit on input (CONVERSION_EXIT_*_INPUT)
+   * @param {string} exit - Conversion exit
+   * @param {number} length - Field length
+   * @param {*} value - Value
+   * @returns {*} Internal value
+   * @private
+   */
+  _applyInputExit(exit, length, value) {
+    if (!SUPPORTED_EXITS.includes(exit) || (typeof value !== 'string' && typeof value !== 'number')) {
+      return value
+    }
+
+    const text = String(value).trim()
+
+    if (exit === 'MATN1') {
+      // Numeric material numbers are padded to the material length, others are upper-cased
+      return /^\d+$/.test(text) ? text.padStart(this.materialLength, '0') : text.toUpperCase()
+    }
+
+    return /^\d+$/.test(text) && length ? text.padStart(length, '0') : text
+  }
+
+  /**
+   * Apply a conversion exit on output (CONVERSION_EXIT_*_OUTPUT)
+   * @param {string} exit - Conversion exit
+   * @param {*} value - Value
+   * @returns {*} External value
+   * @private
+   */
+  _applyOutputExit(exit, value) {
+    if (!SUPPORTED_EXITS.includes(exit) || typeof value !== 'string') {
+      return value
+    }
+
+    const text = value.trim()
+    return /^\d+$/.test(text) ? text.replace(/^0+(?=\d)/, '') : text
+  }
+
+  /**
+   * Convert dates and times to DATS / TIMS
+   * @param {string|null} abapType - ABAP type
+   * @param {*} value - Value
+   * @returns {*} Internal value
+   * @private
+   */
+  _typeToInternal(abapType, value) {
+    if (abapType === 'D') {
+      if (value instanceof Date) {
+        return value.toISOString().slice(0, 10).replace(/-/g, '')
+      }
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10).replace(/-/g, '') : value
+    }
+
+    if (abapType === 'T') {
+      if (value instanceof Date) {
+        return value.toISOString().slice(11, 19).replace(/:/g, '')
+      }
+      return typeof value === 'string' && /^\d{2}:\d{2}(:\d{2})?$/.test(value) ? value.replace(/:/g, '').padEnd(6, '0') : value
+    }
+
+    if (value instanceof Date) {
+      // Without metadata a date is sent as DATS
+      return value.toISOString().slice(0, 10).replace(/-/g, '')
+    }
+
+    return value
+  }
+
+  /**
+   * Convert DATS to Date (UTC midnight), TIMS to HH:MM:SS and packed numbers to Number
+   * @param {string|null} abapType - ABAP type
+   * @param {*} value - Value
+   * @returns {*} External value
+   * @private
+   */
+  _typeToExternal(abapType, value) {
+    if (typeof value !== 'string') {
+      return value
+    }
+
+    if (abapType === 'D') {
+      const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value.trim())
+      if (!match || match[1] === '0000') {
+        return null
+      }
+      return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+    }
+
+    if (abapType === 'T') {
+      const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value.trim())
+      return match ? `${match[1]}:${match[2]}:${match[3]}` : value
+    }
+
+    if (PACKED_TYPES.includes(abapType)) {
+      const text = value.trim()
+      // Packed numbers may carry a trailing minus sign
+      const number = Number(text.endsWith('-') ? `-${text.slice(0, -1)}` : text)
+      return text && Number.isFinite(number) ? number : value
+    }
+
+    return value
+  }
+
+  /**
+   * Index field descriptions by name
+   * @param {Array<Object>|null} fields - Field descriptions
+   * @returns {Map<string, Object>} Fields by name
+   * @private
+   */
+  _indexFields(fields) {
+    return new Map((fields || []).map(field => [field.name, field]))
+  }
+
+  /**
+   * Check if a value is a structure (plain object)
+   * @param {*} value - Value
+   * @returns {boolean}
+   * @private
+   */
+  _isStructure(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      !(value instanceof Date) && !Buffer.isBuffer(value) && !(value instanceof Uint8Array)
+  }
+}
+
+module.exports = { RFCFieldConverter }
@@ -0,0 +1,480 @@
+/**
+ * RFC Function Metadata
+ * Describes function module interfaces (RFC_GET_FUNCTION_INTERFACE + DDIF_FIELDINFO_GET)
+ * and checks call parameters against them
+ */
+
+const DIRECTIONS = {
+  I: 'IMPORT',
+  E: 'EXPORT',
+  C: 'CHANGING',
+  T: 'TABLES'
+}
+
+// ABAP internal types that hold structures or tables rather than scalar values
+const STRUCTURE_TYPES = ['u', 'v']
+const TABLE_TYPES = ['h']
+
+// ABAP internal types whose length counts characters rather than bytes
+const CHARACTER_TYPES = ['C', 'N', 'D', 'T']
+
+class RFCFunctionMetadata {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - cacheTtl (ms, 0 = keep until cleared), language, unicode (default true)
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger
+    this.cacheTtl = options.cacheTtl || 0
+    this.language = options.language || 'EN'
+    this.bytesPerCharacter = options.unicode === false ? 1 : 2
+    this.cache = new Map()
+    this.tableCache = new Map()
+    this.pending = new Map()
+  }
+
+  /**
+   * Describe a function module interface
+   * @param {string} functionName - Function module name
+   * @param {Function} call - (functionName, parameters) => Promise<result>, bound to a connection
+   * @returns {Promise<Object>} Function description
+   */
+  async describeFunction(functionName, call) {
+    const name = functionName.toUpperCase()
+    return await this._getCached(this.cache, `FUNCTION:${name}`, name, () => this._fetchDescription(name, call))
+  }
+
+  /**
+   * Describe the fields of a table or structure
+   * @param {string} tableName - Table, view or structure name
+   * @param {Function} call - (functionName, parameters) => Promise<result>, bound to a connection
+   * @returns {Promise<Array<Object>>} Field descriptions (name, types, length, outputLength, isKey)
+   */
+  async describeTable(tableName, call) {
+    const name = tableName.toUpperCase()
+    return await this._getCached(this.tableCache, `TABLE:${name}`, name, () => this._readFields(name, call))
+  }
+
+  /**
+   * Check call parameters against a function description
+   * @param {Object} description - Function description from describeFunction
+   * @param {Object} parameters - Call parameters
+   * @returns {Array<Object>} Issues found ({ parameter, field, issue, message })
+   */
+  validateParameters(description, parameters = {}) {
+    const issues = []
+    const accepted = {}
+
+    ;['IMPORT', 'CHANGING', 'TABLES'].forEach(direction => {
+      description.parameters[direction].forEach(param => {
+        accepted[param.name] = param
+      })
+    })
+
+    Object.entries(parameters).forEach(([name, value]) => {
+      const param = accepted[name]
+
+      if (!param) {
+        const isExport = description.parameters.EXPORT.some(exportParam => exportParam.name === name)
+        issues.push({
+          parameter: name,
+          field: null,
+          issue: 'UNKNOWN_PARAMETER',
+          message: isExport
+            ? `${name} is an export parameter of ${description.name}`
+            : `${description.name} has no parameter ${name}`
+        })
+        return
+      }
+
+      this._validateParameterValue(param, value, issues)
+    })
+
+    description.parameters.IMPORT
+      .filter(param => !param.optional && parameters[param.name] === undefined)
+      .forEach(param => {
+        issues.push({
+          parameter: param.name,
+          field: null,
+          issue: 'MISSING_PARAMETER',
+          message: `Required parameter ${param.name} is missing`
+        })
+      })
+
+    return issues
+  }
+
+  /**
+   * Drop cached descriptions
+   * @param {string} functionName - Function to drop, or all when omitted
+   */
+  clear(functionName = null) {
+    if (functionName) {
+      this.cache.delete(functionName.toUpperCase())
+    } else {
+      this.cache.clear()
+      this.tableCache.clear()
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return {
+      cachedFunctions: this.cache.size,
+      cachedTables: this.tableCache.size,
+      pendingLookups: this.pending.size
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Return a cached value, sharing one lookup between concurrent callers
+   * @param {Map} cache - Cache to use
+   * @param {string} pendingKey - Key for in-flight lookups, unique across caches
+   * @param {string} name - Cache key
+   * @param {Function} fetch - () => Promise<value>
+   * @returns {Promise<*>} Cached or fetched value
+   * @private
+   */
+  async _getCached(cache, pendingKey, name, fetch) {
+    const cached = cache.get(name)
+
+    if (cached && (!this.cacheTtl || Date.now() - cached.fetchedAt < this.cacheTtl)) {
+      return cached.value
+    }
+
+    if (this.pending.has(pendingKey)) {
+      return await this.pending.get(pendingKey)
+    }
+
+    const lookup = fetch()
+    this.pending.set(pendingKey, lookup)
+
+    try {
+      const value = await lookup
+      cache.set(name, { value, fetchedAt: Date.now() })
+      return value
+    } finally {
+      this.pending.delete(pendingKey)
+    }
+  }
+
+  /**
+   * Read the interface and the DDIC fields of every structured parameter
+   * @param {string} name - Function module name
+   * @param {Function} call - Bound RFC call
+   * @returns {Promise<Object>} Function description
+   * @private
+   */
+  async _fetchDescription(name, call) {
+    const result = await call('RFC_GET_FUNCTION_INTERFACE', { FUNCNAME: name })
+    const description = {
+      name,
+      parameters: {
+        IMPORT: [],
+        EXPORT: [],
+        CHANGING: [],
+        TABLES: []
+      }
+    }
+
+    const structureCache = new Map()
+
+    for (const row of result.PARAMS || []) {
+      const direction = DIRECTIONS[row.PARAMCLASS]
+      if (!direction) {
+        continue // Exceptions (X) are not parameters
+      }
+
+      const param = {
+        name: row.PARAMETER,
+        direction,
+        abapType: row.EXID,
+        ddicType: row.TABNAME || null,
+        length: this._getScalarLength(row),
+        byteLength: Number(row.INTLENGTH) || 0,
+        decimals: Number(row.DECIMALS) || 0,
+        optional: row.OPTIONAL === 'X',
+        defaultValue: row.DEFAULT || null,
+        description: row.PARAMTEXT || '',
+        kind: this._getParameterKind(row),
+        fields: null,
+        field: null
+      }
+
+      if (param.ddicType && (param.kind !== 'scalar' || row.FIELDNAME)) {
+        if (!structureCache.has(param.ddicType)) {
+          structureCache.set(param.ddicType, await this._fetchStructureFields(param, call))
+        }
+
+        if (param.kind === 'scalar') {
+          // Scalars typed with a table field (TABNAME-FIELDNAME) keep that field's DDIC description
+          param.field = (structureCache.get(param.ddicType) || []).find(field => field.name === row.FIELDNAME) || null
+          if (param.field && param.field.length) {
+            param.length = param.field.length
+          }
+        } else {
+          param.fields = structureCache.get(param.ddicType)
+        }
+      }
+
+      description.parameters[direction].push(param)
+    }
+
+    this.logger.debug('RFC function described', {
+      function: name,
+      parameters: Object.values(description.parameters).reduce((sum, list) => sum + list.length, 0)
+    })
+
+    return description
+  }
+
+  /**
+   * Read the fields of a structure, or of a table type's line type
+   * @param {Object} param - Parameter description
+   * @param {Function} call - Bound RFC call
+   * @returns {Promise<Array<Object>|null>} Field descriptions, null when unknown
+   * @private
+   */
+  async _fetchStructureFields(param, call) {
+    let structureName = param.ddicType
+
+    // TABLES parameters are typed with their line structure, table-typed parameters need the row type
+    if (param.kind === 'table' && param.direction !== 'TABLES') {
+      try {
+        const tableType = await call('DDIF_TTYP_GET', { NAME: param.ddicType })
+        if (tableType.DD40V_WA && tableType.DD40V_WA.ROWTYPE) {
+          structureName = tableType.DD40V_WA.ROWTYPE
+        }
+      } catch (error) {
+        this.logger.debug('Could not read table type, using it as structure', {
+          ddicType: param.ddicType,
+          error: error.message
+        })
+      }
+    }
+
+    try {
+      return await this._readFields(structureName, call)
+    } catch (error) {
+      // Types without DDIC field information stay unchecked
+      this.logger.debug('No DDIC field information for type', {
+        ddicType: structureName,
+        error: error.message
+      })
+      return null
+    }
+  }
+
+  /**
+   * Read DDIC field information with DDIF_FIELDINFO_GET
+   * @param {string} structureName - Table or structure name
+   * @param {Function} call - Bound RFC call
+   * @returns {Promise<Array<Object>>} Field descriptions
+   * @private
+   */
+  async _readFields(structureName, call) {
+    const fieldInfo = await call('DDIF_FIELDINFO_GET', {
+      TABNAME: structureName,
+      LANGU: this.language.charAt(0)
+    })
+
+    return (fieldInfo.DFIES_TAB || [])
+      .filter(field => !field.FIELDNAME.startsWith('.'))
+      .map(field => ({
+        name: field.FIELDNAME,
+        ddicType: field.DATATYPE,
+        abapType: field.INTTYPE,
+        length: Number(field.LENG) || 0,
+        outputLength: Number(field.OUTPUTLEN) || 0,
+        decimals: Number(field.DECIMALS) || 0,
+        conversionExit: field.CONVEXIT || null,
+        isKey: field.KEYFLAG === 'X'
+      }))
+  }
+
+  /**
+   * Length of a scalar parameter in characters.
+   * INTLENGTH counts bytes, and a Unicode system stores two bytes per character.
+   * @param {Object} row - RFC_GET_FUNCTION_INTERFACE PARAMS row
+   * @returns {number} Length (characters for character-like types, bytes otherwise)
+   * @private
+   */
+  _getScalarLength(row) {
+    const bytes = Number(row.INTLENGTH) || 0
+    return CHARACTER_TYPES.includes(row.EXID) ? Math.floor(bytes / this.bytesPerCharacter) : bytes
+  }
+
+  /**
+   * Decide whether a parameter is scalar, a structure or a table
+   * @param {Object} row - RFC_GET_FUNCTION_INTERFACE PARAMS row
+   * @returns {string} scalar, structure or table
+   * @private
+   */
+  _getParameterKind(row) {
+    if (row.PARAMCLASS === 'T' || TABLE_TYPES.includes(row.EXID)) {
+      return 'table'
+    }
+
+    if (STRUCTURE_TYPES.includes(row.EXID) || (row.TABNAME && !row.FIELDNAME && !row.EXID)) {
+      return 'structure'
+    }
+
+    return 'scalar'
+  }
+
+  /**
+   * Validate a single parameter value
+   * @param {Object} param - Parameter description
+   * @param {*} value - Value passed by the caller
+   * @param {Array<Object>} issues - Issue accumulator
+   * @private
+   */
+  _validateParameterValue(param, value, issues) {
+    if (param.kind === 'table') {
+      if (!Array.isArray(value)) {
+        issues.push({
+          parameter: param.name,
+          field: null,
+          issue: 'WRONG_TYPE',
+          message: `${param.name} is a table and expects an array`
+        })
+        return
+      }
+
+      value.forEach((row, index) => this._validateStructure(param, row, issues, `${param.name}[${index}]`))
+      return
+    }
+
+    if (param.kind === 'structure') {
+      this._validateStructure(param, value, issues, param.name)
+      return
+    }
+
+    const issue = this._checkScalar(param, value)
+    if (issue) {
+      issues.push({ parameter: param.name, field: null, ...issue })
+    }
+  }
+
+  /**
+   * Validate a structure value field by field
+   * @param {Object} param - Parameter description
+   * @param {*} value - Structure value
+   * @param {Array<Object>} issues - Issue accumulator
+   * @param {string} label - Parameter label for messages
+   * @private
+   */
+  _validateStructure(param, value, issues, label) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      issues.push({
+        parameter: label,
+        field: null,
+        issue: 'WRONG_TYPE',
+        message: `${label} is a structure and expects an object`
+      })
+      return
+    }
+
+    if (!param.fields) {
+      return
+    }
+
+    const fields = new Map(param.fields.map(field => [field.name, field]))
+
+    Object.entries(value).forEach(([fieldName, fieldValue]) => {
+      const field = fields.get(fieldName)
+
+      if (!field) {
+        issues.push({
+          parameter: label,
+          field: fieldName,
+          issue: 'UNKNOWN_FIELD',
+          message: `${param.ddicType} has no field ${fieldName}`
+        })
+        return
+      }
+
+      const issue = this._checkScalar(field, fieldValue)
+      if (issue) {
+        issues.push({ parameter: label, field: fieldName, ...issue })
+      }
+    })
+  }
+
+  /**
+   * Check a scalar value against its ABAP type and length
+   * @param {Object} meta - Field or parameter description (abapType, length, decimals)
+   * @param {*} value - Value to check
+   * @returns {Object|null} Issue or null
+   * @private
+   */
+  _checkScalar(meta, value) {
+    if (value === undefined || value === null) {
+      return null
+    }
+
+    const wrongType = expected => ({
+      issue: 'WRONG_TYPE',
+      message: `Expected ${expected} for ABAP type ${meta.abapType}, got ${typeof value}`
+    })
+
+    switch (meta.abapType) {
+      case 'C':
+      case 'N':
+      case 'D':
+      case 'T': {
+        if (meta.abapType === 'D' && value instanceof Date) {
+          return null
+        }
+        if (typeof value !== 'string') {
+          return wrongType('string')
+        }
+        if (meta.abapType === 'N' && !/^\d*$/.test(value)) {
+          return { issue: 'WRONG_TYPE', message: `Expected digits only for NUMC, got "${value}"` }
+        }
+        if (meta.length && value.length > meta.length) {
+          return {
+            issue: 'TOO_LONG',
+            message: `Value "${value}" exceeds length ${meta.length}`
+          }
+        }
+        return null
+      }
+
+      case 'I':
+      case 'b':
+      case 's':
+      case '8':
+        return Number.isInteger(value) ? null : wrongType('integer')
+
+      case 'F':
+        return typeof value === 'number' ? null : wrongType('number')
+
+      case 'P':
+      case 'a':
+      case 'e': {
+        const numeric = typeof value === 'number' ||
+          (typeof value === 'string' && /^-?\d*(\.\d+)?$/.test(value.trim())) ||
+          (typeof value === 'object' && typeof value.toFixed === 'function')
+        return numeric ? null : wrongType('number or numeric string')
+      }
+
+      case 'X':
+      case 'y':
+        return Buffer.isBuffer(value) || value instanceof Uint8Array ? null : wrongType('Buffer')
+
+      case 'g':
+        return typeof value === 'string' ? null : wrongType('string')
+
+      default:
+        return null
+    }
+  }
+}
+
+module.exports = { RFCFunctionMetadata }
@@ -0,0 +1,427 @@
+/**
+ * RFC Table Query
+ * Builds RFC_READ_TABLE parameters (FIELDS, OPTIONS) and parses its result rows
+ */
+
+const { ParameterValidationError } = require('./RFCErrors')
+
+// RFC_READ_TABLE accepts WHERE clauses as a table of 72-character lines
+const OPTIONS_LINE_LENGTH = 72
+
+const OPERATORS = ['EQ', 'NE', 'GT', 'GE', 'LT', 'LE', 'LIKE', 'BT', 'IN']
+
+// Table, field and namespace names (/NAMESPACE/FIELD)
+const NAME_PATTERN = /^[A-Z0-9_/]+$/
+
+// ABAP types returned in FIELDS.TYPE that are parsed as numbers
+const NUMERIC_TYPES = ['P', 'F', 'I', 'b', 's', '8', 'a', 'e']
+
+/**
+ * Group of WHERE conditions joined by AND or OR
+ */
+class RFCConditionGroup {
+  /**
+   * @param {string} connector - AND or OR
+   */
+  constructor(connector = 'AND') {
+    this.connector = connector
+    this.items = []
+  }
+
+  /**
+   * Add a condition
+   * @param {string} field - Field name
+   * @param {string} operator - EQ, NE, GT, GE, LT, LE, LIKE, BT or IN
+   * @param {*} value - Value, [low, high] for BT, array for IN
+   * @returns {RFCConditionGroup} This group
+   */
+  where(field, operator, value) {
+    const op = String(operator).toUpperCase()
+
+    if (!OPERATORS.includes(op)) {
+      throw new Error(`Unsupported RFC_READ_TABLE operator: ${operator}`)
+    }
+
+    if (op === 'BT' && (!Array.isArray(value) || value.length !== 2)) {
+      throw new Error(`BT condition on ${field} requires [low, high]`)
+    }
+
+    if (op === 'IN' && (!Array.isArray(value) || value.length === 0)) {
+      throw new Error(`IN condition on ${field} requires a non-empty array`)
+    }
+
+    const condition = { field: validateName(field, 'field'), operator: op, value }
+    validateLiterals(condition)
+
+    this.items.push(condition)
+    return this
+  }
+
+  /**
+   * Add a nested group whose conditions must all match
+   * @param {Function} build - (group) => void
+   * @returns {RFCConditionGroup} This group
+   */
+  whereAll(build) {
+    return this._addGroup('AND', build)
+  }
+
+  /**
+   * Add a nested group where any condition may match
+   * @param {Function} build - (group) => void
+   * @returns {RFCConditionGroup} This group
+   */
+  whereAny(build) {
+    return this._addGroup('OR', build)
+  }
+
+  /**
+   * Add conditions from a criteria object
+   * { FIELD: value } is EQ, { FIELD: [a, b] } is IN, { FIELD: { GT: 5, LE: 10 } } uses the
+   * given operators, and { $or: [criteria, ...] } / { $and: [criteria, ...] } nest groups
+   * @param {Object} criteria - Search criteria
+   * @returns {RFCConditionGroup} This group
+   */
+  addCriteria(criteria = {}) {
+    Object.entries(criteria).forEach(([key, value]) => {
+      if (value === undefined) {
+        return
+      }
+
+      if (key === '$or' || key === '$and') {
+        this._addGroup(key === '$or' ? 'OR' : 'AND', group => {
+          value.forEach(entry => group.whereAll(subGroup => subGroup.addCriteria(entry)))
+        })
+        return
+      }
+
+      if (Array.isArray(value)) {
+        this.where(key, 'IN', value)
+      } else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        Object.entries(value).forEach(([operator, operand]) => this.where(key, operator, operand))
+      } else {
+        this.where(key, 'EQ', value)
+      }
+    })
+
+    return this
+  }
+
+  /**
+   * Check if the group has no conditions
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.items.length === 0
+  }
+
+  /**
+   * Convert the group to WHERE clause tokens
+   * @returns {Array<string>} Tokens
+   */
+  toTokens() {
+    const tokens = []
+
+    this.items.forEach((item, index) => {
+      if (index > 0) {
+        tokens.push(this.connector)
+      }
+
+      if (item instanceof RFCConditionGroup) {
+        tokens.push('(', ...item.toTokens(), ')')
+      } else {
+        tokens.push(...conditionTokens(item))
+      }
+    })
+
+    return tokens
+  }
+
+  // Private helper methods
+
+  /**
+   * Add a nested group, skipping it when the builder adds nothing
+   * @param {string} connector - AND or OR
+   * @param {Function} build - (group) => void
+   * @returns {RFCConditionGroup} This group
+   * @private
+   */
+  _addGroup(connector, build) {
+    const group = new RFCConditionGroup(connector)
+    build(group)
+
+    if (group.items.length === 1) {
+      this.items.push(group.items[0])
+    } else if (!group.isEmpty()) {
+      this.items.push(group)
+    }
+
+    return this
+  }
+}
+
+/**
+ * RFC_READ_TABLE query
+ */
+class RFCTableQuery {
+  /**
+   * @param {string} tableName - Table or view to read
+   */
+  constructor(tableName) {
+    this.tableName = validateName(tableName, 'table')
+    this.fields = []
+    this.conditions = new RFCConditionGroup('AND')
+    this.rowCount = 0
+    this.rowSkips = 0
+  }
+
+  /**
+   * Create a query from a criteria object (see RFCConditionGroup.addCriteria)
+   * @param {string} tableName - Table or view to read
+   * @param {Object} criteria - Search criteria
+   * @returns {RFCTableQuery}
+   */
+  static fromCriteria(tableName, criteria = {}) {
+    const query = new RFCTableQuery(tableName)
+    query.conditions.addCriteria(criteria)
+    return query
+  }
+
+  /**
+   * Select the fields to return (all fields when none are selected)
+   * @param {Array<string>|string} fields - Field names
+   * @returns {RFCTableQuery} This query
+   */
+  select(fields) {
+    const list = Array.isArray(fields) ? fields : [fields]
+    this.fields.push(...list.map(field => validateName(field, 'field')))
+    return this
+  }
+
+  /**
+   * Add a condition (joined with AND)
+   * @param {string} field - Field name
+   * @param {string} operator - EQ, NE, GT, GE, LT, LE, LIKE, BT or IN
+   * @param {*} value - Value, [low, high] for BT, array for IN
+   * @returns {RFCTableQuery} This query
+   */
+  where(field, operator, value) {
+    this.conditions.where(field, operator, value)
+    return this
+  }
+
+  /**
+   * Add a group whose conditions must all match
+   * @param {Function} build - (group) => void
+   * @returns {RFCTableQuery} This query
+   */
+  whereAll(build) {
+    this.conditions.whereAll(build)
+    return this
+  }
+
+  /**
+   * Add a group where any condition may match
+   * @param {Function} build - (group) => void
+   * @returns {RFCTableQuery} This query
+   */
+  whereAny(build) {
+    this.conditions.whereAny(build)
+    return this
+  }
+
+  /**
+   * Limit the number of rows (0 = no limit)
+   * @param {number} rowCount - Maximum rows
+   * @returns {RFCTableQuery} This query
+   */
+  limit(rowCount) {
+    this.rowCount = Number(rowCount) || 0
+    return this
+  }
+
+  /**
+   * Skip a number of rows
+   * @param {number} rowSkips - Rows to skip
+   * @returns {RFCTableQuery} This query
+   */
+  offset(rowSkips) {
+    this.rowSkips = Number(rowSkips) || 0
+    return this
+  }
+
+  /**
+   * Get the WHERE clause as OPTIONS lines of at most 72 characters
+   * @returns {Array<Object>} OPTIONS rows ({ TEXT })
+   */
+  buildOptions() {
+    const lines = []
+    let line = ''
+
+    this.conditions.toTokens().forEach(token => {
+      if (line && line.length + 1 + token.length > OPTIONS_LINE_LENGTH) {
+        lines.push(line)
+        line = token
+      } else {
+        line = line ? `${line} ${token}` : token
+      }
+    })
+
+    if (line) {
+      lines.push(line)
+    }
+
+    return lines.map(text => ({ TEXT: text }))
+  }
+
+  /**
+   * Get RFC_READ_TABLE parameters
+   * @returns {Object} Function parameters
+   */
+  toParameters() {
+    const parameters = {
+      QUERY_TABLE: this.tableName,
+      DELIMITER: '',
+      ROWCOUNT: this.rowCount,
+      ROWSKIPS: this.rowSkips
+    }
+
+    if (this.fields.length > 0) {
+      parameters.FIELDS = this.fields.map(field => ({ FIELDNAME: field }))
+    }
+
+    const options = this.buildOptions()
+    if (options.length > 0) {
+      parameters.OPTIONS = options
+    }
+
+    return parameters
+  }
+
+  /**
+   * Parse RFC_READ_TABLE rows into objects using the returned FIELDS offsets and lengths
+   * @param {Object} result - RFC_READ_TABLE result
+   * @returns {Array<Object>} Parsed rows
+   */
+  static parseResult(result) {
+    const fields = (result.FIELDS || []).map(field => ({
+      name: field.FIELDNAME,
+      offset: Number(field.OFFSET) || 0,
+      length: Number(field.LENGTH) || 0,
+      type: field.TYPE
+    }))
+
+    return (result.DATA || []).map(row => {
+      const record = {}
+
+      fields.forEach(field => {
+        record[field.name] = parseValue(row.WA.substr(field.offset, field.length), field.type)
+      })
+
+      return record
+    })
+  }
+}
+
+/**
+ * Check a table or field name before it is placed in the query
+ * @param {string} name - Name to check
+ * @param {string} kind - table or field
+ * @returns {string} Upper-case name
+ */
+function validateName(name, kind) {
+  const upperName = String(name || '').toUpperCase()
+
+  if (!NAME_PATTERN.test(upperName)) {
+    throw new Error(`Invalid RFC_READ_TABLE ${kind} name: ${name}`)
+  }
+
+  return upperName
+}
+
+/**
+ * Reject values whose literal does not fit one OPTIONS line; RFC_READ_TABLE cannot continue a literal on the next line
+ * @param {Object} condition - { field, operator, value }
+ * @throws {ParameterValidationError} When a literal is longer than an OPTIONS line
+ */
+function validateLiterals(condition) {
+  const tooLong = conditionTokens(condition).find(token => token.length > OPTIONS_LINE_LENGTH)
+
+  if (tooLong) {
+    throw new ParameterValidationError('RFC_READ_TABLE', [{
+      parameter: 'OPTIONS',
+      field: condition.field,
+      message: `value ${tooLong.substring(0, 20)}... is ${tooLong.length} characters as a literal, OPTIONS lines hold ${OPTIONS_LINE_LENGTH}`
+    }])
+  }
+}
+
+/**
+ * Convert a condition to tokens
+ * @param {Object} condition - { field, operator, value }
+ * @returns {Array<string>} Tokens
+ */
+function conditionTokens({ field, operator, value }) {
+  if (operator === 'BT') {
+    return [field, 'BETWEEN', quoteValue(value[0]), 'AND', quoteValue(value[1])]
+  }
+
+  if (operator === 'IN') {
+    const literals = value.map((entry, index) => quoteValue(entry) + (index < value.length - 1 ? ',' : ''))
+    return [field, 'IN', '(', ...literals, ')']
+  }
+
+  return [field, operator, quoteValue(value)]
+}
+
+/**
+ * Quote a value as an Open SQL literal
+ * @param {*} value - Value to quote
+ * @returns {string} Literal
+ */
+function quoteValue(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid numeric value in RFC_READ_TABLE condition: ${value}`)
+    }
+    return String(value)
+  }
+
+  let text
+  if (value instanceof Date) {
+    text = value.toISOString().slice(0, 10).replace(/-/g, '')
+  } else if (value === null || value === undefined) {
+    text = ''
+  } else {
+    text = String(value)
+  }
+
+  return `'${text.replace(/'/g, "''")}'`
+}
+
+/**
+ * Convert a fixed-width column value by its ABAP type
+ * @param {string} raw - Raw column text
+ * @param {string} type - ABAP type from FIELDS.TYPE
+ * @returns {*} Parsed value
+ */
+function parseValue(raw = '', type) {
+  const text = raw.trim()
+
+  if (NUMERIC_TYPES.includes(type)) {
+    if (!text) {
+      return 0
+    }
+    // Packed numbers are written with a trailing minus sign
+    const normalized = text.endsWith('-') ? `-${text.slice(0, -1)}` : text
+    return Number(normalized)
+  }
+
+  if (type === 'D' && (text === '' || text === '00000000')) {
+    return null
+  }
+
+  return text
+}
+
+module.exports = { RFCTableQuery, RFCConditionGroup }
@@ -0,0 +1,341 @@
+/**
+ * RFC Table Stream
+ * Reads large tables page by page with RFC_READ_TABLE as an async iterator
+ *
+ * RFC_READ_TABLE has no ORDER BY, so pages are cut by key range instead of ROWSKIPS: each
+ * page reads the rows whose key follows the last key delivered. Wide tables are read in
+ * column sets; the first set decides the page, and the other sets read the same key range.
+ */
+
+const { RFCTableQuery } = require('./RFCTableQuery')
+
+// RFC_READ_TABLE returns each row in a 512-character work area (TAB512)
+const MAX_ROW_WIDTH = 512
+
+const DEFAULT_PAGE_SIZE = 5000
+
+class RFCTableStream {
+  /**
+   * @param {Object} service - SAPRFCService used for metadata and table reads
+   * @param {string} tableName - Table or view to read
+   * @param {Object} query - criteria, fields, keyFields, pageSize, checkpoint, onCheckpoint
+   */
+  constructor(service, tableName, query = {}) {
+    this.service = service
+    this.tableName = tableName.toUpperCase()
+    this.criteria = query.criteria || {}
+    this.fields = query.fields ? query.fields.map(field => field.toUpperCase()) : null
+    this.keyFields = query.keyFields ? query.keyFields.map(field => field.toUpperCase()) : null
+    this.pageSize = query.pageSize || DEFAULT_PAGE_SIZE
+    this.onCheckpoint = query.onCheckpoint || null
+
+    if (query.checkpoint && query.checkpoint.table && query.checkpoint.table !== this.tableName) {
+      throw new Error(`Checkpoint belongs to table ${query.checkpoint.table}, not ${this.tableName}`)
+    }
+
+    if (query.checkpoint && query.checkpoint.lastKey === undefined) {
+      throw new Error(`Checkpoint for ${this.tableName} has no lastKey; checkpoints by row offset cannot be resumed`)
+    }
+
+    this.lastKey = query.checkpoint ? query.checkpoint.lastKey : null
+    this.rowsRead = query.checkpoint ? query.checkpoint.rowsRead || 0 : 0
+    this.pagesRead = 0
+    this.joinKeys = []
+  }
+
+  /**
+   * Position to resume from; pass it as query.checkpoint to continue after this row
+   * @returns {Object} Checkpoint
+   */
+  get checkpoint() {
+    return {
+      table: this.tableName,
+      lastKey: this.lastKey,
+      rowsRead: this.rowsRead,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Iterate over all matching rows in key order
+   * @returns {AsyncGenerator<Object>} Parsed rows
+   */
+  async * [Symbol.asyncIterator]() {
+    const columnSets = await this._planColumnSets()
+
+    if (columnSets.length > 1) {
+      this.service.logger.debug('Splitting table read into column sets', {
+        table: this.tableName,
+        columnSets: columnSets.length
+      })
+    }
+
+    while (true) {
+      const { rows, isLastPage } = await this._readPage(columnSets)
+      this.pagesRead++
+
+      for (const row of rows) {
+        this.lastKey = this._keyOf(row)
+        this.rowsRead++
+        yield row
+      }
+
+      if (this.onCheckpoint) {
+        await this.onCheckpoint(this.checkpoint)
+      }
+
+      if (isLastPage) {
+        return
+      }
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Split the requested fields into sets that fit the RFC_READ_TABLE row width,
+   * each repeating the key fields that page and join the sets
+   * @returns {Promise<Array<Array<string>>>} Field names per column set
+   * @private
+   */
+  async _planColumnSets() {
+    const tableFields = await this.service.describeTable(this.tableName)
+    const byName = new Map(tableFields.map(field => [field.name, field]))
+
+    const keyFields = this.keyFields || tableFields
+      .filter(field => field.isKey && field.ddicType !== 'CLNT')
+      .map(field => field.name)
+
+    if (keyFields.length === 0) {
+      throw new Error(`${this.tableName} has no key fields to page by; pass keyFields`)
+    }
+
+    const requested = this.fields || tableFields
+      .filter(field => field.ddicType !== 'CLNT')
+      .map(field => field.name)
+
+    const width = name => {
+      const field = byName.get(name)
+      if (!field) {
+        throw new Error(`Table ${this.tableName} has no field ${name}`)
+      }
+      return Math.max(field.length, field.outputLength)
+    }
+
+    this.joinKeys = keyFields
+
+    const keyWidth = keyFields.reduce((sum, name) => sum + width(name), 0)
+    const otherFields = requested.filter(name => !keyFields.includes(name))
+    const columnSets = []
+    let current = []
+    let currentWidth = keyWidth
+
+    otherFields.forEach(name => {
+      const fieldWidth = width(name)
+
+      if (keyWidth + fieldWidth > MAX_ROW_WIDTH) {
+        throw new Error(`Field ${name} of ${this.tableName} does not fit in an RFC_READ_TABLE row next to the key fields`)
+      }
+
+      if (currentWidth + fieldWidth > MAX_ROW_WIDTH) {
+        columnSets.push([...keyFields, ...current])
+        current = []
+        currentWidth = keyWidth
+      }
+
+      current.push(name)
+      currentWidth += fieldWidth
+    })
+
+    if (current.length > 0 || columnSets.length === 0) {
+      columnSets.push([...keyFields, ...current])
+    }
+
+    return columnSets
+  }
+
+  /**
+   * Read the next page: up to pageSize rows after the last key from the first column set,
+   * then the same key range from the other sets, joined on the key fields
+   * @param {Array<Array<string>>} columnSets - Field names per column set
+   * @returns {Promise<Object>} rows (sorted by key) and isLastPage
+   * @private
+   */
+  async _readPage(columnSets) {
+    const [firstFields, ...otherSets] = columnSets
+
+    const delivered = await this.service.readTable(this._rangeQuery(firstFields, this.lastKey, null).limit(this.pageSize))
+    let rows = [...delivered].sort((a, b) => this._compareKeys(a, b))
+    const isLastPage = rows.length < this.pageSize
+
+    if (!isLastPage && rows.some((row, index) => row !== delivered[index])) {
+      // Rows did not come in key order, so keys before the page's last key may be missing
+      this.service.logger.debug('Rows not returned in key order, narrowing the key range of the page', {
+        table: this.tableName,
+        keyFields: this.joinKeys
+      })
+
+      rows = await this._readFirstRows(firstFields, rows)
+    }
+
+    if (rows.length === 0 || otherSets.length === 0) {
+      return { rows, isLastPage }
+    }
+
+    const byKey = new Map(rows.map(row => [this._joinKey(row), row]))
+    const pageEnd = this._keyOf(rows[rows.length - 1])
+
+    for (const fields of otherSets) {
+      const matched = new Set()
+      const page = await this.service.readTable(this._rangeQuery(fields, this.lastKey, pageEnd))
+
+      page.forEach(row => {
+        const key = this._joinKey(row)
+        const target = byKey.get(key)
+
+        // Rows inserted into the range after the first column set was read are not part of this page
+        if (target) {
+          Object.assign(target, row)
+          matched.add(key)
+        }
+      })
+
+      if (matched.size < rows.length) {
+        // Rows deleted while the page was being read
+        this.service.logger.warn('Rows missing from column set, fields left empty', {
+          table: this.tableName,
+          fields,
+          missing: rows.length - matched.size
+        })
+      }
+    }
+
+    return { rows, isLastPage }
+  }
+
+  /**
+   * Find the first pageSize rows after the last key when a page came out of key order.
+   * Those rows lie at or below the pageSize-th smallest key seen so far, so that key bounds
+   * the next read. Every read is limited to two pages; a read that is not cut by the limit
+   * holds the whole remaining range.
+   * @param {Array<string>} fields - Fields of the first column set
+   * @param {Array<Object>} rows - Full page read out of key order, sorted by key
+   * @returns {Promise<Array<Object>>} First pageSize rows after the last key, sorted by key
+   * @private
+   */
+  async _readFirstRows(fields, rows) {
+    const limit = this.pageSize * 2
+    const seen = new Map(rows.map(row => [this._joinKey(row), row]))
+    let upTo = this._keyOf(rows[this.pageSize - 1])
+
+    while (true) {
+      const range = await this.service.readTable(this._rangeQuery(fields, this.lastKey, upTo).limit(limit))
+
+      if (range.length < limit) {
+        return range.sort((a, b) => this._compareKeys(a, b)).slice(0, this.pageSize)
+      }
+
+      range.forEach(row => seen.set(this._joinKey(row), row))
+      const candidates = [...seen.values()].sort((a, b) => this._compareKeys(a, b)).slice(0, this.pageSize)
+
+      // Over a page of rows lies at or below upTo, so the new bound is strictly lower
+      upTo = this._keyOf(candidates[candidates.length - 1])
+      seen.clear()
+      candidates.forEach(row => seen.set(this._joinKey(row), row))
+    }
+  }
+
+  /**
+   * Build a query for the rows whose key is after `after` and at most `upTo`
+   * @param {Array<string>} fields - Fields to select
+   * @param {Object|null} after - Exclusive lower key bound
+   * @param {Object|null} upTo - Inclusive upper key bound
+   * @returns {RFCTableQuery} Query
+   * @private
+   */
+  _rangeQuery(fields, after, upTo) {
+    const query = RFCTableQuery.fromCriteria(this.tableName, this.criteria).select(fields)
+
+    if (after) {
+      query.whereAny(group => this._addKeyBound(group, after, 'GT', false))
+    }
+
+    if (upTo) {
+      query.whereAny(group => this._addKeyBound(group, upTo, 'LT', true))
+    }
+
+    return query
+  }
+
+  /**
+   * Add a lexicographic key comparison, e.g. for (A, B) > (a, b): A > a OR (A = a AND B > b)
+   * @param {RFCConditionGroup} group - OR group to fill
+   * @param {Object} bound - Key values by field
+   * @param {string} operator - GT or LT
+   * @param {boolean} inclusive - Also match the bound itself
+   * @private
+   */
+  _addKeyBound(group, bound, operator, inclusive) {
+    this.joinKeys.forEach((name, index) => {
+      group.whereAll(branch => {
+        this.joinKeys.slice(0, index).forEach(prefix => branch.where(prefix, 'EQ', bound[prefix]))
+        branch.where(name, operator, bound[name])
+      })
+    })
+
+    if (inclusive) {
+      group.whereAll(branch => {
+        this.joinKeys.forEach(name => branch.where(name, 'EQ', bound[name]))
+      })
+    }
+  }
+
+  /**
+   * Compare two rows field by field on the key fields
+   * @param {Object} a - Row
+   * @param {Object} b - Row
+   * @returns {number} Sort order
+   * @private
+   */
+  _compareKeys(a, b) {
+    for (const name of this.joinKeys) {
+      const left = a[name] === null ? '' : a[name]
+      const right = b[name] === null ? '' : b[name]
+
+      if (left < right) {
+        return -1
+      }
+      if (left > right) {
+        return 1
+      }
+    }
+
+    return 0
+  }
+
+  /**
+   * Key values of a row joined into one string, for lookups
+   * @param {Object} row - Row
+   * @returns {string} Joined key
+   * @private
+   */
+  _joinKey(row) {
+    return this.joinKeys.map(name => row[name]).join('\u0000')
+  }
+
+  /**
+   * Key values of a row
+   * @param {Object} row - Row
+   * @returns {Object} Key field values
+   * @private
+   */
+  _keyOf(row) {
+    const key = {}
+    this.joinKeys.forEach(name => {
+      key[name] = row[name]
+    })
+    return key
+  }
+}
+
+module.exports = { RFCTableStream }
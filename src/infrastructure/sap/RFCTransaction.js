@@ -0,0 +1,91 @@
+/**
+ * RFC Transaction
+ * Runs several BAPIs in one SAP logical unit of work on a single stateful connection
+ */
+
+const { BAPIError } = require('./RFCErrors')
+
+class RFCTransaction {
+  /**
+   * @param {SAPRFCService} service - Owning SAP service
+   * @param {Object} client - node-rfc client leased for the whole LUW
+   */
+  constructor(service, client) {
+    this.service = service
+    this.client = client
+    this.results = []
+    this.status = 'open'
+  }
+
+  /**
+   * Execute an RFC function inside the LUW, within the limiter slot the transaction holds
+   * @param {string} functionName - RFC function name
+   * @param {Object} parameters - Function parameters
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} RFC result
+   */
+  async executeRFC(functionName, parameters = {}, options = {}) {
+    this._assertOpen()
+    return await this.service._invokeFunction(this.client, functionName, parameters, options, true)
+  }
+
+  /**
+   * Execute a BAPI inside the LUW; E/A messages in RETURN abort the transaction
+   * @param {string} bapiName - BAPI function name
+   * @param {Object} parameters - BAPI parameters
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} BAPI result
+   */
+  async executeBAPI(bapiName, parameters = {}, options = {}) {
+    const result = await this.executeRFC(bapiName, parameters, options)
+    const returnMessages = result.RETURN || result.ET_RETURN
+
+    if (returnMessages && this.service._hasBAPIErrors(returnMessages)) {
+      throw new BAPIError(bapiName, result)
+    }
+
+    this.results.push(result)
+    return result
+  }
+
+  /**
+   * Commit the LUW with BAPI_TRANSACTION_COMMIT (WAIT = 'X') and check its RETURN
+   * @returns {Promise<Object>} Commit result
+   */
+  async commit() {
+    this._assertOpen()
+
+    const result = await this.service._invokeFunction(this.client, 'BAPI_TRANSACTION_COMMIT', { WAIT: 'X' }, {}, true)
+
+    if (result.RETURN && this.service._hasBAPIErrors(result.RETURN)) {
+      throw new BAPIError('BAPI_TRANSACTION_COMMIT', result)
+    }
+
+    this.status = 'committed'
+    return result
+  }
+
+  /**
+   * Roll back the LUW with BAPI_TRANSACTION_ROLLBACK
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollback() {
+    this._assertOpen()
+
+    const result = await this.service._invokeFunction(this.client, 'BAPI_TRANSACTION_ROLLBACK', {}, {}, true)
+    this.status = 'rolledBack'
+    return result
+  }
+
+  /**
+   * Ensure the LUW has not been finished yet
+   * @private
+   */
+  _assertOpen() {
+    if (this.status !== 'open') {
+      throw new Error(`Transaction already ${this.status}`)
+    }
+  }
+}
+
+module.exports = { RFCTransaction }
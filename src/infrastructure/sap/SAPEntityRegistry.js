@@ -0,0 +1,404 @@
+/**
+ * SAP Entity Registry
+ * Resolves SAP entity types to their BAPIs, table and parameter builder
+ */
+
+const path = require('path')
+const { GenericParameterBuilder } = require('./builders/GenericParameterBuilder')
+const { MaterialParameterBuilder } = require('./builders/MaterialParameterBuilder')
+const { CustomerParameterBuilder } = require('./builders/CustomerParameterBuilder')
+const { VendorParameterBuilder } = require('./builders/VendorParameterBuilder')
+const { SalesOrderParameterBuilder } = require('./builders/SalesOrderParameterBuilder')
+const { PurchaseOrderParameterBuilder } = require('./builders/PurchaseOrderParameterBuilder')
+const { BusinessPartnerParameterBuilder } = require('./builders/BusinessPartnerParameterBuilder')
+const { GoodsMovementParameterBuilder } = require('./builders/GoodsMovementParameterBuilder')
+const { InventoryParameterBuilder } = require('./builders/InventoryParameterBuilder')
+const { BillingDocumentParameterBuilder } = require('./builders/BillingDocumentParameterBuilder')
+const { IncomingInvoiceParameterBuilder } = require('./builders/IncomingInvoiceParameterBuilder')
+const { CostCenterParameterBuilder } = require('./builders/CostCenterParameterBuilder')
+const { ProfitCenterParameterBuilder } = require('./builders/ProfitCenterParameterBuilder')
+const { GLAccountParameterBuilder } = require('./builders/GLAccountParameterBuilder')
+const { AccountingDocumentParameterBuilder } = require('./builders/AccountingDocumentParameterBuilder')
+const { UserParameterBuilder } = require('./builders/UserParameterBuilder')
+const { PlantParameterBuilder } = require('./builders/PlantParameterBuilder')
+
+// Settings of a Business Partner definition that an ECC customer or vendor mapping cannot replace
+const BUSINESS_PARTNER_SETTINGS = ['bapiCreate', 'bapiUpdate', 'bapiRead', 'table', 'keyField']
+
+/**
+ * SAP backend flavors
+ */
+class SAPBackend {
+  static ECC = 'ECC'
+  static S4 = 'S4'
+
+  static getAllBackends() {
+    return [this.ECC, this.S4]
+  }
+}
+
+class SAPEntityRegistry {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} settings - Settings shared by all entities, e.g. materialLength
+   */
+  constructor(logger = console, settings = {}) {
+    this.logger = logger
+    this.settings = settings
+    this.entities = new Map()
+  }
+
+  /**
+   * Create registry with built-in entities, overlaid with config.entityMappings
+   * @param {Object} entityMappings - Entity mappings keyed by Bridge entity type
+   * @param {Object} logger - Logger instance
+   * @param {string} backend - SAP backend flavor (ECC or S4)
+   * @param {Object} settings - Settings shared by all entities, e.g. materialLength
+   * @returns {SAPEntityRegistry}
+   */
+  static fromConfig(entityMappings = {}, logger = console, backend = SAPBackend.ECC, settings = {}) {
+    if (!SAPBackend.getAllBackends().includes(backend)) {
+      throw new Error(`Unsupported SAP backend: ${backend}`)
+    }
+
+    const registry = new SAPEntityRegistry(logger, settings)
+
+    Object.entries(SAPEntityRegistry.getDefaultDefinitions(backend)).forEach(([sapEntityType, definition]) => {
+      registry.register(sapEntityType, definition)
+    })
+
+    Object.entries(entityMappings || {}).forEach(([bridgeEntityType, mapping]) => {
+      if (!mapping || !mapping.sapEntityType) {
+        logger.warn('Skipping entity mapping without sapEntityType', { entityType: bridgeEntityType })
+        return
+      }
+
+      const sapEntityType = mapping.sapEntityType.toUpperCase()
+      const existing = registry.entities.get(sapEntityType)
+      const bridgeEntityTypes = [...(existing?.bridgeEntityTypes || []), bridgeEntityType]
+
+      registry.register(sapEntityType, {
+        ...(existing?.source || {}),
+        ...withoutECCSettings(bridgeEntityType, mapping, existing?.source, logger),
+        bridgeEntityTypes
+      })
+    })
+
+    return registry
+  }
+
+  /**
+   * Built-in entity definitions
+   * @param {string} backend - SAP backend flavor (ECC or S4)
+   * @returns {Object} Definitions keyed by SAP entity type
+   */
+  static getDefaultDefinitions(backend = SAPBackend.ECC) {
+    const definitions = {
+      MATERIAL: {
+        bapiCreate: 'BAPI_MATERIAL_SAVEDATA',
+        bapiUpdate: 'BAPI_MATERIAL_SAVEDATA',
+        bapiRead: 'BAPI_MATERIAL_GET_DETAIL',
+        table: 'MARA',
+        keyField: 'MATNR',
+        materialViews: {
+          FERT: ['basic', 'sales', 'mrp', 'storage', 'accounting', 'costing'],
+          HALB: ['basic', 'mrp', 'storage', 'accounting', 'costing'],
+          ROH: ['basic', 'purchasing', 'mrp', 'storage', 'accounting'],
+          HAWA: ['basic', 'sales', 'purchasing', 'storage', 'accounting'],
+          DIEN: ['basic', 'sales', 'purchasing'],
+          default: ['basic']
+        },
+        builder: MaterialParameterBuilder
+      },
+      CUSTOMER: {
+        bapiCreate: 'BAPI_CUSTOMER_CREATEFROMDATA1',
+        bapiUpdate: 'BAPI_CUSTOMER_CHANGEFROMDATA1',
+        bapiRead: 'BAPI_CUSTOMER_GETDETAIL2',
+        table: 'KNA1',
+        keyField: 'KUNNR',
+        builder: CustomerParameterBuilder
+      },
+      VENDOR: {
+        // RFC-enabled wrapper around VMD_EI_API, not part of SAP (see VendorParameterBuilder)
+        bapiCreate: 'Z_VMD_EI_API_MAINTAIN',
+        bapiUpdate: 'Z_VMD_EI_API_MAINTAIN',
+        bapiRead: 'BAPI_VENDOR_GETDETAIL',
+        table: 'LFA1',
+        keyField: 'LIFNR',
+        builder: VendorParameterBuilder
+      },
+      SALES_ORDER: {
+        bapiCreate: 'BAPI_SALESORDER_CREATEFROMDAT2',
+        bapiUpdate: 'BAPI_SALESORDER_CHANGE',
+        bapiRead: 'BAPI_SALESORDER_GETDETAIL',
+        bapiSimulate: 'BAPI_SALESORDER_SIMULATE',
+        table: 'VBAK',
+        keyField: 'VBELN',
+        builder: SalesOrderParameterBuilder
+      },
+      PURCHASE_ORDER: {
+        bapiCreate: 'BAPI_PO_CREATE1',
+        bapiUpdate: 'BAPI_PO_CHANGE',
+        bapiRead: 'BAPI_PO_GETDETAIL1',
+        table: 'EKKO',
+        keyField: 'EBELN',
+        builder: PurchaseOrderParameterBuilder
+      },
+      GOODS_RECEIPT: {
+        bapiCreate: 'BAPI_GOODSMVT_CREATE',
+        bapiRead: 'BAPI_GOODSMVT_GETDETAIL',
+        bapiDelete: 'BAPI_GOODSMVT_CANCEL',
+        table: 'MKPF',
+        keyField: 'MBLNR',
+        movementType: '101',
+        builder: GoodsMovementParameterBuilder
+      },
+      GOODS_ISSUE: {
+        bapiCreate: 'BAPI_GOODSMVT_CREATE',
+        bapiRead: 'BAPI_GOODSMVT_GETDETAIL',
+        bapiDelete: 'BAPI_GOODSMVT_CANCEL',
+        table: 'MKPF',
+        keyField: 'MBLNR',
+        movementType: '201',
+        builder: GoodsMovementParameterBuilder
+      },
+      STOCK: {
+        // Stock is read from MARD; the BAPI provides the ATP quantities
+        bapiRead: 'BAPI_MATERIAL_AVAILABILITY',
+        table: 'MARD',
+        keyField: 'MATNR',
+        checkRule: 'A',
+        builder: InventoryParameterBuilder
+      },
+      BILLING_DOCUMENT: {
+        bapiCreate: 'BAPI_BILLINGDOC_CREATEMULTIPLE',
+        bapiRead: 'BAPI_BILLINGDOC_GETDETAIL',
+        bapiDelete: 'BAPI_BILLINGDOC_CANCEL1',
+        table: 'VBRK',
+        keyField: 'VBELN',
+        builder: BillingDocumentParameterBuilder
+      },
+      INCOMING_INVOICE: {
+        bapiCreate: 'BAPI_INCOMINGINVOICE_CREATE',
+        bapiRead: 'BAPI_INCOMINGINVOICE_GETDETAIL',
+        bapiDelete: 'BAPI_INCOMINGINVOICE_CANCEL',
+        table: 'RBKP',
+        keyField: 'BELNR',
+        builder: IncomingInvoiceParameterBuilder
+      },
+      COST_CENTER: {
+        // controllingArea is set through the entity mapping
+        bapiCreate: 'BAPI_COSTCENTER_CREATEMULTIPLE',
+        bapiUpdate: 'BAPI_COSTCENTER_CHANGEMULTIPLE',
+        bapiRead: 'BAPI_COSTCENTER_GETDETAIL1',
+        table: 'CSKS',
+        keyField: 'KOSTL',
+        builder: CostCenterParameterBuilder
+      },
+      PROFIT_CENTER: {
+        bapiCreate: 'BAPI_PROFITCENTER_CREATE',
+        bapiUpdate: 'BAPI_PROFITCENTER_CHANGE',
+        bapiRead: 'BAPI_PROFITCENTER_GETDETAIL',
+        table: 'CEPC',
+        keyField: 'PRCTR',
+        builder: ProfitCenterParameterBuilder
+      },
+      GL_ACCOUNT: {
+        // chartOfAccounts is set through the entity mapping
+        bapiCreate: 'GL_ACCT_MASTER_SAVE',
+        bapiUpdate: 'GL_ACCT_MASTER_SAVE',
+        bapiRead: 'BAPI_GL_ACC_GETDETAIL',
+        table: 'SKA1',
+        keyField: 'SAKNR',
+        builder: GLAccountParameterBuilder
+      },
+      ACCOUNTING_DOCUMENT: {
+        // Posted after BAPI_ACC_DOCUMENT_CHECK (see AccountingDocumentParameterBuilder)
+        bapiCreate: 'BAPI_ACC_DOCUMENT_POST',
+        bapiDelete: 'BAPI_ACC_DOCUMENT_REV_POST',
+        table: 'BKPF',
+        keyField: 'BELNR',
+        documentType: 'SA',
+        builder: AccountingDocumentParameterBuilder
+      },
+      USER: {
+        bapiCreate: 'BAPI_USER_CREATE1',
+        bapiUpdate: 'BAPI_USER_CHANGE',
+        bapiRead: 'BAPI_USER_GET_DETAIL',
+        // Users are locked instead of deleted
+        bapiDelete: 'BAPI_USER_LOCK',
+        table: 'USR02',
+        keyField: 'BNAME',
+        builder: UserParameterBuilder
+      },
+      // Plants are read and checked, never written (see PlantParameterBuilder)
+      PLANT: {
+        table: 'T001W',
+        keyField: 'WERKS',
+        builder: PlantParameterBuilder
+      }
+    }
+
+    if (backend === SAPBackend.S4) {
+      // S/4HANA maintains customers and vendors as Business Partners (CVI). cviFunction, the
+      // RFC-enabled wrapper for the customer/supplier extension, is set through the entity mapping.
+      definitions.CUSTOMER = {
+        ...definitions.CUSTOMER,
+        bapiCreate: 'BAPI_BUPA_CREATE_FROM_DATA',
+        bapiUpdate: 'BAPI_BUPA_CENTRAL_CHANGE',
+        bapiRead: 'BAPI_BUPA_CENTRAL_GETDETAIL',
+        table: 'BUT000',
+        keyField: 'PARTNER',
+        partnerRole: 'CUSTOMER',
+        bpRoles: ['FLCU00', 'FLCU01'],
+        builder: BusinessPartnerParameterBuilder
+      }
+      definitions.VENDOR = {
+        ...definitions.VENDOR,
+        bapiCreate: 'BAPI_BUPA_CREATE_FROM_DATA',
+        bapiUpdate: 'BAPI_BUPA_CENTRAL_CHANGE',
+        bapiRead: 'BAPI_BUPA_CENTRAL_GETDETAIL',
+        table: 'BUT000',
+        keyField: 'PARTNER',
+        partnerRole: 'VENDOR',
+        bpRoles: ['FLVN00', 'FLVN01'],
+        builder: BusinessPartnerParameterBuilder
+      }
+    }
+
+    return definitions
+  }
+
+  /**
+   * Register or replace an entity definition; its builder validates it
+   * @param {string} sapEntityType - SAP entity type
+   * @param {Object} definition - bapiCreate, bapiUpdate, bapiRead, bapiDelete, bapiSearch, table, keyField,
+   *   fieldMappings and builder (class, instance or module path)
+   */
+  register(sapEntityType, definition) {
+    const type = sapEntityType.toUpperCase()
+    const resolved = {
+      ...this.settings,
+      ...definition,
+      sapEntityType: type
+    }
+
+    resolved.builder = this._createBuilder(definition.builder, resolved)
+    resolved.source = definition
+
+    if (typeof resolved.builder.validateDefinition === 'function') {
+      resolved.builder.validateDefinition()
+    }
+
+    this.entities.set(type, resolved)
+    this.logger.debug('SAP entity registered', { sapEntityType: type })
+  }
+
+  /**
+   * Check if an entity type is registered
+   * @param {string} sapEntityType - SAP entity type
+   * @returns {boolean}
+   */
+  has(sapEntityType) {
+    return this.entities.has(sapEntityType.toUpperCase())
+  }
+
+  /**
+   * Get an entity definition
+   * @param {string} sapEntityType - SAP entity type
+   * @returns {Object|null} Entity definition with builder instance
+   */
+  get(sapEntityType) {
+    return this.entities.get(sapEntityType.toUpperCase()) || null
+  }
+
+  /**
+   * Get registered entity types
+   * @returns {Array<string>} SAP entity types
+   */
+  getEntityTypes() {
+    return Array.from(this.entities.keys())
+  }
+
+  // Private helper methods
+
+  /**
+   * Instantiate the builder for a definition
+   * @param {Function|Object|string} builder - Builder class, instance or module path
+   * @param {Object} definition - Resolved entity definition
+   * @returns {EntityParameterBuilder} Builder instance
+   * @private
+   */
+  _createBuilder(builder, definition) {
+    if (!builder) {
+      return new GenericParameterBuilder(definition)
+    }
+
+    if (typeof builder === 'string') {
+      return this._createBuilder(this._loadBuilderModule(builder), definition)
+    }
+
+    if (typeof builder === 'function') {
+      return new builder(definition) // eslint-disable-line new-cap
+    }
+
+    // Builder instance: give it the definition unless it brought its own
+    if (!builder.definition) {
+      builder.definition = definition
+    }
+    return builder
+  }
+
+  /**
+   * Load a builder module relative to the working directory
+   * @param {string} modulePath - Module path
+   * @returns {Function|Object} Exported builder class or instance
+   * @private
+   */
+  _loadBuilderModule(modulePath) {
+    const exported = require(path.resolve(process.cwd(), modulePath))
+
+    if (typeof exported === 'function' || typeof exported.buildCreateParameters === 'function') {
+      return exported
+    }
+
+    // module.exports = { SomeBuilder }
+    const builder = Object.values(exported).find(value => typeof value === 'function')
+    if (!builder) {
+      throw new Error(`Builder module ${modulePath} does not export a builder`)
+    }
+
+    return builder
+  }
+}
+
+/**
+ * Drop the ECC BAPIs, table and key field of a customer or vendor mapping when the built-in
+ * definition maintains it as a Business Partner, so ECC configurations keep working on S/4HANA
+ * @param {string} bridgeEntityType - Bridge entity type
+ * @param {Object} mapping - Entity mapping
+ * @param {Object} definition - Definition the mapping is laid over
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Mapping to apply
+ */
+function withoutECCSettings(bridgeEntityType, mapping, definition, logger) {
+  if (!definition || !definition.partnerRole || mapping.builder) {
+    return mapping
+  }
+
+  const ignored = BUSINESS_PARTNER_SETTINGS.filter(key => mapping[key] !== undefined && mapping[key] !== definition[key])
+  if (ignored.length === 0) {
+    return mapping
+  }
+
+  logger.warn('Ignoring ECC settings of an entity mapping maintained as Business Partner on S/4HANA', {
+    entityType: bridgeEntityType,
+    ignored: ignored.map(key => `${key}=${mapping[key]}`)
+  })
+
+  const result = { ...mapping }
+  ignored.forEach(key => delete result[key])
+  return result
+}
+
+module.exports = { SAPEntityRegistry, SAPBackend }
@@ -5,24 +5,69 @@
 
 const rfcClient = require('node-rfc')
 const { ISAPService } = require('../../domain/interfaces/ISAPService')
-const { ProcessingResult, SAPOperation } = require('../../domain/entities/ProcessingResult')
+const { ProcessingResult, ProcessingErrorType, SAPOperation } = require('../../domain/entities/ProcessingResult')
+const { RFCConnectionPool } = require('./RFCConnectionPool')
+const { RFCErrorType, BAPIError, ParameterValidationError, RFCCancelledError, CircuitOpenError, classifyRFCError } = require('./RFCErrors')
+const { RFCCircuitBreaker } = require('./RFCCircuitBreaker')
+const { RFCCallLimiter } = require('./RFCCallLimiter')
+const { RFCFunctionMetadata } = require('./RFCFunctionMetadata')
+const { RFCFieldConverter } = require('./RFCFieldConverter')
+const { RFCTableQuery } = require('./RFCTableQuery')
+const { RFCTableStream } = require('./RFCTableStream')
+const { RFCTransaction } = require('./RFCTransaction')
+const { SAPEntityRegistry, SAPBackend } = require('./SAPEntityRegistry')
+
+// Limiter slot of transactions that do not name the function they are run for
+const TRANSACTION_SLOT = 'TRANSACTION'
 
 class SAPRFCService extends ISAPService {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     super()
     this.logger = logger
+    this.backend = (options.backend || SAPBackend.ECC).toUpperCase()
+    this.functionMetadata = new RFCFunctionMetadata(logger, options.metadata)
+    this.fieldConverter = new RFCFieldConverter(logger, options.conversion)
+    this.entityRegistry = SAPEntityRegistry.fromConfig(options.entityMappings, logger, this.backend, {
+      materialLength: this.fieldConverter.materialLength
+    })
+    this.undescribedFunctions = new Set()
+    this.circuitBreaker = new RFCCircuitBreaker(options.circuitBreaker, logger, () => this._probeSAP())
+    this.callLimiter = new RFCCallLimiter(options.limiter, logger)
     this.client = null
+    this.clientLease = Promise.resolve()
+    this.releaseClientLease = null
+    this.pool = null
+    // Pool connections whose session was lost; they are discarded when released
+    this.brokenClients = new WeakSet()
     this.isConnectedFlag = false
     this.connectionConfig = null
     this.lastError = null
+    this.eventHandlers = new Map()
+    this.storedConfig = null
+    this.reconnectTimer = null
+    this.reconnectAttempt = 0
+    this.isReconnecting = false
     this.connectionStats = {
       connectTime: null,
       lastActivity: null,
       callsExecuted: 0,
       errorsCount: 0,
       averageResponseTime: 0,
-      totalResponseTime: 0
+      totalResponseTime: 0,
+      disconnections: 0,
+      reconnections: 0,
+      discardedConnections: 0,
+      lastDisconnect: null,
+      lastDisconnectReason: null,
+      transactionsCommitted: 0,
+      transactionsRolledBack: 0,
+      timeouts: 0,
+      cancellations: 0
     }
+
+    this.circuitBreaker.onStateChange((state, previousState) => {
+      this._emit('circuit-state-changed', { state, previousState })
+    })
   }
 
   /**
@@ -49,27 +94,27 @@ class SAPRFCService extends ISAPService {
         language: config.language || 'EN'
       }
 
-      // Create RFC client
-      this.client = new rfcClient.Client(config)
-
-      // Attempt connection
-      await this.client.connect()
+      // Full config is kept privately for background reconnection
+      this.storedConfig = config
+      this._cancelReconnect()
 
-      this.isConnectedFlag = true
-      this.connectionStats.connectTime = new Date()
-      this.connectionStats.lastActivity = new Date()
-      this.lastError = null
+      await this._openConnection(config)
 
       this.logger.info('Successfully connected to SAP system', {
         client: config.client,
-        host: config.host
+        host: config.host,
+        pooled: this.pool !== null
       })
 
+      this._emit('connected', { reconnected: false })
+
       return true
 
     } catch (error) {
       this.lastError = error
       this.isConnectedFlag = false
+      this.client = null
+      this.pool = null
       
       this.logger.error('Failed to connect to SAP system', {
         error: error.message,
@@ -86,15 +131,24 @@ class SAPRFCService extends ISAPService {
    */
   async disconnect() {
     try {
-      if (this.client && this.isConnectedFlag) {
-        await this.client.close()
+      // An explicit disconnect must not be undone by the reconnect loop
+      this.storedConfig = null
+      this._cancelReconnect()
+      this.circuitBreaker.reset()
+
+      const wasConnected = this.isConnectedFlag
+      await this._closeConnection()
+
+      if (wasConnected) {
         this.logger.info('Disconnected from SAP system')
       }
 
-      this.client = null
-      this.isConnectedFlag = false
       this.connectionConfig = null
 
+      if (wasConnected) {
+        this._emit('disconnected', { reason: 'disconnect', error: null })
+      }
+
       return true
 
     } catch (error) {
@@ -124,7 +178,16 @@ class SAPRFCService extends ISAPService {
       const startTime = Date.now()
 
       // Execute RFC_SYSTEM_INFO to test connection
-      const result = await this.client.call('RFC_SYSTEM_INFO')
+      const client = await this._acquireClient()
+      let result
+      try {
+        result = await client.call('RFC_SYSTEM_INFO', {})
+      } catch (error) {
+        this._handleCallError(error, client)
+        throw error
+      } finally {
+        this._releaseClient(client)
+      }
       
       const responseTime = Date.now() - startTime
 
@@ -149,6 +212,9 @@ class SAPRFCService extends ISAPService {
     } catch (error) {
       this.lastError = error
       this.connectionStats.errorsCount++
+      if (!error.rfcErrorType) {
+        this._handleCallError(error)
+      }
 
       return {
         success: false,
@@ -163,7 +229,7 @@ class SAPRFCService extends ISAPService {
    * Execute RFC function
    * @param {string} functionName - RFC function name
    * @param {Object} parameters - Function parameters
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (timeout in ms, signal, validateParameters, convertFields)
    * @returns {Promise<Object>} RFC result
    */
   async executeRFC(functionName, parameters = {}, options = {}) {
@@ -171,45 +237,24 @@ class SAPRFCService extends ISAPService {
       throw new Error('Not connected to SAP system')
     }
 
-    const startTime = Date.now()
-
-    try {
-      this.logger.debug('Executing RFC function', {
-        function: functionName,
-        parameters: this._sanitizeParameters(parameters)
-      })
-
-      const result = await this.client.call(functionName, parameters)
-      
-      const responseTime = Date.now() - startTime
-      this._updateConnectionStats(responseTime)
-
-      this.logger.debug('RFC function executed successfully', {
-        function: functionName,
-        responseTime
-      })
-
-      return {
-        ...result,
-        FUNCTION_NAME: functionName,
-        EXECUTION_TIME: responseTime,
-        SUCCESS: true
-      }
-
-    } catch (error) {
-      const responseTime = Date.now() - startTime
-      this.lastError = error
-      this.connectionStats.errorsCount++
-      this._updateConnectionStats(responseTime)
+    this.circuitBreaker.assertCallAllowed(functionName)
 
-      this.logger.error('RFC function execution failed', {
-        function: functionName,
-        error: error.message,
-        responseTime
-      })
+    return await this._executeLimited(functionName, options, client =>
+      this._invokeFunction(client, functionName, parameters, options, true))
+  }
 
-      throw error
+  /**
+   * Describe a function module interface (cached)
+   * @param {string} functionName - RFC function name
+   * @returns {Promise<Object>} Import, export, changing and table parameters with DDIC types and lengths
+   */
+  async describeFunction(functionName) {
+    if (!this.isConnected()) {
+      throw new Error('Not connected to SAP system')
     }
+
+    return await this._executeLimited('RFC_GET_FUNCTION_INTERFACE', {}, client =>
+      this._describeFunction(client, functionName, true))
   }
 
   /**
@@ -220,24 +265,61 @@ class SAPRFCService extends ISAPService {
    * @returns {Promise<Object>} BAPI result
    */
   async executeBAPI(bapiName, parameters = {}, options = {}) {
-    // BAPIs are special RFC functions, but we can use the same execution method
-    const result = await this.executeRFC(bapiName, parameters, options)
+    if (options.commitWork === false) {
+      return await this.executeRFC(bapiName, parameters, options)
+    }
 
-    // Add BAPI-specific processing
-    if (options.commitWork !== false && result.RETURN && !this._hasBAPIErrors(result.RETURN)) {
-      try {
-        // Execute BAPI_TRANSACTION_COMMIT if no errors
-        await this.executeRFC('BAPI_TRANSACTION_COMMIT', { WAIT: 'X' })
-        this.logger.debug('BAPI transaction committed', { bapi: bapiName })
-      } catch (commitError) {
-        this.logger.warn('Failed to commit BAPI transaction', {
-          bapi: bapiName,
-          error: commitError.message
-        })
+    try {
+      return await this.transaction(tx => tx.executeBAPI(bapiName, parameters, options), {
+        functionName: bapiName,
+        signal: options.signal
+      })
+    } catch (error) {
+      // BAPI-level failures are reported through the RETURN messages, not thrown
+      if (error instanceof BAPIError) {
+        return error.result
       }
+      throw error
     }
+  }
 
-    return result
+  /**
+   * Run several BAPIs as one logical unit of work on the same connection.
+   * Commits once with BAPI_TRANSACTION_COMMIT (WAIT = 'X') when the callback resolves,
+   * rolls back with BAPI_TRANSACTION_ROLLBACK when it throws or a BAPI reports E/A messages.
+   * Without a pool the transaction holds the single connection until it ends, so the callback
+   * must call SAP through tx only.
+   * The transaction takes one limiter slot before it leases its connection, the same order as
+   * single calls, and every call of the LUW runs within that slot.
+   * @param {Function} work - async (tx) => result, using tx.executeBAPI / tx.executeRFC
+   * @param {Object} options - functionName whose limits apply (TRANSACTION by default), signal
+   * @returns {Promise<*>} Value returned by the callback
+   */
+  async transaction(work, options = {}) {
+    if (!this.isConnected()) {
+      throw new Error('Not connected to SAP system')
+    }
+
+    this.circuitBreaker.assertCallAllowed('transaction')
+
+    return await this._executeLimited(options.functionName || TRANSACTION_SLOT, options, async client => {
+      const tx = new RFCTransaction(this, client)
+
+      try {
+        const value = await work(tx)
+        await tx.commit()
+
+        this.connectionStats.transactionsCommitted++
+        this.logger.debug('SAP transaction committed', {
+          calls: tx.results.map(result => result.FUNCTION_NAME)
+        })
+
+        return value
+      } catch (error) {
+        await this._rollbackTransaction(tx, error)
+        throw error
+      }
+    })
   }
 
   /**
@@ -249,48 +331,36 @@ class SAPRFCService extends ISAPService {
    */
   async createRecord(entityType, data, options = {}) {
     const operation = SAPOperation.CREATE
-    let bapiFunction = null
-    let parameters = {}
 
     try {
-      // Determine appropriate BAPI based on entity type
-      switch (entityType.toUpperCase()) {
-        case 'MATERIAL':
-          bapiFunction = 'BAPI_MATERIAL_SAVEDATA'
-          parameters = this._buildMaterialCreateParameters(data)
-          break
-
-        case 'CUSTOMER':
-          bapiFunction = 'BAPI_CUSTOMER_CREATEFROMDATA1'
-          parameters = this._buildCustomerCreateParameters(data)
-          break
+      const entity = this._getEntity(entityType, 'bapiCreate', 'creation', 'executeCheck', 'executeCreate')
+      const context = this._buildContext(options)
+      let result
 
-        case 'VENDOR':
-          bapiFunction = 'BAPI_VENDOR_CREATE'
-          parameters = this._buildVendorCreateParameters(data)
-          break
-
-        case 'SALES_ORDER':
-          bapiFunction = 'BAPI_SALESORDER_CREATEFROMDAT2'
-          parameters = this._buildSalesOrderCreateParameters(data)
-          break
+      // Customizing objects such as plants are checked against SAP instead of being written
+      if (typeof entity.builder.executeCheck === 'function') {
+        return ProcessingResult.fromBAPIResult('', entityType, operation, await entity.builder.executeCheck(null, data, context))
+      }
 
-        case 'PURCHASE_ORDER':
-          bapiFunction = 'BAPI_PO_CREATE1'
-          parameters = this._buildPurchaseOrderCreateParameters(data)
-          break
+      if (typeof entity.builder.executeCreate === 'function') {
+        // The builder runs several BAPIs in one LUW
+        result = await this._executeBuilderTransaction(tx => entity.builder.executeCreate(tx, data, context), entity.bapiCreate, options)
+      } else {
+        const parameters = await entity.builder.buildCreateParameters(data, context)
 
-        default:
-          throw new Error(`Unsupported entity type for creation: ${entityType}`)
+        // Execute BAPI
+        result = await this.executeBAPI(entity.bapiCreate, parameters, options)
       }
 
-      // Execute BAPI
-      const result = await this.executeBAPI(bapiFunction, parameters, options)
+      // Builders add what the BAPI does not return, such as keys read back after the commit
+      if (typeof entity.builder.completeCreate === 'function' && !this._hasBAPIErrors(result.RETURN || [])) {
+        result = await entity.builder.completeCreate(result, data, context)
+      }
 
       return ProcessingResult.fromBAPIResult('', entityType, operation, result)
 
     } catch (error) {
-      return ProcessingResult.failure('', entityType, operation, error)
+      return this._failureResult(entityType, operation, error)
     }
   }
 
@@ -304,43 +374,30 @@ class SAPRFCService extends ISAPService {
    */
   async updateRecord(entityType, sapKey, data, options = {}) {
     const operation = SAPOperation.UPDATE
-    let bapiFunction = null
-    let parameters = {}
 
     try {
-      // Determine appropriate BAPI based on entity type
-      switch (entityType.toUpperCase()) {
-        case 'MATERIAL':
-          bapiFunction = 'BAPI_MATERIAL_SAVEDATA'
-          parameters = this._buildMaterialUpdateParameters(sapKey, data)
-          break
-
-        case 'CUSTOMER':
-          bapiFunction = 'BAPI_CUSTOMER_CHANGE'
-          parameters = this._buildCustomerUpdateParameters(sapKey, data)
-          break
+      const entity = this._getEntity(entityType, 'bapiUpdate', 'update', 'executeCheck', 'executeUpdate')
+      const context = this._buildContext(options)
+      let result
 
-        case 'VENDOR':
-          bapiFunction = 'BAPI_VENDOR_CHANGE'
-          parameters = this._buildVendorUpdateParameters(sapKey, data)
-          break
+      if (typeof entity.builder.executeCheck === 'function') {
+        return ProcessingResult.fromBAPIResult('', entityType, operation, await entity.builder.executeCheck(sapKey, data, context))
+      }
 
-        case 'SALES_ORDER':
-          bapiFunction = 'BAPI_SALESORDER_CHANGE'
-          parameters = this._buildSalesOrderUpdateParameters(sapKey, data)
-          break
+      if (typeof entity.builder.executeUpdate === 'function') {
+        // The builder runs several BAPIs in one LUW
+        result = await this._executeBuilderTransaction(tx => entity.builder.executeUpdate(tx, sapKey, data, context), entity.bapiUpdate, options)
+      } else {
+        const parameters = await entity.builder.buildUpdateParameters(sapKey, data, context)
 
-        default:
-          throw new Error(`Unsupported entity type for update: ${entityType}`)
+        // Execute BAPI
+        result = await this.executeBAPI(entity.bapiUpdate, parameters, options)
       }
 
-      // Execute BAPI
-      const result = await this.executeBAPI(bapiFunction, parameters, options)
-
       return ProcessingResult.fromBAPIResult('', entityType, operation, result)
 
     } catch (error) {
-      return ProcessingResult.failure('', entityType, operation, error)
+      return this._failureResult(entityType, operation, error)
     }
   }
 
@@ -355,6 +412,20 @@ class SAPRFCService extends ISAPService {
     const operation = SAPOperation.DELETE
 
     try {
+      const entity = this.entityRegistry.get(entityType)
+
+      if (entity && entity.bapiDelete) {
+        // Documents are reversed or cancelled by their own BAPI
+        const parameters = await entity.builder.buildDeleteParameters(sapKey, this._buildContext(options))
+        const result = await this.executeBAPI(entity.bapiDelete, parameters, options)
+
+        return ProcessingResult.fromBAPIResult('', entityType, operation, result)
+      }
+
+      if (entity && typeof entity.builder.executeCheck === 'function') {
+        throw new Error(`Deletion not supported for entity type ${entityType}: it is maintained in SAP customizing`)
+      }
+
       // Most SAP entities use flagging for deletion rather than physical deletion
       const flagForDeletion = options.flagForDeletion !== false
 
@@ -369,7 +440,7 @@ class SAPRFCService extends ISAPService {
       }
 
     } catch (error) {
-      return ProcessingResult.failure('', entityType, operation, error)
+      return this._failureResult(entityType, operation, error)
     }
   }
 
@@ -382,44 +453,32 @@ class SAPRFCService extends ISAPService {
    */
   async readRecord(entityType, sapKey, options = {}) {
     const operation = SAPOperation.READ
-    let bapiFunction = null
-    let parameters = {}
+    let result
 
     try {
-      // Determine appropriate BAPI based on entity type
-      switch (entityType.toUpperCase()) {
-        case 'MATERIAL':
-          bapiFunction = 'BAPI_MATERIAL_GET_DETAIL'
-          parameters = { MATERIAL: sapKey }
-          break
+      const entity = this._getEntity(entityType, 'bapiRead', 'read', 'executeRead')
 
-        case 'CUSTOMER':
-          bapiFunction = 'BAPI_CUSTOMER_GETDETAIL2'
-          parameters = { CUSTOMERNO: sapKey }
-          break
-
-        case 'VENDOR':
-          bapiFunction = 'BAPI_VENDOR_GETDETAIL'
-          parameters = { VENDORNO: sapKey }
-          break
+      // Builders that combine several calls read the record themselves
+      if (typeof entity.builder.executeRead === 'function') {
+        result = ProcessingResult.fromBAPIResult('', entityType, operation, await entity.builder.executeRead(sapKey, this._buildContext(options)))
+      } else {
+        const parameters = await entity.builder.buildReadParameters(sapKey, this._buildContext(options))
 
-        case 'SALES_ORDER':
-          bapiFunction = 'BAPI_SALESORDER_GETDETAIL'
-          parameters = { SALESDOCUMENT: sapKey }
-          break
+        // Execute BAPI
+        const bapiResult = await this.executeBAPI(entity.bapiRead, parameters, { ...options, commitWork: false })
 
-        default:
-          throw new Error(`Unsupported entity type for read: ${entityType}`)
+        result = ProcessingResult.fromBAPIResult('', entityType, operation, await this._convertResult(entity.bapiRead, bapiResult, options))
       }
 
-      // Execute BAPI
-      const result = await this.executeBAPI(bapiFunction, parameters, { commitWork: false })
-
-      return ProcessingResult.fromBAPIResult('', entityType, operation, result)
-
     } catch (error) {
-      return ProcessingResult.failure('', entityType, operation, error)
+      result = this._failureResult(entityType, operation, error)
     }
+
+    if (!result.success && result.errorType === ProcessingErrorType.ERROR) {
+      return await this._checkRecordMissing(entityType, sapKey, result, options)
+    }
+
+    return result
   }
 
   /**
@@ -431,44 +490,103 @@ class SAPRFCService extends ISAPService {
    */
   async searchRecords(entityType, criteria, options = {}) {
     const operation = SAPOperation.READ
-    let bapiFunction = null
-    let parameters = {}
 
     try {
-      // Determine appropriate BAPI based on entity type
-      switch (entityType.toUpperCase()) {
-        case 'MATERIAL':
-          bapiFunction = 'BAPI_MATERIAL_GETLIST'
-          parameters = this._buildMaterialSearchParameters(criteria, options)
-          break
+      const entity = this.entityRegistry.get(entityType)
 
-        case 'CUSTOMER':
-          bapiFunction = 'BAPI_CUSTOMER_GETLIST'
-          parameters = this._buildCustomerSearchParameters(criteria, options)
-          break
-
-        case 'VENDOR':
-          bapiFunction = 'BAPI_VENDOR_GETLIST'
-          parameters = this._buildVendorSearchParameters(criteria, options)
-          break
+      if (entity && typeof entity.builder.executeSearch === 'function') {
+        return await entity.builder.executeSearch(criteria, this._buildContext(options))
+      }
 
-        default:
-          // Use generic table read for other entity types
-          return await this._searchUsingRFC(entityType, criteria, options)
+      if (!entity || !entity.bapiSearch) {
+        // Use generic table read for entity types without a search BAPI
+        return await this._searchUsingRFC(entityType, criteria, options)
       }
 
+      const parameters = await entity.builder.buildSearchParameters(criteria, this._buildContext(options))
+
       // Execute BAPI
-      const result = await this.executeBAPI(bapiFunction, parameters, { commitWork: false })
+      const result = await this.executeBAPI(entity.bapiSearch, parameters, { ...options, commitWork: false })
 
       if (result.SUCCESS) {
-        return result
+        return await this._convertResult(entity.bapiSearch, result, options)
       } else {
         return ProcessingResult.failure('', entityType, operation, 'Search failed')
       }
 
     } catch (error) {
-      return ProcessingResult.failure('', entityType, operation, error)
+      return this._failureResult(entityType, operation, error)
+    }
+  }
+
+  /**
+   * Simulate a sales order with BAPI_SALESORDER_SIMULATE; nothing is created or committed
+   * @param {Object} order - Sales order data (as for a SalesOrder create)
+   * @param {Object} options - Simulation options
+   * @returns {Promise<Object>} Result with the raw BAPI tables and SIMULATION (prices, conditions, taxes, confirmed schedule lines)
+   */
+  async simulateSalesOrder(order, options = {}) {
+    const operation = SAPOperation.SIMULATE
+    const entityType = 'SALES_ORDER'
+
+    try {
+      const entity = this._getEntity(entityType, 'bapiSimulate', 'simulation')
+      const parameters = await entity.builder.buildSimulateParameters(order, this._buildContext(options))
+
+      const result = await this.executeBAPI(entity.bapiSimulate, parameters, { ...options, commitWork: false })
+      const converted = await this._convertResult(entity.bapiSimulate, result, options)
+
+      return ProcessingResult.fromBAPIResult('', entityType, operation, entity.builder.completeSimulation(converted))
+
+    } catch (error) {
+      return this._failureResult(entityType, operation, error)
+    }
+  }
+
+  /**
+   * Read table rows with RFC_READ_TABLE
+   * @param {RFCTableQuery} query - Table query
+   * @param {Object} options - Execution options
+   * @returns {Promise<Array<Object>>} Rows parsed by the returned field offsets
+   */
+  async readTable(query, options = {}) {
+    const result = await this.executeRFC('RFC_READ_TABLE', query.toParameters(), options)
+    return RFCTableQuery.parseResult(result)
+  }
+
+  /**
+   * Stream all rows of a large table in key order, paging RFC_READ_TABLE by key range.
+   * Fields wider than one RFC_READ_TABLE row are read in column sets joined on the key fields.
+   * @param {string} tableName - Table or view to read
+   * @param {Object} query - criteria, fields, keyFields, pageSize, checkpoint, onCheckpoint
+   * @returns {RFCTableStream} Async iterable of parsed rows; its checkpoint resumes the read
+   */
+  streamTable(tableName, query = {}) {
+    return new RFCTableStream(this, tableName, query)
+  }
+
+  /**
+   * Describe the DDIC fields of a table or structure (cached)
+   * @param {string} tableName - Table, view or structure name
+   * @returns {Promise<Array<Object>>} Field descriptions
+   */
+  async describeTable(tableName) {
+    if (!this.isConnected()) {
+      throw new Error('Not connected to SAP system')
     }
+
+    return await this._executeLimited('DDIF_FIELDINFO_GET', {}, client =>
+      this.functionMetadata.describeTable(tableName, (functionName, parameters) =>
+        this._invokeFunction(client, functionName, parameters, { validateParameters: false, convertFields: false }, true)))
+  }
+
+  /**
+   * Register or replace an SAP entity definition at runtime
+   * @param {string} sapEntityType - SAP entity type
+   * @param {Object} definition - Entity definition (BAPIs, table, keyField, fieldMappings, builder)
+   */
+  registerEntity(sapEntityType, definition) {
+    this.entityRegistry.register(sapEntityType, definition)
   }
 
   /**
@@ -497,7 +615,50 @@ class SAPRFCService extends ISAPService {
    * @returns {boolean} Connection status
    */
   isConnected() {
-    return this.isConnectedFlag && this.client !== null
+    return this.isConnectedFlag && (this.client !== null || this.pool !== null)
+  }
+
+  /**
+   * Get connection state
+   * @returns {string} connected, reconnecting or disconnected
+   */
+  getConnectionState() {
+    if (this.isConnected()) {
+      return 'connected'
+    }
+
+    return this.isReconnecting ? 'reconnecting' : 'disconnected'
+  }
+
+  /**
+   * Register connection event handler
+   * @param {string} eventName - connected, disconnected, reconnecting or reconnect-failed
+   * @param {Function} handler - Event handler function
+   */
+  on(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Set())
+    }
+    this.eventHandlers.get(eventName).add(handler)
+  }
+
+  /**
+   * Unregister connection event handler
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Event handler function
+   */
+  off(eventName, handler) {
+    if (this.eventHandlers.has(eventName)) {
+      this.eventHandlers.get(eventName).delete(handler)
+    }
+  }
+
+  /**
+   * Get circuit breaker state
+   * @returns {Object} Circuit state (CLOSED, OPEN or HALF_OPEN), failure rate and statistics
+   */
+  getCircuitBreakerState() {
+    return this.circuitBreaker.getState()
   }
 
   /**
@@ -515,7 +676,14 @@ class SAPRFCService extends ISAPService {
   getConnectionStats() {
     return {
       ...this.connectionStats,
+      backend: this.backend,
       isConnected: this.isConnected(),
+      connectionState: this.getConnectionState(),
+      reconnectAttempt: this.reconnectAttempt,
+      pooled: this.pool !== null,
+      pool: this.pool ? this.pool.getStats() : null,
+      circuitBreaker: this.circuitBreaker.getState(),
+      limiter: this.callLimiter.getStats(),
       config: this.connectionConfig
     }
   }
@@ -537,126 +705,912 @@ class SAPRFCService extends ISAPService {
   }
 
   /**
-   * Update connection statistics
-   * @param {number} responseTime - Response time in milliseconds
+   * Open the pool or single client for the given configuration
+   * @param {Object} config - SAP connection configuration
+   * @returns {Promise<void>}
    * @private
    */
-  _updateConnectionStats(responseTime) {
+  async _openConnection(config) {
+    const connectionParameters = this._buildConnectionParameters(config)
+
+    // Pooled mode leases one connection per call, single mode shares one client
+    if (config.poolSize > 1) {
+      const poolConfig = config.pool || {}
+      const pool = new RFCConnectionPool(connectionParameters, {
+        min: poolConfig.min,
+        max: config.poolSize,
+        acquireTimeout: poolConfig.acquireTimeout,
+        idleTimeout: poolConfig.idleTimeout,
+        healthCheckInterval: poolConfig.healthCheckInterval
+      }, this.logger)
+
+      await pool.open()
+      this.pool = pool
+    } else {
+      const client = new rfcClient.Client(connectionParameters)
+      await client.connect()
+      this.client = client
+    }
+
+    this.isConnectedFlag = true
+    this.connectionStats.connectTime = new Date()
     this.connectionStats.lastActivity = new Date()
-    this.connectionStats.callsExecuted++
-    this.connectionStats.totalResponseTime += responseTime
-    this.connectionStats.averageResponseTime = 
-      this.connectionStats.totalResponseTime / this.connectionStats.callsExecuted
+    this.lastError = null
   }
 
   /**
-   * Sanitize parameters for logging (remove sensitive data)
-   * @param {Object} parameters - Parameters to sanitize
-   * @returns {Object} Sanitized parameters
+   * Close the pool or single client, ignoring errors from dead connections
+   * @returns {Promise<void>}
    * @private
    */
-  _sanitizeParameters(parameters) {
-    const sensitiveFields = ['passwd', 'password', 'pwd', 'secret', 'token']
-    const sanitized = { ...parameters }
+  async _closeConnection() {
+    const pool = this.pool
+    const client = this.client
 
-    Object.keys(sanitized).forEach(key => {
-      if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
-        sanitized[key] = '***'
-      }
-    })
+    this.pool = null
+    this.client = null
+    this.isConnectedFlag = false
 
-    return sanitized
+    try {
+      if (pool) {
+        await pool.close()
+      } else if (client && client.alive !== false) {
+        await client.close()
+      }
+    } catch (error) {
+      this.logger.debug('Error closing SAP connection', {
+        error: error.message
+      })
+    }
   }
 
   /**
-   * Check if BAPI result contains errors
-   * @param {Array|Object} returnMessages - BAPI return messages
-   * @returns {boolean} Has errors
+   * Classify a failed call and handle the loss of its session
+   * @param {Error} error - Error thrown by node-rfc
+   * @param {Object} client - node-rfc client the call ran on
+   * @returns {string} RFC error type
    * @private
    */
-  _hasBAPIErrors(returnMessages) {
-    const messages = Array.isArray(returnMessages) ? returnMessages : [returnMessages]
-    return messages.some(msg => msg.TYPE === 'E' || msg.TYPE === 'A')
+  _handleCallError(error, client = null) {
+    const errorType = classifyRFCError(error)
+    error.rfcErrorType = errorType
+
+    if (RFCErrorType.isConnectionError(errorType)) {
+      this._handleConnectionLoss(error, errorType, client).catch(lossError => {
+        this.logger.error('Error handling SAP connection loss', {
+          error: lossError.message
+        })
+      })
+    }
+
+    return errorType
   }
 
-  // Entity-specific parameter builders (simplified versions)
+  /**
+   * Handle a lost session: a pooled connection is only discarded when released,
+   * the single connection is closed and reopened in the background
+   * @param {Error} error - Error that revealed the connection loss
+   * @param {string} errorType - RFC error type
+   * @param {Object} client - node-rfc client that lost its session
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleConnectionLoss(error, errorType, client = null) {
+    if (!this.isConnectedFlag) {
+      return
+    }
+
+    if (this.pool && client) {
+      this.brokenClients.add(client)
+      this.connectionStats.discardedConnections++
 
-  _buildMaterialCreateParameters(data) {
-    return {
-      HEADDATA: {
-        MATERIAL: data.MATERIAL || '',
-        IND_SECTOR: data.INDUSTRY_SECTOR || 'M',
-        MATL_TYPE: data.MATERIAL_TYPE || 'FERT',
-        BASIC_VIEW: 'X'
-      },
-      CLIENTDATA: {
-        BASE_UOM: data.BASE_UNIT || 'EA'
-      },
-      CLIENTDATAX: {
-        BASE_UOM: 'X'
-      }
+      this.logger.warn('SAP pool connection lost, discarding it', {
+        errorType,
+        error: error.message
+      })
+      return
     }
+
+    this.connectionStats.disconnections++
+    this.connectionStats.lastDisconnect = new Date()
+    this.connectionStats.lastDisconnectReason = errorType
+
+    this.logger.warn('SAP connection lost', {
+      errorType,
+      error: error.message
+    })
+
+    await this._closeConnection()
+    this._emit('disconnected', { reason: errorType, error: error.message })
+    this._scheduleReconnect()
   }
 
-  _buildMaterialUpdateParameters(sapKey, data) {
-    return {
-      HEADDATA: {
-        MATERIAL: sapKey
-      },
-      CLIENTDATA: data,
-      CLIENTDATAX: this._buildUpdateFlags(data)
+  /**
+   * Schedule the next reconnection attempt with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    const reconnectConfig = this.storedConfig?.reconnect || {}
+
+    if (!this.storedConfig || reconnectConfig.enabled === false || this.reconnectTimer) {
+      return
     }
-  }
 
-  _buildCustomerCreateParameters(data) {
-    return {
-      PI_CUSTOMER: data.CUSTOMER || '',
-      PI_PERSONALDATA: {
-        FIRSTNAME: data.NAME1 || '',
-        LASTNAME: data.NAME2 || '',
-        COUNTRY: data.COUNTRY || 'US'
-      }
+    const maxAttempts = reconnectConfig.maxAttempts || 0
+    if (maxAttempts > 0 && this.reconnectAttempt >= maxAttempts) {
+      this.isReconnecting = false
+      this.logger.error('Giving up SAP reconnection', { attempts: this.reconnectAttempt })
+      this._emit('reconnect-failed', { attempts: this.reconnectAttempt })
+      return
     }
-  }
 
-  _buildUpdateFlags(data) {
-    const flags = {}
-    Object.keys(data).forEach(key => {
-      flags[key] = 'X'
+    const initialDelay = reconnectConfig.initialDelay || 1000
+    const maxDelay = reconnectConfig.maxDelay || 60000
+    const multiplier = reconnectConfig.multiplier || 2
+    const delay = Math.min(initialDelay * Math.pow(multiplier, this.reconnectAttempt), maxDelay)
+
+    this.reconnectAttempt++
+    this.isReconnecting = true
+
+    this.logger.info('Scheduling SAP reconnection', {
+      attempt: this.reconnectAttempt,
+      delay
     })
-    return flags
+    this._emit('reconnecting', { attempt: this.reconnectAttempt, delay })
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this._reconnect()
+    }, delay)
   }
 
-  async _searchUsingRFC(entityType, criteria, options) {
-    // Generic search using RFC_READ_TABLE
-    const tableName = this._getTableNameForEntity(entityType)
-    const parameters = {
-      QUERY_TABLE: tableName,
-      DELIMITER: '|',
-      ROWCOUNT: options.limit || 100,
-      ROWSKIPS: options.offset || 0
+  /**
+   * Attempt one reconnection using the stored configuration
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reconnect() {
+    if (!this.storedConfig) {
+      return
     }
 
-    // Build WHERE conditions
-    if (criteria && Object.keys(criteria).length > 0) {
-      parameters.OPTIONS = Object.entries(criteria).map(([field, value]) => ({
-        TEXT: `${field} EQ '${value}'`
-      }))
+    try {
+      await this._openConnection(this.storedConfig)
+
+      const attempts = this.reconnectAttempt
+      this.reconnectAttempt = 0
+      this.isReconnecting = false
+      this.connectionStats.reconnections++
+
+      this.logger.info('Reconnected to SAP system', { attempts })
+      this._emit('connected', { reconnected: true, attempts })
+
+      // Let traffic through as soon as SAP answers again instead of waiting for the cool-down
+      await this.circuitBreaker.probeNow()
+
+    } catch (error) {
+      this.lastError = error
+      this.isConnectedFlag = false
+
+      this.logger.warn('SAP reconnection attempt failed', {
+        attempt: this.reconnectAttempt,
+        error: error.message
+      })
+
+      this._scheduleReconnect()
     }
+  }
 
-    const result = await this.executeRFC('RFC_READ_TABLE', parameters)
-    return result
+  /**
+   * Stop any pending reconnection
+   * @private
+   */
+  _cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    this.reconnectAttempt = 0
+    this.isReconnecting = false
   }
 
-  _getTableNameForEntity(entityType) {
-    const tableNames = {
-      'MATERIAL': 'MARA',
-      'CUSTOMER': 'KNA1',
-      'VENDOR': 'LFA1',
-      'SALES_ORDER': 'VBAK',
-      'PURCHASE_ORDER': 'EKKO'
+  /**
+   * Notify registered connection event handlers
+   * @param {string} eventName - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  _emit(eventName, data) {
+    const handlers = this.eventHandlers.get(eventName)
+    if (!handlers) {
+      return
+    }
+
+    handlers.forEach(handler => {
+      try {
+        handler({ ...data, timestamp: new Date().toISOString() })
+      } catch (error) {
+        this.logger.error('Error in SAP connection event handler', {
+          eventName,
+          error: error.message
+        })
+      }
+    })
+  }
+
+  /**
+   * Roll back a failed transaction unless the session is already gone
+   * @param {RFCTransaction} tx - Transaction to roll back
+   * @param {Error} error - Error that aborted the transaction
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rollbackTransaction(tx, error) {
+    this.connectionStats.transactionsRolledBack++
+
+    // A dead or cancelled session discards its open LUW on the SAP side
+    if (tx.status !== 'open' || RFCErrorType.isConnectionError(error.rfcErrorType) ||
+        error instanceof RFCCancelledError) {
+      return
+    }
+
+    try {
+      await tx.rollback()
+      this.logger.warn('SAP transaction rolled back', {
+        error: error.message
+      })
+    } catch (rollbackError) {
+      this.logger.error('Failed to roll back SAP transaction', {
+        error: error.message,
+        rollbackError: rollbackError.message
+      })
+    }
+  }
+
+  /**
+   * Resolve a registered entity that supports the requested BAPI
+   * @param {string} entityType - SAP entity type
+   * @param {string} bapiKey - Definition key (bapiCreate, bapiUpdate, bapiRead)
+   * @param {string} action - Action name for the error message
+   * @param {...string} hooks - Builder methods that can stand in for the BAPI
+   * @returns {Object} Entity definition
+   * @private
+   */
+  _getEntity(entityType, bapiKey, action, ...hooks) {
+    const entity = this.entityRegistry.get(entityType)
+
+    if (!entity || (!entity[bapiKey] && !hooks.some(hook => typeof entity.builder[hook] === 'function'))) {
+      throw new Error(`Unsupported entity type for ${action}: ${entityType}`)
+    }
+
+    return entity
+  }
+
+  /**
+   * Run a builder's BAPI sequence as one transaction
+   * @param {Function} work - async (tx) => BAPI-style result
+   * @param {string} functionName - Main BAPI of the entity, whose limits apply to the transaction
+   * @param {Object} options - Operation options (signal)
+   * @returns {Promise<Object>} Result, or the failing BAPI's result when it reported errors
+   * @private
+   */
+  async _executeBuilderTransaction(work, functionName, options = {}) {
+    try {
+      return await this.transaction(work, { functionName, signal: options.signal })
+    } catch (error) {
+      // BAPI-level failures are reported through the RETURN messages, not thrown
+      if (error instanceof BAPIError) {
+        return error.result
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Build the context handed to parameter builders
+   * @param {Object} options - Operation options
+   * @returns {Object} Builder context
+   * @private
+   */
+  _buildContext(options = {}) {
+    return {
+      sapRecord: options.sapRecord || null,
+      integrationEvent: options.integrationEvent || null,
+      sapService: this,
+      options
+    }
+  }
+
+  /**
+   * Map adapter configuration onto node-rfc connection parameters
+   * @param {Object} config - SAP configuration
+   * @returns {Object} node-rfc connection parameters
+   * @private
+   */
+  _buildConnectionParameters(config) {
+    const parameters = {
+      ashost: config.host,
+      sysnr: config.systemNumber,
+      client: config.client,
+      user: config.user,
+      passwd: config.passwd,
+      lang: config.language || 'EN'
+    }
+
+    if (config.saprouter) {
+      parameters.saprouter = config.saprouter
+    }
+
+    // Extra node-rfc parameters (SNC, trace, ...) can be passed through as is
+    return {
+      ...parameters,
+      ...(config.connectionParameters || {})
+    }
+  }
+
+  /**
+   * Acquire a client for a single call or a whole transaction.
+   * Without a pool every caller shares one connection, so callers take turns on it:
+   * a transaction keeps the connection until it commits or rolls back, and no other
+   * call can run inside its LUW.
+   * @returns {Promise<Object>} node-rfc client
+   * @private
+   */
+  async _acquireClient() {
+    if (this.pool) {
+      return await this.pool.acquire()
+    }
+
+    const previousLease = this.clientLease
+    let releaseLease
+    this.clientLease = new Promise(resolve => { releaseLease = resolve })
+    await previousLease
+
+    if (!this.client) {
+      releaseLease()
+      throw new Error('Not connected to SAP system')
+    }
+
+    this.releaseClientLease = releaseLease
+    return this.client
+  }
+
+  /**
+   * Release a client acquired with _acquireClient
+   * @param {Object} client - node-rfc client
+   * @private
+   */
+  _releaseClient(client) {
+    if (this.pool) {
+      this.pool.release(client, this.brokenClients.has(client))
+      return
+    }
+
+    const releaseLease = this.releaseClientLease
+    this.releaseClientLease = null
+
+    if (releaseLease) {
+      releaseLease()
+    }
+  }
+
+  /**
+   * Take a call slot from the limiter, then lease a client for the work,
+   * so calls queued behind the limits do not hold pool connections
+   * @param {string} functionName - Function the slot is taken for
+   * @param {Object} options - Execution options (signal)
+   * @param {Function} work - async (client) => result
+   * @returns {Promise<*>} Result of the work
+   * @private
+   */
+  async _executeLimited(functionName, options, work) {
+    const releaseSlot = await this._acquireCallSlot(functionName, options)
+
+    try {
+      const client = await this._acquireClient()
+
+      try {
+        return await work(client)
+      } finally {
+        this._releaseClient(client)
+      }
+
+    } finally {
+      releaseSlot()
+    }
+  }
+
+  /**
+   * Wait for a call slot within the configured limits
+   * @param {string} functionName - RFC function name
+   * @param {Object} options - Execution options (signal)
+   * @returns {Promise<Function>} Releases the slot
+   * @private
+   */
+  async _acquireCallSlot(functionName, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      this.connectionStats.cancellations++
+      throw this._cancellationError(functionName, options.signal)
+    }
+
+    try {
+      return await this.callLimiter.acquire(functionName, {
+        signal: options.signal,
+        onAbort: signal => this._cancellationError(functionName, signal)
+      })
+    } catch (error) {
+      // Cancelled while queued behind the call limits
+      if (error instanceof RFCCancelledError) {
+        this.connectionStats[error.reason === 'timeout' ? 'timeouts' : 'cancellations']++
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Call a function module on the given client and track statistics
+   * @param {Object} client - node-rfc client
+   * @param {string} functionName - RFC function name
+   * @param {Object} parameters - Function parameters
+   * @param {Object} options - Execution options
+   * @param {boolean} hasCallSlot - The caller already holds a call slot; metadata lookups run within it
+   * @returns {Promise<Object>} RFC result
+   * @private
+   */
+  async _invokeFunction(client, functionName, parameters = {}, options = {}, hasCallSlot = false) {
+    if (options.signal && options.signal.aborted) {
+      this.connectionStats.cancellations++
+      throw this._cancellationError(functionName, options.signal)
+    }
+
+    if (options.convertFields ?? this.fieldConverter.enabled) {
+      parameters = this.fieldConverter.toInternal(await this._describeForConversion(functionName, client, hasCallSlot), parameters)
+    }
+
+    const validationMode = options.validateParameters ?? this.storedConfig?.validateParameters ?? false
+    if (validationMode) {
+      await this._validateCallParameters(client, functionName, parameters, validationMode, hasCallSlot)
+    }
+
+    // Calls of a transaction run within the slot the transaction took before leasing its connection
+    const release = hasCallSlot ? () => {} : await this._acquireCallSlot(functionName, options)
+
+    const startTime = Date.now()
+
+    try {
+      this.logger.debug('Executing RFC function', {
+        function: functionName,
+        parameters: this._sanitizeParameters(parameters)
+      })
+
+      const result = await this._callWithCancellation(client, functionName, parameters, options)
+      
+      const responseTime = Date.now() - startTime
+      this._updateConnectionStats(responseTime)
+      this.circuitBreaker.recordSuccess()
+
+      this.logger.debug('RFC function executed successfully', {
+        function: functionName,
+        responseTime
+      })
+
+      return {
+        ...result,
+        FUNCTION_NAME: functionName,
+        EXECUTION_TIME: responseTime,
+        // Keep the SUCCESS table of BAPIs that return one (e.g. BAPI_BILLINGDOC_CREATEMULTIPLE)
+        SUCCESS: result.SUCCESS !== undefined ? result.SUCCESS : true
+      }
+
+    } catch (error) {
+      const responseTime = Date.now() - startTime
+      this.lastError = error
+      this.connectionStats.errorsCount++
+      this._updateConnectionStats(responseTime)
+
+      const errorType = this._handleCallError(error, client)
+
+      if (RFCErrorType.isAvailabilityError(errorType)) {
+        this.circuitBreaker.recordFailure(error)
+      } else if (errorType !== RFCErrorType.CANCELLED) {
+        // SAP answered, so the system itself is available
+        this.circuitBreaker.recordSuccess()
+      }
+
+      if (error instanceof RFCCancelledError) {
+        this.connectionStats[error.reason === 'timeout' ? 'timeouts' : 'cancellations']++
+        await this._recoverCancelledClient(client)
+      }
+
+      this.logger.error('RFC function execution failed', {
+        function: functionName,
+        error: error.message,
+        errorType,
+        responseTime
+      })
+
+      throw error
+
+    } finally {
+      release()
+    }
+  }
+
+  /**
+   * Call a function module, cancelling it through node-rfc when the timeout
+   * (options.timeout, falling back to sap.timeout) expires or options.signal aborts
+   * @param {Object} client - node-rfc client
+   * @param {string} functionName - RFC function name
+   * @param {Object} parameters - Function parameters
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Raw RFC result
+   * @private
+   */
+  async _callWithCancellation(client, functionName, parameters, options) {
+    const timeout = options.timeout ?? this.storedConfig?.timeout ?? 0
+    const signal = options.signal
+
+    if (!timeout && !signal) {
+      return await client.call(functionName, parameters)
+    }
+
+    let timer = null
+    let onAbort = null
+
+    const cancelled = new Promise((resolve, reject) => {
+      let isCancelled = false
+
+      const cancel = error => {
+        if (isCancelled) {
+          return
+        }
+        isCancelled = true
+
+        this.logger.warn('Cancelling RFC call', {
+          function: functionName,
+          reason: error.reason
+        })
+
+        Promise.resolve()
+          .then(() => client.cancel())
+          .catch(cancelError => {
+            this.logger.warn('RFC cancel failed', {
+              function: functionName,
+              error: cancelError.message
+            })
+          })
+
+        reject(error)
+      }
+
+      if (timeout) {
+        timer = setTimeout(() => cancel(new RFCCancelledError(functionName, 'timeout', timeout)), timeout)
+      }
+
+      if (signal) {
+        onAbort = () => cancel(this._cancellationError(functionName, signal))
+        signal.addEventListener('abort', onAbort, { once: true })
+      }
+    })
+
+    const call = client.call(functionName, parameters)
+    // The call rejects with RFC_CANCELED once cancelled; that rejection is already reported
+    call.catch(() => {})
+
+    try {
+      return await Promise.race([call, cancelled])
+    } finally {
+      clearTimeout(timer)
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+  }
+
+  /**
+   * Build the error for an aborted signal; AbortSignal.timeout() counts as a timeout
+   * @param {string} functionName - RFC function name
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {RFCCancelledError}
+   * @private
+   */
+  _cancellationError(functionName, signal) {
+    if (signal.reason && signal.reason.name === 'TimeoutError') {
+      return new RFCCancelledError(functionName, 'timeout')
+    }
+
+    return new RFCCancelledError(functionName, 'aborted')
+  }
+
+  /**
+   * Replace the connection of a cancelled call, which node-rfc closes on cancel
+   * @param {Object} client - node-rfc client
+   * @private
+   */
+  async _recoverCancelledClient(client) {
+    try {
+      await client.close()
+    } catch (error) {
+      // Already closed by the cancel
+    }
+
+    if (this.pool || client !== this.client) {
+      // The pool destroys closed clients when they are released
+      return
+    }
+
+    try {
+      await client.open()
+    } catch (error) {
+      await this._handleConnectionLoss(error, classifyRFCError(error), client)
+    }
+  }
+
+  /**
+   * Circuit breaker probe: RFC_SYSTEM_INFO must succeed before calls are let through again
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _probeSAP() {
+    if (!this.isConnected()) {
+      throw new Error('Not connected to SAP system')
+    }
+
+    await this._executeLimited('RFC_SYSTEM_INFO', {}, client =>
+      this._invokeFunction(client, 'RFC_SYSTEM_INFO', {}, { validateParameters: false, convertFields: false }, true))
+  }
+
+  /**
+   * Describe a function module using the given client
+   * @param {Object} client - node-rfc client
+   * @param {string} functionName - RFC function name
+   * @param {boolean} hasCallSlot - Look up within the caller's call slot
+   * @returns {Promise<Object>} Function description
+   * @private
+   */
+  async _describeFunction(client, functionName, hasCallSlot = false) {
+    return await this.functionMetadata.describeFunction(functionName, (metadataFunction, parameters) =>
+      this._invokeFunction(client, metadataFunction, parameters, { validateParameters: false, convertFields: false }, hasCallSlot))
+  }
+
+  /**
+   * Check call parameters against the function interface before calling SAP
+   * @param {Object} client - node-rfc client
+   * @param {string} functionName - RFC function name
+   * @param {Object} parameters - Function parameters
+   * @param {boolean|string} mode - true to reject invalid calls, 'warn' to only log them
+   * @param {boolean} hasCallSlot - Look up within the caller's call slot
+   * @private
+   */
+  async _validateCallParameters(client, functionName, parameters, mode, hasCallSlot = false) {
+    const description = await this._describeFunction(client, functionName, hasCallSlot)
+    const issues = this.functionMetadata.validateParameters(description, parameters)
+
+    if (issues.length === 0) {
+      return
+    }
+
+    if (mode === 'warn') {
+      this.logger.warn('RFC parameters do not match function interface', {
+        function: functionName,
+        issues
+      })
+      return
+    }
+
+    throw new ParameterValidationError(functionName, issues)
+  }
+
+  /**
+   * Build a failed ProcessingResult for a CRUD operation
+   * @param {string} entityType - SAP entity type
+   * @param {string} operation - SAP operation
+   * @param {Error} error - Error raised by the operation
+   * @returns {ProcessingResult}
+   * @private
+   */
+  _failureResult(entityType, operation, error) {
+    if (error instanceof ParameterValidationError) {
+      // The same parameters would fail again, so do not retry
+      return ProcessingResult.failure('', entityType, operation, error, false, {
+        validationIssues: error.issues
+      }, ProcessingErrorType.VALIDATION)
+    }
+
+    if (error instanceof CircuitOpenError) {
+      // Fail fast; the event can be retried once SAP is back
+      return ProcessingResult.failure('', entityType, operation, error, true, {
+        circuitState: error.circuitState,
+        retryAt: error.retryAt
+      }, ProcessingErrorType.CIRCUIT_OPEN)
+    }
+
+    if (error instanceof RFCCancelledError) {
+      return ProcessingResult.cancelled('', entityType, operation, error, error.reason === 'timeout', {
+        rfcFunction: error.functionName,
+        timeout: error.timeout
+      })
+    }
+
+    return ProcessingResult.failure('', entityType, operation, error)
+  }
+
+  /**
+   * Update connection statistics
+   * @param {number} responseTime - Response time in milliseconds
+   * @private
+   */
+  _updateConnectionStats(responseTime) {
+    this.connectionStats.lastActivity = new Date()
+    this.connectionStats.callsExecuted++
+    this.connectionStats.totalResponseTime += responseTime
+    this.connectionStats.averageResponseTime = 
+      this.connectionStats.totalResponseTime / this.connectionStats.callsExecuted
+  }
+
+  /**
+   * Sanitize parameters for logging (remove sensitive data)
+   * @param {Object} parameters - Parameters to sanitize
+   * @returns {Object} Sanitized parameters
+   * @private
+   */
+  _sanitizeParameters(parameters) {
+    const sensitiveFields = ['passwd', 'password', 'pwd', 'secret', 'token']
+    const sanitized = { ...parameters }
+
+    Object.keys(sanitized).forEach(key => {
+      if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
+        sanitized[key] = '***'
+      }
+    })
+
+    return sanitized
+  }
+
+  /**
+   * Check if BAPI result contains errors
+   * @param {Array|Object} returnMessages - BAPI return messages
+   * @returns {boolean} Has errors
+   * @private
+   */
+  _hasBAPIErrors(returnMessages) {
+    const messages = Array.isArray(returnMessages) ? returnMessages : [returnMessages]
+    return messages.some(msg => msg.TYPE === 'E' || msg.TYPE === 'A')
+  }
+
+  /**
+   * Search an entity's table with RFC_READ_TABLE
+   * @param {string} entityType - SAP entity type
+   * @param {Object} criteria - Search criteria (see RFCConditionGroup.addCriteria)
+   * @param {Object} options - fields, limit, offset
+   * @returns {Promise<Array<Object>>} Parsed rows
+   * @private
+   */
+  async _searchUsingRFC(entityType, criteria, options) {
+    const entity = this.entityRegistry.get(entityType)
+    const tableName = entity?.table || entityType
+    const convertFields = options.convertFields ?? this.fieldConverter.enabled
+    const fields = convertFields ? await this._describeTableForConversion(tableName) : null
+
+    const query = RFCTableQuery.fromCriteria(tableName, convertFields ? this.fieldConverter.criteriaToInternal(fields, criteria) : criteria)
+      .limit(options.limit || 100)
+      .offset(options.offset || 0)
+
+    if (options.fields) {
+      query.select(options.fields)
+    }
+
+    const rows = await this.readTable(query, { convertFields: false })
+    return convertFields ? this.fieldConverter.rowsToExternal(fields, rows) : rows
+  }
+
+  /**
+   * Look the key up in the entity's table after a failed read. Only a key that is
+   * confirmed missing turns the failure into NOT_FOUND; anything else keeps the read error.
+   * @param {string} entityType - SAP entity type
+   * @param {string} sapKey - SAP record key
+   * @param {ProcessingResult} readResult - Failed read result
+   * @param {Object} options - Read options
+   * @returns {Promise<ProcessingResult>} NOT_FOUND result, or the read result
+   * @private
+   */
+  async _checkRecordMissing(entityType, sapKey, readResult, options) {
+    const entity = this.entityRegistry.get(entityType)
+
+    if (!sapKey || !entity || !entity.table || typeof entity.builder.buildExistsCriteria !== 'function') {
+      return readResult
+    }
+
+    try {
+      const criteria = await entity.builder.buildExistsCriteria(sapKey, this._buildContext(options))
+
+      if (!criteria) {
+        return readResult
+      }
+
+      const rows = await this._searchUsingRFC(entityType, criteria, { ...options, limit: 1, offset: 0, fields: Object.keys(criteria) })
+
+      if (rows.length > 0) {
+        return readResult
+      }
+
+      return ProcessingResult.failure('', entityType, SAPOperation.READ, `${entityType} ${sapKey} does not exist in SAP`, false, {
+        ...readResult.metadata,
+        readError: readResult.error
+      }, ProcessingErrorType.NOT_FOUND)
+
+    } catch (error) {
+      this.logger.debug('Could not check whether record exists', {
+        entityType,
+        sapKey,
+        error: error.message
+      })
+      return readResult
+    }
+  }
+
+  /**
+   * Convert a read result to the external format (conversion exits, dates, times, packed numbers)
+   * @param {string} functionName - RFC function name
+   * @param {Object} result - RFC result
+   * @param {Object} options - Operation options (convertFields)
+   * @returns {Promise<Object>} Converted result
+   * @private
+   */
+  async _convertResult(functionName, result, options = {}) {
+    if (!(options.convertFields ?? this.fieldConverter.enabled)) {
+      return result
+    }
+
+    return this.fieldConverter.toExternal(await this._describeForConversion(functionName), result)
+  }
+
+  /**
+   * Describe a function for field conversion; without metadata only configured fields are converted
+   * @param {string} functionName - RFC function name
+   * @param {Object} client - node-rfc client to use, or null to lease one
+   * @param {boolean} hasCallSlot - Look up within the caller's call slot
+   * @returns {Promise<Object|null>} Function description, null when it cannot be read
+   * @private
+   */
+  async _describeForConversion(functionName, client = null, hasCallSlot = false) {
+    if (this.undescribedFunctions.has(functionName)) {
+      return null
+    }
+
+    try {
+      return client ? await this._describeFunction(client, functionName, hasCallSlot) : await this.describeFunction(functionName)
+    } catch (error) {
+      if (RFCErrorType.isAvailabilityError(classifyRFCError(error))) {
+        throw error
+      }
+
+      // Not asked again, so a missing authorization does not cost a lookup per call
+      this.undescribedFunctions.add(functionName)
+      this.logger.warn('Function metadata unavailable, converting configured fields only', {
+        function: functionName,
+        error: error.message
+      })
+      return null
+    }
+  }
+
+  /**
+   * Describe table fields for field conversion
+   * @param {string} tableName - Table or view name
+   * @returns {Promise<Array<Object>|null>} Field descriptions, null when they cannot be read
+   * @private
+   */
+  async _describeTableForConversion(tableName) {
+    try {
+      return await this.describeTable(tableName)
+    } catch (error) {
+      this.logger.warn('Table metadata unavailable, converting configured fields only', {
+        table: tableName,
+        error: error.message
+      })
+      return null
     }
-    return tableNames[entityType.toUpperCase()] || entityType
   }
 }
 
@@ -0,0 +1,273 @@
+/**
+ * Accounting Document Parameter Builder
+ * Checks and posts journal entries with BAPI_ACC_DOCUMENT_CHECK / BAPI_ACC_DOCUMENT_POST
+ * and reverses them with BAPI_ACC_DOCUMENT_REV_POST
+ *
+ * Line items are typed gl, customer, vendor or tax. Amounts are signed in document currency
+ * (positive = debit, negative = credit) or given as debit / credit. Documents are keyed by
+ * their OBJ_KEY: document number, company code and fiscal year ("010000012310002026").
+ * Documents are entered by the RFC user of the connection; only the entity mapping can name
+ * another user (userName), events cannot.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// Business transaction for G/L postings (FB01)
+const DEFAULT_BUSINESS_ACTIVITY = 'RFBU'
+
+// Reference procedure of accounting documents posted through the BAPI
+const OBJECT_TYPE = 'BKPFF'
+
+// Currency type 00 = document currency
+const DOCUMENT_CURRENCY = '00'
+
+// Item type -> BAPI table
+const ITEM_TABLES = {
+  gl: 'ACCOUNTGL',
+  customer: 'ACCOUNTRECEIVABLE',
+  vendor: 'ACCOUNTPAYABLE',
+  tax: 'ACCOUNTTAX'
+}
+
+class AccountingDocumentParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const items = data.items || []
+
+    if (items.length < 2) {
+      throw new Error('Accounting document requires at least two line items')
+    }
+
+    const companyCode = data.companyCode || (context.sapRecord && context.sapRecord.companyCode)
+    const currency = data.currency
+
+    const parameters = {
+      DOCUMENTHEADER: this.compact({
+        BUS_ACT: data.businessActivity || this.definition.businessActivity || DEFAULT_BUSINESS_ACTIVITY,
+        USERNAME: this.definition.userName || this._getConnectionConfig(context).user,
+        COMP_CODE: companyCode,
+        DOC_DATE: this.formatDate(data.documentDate || data.postingDate || new Date()),
+        PSTNG_DATE: this.formatDate(data.postingDate || new Date()),
+        DOC_TYPE: data.documentType || this.definition.documentType,
+        REF_DOC_NO: data.reference,
+        HEADER_TXT: data.headerText || data.text
+      }),
+      CURRENCYAMOUNT: []
+    }
+
+    Object.values(ITEM_TABLES).forEach(table => {
+      parameters[table] = []
+    })
+
+    items.forEach((item, index) => {
+      const itemNumber = String(index + 1).padStart(10, '0')
+      const type = item.type || 'gl'
+      const table = ITEM_TABLES[type]
+
+      if (!table) {
+        throw new Error(`Unknown accounting line item type: ${type} (use gl, customer, vendor or tax)`)
+      }
+
+      parameters[table].push(this._buildItem(type, itemNumber, item, data))
+      parameters.CURRENCYAMOUNT.push(this._buildAmount(itemNumber, item, currency, type))
+    })
+
+    // Tables without items are not sent
+    Object.values(ITEM_TABLES).forEach(table => {
+      if (parameters[table].length === 0) {
+        delete parameters[table]
+      }
+    })
+
+    return parameters
+  }
+
+  /**
+   * Build the reversal of a posted document; the logical system is read from T000 when not configured
+   * @param {string} sapKey - OBJ_KEY of the document
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} BAPI_ACC_DOCUMENT_REV_POST parameters
+   */
+  async buildDeleteParameters(sapKey, context = {}) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+    const objectKey = this._getObjectKey(sapKey, data)
+
+    return {
+      REVERSAL: this.compact({
+        OBJ_TYPE: OBJECT_TYPE,
+        OBJ_SYS: data.objectSystem || this.definition.logicalSystem || await this._readLogicalSystem(context),
+        OBJ_KEY_R: objectKey,
+        COMP_CODE: objectKey.slice(10, 14),
+        PSTNG_DATE: this.formatDate(data.reversalDate),
+        REASON_REV: data.reversalReason || this.definition.reversalReason || '01'
+      }),
+      BUS_ACT: data.businessActivity || this.definition.businessActivity || DEFAULT_BUSINESS_ACTIVITY
+    }
+  }
+
+  /**
+   * Check the document and post it in the same LUW; a test run only checks it
+   * @param {RFCTransaction} tx - Transaction
+   * @param {Object} data - Journal entry data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} BAPI_ACC_DOCUMENT_POST result (OBJ_TYPE, OBJ_KEY, OBJ_SYS, RETURN)
+   */
+  async executeCreate(tx, data, context = {}) {
+    const options = context.options || {}
+    const parameters = this.buildCreateParameters(data, context)
+
+    // E/A messages from the check abort the transaction before anything is posted
+    const check = await tx.executeBAPI('BAPI_ACC_DOCUMENT_CHECK', parameters, options)
+
+    if (options.testRun) {
+      return check
+    }
+
+    return await tx.executeBAPI(this.definition.bapiCreate, parameters, options)
+  }
+
+  // Private helper methods
+
+  /**
+   * Build one line item for its BAPI table
+   * @param {string} type - gl, customer, vendor or tax
+   * @param {string} itemNumber - ITEMNO_ACC
+   * @param {Object} item - Bridge line item
+   * @param {Object} data - Document data (header defaults such as taxCode)
+   * @returns {Object} Line item
+   * @private
+   */
+  _buildItem(type, itemNumber, item, data) {
+    const common = {
+      ITEMNO_ACC: itemNumber,
+      ITEM_TEXT: item.text,
+      ALLOC_NMBR: item.assignment
+    }
+
+    if (type === 'tax') {
+      if (!item.taxCode && !data.taxCode) {
+        throw new Error(`Tax line item ${Number(itemNumber)} requires a tax code`)
+      }
+
+      return this.compact({
+        ITEMNO_ACC: itemNumber,
+        GL_ACCOUNT: item.account ? this.padNumber(item.account, 10) : undefined,
+        TAX_CODE: item.taxCode || data.taxCode,
+        ACCT_KEY: item.accountKey,
+        COND_KEY: item.conditionKey,
+        TAX_RATE: item.taxRate
+      })
+    }
+
+    if (!item.account) {
+      throw new Error(`Accounting line item ${Number(itemNumber)} requires an account`)
+    }
+
+    const account = this.padNumber(item.account, 10)
+
+    if (type === 'customer') {
+      return this.compact({ ...common, CUSTOMER: account, PMNTTRMS: item.paymentTerms, BLINE_DATE: this.formatDate(item.baselineDate), TAX_CODE: item.taxCode })
+    }
+
+    if (type === 'vendor') {
+      return this.compact({ ...common, VENDOR_NO: account, PMNTTRMS: item.paymentTerms, BLINE_DATE: this.formatDate(item.baselineDate), TAX_CODE: item.taxCode })
+    }
+
+    return this.compact({
+      ...common,
+      GL_ACCOUNT: account,
+      COSTCENTER: item.costCenter ? this.padNumber(item.costCenter, 10) : undefined,
+      PROFIT_CTR: item.profitCenter ? this.padNumber(item.profitCenter, 10) : undefined,
+      PLANT: item.plant,
+      TAX_CODE: item.taxCode,
+      VALUE_DATE: this.formatDate(item.valueDate)
+    })
+  }
+
+  /**
+   * Build the CURRENCYAMOUNT entry of a line item
+   * @param {string} itemNumber - ITEMNO_ACC
+   * @param {Object} item - Bridge line item (amount, or debit / credit; baseAmount for tax items)
+   * @param {string} currency - Document currency
+   * @param {string} type - Item type; tax items may carry zero tax
+   * @returns {Object} Currency amount
+   * @private
+   */
+  _buildAmount(itemNumber, item, currency, type) {
+    const amount = item.amount !== undefined ? Number(item.amount) : Number(item.debit || 0) - Number(item.credit || 0)
+
+    if (!Number.isFinite(amount) || (amount === 0 && type !== 'tax')) {
+      throw new Error(`Accounting line item ${Number(itemNumber)} requires a non-zero amount`)
+    }
+
+    if (!item.currency && !currency) {
+      throw new Error(`Accounting line item ${Number(itemNumber)} requires a currency`)
+    }
+
+    return {
+      AMT_DOCCUR: amount,
+      ...this.compact({
+        ITEMNO_ACC: itemNumber,
+        CURR_TYPE: DOCUMENT_CURRENCY,
+        CURRENCY: item.currency || currency,
+        AMT_BASE: item.baseAmount,
+        EXCH_RATE: item.exchangeRate
+      })
+    }
+  }
+
+  /**
+   * Get the OBJ_KEY from the key or from documentNumber, companyCode and fiscalYear in the event data
+   * @param {string} sapKey - OBJ_KEY
+   * @param {Object} data - Event data
+   * @returns {string} OBJ_KEY
+   * @private
+   */
+  _getObjectKey(sapKey, data) {
+    if (data.documentNumber && data.companyCode && data.fiscalYear) {
+      return `${this.padNumber(data.documentNumber, 10)}${data.companyCode}${data.fiscalYear}`
+    }
+
+    const objectKey = String(data.objectKey || sapKey || '')
+    if (objectKey.length !== 18) {
+      throw new Error(`Invalid accounting document key ${objectKey} (OBJ_KEY or documentNumber, companyCode and fiscalYear)`)
+    }
+
+    return objectKey
+  }
+
+  /**
+   * Get the connection configuration of the service (user, client)
+   * @param {Object} context - Builder context
+   * @returns {Object} Connection configuration, empty without a connected service
+   * @private
+   */
+  _getConnectionConfig(context) {
+    return (context.sapService && context.sapService.storedConfig) || {}
+  }
+
+  /**
+   * Read the logical system of the connected client (T000-LOGSYS)
+   * @param {Object} context - Builder context
+   * @returns {Promise<string>} Logical system
+   * @private
+   */
+  async _readLogicalSystem(context) {
+    const client = (context.sapRecord && context.sapRecord.sapClient) || this._getConnectionConfig(context).client
+
+    if (!client) {
+      throw new Error('Accounting document reversal requires objectSystem, the logicalSystem mapping or the SAP client')
+    }
+
+    const query = RFCTableQuery.fromCriteria('T000', { MANDT: client }).select(['MANDT', 'LOGSYS'])
+    const [row] = await context.sapService.readTable(query, { ...context.options, convertFields: false })
+
+    if (!row || !row.LOGSYS) {
+      throw new Error(`Client ${client} has no logical system in T000; set logicalSystem in the entity mapping or objectSystem in the event`)
+    }
+
+    return row.LOGSYS
+  }
+}
+
+module.exports = { AccountingDocumentParameterBuilder }
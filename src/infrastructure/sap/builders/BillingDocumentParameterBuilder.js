@@ -0,0 +1,169 @@
+/**
+ * Billing Document Parameter Builder
+ * Builds BAPI_BILLINGDOC_CREATEMULTIPLE / BAPI_BILLINGDOC_CANCEL1 / BAPI_BILLINGDOC_GETDETAIL parameters
+ *
+ * Billing documents are created from deliveries or sales orders (data.deliveries, data.salesOrders
+ * or data.references) and keyed by their number; the fiscal year is read back from VBRK.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// Reference document categories (VBTYP): J = delivery, C = order
+const REFERENCE_CATEGORIES = {
+  delivery: 'J',
+  order: 'C'
+}
+
+// VBRK-RFBSK posting status -> Bridge accounting status
+const ACCOUNTING_STATUS = {
+  '': 'notRelevant',
+  A: 'notReleased',
+  B: 'accountDeterminationError',
+  C: 'posted',
+  D: 'blocked',
+  E: 'accountingError'
+}
+
+class BillingDocumentParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const references = this._getReferences(data)
+
+    if (references.length === 0) {
+      throw new Error('Billing document requires at least one delivery or sales order reference')
+    }
+
+    const billingDate = this.formatDate(data.billingDate || data.date)
+    const fields = this.mapFields(data)
+
+    return {
+      BILLINGDATAIN: references.map(reference => this.compact({
+        REF_DOC: this.padNumber(reference.document, 10),
+        REF_DOC_CA: reference.category,
+        REF_ITEM: reference.item ? this.padNumber(reference.item, 6) : undefined,
+        ORDBILLTYP: data.billingType || this.definition.billingType,
+        BILL_DATE: billingDate,
+        SALESORG: data.salesOrg,
+        DISTR_CHAN: data.distributionChannel,
+        DIVISION: data.division,
+        SOLD_TO: data.soldTo ? this.padNumber(data.soldTo, 10) : undefined,
+        ...fields
+      })),
+      TESTRUN: context.options && context.options.testRun ? 'X' : ''
+    }
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return {
+      BILLINGDOCUMENT: this.padNumber(sapKey, 10)
+    }
+  }
+
+  buildDeleteParameters(sapKey, context = {}) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+
+    return this.compact({
+      BILLINGDOCUMENT: this.padNumber(data.billingDocument || sapKey, 10),
+      BILLINGDATE: this.formatDate(data.cancellationDate),
+      TESTRUN: context.options && context.options.testRun ? 'X' : undefined,
+      // The adapter commits the LUW itself
+      NO_COMMIT: 'X'
+    })
+  }
+
+  /**
+   * Add the document numbers and the fiscal year of the created billing documents
+   * @param {Object} result - BAPI_BILLINGDOC_CREATEMULTIPLE result (committed)
+   * @param {Object} data - Billing data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} Result with BILLINGDOCUMENT, BILLINGDOCUMENTS and FISCALYEAR
+   */
+  async completeCreate(result, data, context = {}) {
+    const documents = [...new Set((result.SUCCESS || []).map(line => line.BILL_DOC).filter(Boolean))]
+
+    if (documents.length === 0) {
+      return result
+    }
+
+    const headers = await this._readHeaders(documents, context)
+    const first = headers.get(documents[0])
+
+    return {
+      ...result,
+      BILLINGDOCUMENT: documents[0],
+      BILLINGDOCUMENTS: documents,
+      FISCALYEAR: first ? first.GJAHR : null
+    }
+  }
+
+  /**
+   * Read the billing document with its fiscal year, accounting and cancellation status (VBRK)
+   * @param {string} sapKey - Billing document number
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} BAPI_BILLINGDOC_GETDETAIL result with BILLINGDOCUMENT, FISCALYEAR and STATUS
+   */
+  async executeRead(sapKey, context = {}) {
+    const service = context.sapService
+    const parameters = this.buildReadParameters(sapKey, context)
+    const detail = await service.executeBAPI(this.definition.bapiRead, parameters, { ...context.options, commitWork: false })
+    const header = (await this._readHeaders([parameters.BILLINGDOCUMENT], context)).get(parameters.BILLINGDOCUMENT)
+
+    if (!header) {
+      return detail
+    }
+
+    return {
+      ...detail,
+      BILLINGDOCUMENT: parameters.BILLINGDOCUMENT,
+      FISCALYEAR: header.GJAHR || null,
+      STATUS: {
+        accounting: ACCOUNTING_STATUS[header.RFBSK] || header.RFBSK,
+        cancelled: header.FKSTO === 'X',
+        cancelledDocument: header.SFAKN || null
+      }
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Collect the reference documents: deliveries, sales orders or explicit references
+   * @param {Object} data - Billing data
+   * @returns {Array<Object>} document, category, item
+   * @private
+   */
+  _getReferences(data) {
+    const references = [
+      ...[].concat(data.deliveries || data.delivery || []).map(document => ({ document, category: REFERENCE_CATEGORIES.delivery })),
+      ...[].concat(data.salesOrders || data.salesOrder || []).map(document => ({ document, category: REFERENCE_CATEGORIES.order }))
+    ]
+
+    for (const reference of data.references || []) {
+      const category = REFERENCE_CATEGORIES[reference.type || 'delivery']
+      if (!category) {
+        throw new Error(`Unknown billing reference type: ${reference.type} (use delivery or order)`)
+      }
+      references.push({ document: reference.document, category, item: reference.item })
+    }
+
+    return references
+  }
+
+  /**
+   * Read billing document headers from VBRK
+   * @param {Array<string>} documents - Billing document numbers
+   * @param {Object} context - Builder context
+   * @returns {Promise<Map<string, Object>>} VBRK rows by document number
+   * @private
+   */
+  async _readHeaders(documents, context) {
+    const query = RFCTableQuery.fromCriteria(this.definition.table || 'VBRK', { VBELN: documents.map(document => this.padNumber(document, 10)) })
+      .select(['VBELN', 'GJAHR', 'RFBSK', 'FKSTO', 'SFAKN'])
+
+    const rows = await context.sapService.readTable(query, { ...context.options, convertFields: false })
+
+    return new Map(rows.map(row => [row.VBELN, row]))
+  }
+}
+
+module.exports = { BillingDocumentParameterBuilder }
@@ -0,0 +1,464 @@
+/**
+ * Business Partner Parameter Builder
+ * Maintains S/4HANA customers and vendors as Business Partners: BAPI_BUPA_CREATE_FROM_DATA,
+ * BAPI_BUPA_ROLE_ADD_2, BAPI_BUPA_TAX_ADD, BAPI_BUPA_CENTRAL_CHANGE, BAPI_BUPA_ADDRESS_CHANGE
+ * and the CVI customer/supplier extension, all in one LUW.
+ *
+ * The CVI extension (company code, sales area and purchasing organization data) is maintained
+ * with CL_MD_BP_MAINTAIN, which is not remote-enabled. SAP has no RFC-enabled wrapper for it, so
+ * definition.cviFunction has to be configured with one around CL_MD_BP_MAINTAIN=>MAINTAIN:
+ *   IMPORTING I_DATA (CVIS_EI_EXTERN_T)
+ *   EXPORTING RETURN (BAPIRET2 table)
+ * without committing; the adapter commits with BAPI_TRANSACTION_COMMIT.
+ *
+ * The customer or supplier number is not assumed to equal the partner number: on update it is
+ * read from the CVI link table (CVI_CUST_LINK / CVI_VEND_LINK); on create it is left empty and
+ * the wrapper extends the customer/supplier that CVI creates for the new partner in the LUW.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// Business partner categories
+const PERSON = '1'
+const ORGANIZATION = '2'
+
+// CVI tasks: the customer/supplier may already exist after the role was added
+const TASK_MODIFY = 'M'
+const TASK_UPDATE = 'U'
+
+class BusinessPartnerParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+    const category = this._getCategory(data)
+    const name = fields.NAME1 || data.name || data.companyName
+
+    if (!name && !data.lastName) {
+      throw new Error('Business partner requires a name')
+    }
+
+    const phone = this._getPhone(fields, data)
+    const email = this._getEmail(fields, data)
+
+    const parameters = {
+      PARTNERCATEGORY: category,
+      CENTRALDATA: {
+        SEARCHTERM1: (data.searchTerm || name || data.lastName).substring(0, 20).toUpperCase()
+      },
+      ADDRESSDATA: this._buildAddress(fields, data, true),
+      TELEFONDATA: phone ? [{ TELEPHONE: phone, STD_NO: 'X' }] : [],
+      E_MAILDATA: email ? [{ E_MAIL: email, STD_NO: 'X' }] : []
+    }
+
+    const grouping = data.grouping || this.definition.bpGrouping
+    if (grouping) {
+      parameters.PARTNERGROUP = grouping
+    }
+
+    if (category === PERSON) {
+      parameters.CENTRALDATAPERSON = this.compact({
+        FIRSTNAME: data.firstName,
+        LASTNAME: data.lastName || name,
+        CORRESPONDLANGUAGE: context.sapRecord && context.sapRecord.language
+      })
+    } else {
+      parameters.CENTRALDATAORGANIZATION = this.compact({
+        NAME1: name,
+        NAME2: fields.NAME2 || data.name2
+      })
+    }
+
+    return parameters
+  }
+
+  buildUpdateParameters(sapKey, data, _context) {
+    const partner = this.padNumber(sapKey, 10)
+    const parameters = { BUSINESSPARTNER: partner }
+
+    if (this._getCategory(data) === PERSON) {
+      const person = this.compact({ FIRSTNAME: data.firstName, LASTNAME: data.lastName })
+      parameters.CENTRALDATAPERSON = person
+      parameters.CENTRALDATAPERSON_X = this.buildUpdateFlags(person)
+    } else {
+      const organization = this.compact({ NAME1: data.name || data.companyName, NAME2: data.name2 })
+      parameters.CENTRALDATAORGANIZATION = organization
+      parameters.CENTRALDATAORGANIZATION_X = this.buildUpdateFlags(organization)
+    }
+
+    const central = this.compact({
+      SEARCHTERM1: data.searchTerm,
+      // Partners deleted in Bridge are blocked centrally; SAP does not delete business partners
+      CENTRALBLOCK: data.DELETION_FLAG === 'X' || data.deletionFlag === true ? 'X' : undefined
+    })
+
+    if (Object.keys(central).length > 0) {
+      parameters.CENTRALDATA = central
+      parameters.CENTRALDATA_X = this.buildUpdateFlags(central)
+    }
+
+    return parameters
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return { BUSINESSPARTNER: this.padNumber(sapKey, 10) }
+  }
+
+  /**
+   * Create the business partner, add its roles and tax numbers and extend it as customer/supplier
+   * @param {RFCTransaction} tx - Transaction
+   * @param {Object} data - Customer or vendor data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} BUSINESSPARTNER and the RETURN messages of all calls
+   */
+  async executeCreate(tx, data, context = {}) {
+    const fields = this.recordFields(data, context)
+    const options = context.options || {}
+
+    const created = await tx.executeBAPI(this.definition.bapiCreate, this.buildCreateParameters(data, context), options)
+    const partner = created.BUSINESSPARTNER
+
+    for (const role of this.definition.bpRoles || []) {
+      await tx.executeBAPI('BAPI_BUPA_ROLE_ADD_2', {
+        BUSINESSPARTNER: partner,
+        BUSINESSPARTNERROLE: role
+      }, options)
+    }
+
+    for (const taxNumber of data.taxNumbers || []) {
+      await tx.executeBAPI('BAPI_BUPA_TAX_ADD', {
+        BUSINESSPARTNER: partner,
+        TAXTYPE: taxNumber.type,
+        TAXNUMBER: taxNumber.number
+      }, options)
+    }
+
+    await this._maintainExtension(tx, partner, fields, data, { create: true, companyCode: fields.COMPANY_CODE }, options)
+
+    return this._collectResult(tx, partner)
+  }
+
+  /**
+   * Change central data, the standard address and the customer/supplier extension
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} sapKey - Business partner number
+   * @param {Object} data - Changed data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} BUSINESSPARTNER and the RETURN messages of all calls
+   */
+  async executeUpdate(tx, sapKey, data, context = {}) {
+    const options = context.options || {}
+    const parameters = this.buildUpdateParameters(sapKey, data, context)
+    const partner = parameters.BUSINESSPARTNER
+    // Only the fields sent with the update are changed, without the record's defaults
+    const fields = { ...data, ...this.mapFields(data) }
+
+    const centralChanges = Object.keys(parameters).filter(key => key.endsWith('_X') && Object.keys(parameters[key]).length > 0)
+    if (centralChanges.length > 0) {
+      await tx.executeBAPI(this.definition.bapiUpdate, parameters, options)
+    }
+
+    const address = this._buildAddress(fields, data, false)
+    const phone = this._getPhone(fields, data)
+    const email = this._getEmail(fields, data)
+
+    if (Object.keys(address).length > 0 || phone || email) {
+      const communication = phone || email ? await this._readCommunication(tx, partner, options) : {}
+      const telephone = phone ? this._buildCommunication(communication.phones, 'TELEPHONE', phone) : null
+      const mail = email ? this._buildCommunication(communication.emails, 'E_MAIL', email) : null
+
+      await tx.executeBAPI('BAPI_BUPA_ADDRESS_CHANGE', {
+        BUSINESSPARTNER: partner,
+        ADDRESSDATA: address,
+        ADDRESSDATA_X: this.buildUpdateFlags(address),
+        TELEFONDATA: telephone ? [telephone.data] : [],
+        TELEFONDATA_X: telephone ? [telephone.flags] : [],
+        E_MAILDATA: mail ? [mail.data] : [],
+        E_MAILDATA_X: mail ? [mail.flags] : []
+      }, options)
+    }
+
+    await this._maintainExtension(tx, partner, fields, data, { create: false }, options)
+
+    if (tx.results.length === 0) {
+      throw new Error(`Business partner update for ${sapKey} contains no fields to change`)
+    }
+
+    return this._collectResult(tx, partner)
+  }
+
+  // Private helper methods
+
+  /**
+   * Get the partner category: person when only first/last name are given
+   * @param {Object} data - Partner data
+   * @returns {string} 1 (person) or 2 (organization)
+   * @private
+   */
+  _getCategory(data) {
+    if (data.partnerCategory) {
+      return String(data.partnerCategory)
+    }
+
+    return data.firstName && !data.name && !data.companyName ? PERSON : ORGANIZATION
+  }
+
+  /**
+   * Build ADDRESSDATA
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Partner data
+   * @param {boolean} create - Include create-only defaults
+   * @returns {Object} Address fields
+   * @private
+   */
+  _buildAddress(fields, data, create) {
+    return this.compact({
+      STREET: fields.STREET || data.street || data.address,
+      POSTL_COD1: fields.POSTAL_CODE || data.postalCode || data.zipCode,
+      CITY: fields.CITY || data.city,
+      COUNTRY: fields.COUNTRY || data.country,
+      REGION: fields.REGION || data.region || data.state,
+      LANGU: create ? fields.LANGUAGE : undefined
+    })
+  }
+
+  /**
+   * Get the phone number
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Partner data
+   * @returns {string} Phone number
+   * @private
+   */
+  _getPhone(fields, data) {
+    return fields.TELEPHONE || data.phone
+  }
+
+  /**
+   * Get the e-mail address
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Partner data
+   * @returns {string} E-mail address
+   * @private
+   */
+  _getEmail(fields, data) {
+    return fields.EMAIL || data.email
+  }
+
+  /**
+   * Read the phone numbers and e-mail addresses of the partner's standard address
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} partner - Business partner number
+   * @param {Object} options - Call options
+   * @returns {Promise<Object>} phones (BAPIADTEL rows), emails (BAPIADSMTP rows)
+   * @private
+   */
+  async _readCommunication(tx, partner, options) {
+    const result = await tx.executeRFC('BAPI_BUPA_ADDRESS_GETDETAIL', { BUSINESSPARTNER: partner }, options)
+
+    return {
+      phones: result.BAPIADTEL || [],
+      emails: result.BAPIADSMTP || []
+    }
+  }
+
+  /**
+   * Build the change of the standard phone number or e-mail address: the existing standard
+   * entry is changed by its CONSNUMBER, and a partner without one gets a new standard entry
+   * @param {Array<Object>} existing - Existing entries
+   * @param {string} field - TELEPHONE or E_MAIL
+   * @param {string} value - New value
+   * @returns {Object} data and flags (..._X) rows
+   * @private
+   */
+  _buildCommunication(existing, field, value) {
+    const standard = existing.find(entry => entry.STD_NO === 'X') || existing[0]
+
+    if (!standard) {
+      return {
+        data: { [field]: value, STD_NO: 'X' },
+        flags: { [field]: 'X', STD_NO: 'X', UPDATEFLAG: 'I' }
+      }
+    }
+
+    return {
+      data: { [field]: value, STD_NO: 'X', CONSNUMBER: standard.CONSNUMBER },
+      flags: { [field]: 'X', STD_NO: 'X', UPDATEFLAG: 'U' }
+    }
+  }
+
+  /**
+   * Maintain the CVI customer or supplier extension when company code, sales area or
+   * purchasing organization data was sent
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} partner - Business partner number
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Partner data
+   * @param {Object} mode - create, companyCode (default company code)
+   * @param {Object} options - Call options
+   * @private
+   */
+  async _maintainExtension(tx, partner, fields, data, mode, options) {
+    const isVendor = this.definition.partnerRole === 'VENDOR'
+    const task = mode.create ? TASK_MODIFY : TASK_UPDATE
+
+    const companies = this.getCompanyCodes(fields, data, mode).map(companyCode => this.buildSubData(TASK_MODIFY, { BUKRS: companyCode.companyCode }, {
+      AKONT: companyCode.reconciliationAccount ? this.padNumber(companyCode.reconciliationAccount, 10) : undefined,
+      ZTERM: companyCode.paymentTerms
+    }))
+
+    const areas = isVendor ? this._buildPurchasingOrgs(data) : this._buildSalesAreas(data)
+
+    if (companies.length === 0 && areas.length === 0) {
+      return
+    }
+
+    if (!this.definition.cviFunction) {
+      throw new Error(`Company code, sales area and purchasing data need an RFC-enabled wrapper around CL_MD_BP_MAINTAIN: set cviFunction in the entity mapping of ${this.definition.sapEntityType}`)
+    }
+
+    const number = mode.create ? '' : await this._readLinkedNumber(tx, partner, isVendor, options)
+
+    const extension = {}
+    if (isVendor) {
+      extension.VENDOR = {
+        HEADER: { OBJECT_INSTANCE: { LIFNR: number }, OBJECT_TASK: task },
+        COMPANY_DATA: { COMPANY: companies },
+        PURCHASING_DATA: { PURCHASING: areas }
+      }
+    } else {
+      extension.CUSTOMER = {
+        HEADER: { OBJECT_INSTANCE: { KUNNR: number }, OBJECT_TASK: task },
+        COMPANY_DATA: { COMPANY: companies },
+        SALES_DATA: { SALES: areas }
+      }
+    }
+
+    await tx.executeBAPI(this.definition.cviFunction, {
+      I_DATA: [{
+        PARTNER: { HEADER: { OBJECT_INSTANCE: { BPARTNER: partner }, OBJECT_TASK: TASK_UPDATE } },
+        ...extension
+      }]
+    }, options)
+  }
+
+  /**
+   * Read the customer or supplier number linked to a business partner through CVI
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} partner - Business partner number
+   * @param {boolean} isVendor - Read the supplier instead of the customer link
+   * @param {Object} options - Call options
+   * @returns {Promise<string>} KUNNR or LIFNR
+   * @private
+   */
+  async _readLinkedNumber(tx, partner, isVendor, options) {
+    const readOptions = { ...options, convertFields: false }
+    const [bp] = await this._readTable(tx, RFCTableQuery.fromCriteria('BUT000', { PARTNER: partner }).select(['PARTNER', 'PARTNER_GUID']), readOptions)
+
+    if (!bp) {
+      throw new Error(`Business partner ${partner} not found`)
+    }
+
+    const linkTable = isVendor ? 'CVI_VEND_LINK' : 'CVI_CUST_LINK'
+    const numberField = isVendor ? 'VENDOR' : 'CUSTOMER'
+    const [link] = await this._readTable(tx, RFCTableQuery.fromCriteria(linkTable, { PARTNER_GUID: bp.PARTNER_GUID }).select([numberField]), readOptions)
+
+    if (!link) {
+      throw new Error(`Business partner ${partner} has no ${isVendor ? 'supplier' : 'customer'} linked in ${linkTable}`)
+    }
+
+    return link[numberField]
+  }
+
+  /**
+   * Read table rows inside the LUW
+   * @param {RFCTransaction} tx - Transaction
+   * @param {RFCTableQuery} query - Query
+   * @param {Object} options - Call options
+   * @returns {Promise<Array<Object>>} Parsed rows
+   * @private
+   */
+  async _readTable(tx, query, options) {
+    return RFCTableQuery.parseResult(await tx.executeRFC('RFC_READ_TABLE', query.toParameters(), options))
+  }
+
+  /**
+   * Build the sales area entries of the customer extension: salesAreas or salesOrg
+   * @param {Object} data - Partner data
+   * @returns {Array<Object>} SALES entries
+   * @private
+   */
+  _buildSalesAreas(data) {
+    const salesAreas = this._getList(data.salesAreas, data.salesOrg && {
+      salesOrg: data.salesOrg,
+      distributionChannel: data.distributionChannel,
+      division: data.division,
+      currency: data.currency,
+      paymentTerms: data.paymentTerms
+    })
+
+    return salesAreas.map(area => this.buildSubData(TASK_MODIFY, {
+      VKORG: area.salesOrg,
+      VTWEG: area.distributionChannel || '10',
+      SPART: area.division || '00'
+    }, {
+      WAERS: area.currency,
+      ZTERM: area.paymentTerms,
+      KALKS: area.pricingProcedure
+    }))
+  }
+
+  /**
+   * Build the purchasing organization entries of the supplier extension: purchasingOrgs or purchasingOrg
+   * @param {Object} data - Partner data
+   * @returns {Array<Object>} PURCHASING entries
+   * @private
+   */
+  _buildPurchasingOrgs(data) {
+    const purchasingOrgs = this._getList(data.purchasingOrgs, data.purchasingOrg && {
+      purchasingOrg: data.purchasingOrg,
+      currency: data.currency,
+      paymentTerms: data.paymentTerms
+    })
+
+    return purchasingOrgs.map(area => this.buildSubData(TASK_MODIFY, { EKORG: area.purchasingOrg }, {
+      WAERS: area.currency,
+      ZTERM: area.paymentTerms
+    }))
+  }
+
+  /**
+   * Use a list when given, otherwise the single entry when present
+   * @param {Array<Object>} list - Explicit list
+   * @param {Object} single - Single entry or a falsy value
+   * @returns {Array<Object>} Entries
+   * @private
+   */
+  _getList(list, single) {
+    if (list && list.length > 0) {
+      return list
+    }
+
+    return single ? [single] : []
+  }
+
+  /**
+   * Combine the RETURN messages of all calls in the LUW
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} partner - Business partner number
+   * @returns {Object} BUSINESSPARTNER and RETURN
+   * @private
+   */
+  _collectResult(tx, partner) {
+    const messages = []
+    tx.results.forEach(result => {
+      const returnMessages = result.RETURN || []
+      messages.push(...(Array.isArray(returnMessages) ? returnMessages : [returnMessages]))
+    })
+
+    return {
+      BUSINESSPARTNER: partner,
+      RETURN: messages
+    }
+  }
+}
+
+module.exports = { BusinessPartnerParameterBuilder }
@@ -0,0 +1,172 @@
+/**
+ * Cost Center Parameter Builder
+ * Builds BAPI_COSTCENTER_CREATEMULTIPLE / BAPI_COSTCENTER_CHANGEMULTIPLE / BAPI_COSTCENTER_GETDETAIL1 parameters
+ *
+ * The controlling area comes from the event (controllingArea) or the entity definition;
+ * the validity period from SAPRecord.validFrom / validTo, on change from the CSKS interval
+ * valid today when no validFrom is given. Deleted cost centers are locked for all postings.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// Lock indicators of BAPI0012_CCINPUTLIST, all set when a cost center is locked
+const LOCK_FIELDS = [
+  'LOCK_IND_ACTUAL_PRIMARY_COSTS',
+  'LOCK_IND_PLAN_PRIMARY_COSTS',
+  'LOCK_IND_ACT_SECONDARY_COSTS',
+  'LOCK_IND_PLAN_SECONDARY_COSTS',
+  'LOCK_IND_ACTUAL_REVENUES',
+  'LOCK_IND_PLAN_REVENUES',
+  'LOCK_IND_COMMITMENT_UPDATE'
+]
+
+class CostCenterParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const costCenter = this._getCostCenter(data.id || data.costCenter, data, context, {
+      create: true,
+      validity: this.validityPeriod(data, context)
+    })
+
+    for (const [field, name] of [['NAME', 'name'], ['PERSON_IN_CHARGE', 'personInCharge'], ['COSTCENTER_TYPE', 'category'], ['COSTCTR_HIER_GRP', 'hierarchyArea']]) {
+      if (!costCenter[field]) {
+        throw new Error(`Cost center ${costCenter.COSTCENTER} requires ${name}`)
+      }
+    }
+
+    return {
+      ...this._buildHeader(data, context),
+      COSTCENTERLIST: [costCenter]
+    }
+  }
+
+  async buildUpdateParameters(sapKey, data, context = {}) {
+    const header = this._buildHeader(data, context)
+    const validity = await this.currentValidityPeriod({
+      KOKRS: header.CONTROLLINGAREA,
+      KOSTL: this.padNumber(sapKey, 10)
+    }, data, context)
+
+    const costCenter = this._getCostCenter(sapKey, data, context, { create: false, validity })
+    const changes = Object.keys(costCenter).filter(field => !['COSTCENTER', 'VALID_FROM', 'VALID_TO'].includes(field))
+
+    if (changes.length === 0) {
+      throw new Error(`Cost center update for ${sapKey} contains no fields to change`)
+    }
+
+    return {
+      ...header,
+      COSTCENTERLIST: [costCenter]
+    }
+  }
+
+  buildReadParameters(sapKey, context = {}) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+
+    return this.compact({
+      CONTROLLINGAREA: this._getControllingArea(data),
+      COSTCENTER: this.padNumber(sapKey, 10),
+      KEYDATE: this.formatDate(data.keyDate)
+    })
+  }
+
+  /**
+   * Add the cost center number, which BAPI_COSTCENTER_CREATEMULTIPLE does not return
+   * @param {Object} result - BAPI result
+   * @param {Object} data - Cost center data
+   * @param {Object} _context - Builder context
+   * @returns {Object} Result with COSTCENTER
+   */
+  completeCreate(result, data, _context) {
+    return { ...result, COSTCENTER: this.padNumber(data.id || data.costCenter, 10) }
+  }
+
+  // Private helper methods
+
+  /**
+   * Build the import parameters shared by create and change
+   * @param {Object} data - Cost center data
+   * @param {Object} context - Builder context
+   * @returns {Object} CONTROLLINGAREA, LANGUAGE, TESTRUN
+   * @private
+   */
+  _buildHeader(data, context) {
+    const language = (context.sapRecord && context.sapRecord.language) || 'EN'
+
+    return {
+      CONTROLLINGAREA: this._getControllingArea(data),
+      // Two-letter codes are ISO languages, one-letter codes are SAP languages
+      LANGUAGE: language.length === 2 ? { LANGU_ISO: language.toUpperCase() } : { LANGU: language },
+      TESTRUN: context.options && context.options.testRun ? 'X' : ''
+    }
+  }
+
+  /**
+   * Build one COSTCENTERLIST entry; on change only the given fields are sent
+   * @param {string} sapKey - Cost center
+   * @param {Object} data - Cost center data
+   * @param {Object} context - Builder context
+   * @param {Object} mode - create, validity (from, to)
+   * @returns {Object} Cost center input
+   * @private
+   */
+  _getCostCenter(sapKey, data, context, mode) {
+    if (!sapKey) {
+      throw new Error('Cost center requires a cost center number (id)')
+    }
+
+    const validity = mode.validity
+    const companyCode = data.companyCode || (mode.create && context.sapRecord ? context.sapRecord.companyCode : undefined)
+
+    return {
+      COSTCENTER: this.padNumber(sapKey, 10),
+      VALID_FROM: validity.from,
+      VALID_TO: validity.to,
+      ...this.compact({
+        NAME: data.name,
+        DESCRIPT: data.description,
+        PERSON_IN_CHARGE: data.personInCharge,
+        DEPARTMENT: data.department,
+        COSTCENTER_TYPE: data.category,
+        COSTCTR_HIER_GRP: data.hierarchyArea,
+        COMP_CODE: companyCode,
+        BUS_AREA: data.businessArea,
+        CURRENCY: data.currency,
+        PROFIT_CTR: data.profitCenter ? this.padNumber(data.profitCenter, 10) : undefined,
+        ...this._getLockIndicators(data),
+        ...this.mapFields(data)
+      })
+    }
+  }
+
+  /**
+   * Get the lock indicators: all set for locked: true or a deletion (DELETION_FLAG)
+   * @param {Object} data - Cost center data
+   * @returns {Object} Lock indicator fields, empty when the cost center is not locked
+   * @private
+   */
+  _getLockIndicators(data) {
+    if (data.locked !== true && data.DELETION_FLAG !== 'X') {
+      return {}
+    }
+
+    return Object.fromEntries(LOCK_FIELDS.map(field => [field, 'X']))
+  }
+
+  /**
+   * Get the controlling area from the event or the entity definition
+   * @param {Object} data - Cost center data
+   * @returns {string} Controlling area
+   * @private
+   */
+  _getControllingArea(data) {
+    const controllingArea = data.controllingArea || this.definition.controllingArea
+
+    if (!controllingArea) {
+      throw new Error('Cost center requires a controlling area (controllingArea in the event or the entity mapping)')
+    }
+
+    return controllingArea
+  }
+}
+
+module.exports = { CostCenterParameterBuilder }
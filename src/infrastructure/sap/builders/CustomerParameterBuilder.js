@@ -0,0 +1,69 @@
+/**
+ * Customer Parameter Builder
+ * Builds BAPI_CUSTOMER_CREATEFROMDATA1 / BAPI_CUSTOMER_CHANGEFROMDATA1 / BAPI_CUSTOMER_GETDETAIL2 parameters
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// Personal data fields of BAPI_CUSTOMER_CHANGEFROMDATA1 (BAPIKNA101_1) by KNA1 field
+const PERSONAL_DATA_FIELDS = {
+  NAME1: 'FIRSTNAME',
+  NAME2: 'LASTNAME',
+  LAND1: 'COUNTRY',
+  ORT01: 'CITY',
+  PSTLZ: 'POSTL_COD1',
+  STRAS: 'STREET'
+}
+
+class CustomerParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+
+    return {
+      PI_CUSTOMER: fields.CUSTOMER || '',
+      PI_PERSONALDATA: {
+        FIRSTNAME: fields.NAME1 || '',
+        LASTNAME: fields.NAME2 || '',
+        COUNTRY: fields.COUNTRY || 'US'
+      }
+    }
+  }
+
+  buildUpdateParameters(sapKey, data, _context) {
+    if (data.DELETION_FLAG) {
+      throw new Error(`BAPI_CUSTOMER_CHANGEFROMDATA1 cannot flag customer ${sapKey} for deletion; flag it in SAP (XD06)`)
+    }
+
+    // Only the fields sent with the update are changed
+    const fields = { ...data, ...this.mapFields(data) }
+    const personalData = {}
+
+    Object.entries(PERSONAL_DATA_FIELDS).forEach(([field, bapiField]) => {
+      if (fields[field] !== undefined) {
+        personalData[bapiField] = fields[field]
+      }
+    })
+    if (fields.COUNTRY !== undefined) {
+      personalData.COUNTRY = fields.COUNTRY
+    }
+
+    if (Object.keys(personalData).length === 0) {
+      throw new Error(`Customer update for ${sapKey} contains no fields to change`)
+    }
+
+    return {
+      PI_CUSTOMERNO: this.padNumber(sapKey, 10),
+      PI_SALESORG: fields.SALES_ORG || data.salesOrg || '1000',
+      PI_DISTR_CHAN: fields.DISTRIBUTION_CHANNEL || data.distributionChannel || '10',
+      PI_DIVISION: fields.DIVISION || data.division || '00',
+      PI_PERSONALDATA: personalData,
+      PI_PERSONALDATAX: this.buildUpdateFlags(personalData)
+    }
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return { CUSTOMERNO: sapKey }
+  }
+}
+
+module.exports = { CustomerParameterBuilder }
@@ -0,0 +1,293 @@
+/**
+ * Entity Parameter Builder
+ * Base class for turning Bridge payloads into BAPI parameters for one SAP entity
+ */
+
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// MATNR length of ECC; S/4HANA systems with long material numbers configure conversion.materialLength
+const DEFAULT_MATERIAL_LENGTH = 18
+
+class EntityParameterBuilder {
+  /**
+   * @param {Object} definition - Entity definition from the registry (bapis, table, keyField, fieldMappings)
+   */
+  constructor(definition = {}) {
+    this.definition = definition
+  }
+
+  /**
+   * Build parameters for the create BAPI
+   * @param {Object} _data - Record data
+   * @param {Object} _context - Builder context (sapRecord, integrationEvent, sapService, options)
+   * @returns {Object|Promise<Object>} BAPI parameters
+   */
+  buildCreateParameters(_data, _context) {
+    throw new Error(`Create is not supported for entity type ${this.definition.sapEntityType}`)
+  }
+
+  /**
+   * Build parameters for the update BAPI
+   * @param {string} _sapKey - SAP record key
+   * @param {Object} _data - Updated data
+   * @param {Object} _context - Builder context
+   * @returns {Object|Promise<Object>} BAPI parameters
+   */
+  buildUpdateParameters(_sapKey, _data, _context) {
+    throw new Error(`Update is not supported for entity type ${this.definition.sapEntityType}`)
+  }
+
+  /**
+   * Build parameters for the read BAPI
+   * @param {string} _sapKey - SAP record key
+   * @param {Object} _context - Builder context
+   * @returns {Object|Promise<Object>} BAPI parameters
+   */
+  buildReadParameters(_sapKey, _context) {
+    throw new Error(`Read is not supported for entity type ${this.definition.sapEntityType}`)
+  }
+
+  /**
+   * Build parameters for the delete BAPI (only used when the definition names bapiDelete)
+   * @param {string} _sapKey - SAP record key
+   * @param {Object} _context - Builder context
+   * @returns {Object|Promise<Object>} BAPI parameters
+   */
+  buildDeleteParameters(_sapKey, _context) {
+    throw new Error(`Delete is not supported for entity type ${this.definition.sapEntityType}`)
+  }
+
+  /**
+   * Build parameters for the search BAPI (only used when the definition names bapiSearch)
+   * @param {Object} _criteria - Search criteria
+   * @param {Object} _context - Builder context
+   * @returns {Object|Promise<Object>} BAPI parameters
+   */
+  buildSearchParameters(_criteria, _context) {
+    throw new Error(`BAPI search is not supported for entity type ${this.definition.sapEntityType}`)
+  }
+
+  /**
+   * Build table criteria that find the record in the entity's table, used to confirm that
+   * a record whose read failed does not exist
+   * @param {string} sapKey - SAP record key
+   * @param {Object} _context - Builder context
+   * @returns {Object|null} Criteria for definition.table, null when existence cannot be checked
+   */
+  buildExistsCriteria(sapKey, _context) {
+    return this.definition.keyField ? { [this.definition.keyField]: sapKey } : null
+  }
+
+  /**
+   * Check the definition when the registry loads it; throws when the entity cannot be maintained
+   */
+  validateDefinition() {}
+
+  // Helpers for subclasses
+
+  /**
+   * Apply the configured fieldMappings (Bridge field -> SAP field)
+   * @param {Object} data - Bridge data
+   * @returns {Object} SAP fields
+   */
+  mapFields(data = {}) {
+    const fields = {}
+
+    Object.entries(this.definition.fieldMappings || {}).forEach(([source, target]) => {
+      if (data[source] !== undefined && data[source] !== null) {
+        fields[target] = data[source]
+      }
+    })
+
+    return fields
+  }
+
+  /**
+   * Collect SAP-named fields for a record: raw data, the SAPRecord mapping and fieldMappings
+   * @param {Object} data - Bridge data
+   * @param {Object} context - Builder context
+   * @returns {Object} SAP fields
+   */
+  recordFields(data = {}, context = {}) {
+    return {
+      ...data,
+      ...(context.sapRecord ? context.sapRecord.toRFCStructure() : {}),
+      ...this.mapFields(data)
+    }
+  }
+
+  /**
+   * Build an X-structure flagging every given field
+   * @param {Object} data - Structure data
+   * @returns {Object} Update flags
+   */
+  buildUpdateFlags(data) {
+    const flags = {}
+    Object.keys(data).forEach(key => {
+      flags[key] = 'X'
+    })
+    return flags
+  }
+
+  /**
+   * Drop empty values so they are neither sent nor flagged in X-structures
+   * @param {Object} structure - Structure fields
+   * @returns {Object} Structure without undefined, null or empty values
+   */
+  compact(structure) {
+    const result = {}
+    Object.entries(structure).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        result[key] = value
+      }
+    })
+    return result
+  }
+
+  /**
+   * Build a company code, sales area or purchasing organization entry of the VMD/CMD/CVI APIs
+   * @param {string} task - Task (I, U, M or D)
+   * @param {Object} dataKey - Key fields (BUKRS, EKORG, VKORG/VTWEG/SPART)
+   * @param {Object} subData - Fields to maintain
+   * @returns {Object} Entry with TASK, DATA_KEY, DATA and DATAX
+   */
+  buildSubData(task, dataKey, subData) {
+    const values = this.compact(subData)
+
+    return {
+      TASK: task,
+      DATA_KEY: dataKey,
+      DATA: values,
+      DATAX: this.buildUpdateFlags(values)
+    }
+  }
+
+  /**
+   * Get the company codes of a customer or vendor: companyCodes, or the single company code
+   * of the record. On update a company code is only returned when company code data was sent.
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Record data
+   * @param {Object} mode - create (true on create), companyCode (default company code)
+   * @returns {Array<Object>} companyCode, reconciliationAccount, paymentTerms, paymentMethods
+   */
+  getCompanyCodes(fields, data, mode) {
+    if (data.companyCodes && data.companyCodes.length > 0) {
+      return data.companyCodes
+    }
+
+    const companyCode = data.companyCode || mode.companyCode
+    const reconciliationAccount = fields.RECONCILIATION_ACCOUNT || data.reconciliationAccount
+    const paymentTerms = mode.create ? fields.PAYMENT_TERMS || data.paymentTerms : data.paymentTerms
+
+    if (!companyCode || (!mode.create && !reconciliationAccount && !paymentTerms)) {
+      return []
+    }
+
+    return [{ companyCode, reconciliationAccount, paymentTerms }]
+  }
+
+  /**
+   * Format a date as an SAP DATS value (YYYYMMDD) the way RFCFieldConverter does: the date
+   * written in a YYYY-MM-DD string, or the UTC date of anything else
+   * @param {Date|string} value - Date
+   * @returns {string} SAP date, empty when the value is missing or invalid
+   */
+  formatDate(value) {
+    if (!value) {
+      return ''
+    }
+
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return value.slice(0, 10).replace(/-/g, '')
+    }
+
+    const date = new Date(value)
+    if (isNaN(date.getTime())) {
+      return ''
+    }
+
+    return date.toISOString().slice(0, 10).replace(/-/g, '')
+  }
+
+  /**
+   * Get the validity period of a time-dependent master record from SAPRecord.validFrom / validTo
+   * @param {Object} data - Record data (validFrom / validTo when there is no SAP record)
+   * @param {Object} context - Builder context
+   * @returns {Object} from, to as SAP dates; valid from today until 9999-12-31 by default (use
+   *   currentValidityPeriod on update)
+   */
+  validityPeriod(data = {}, context = {}) {
+    const record = context.sapRecord || {}
+
+    return {
+      from: this.formatDate(record.validFrom || data.validFrom || new Date()),
+      to: this.formatDate(record.validTo || data.validTo) || '99991231'
+    }
+  }
+
+  /**
+   * Get the validity period of an update: validFrom / validTo when validFrom is given, otherwise
+   * the interval of the record that is valid today (DATAB / DATBI of definition.table)
+   * @param {Object} criteria - Key fields of the record in definition.table
+   * @param {Object} data - Record data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} from, to as SAP dates
+   */
+  async currentValidityPeriod(criteria, data = {}, context = {}) {
+    const record = context.sapRecord || {}
+
+    if (record.validFrom || data.validFrom) {
+      return this.validityPeriod(data, context)
+    }
+
+    const today = this.formatDate(new Date())
+    const query = RFCTableQuery.fromCriteria(this.definition.table, criteria)
+      .where('DATAB', 'LE', today)
+      .where('DATBI', 'GE', today)
+      .select(['DATAB', 'DATBI'])
+
+    const [interval] = await context.sapService.readTable(query, { ...context.options, convertFields: false })
+
+    if (!interval) {
+      throw new Error(`${this.definition.sapEntityType} ${Object.values(criteria).join('/')} has no interval valid today in ${this.definition.table}; send validFrom and validTo`)
+    }
+
+    return { from: interval.DATAB, to: interval.DATBI }
+  }
+
+  /**
+   * Parse an SAP DATS value (YYYYMMDD) into a Date at UTC midnight
+   * @param {string} value - SAP date
+   * @returns {Date|null} Date, null for empty or initial dates
+   */
+  parseDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value || '').trim())
+    if (!match || match[1] === '0000') {
+      return null
+    }
+
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+  }
+
+  /**
+   * Left-pad a numeric key with zeros (ALPHA input conversion); other values are returned unchanged
+   * @param {string|number} value - Key value
+   * @param {number} length - Field length
+   * @returns {string} Internal key
+   */
+  padNumber(value, length) {
+    const text = String(value === undefined || value === null ? '' : value).trim()
+    return /^\d+$/.test(text) ? text.padStart(length, '0') : text
+  }
+
+  /**
+   * Left-pad a numeric material number to the configured material length (MATN1 input conversion)
+   * @param {string|number} value - Material number
+   * @returns {string} Internal material number
+   */
+  padMaterial(value) {
+    return this.padNumber(value, this.definition.materialLength || DEFAULT_MATERIAL_LENGTH)
+  }
+}
+
+module.exports = { EntityParameterBuilder }
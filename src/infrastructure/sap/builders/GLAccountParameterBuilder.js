@@ -0,0 +1,150 @@
+/**
+ * G/L Account Parameter Builder
+ * Builds GL_ACCT_MASTER_SAVE parameters (chart of accounts, names and company code segments)
+ * and BAPI_GL_ACC_GETDETAIL parameters
+ *
+ * The chart of accounts comes from the event (chartOfAccounts) or the entity definition.
+ * Company code segments are maintained for data.companyCodes or the record's company code.
+ * A deletion (DELETION_FLAG) marks the account for deletion and blocks it for posting in the
+ * chart of accounts and the company codes.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// GL_ACCT_MASTER_SAVE actions
+const ACTION_INSERT = 'I'
+const ACTION_UPDATE = 'U'
+
+class GLAccountParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const account = data.id || data.glAccount
+
+    if (!data.accountGroup || (!data.shortText && !data.name)) {
+      throw new Error(`G/L account ${account} requires accountGroup and shortText`)
+    }
+
+    return this._buildParameters(account, data, context, ACTION_INSERT)
+  }
+
+  buildUpdateParameters(sapKey, data, context = {}) {
+    const parameters = this._buildParameters(sapKey, data, context, ACTION_UPDATE)
+
+    if (Object.keys(parameters.ACCOUNT_COA.DATA).length === 0 && !parameters.ACCOUNT_NAMES && !parameters.ACCOUNT_CCODES) {
+      throw new Error(`G/L account update for ${sapKey} contains no fields to change`)
+    }
+
+    return parameters
+  }
+
+  buildReadParameters(sapKey, context = {}) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+
+    return this.compact({
+      COMPANYCODE: data.companyCode || (context.sapRecord && context.sapRecord.companyCode),
+      GLACCT: this.padNumber(sapKey, 10),
+      LANGUAGE: context.sapRecord && context.sapRecord.language
+    })
+  }
+
+  /**
+   * Add the account number, which GL_ACCT_MASTER_SAVE does not return
+   * @param {Object} result - GL_ACCT_MASTER_SAVE result
+   * @param {Object} data - Account data
+   * @param {Object} _context - Builder context
+   * @returns {Object} Result with GLACCOUNT
+   */
+  completeCreate(result, data, _context) {
+    return { ...result, GLACCOUNT: this.padNumber(data.id || data.glAccount, 10) }
+  }
+
+  // Private helper methods
+
+  /**
+   * Build the chart of accounts, name and company code segments for one action
+   * @param {string} sapKey - G/L account
+   * @param {Object} data - Account data
+   * @param {Object} context - Builder context
+   * @param {string} action - I (insert) or U (update)
+   * @returns {Object} GL_ACCT_MASTER_SAVE parameters
+   * @private
+   */
+  _buildParameters(sapKey, data, context, action) {
+    if (!sapKey) {
+      throw new Error('G/L account requires an account number (id)')
+    }
+
+    const account = this.padNumber(sapKey, 10)
+    const chartOfAccounts = data.chartOfAccounts || this.definition.chartOfAccounts
+    const deleted = data.DELETION_FLAG === 'X' || undefined
+
+    if (!chartOfAccounts) {
+      throw new Error('G/L account requires a chart of accounts (chartOfAccounts in the event or the entity mapping)')
+    }
+
+    const parameters = {
+      ACCOUNT_COA: {
+        KEYY: { KTOPL: chartOfAccounts, SAKNR: account },
+        DATA: this._withFlags(this.compact({
+          KTOKS: data.accountGroup,
+          GVTYP: data.plStatementType,
+          ...this.mapFields(data)
+        }), { XBILK: data.balanceSheet, XLOEV: deleted, XSPEB: deleted }),
+        ACTION: action
+      },
+      TESTMODE: context.options && context.options.testRun ? 'X' : ''
+    }
+
+    // On update, names and company code segments are only sent when they change
+    const texts = this.compact({ TXT20: data.shortText || data.name, TXT50: data.longText || data.description })
+    if (action === ACTION_INSERT || Object.keys(texts).length > 0) {
+      parameters.ACCOUNT_NAMES = [{
+        KEYY: { KTOPL: chartOfAccounts, SAKNR: account, SPRAS: (context.sapRecord && context.sapRecord.language) || 'EN' },
+        DATA: texts,
+        ACTION: action
+      }]
+    }
+
+    const companyCodeData = this._withFlags(this.compact({
+      WAERS: data.currency,
+      MWSKZ: data.taxCategory,
+      FSTAG: data.fieldStatusGroup,
+      ZUAWA: data.sortKey,
+      MITKZ: data.reconciliationType
+    }), {
+      XOPVW: data.openItems,
+      XKRES: data.lineItems,
+      XSALH: data.localCurrencyOnly,
+      XLOEB: deleted,
+      XSPEB: deleted
+    })
+
+    if (action === ACTION_INSERT || Object.keys(companyCodeData).length > 0) {
+      const companyCodes = [].concat(data.companyCodes || data.companyCode || (context.sapRecord ? context.sapRecord.companyCode : []))
+      parameters.ACCOUNT_CCODES = companyCodes.map(companyCode => ({
+        KEYY: { BUKRS: companyCode, SAKNR: account },
+        DATA: companyCodeData,
+        ACTION: action
+      }))
+    }
+
+    return parameters
+  }
+
+  /**
+   * Add indicator fields that were given; false clears the indicator
+   * @param {Object} structure - Segment data
+   * @param {Object} flags - SAP field -> boolean
+   * @returns {Object} Segment data with indicators
+   * @private
+   */
+  _withFlags(structure, flags) {
+    Object.entries(flags).forEach(([field, value]) => {
+      if (value !== undefined && value !== null) {
+        structure[field] = value ? 'X' : ''
+      }
+    })
+    return structure
+  }
+}
+
+module.exports = { GLAccountParameterBuilder }
@@ -0,0 +1,51 @@
+/**
+ * Generic Parameter Builder
+ * Config-only builder for entities without a dedicated builder module
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+class GenericParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, _context) {
+    return this._wrapFields(this.mapFields(data))
+  }
+
+  buildUpdateParameters(sapKey, data, _context) {
+    return {
+      [this._keyParameter()]: sapKey,
+      ...this._wrapFields(this.mapFields(data))
+    }
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return {
+      [this._keyParameter()]: sapKey
+    }
+  }
+
+  buildSearchParameters(criteria, _context) {
+    return this._wrapFields(this.mapFields(criteria))
+  }
+
+  /**
+   * Nest fields under the configured import structure, or pass them as flat parameters
+   * @param {Object} fields - SAP fields
+   * @returns {Object} BAPI parameters
+   * @private
+   */
+  _wrapFields(fields) {
+    const structure = this.definition.importStructure
+    return structure ? { [structure]: fields } : fields
+  }
+
+  /**
+   * Import parameter carrying the record key
+   * @returns {string} Parameter name
+   * @private
+   */
+  _keyParameter() {
+    return this.definition.keyParameter || this.definition.keyField
+  }
+}
+
+module.exports = { GenericParameterBuilder }
@@ -0,0 +1,234 @@
+/**
+ * Goods Movement Parameter Builder
+ * Builds BAPI_GOODSMVT_CREATE / BAPI_GOODSMVT_CANCEL / BAPI_GOODSMVT_GETDETAIL parameters
+ *
+ * Material documents are keyed by number and year ("4900000123/2026"). The movement type
+ * comes from the event (movementType) or the entity definition; the GM code is derived
+ * from the movement type through definition.gmCodes.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// Movement type -> GM code (01 GR for PO, 02 GR for order, 03 goods issue, 04 transfer posting, 05 other receipts)
+const DEFAULT_GM_CODES = {
+  101: '01',
+  102: '01',
+  122: '01',
+  201: '03',
+  202: '03',
+  221: '03',
+  261: '03',
+  551: '03',
+  301: '04',
+  309: '04',
+  311: '04',
+  312: '04',
+  501: '05',
+  561: '05'
+}
+
+// Movement indicators: B = goods movement for purchase order, F = for production order
+const MOVEMENT_INDICATOR_PO = 'B'
+const MOVEMENT_INDICATOR_ORDER = 'F'
+
+class GoodsMovementParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const items = this._getItems(data)
+
+    if (items.length === 0) {
+      throw new Error('Goods movement requires at least one item')
+    }
+
+    const defaultMovementType = String(data.movementType || this.definition.movementType || '')
+    const plant = data.plant || (context.sapRecord && context.sapRecord.plant)
+
+    const goodsMovementItems = items.map(item => this._buildItem(item, data, {
+      movementType: String(item.movementType || defaultMovementType),
+      plant
+    }))
+
+    return {
+      GOODSMVT_HEADER: this.compact({
+        PSTNG_DATE: this.formatDate(data.postingDate || new Date()),
+        DOC_DATE: this.formatDate(data.documentDate || data.postingDate || new Date()),
+        REF_DOC_NO: data.reference || data.deliveryNote,
+        BILL_OF_LADING: data.billOfLading,
+        HEADER_TXT: data.headerText || data.text
+      }),
+      GOODSMVT_CODE: {
+        GM_CODE: this._getGMCode(goodsMovementItems, data)
+      },
+      GOODSMVT_ITEM: goodsMovementItems,
+      TESTRUN: context.options && context.options.testRun ? 'X' : ''
+    }
+  }
+
+  buildReadParameters(sapKey, context = {}) {
+    const document = this._parseDocumentKey(sapKey, context)
+
+    return {
+      MATERIALDOCUMENT: document.number,
+      MATDOCUMENTYEAR: document.year
+    }
+  }
+
+  buildExistsCriteria(sapKey, context = {}) {
+    const document = this._parseDocumentKey(sapKey, context)
+
+    return {
+      MBLNR: document.number,
+      MJAHR: document.year
+    }
+  }
+
+  buildDeleteParameters(sapKey, context = {}) {
+    const document = this._parseDocumentKey(sapKey, context)
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+
+    return this.compact({
+      MATERIALDOCUMENT: document.number,
+      MATDOCUMENTYEAR: document.year,
+      GOODSMVT_PSTNG_DATE: this.formatDate(data.reversalDate || data.postingDate)
+    })
+  }
+
+  // Private helper methods
+
+  /**
+   * Get the movement items; a payload without items is a single item
+   * @param {Object} data - Goods movement data
+   * @returns {Array<Object>} Items
+   * @private
+   */
+  _getItems(data) {
+    if (data.items && data.items.length > 0) {
+      return data.items
+    }
+
+    return data.material || data.materialId || data.purchaseOrder ? [data] : []
+  }
+
+  /**
+   * Build one GOODSMVT_ITEM entry
+   * @param {Object} item - Bridge item
+   * @param {Object} data - Goods movement data (header defaults such as purchaseOrder)
+   * @param {Object} defaults - movementType, plant
+   * @returns {Object} Goods movement item
+   * @private
+   */
+  _buildItem(item, data, defaults) {
+    const movementType = defaults.movementType
+    const purchaseOrder = item.purchaseOrder || data.purchaseOrder
+    const orderId = item.orderId || data.orderId
+
+    if (!movementType) {
+      throw new Error('Goods movement requires a movement type')
+    }
+
+    if (!item.quantity) {
+      throw new Error(`Goods movement item requires a quantity (movement type ${movementType})`)
+    }
+
+    if (!item.material && !item.materialId && !purchaseOrder) {
+      throw new Error(`Goods movement item requires a material or purchase order (movement type ${movementType})`)
+    }
+
+    if (this._getGMCodeFor(movementType) === '04' && !item.toStorageLocation && !item.toPlant && !item.toMaterial && !item.toBatch) {
+      throw new Error(`Transfer posting ${movementType} requires a receiving storage location, plant, material or batch`)
+    }
+
+    if (movementType === '201' && !item.costCenter && !data.costCenter) {
+      throw new Error('Goods issue to cost center (201) requires a cost center')
+    }
+
+    const material = item.material || item.materialId
+
+    return this.compact({
+      MATERIAL: material ? this.padMaterial(material) : undefined,
+      PLANT: item.plant || defaults.plant,
+      STGE_LOC: item.storageLocation || data.storageLocation,
+      BATCH: item.batch,
+      MOVE_TYPE: movementType,
+      SPEC_STOCK: item.specialStock,
+      VENDOR: item.vendor ? this.padNumber(item.vendor, 10) : undefined,
+      ENTRY_QNT: item.quantity,
+      ENTRY_UOM: item.unit,
+      PO_NUMBER: purchaseOrder ? this.padNumber(purchaseOrder, 10) : undefined,
+      PO_ITEM: purchaseOrder && item.purchaseOrderItem ? this.padNumber(item.purchaseOrderItem, 5) : undefined,
+      ORDERID: orderId ? this.padNumber(orderId, 12) : undefined,
+      MVT_IND: purchaseOrder ? MOVEMENT_INDICATOR_PO : (orderId && movementType === '101' ? MOVEMENT_INDICATOR_ORDER : undefined),
+      NO_MORE_GR: item.finalDelivery ? 'X' : undefined,
+      COSTCENTER: item.costCenter || data.costCenter ? this.padNumber(item.costCenter || data.costCenter, 10) : undefined,
+      GL_ACCOUNT: item.glAccount ? this.padNumber(item.glAccount, 10) : undefined,
+      MOVE_REAS: item.reason,
+      MOVE_MAT: item.toMaterial ? this.padMaterial(item.toMaterial) : undefined,
+      MOVE_PLANT: item.toPlant,
+      MOVE_STLOC: item.toStorageLocation,
+      MOVE_BATCH: item.toBatch,
+      ITEM_TEXT: item.text
+    })
+  }
+
+  /**
+   * Get the GM code of the document; every item must share it
+   * @param {Array<Object>} items - Goods movement items
+   * @param {Object} data - Goods movement data (gmCode overrides the derived code)
+   * @returns {string} GM code
+   * @private
+   */
+  _getGMCode(items, data) {
+    if (data.gmCode) {
+      return data.gmCode
+    }
+
+    const codes = new Set()
+    items.forEach(item => {
+      // Receipts for production orders have their own GM code
+      const code = item.MVT_IND === MOVEMENT_INDICATOR_ORDER ? '02' : this._getGMCodeFor(item.MOVE_TYPE)
+      if (!code) {
+        throw new Error(`No GM code configured for movement type ${item.MOVE_TYPE}`)
+      }
+      codes.add(code)
+    })
+
+    if (codes.size > 1) {
+      throw new Error(`Goods movement items need different GM codes (${[...codes].join(', ')}); post them separately`)
+    }
+
+    return [...codes][0]
+  }
+
+  /**
+   * Look up the GM code of a movement type (definition.gmCodes overrides the defaults)
+   * @param {string} movementType - Movement type
+   * @returns {string|undefined} GM code
+   * @private
+   */
+  _getGMCodeFor(movementType) {
+    return { ...DEFAULT_GM_CODES, ...(this.definition.gmCodes || {}) }[movementType]
+  }
+
+  /**
+   * Split a material document key ("number/year"); the year may also come from the event data
+   * @param {string} sapKey - Material document key
+   * @param {Object} context - Builder context
+   * @returns {Object} number, year
+   * @private
+   */
+  _parseDocumentKey(sapKey, context) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+    const [number, year] = String(data.materialDocument || sapKey).split('/')
+    const documentYear = year || data.documentYear || data.year
+
+    if (!documentYear) {
+      throw new Error(`Material document ${number} requires a year (number/year or documentYear)`)
+    }
+
+    return {
+      number: this.padNumber(number, 10),
+      year: String(documentYear)
+    }
+  }
+}
+
+module.exports = { GoodsMovementParameterBuilder }
@@ -0,0 +1,188 @@
+/**
+ * Incoming Invoice Parameter Builder
+ * Builds BAPI_INCOMINGINVOICE_CREATE / BAPI_INCOMINGINVOICE_CANCEL / BAPI_INCOMINGINVOICE_GETDETAIL parameters
+ *
+ * Vendor invoices reference purchase order items (logistics invoice verification) and are keyed
+ * by invoice document number and fiscal year ("5105600001/2026").
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// RBKP-RBSTAT invoice document status -> Bridge status
+const INVOICE_STATUS = {
+  1: 'saved',
+  2: 'deleted',
+  5: 'posted',
+  A: 'parked',
+  B: 'parkedComplete',
+  C: 'parkedReleased',
+  D: 'held',
+  E: 'parkedApproved'
+}
+
+// Reversal reason used when the event does not give one (01 = reversal in current period)
+const DEFAULT_REVERSAL_REASON = '01'
+
+class IncomingInvoiceParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const items = data.items || []
+
+    if (items.length === 0) {
+      throw new Error('Incoming invoice requires at least one purchase order item')
+    }
+
+    const companyCode = data.companyCode || (context.sapRecord && context.sapRecord.companyCode)
+    const grossAmount = data.grossAmount !== undefined ? data.grossAmount : data.amount
+
+    if (grossAmount === undefined || !data.currency) {
+      throw new Error('Incoming invoice requires a gross amount and a currency')
+    }
+
+    return {
+      HEADERDATA: this.compact({
+        // Credit memos are posted with an empty invoice indicator
+        INVOICE_IND: data.creditMemo ? '' : 'X',
+        DOC_TYPE: data.documentType || this.definition.documentType,
+        DOC_DATE: this.formatDate(data.invoiceDate || data.documentDate || new Date()),
+        PSTNG_DATE: this.formatDate(data.postingDate || new Date()),
+        REF_DOC_NO: data.reference || data.vendorInvoiceNumber,
+        COMP_CODE: companyCode,
+        // The vendor comes from the purchase order; DIFF_INV only names a different invoicing party
+        DIFF_INV: data.invoicingParty ? this.padNumber(data.invoicingParty, 10) : undefined,
+        CURRENCY: data.currency,
+        GROSS_AMOUNT: grossAmount,
+        CALC_TAX_IND: data.calculateTax === false ? '' : 'X',
+        PMNTTRMS: data.paymentTerms,
+        HEADER_TXT: data.headerText || data.text
+      }),
+      ITEMDATA: items.map((item, index) => this._buildItem(item, index, data))
+    }
+  }
+
+  buildReadParameters(sapKey, context = {}) {
+    const document = this._parseDocumentKey(sapKey, context)
+
+    return {
+      INVOICEDOCNUMBER: document.number,
+      FISCALYEAR: document.year
+    }
+  }
+
+  buildExistsCriteria(sapKey, context = {}) {
+    const document = this._parseDocumentKey(sapKey, context)
+
+    return {
+      BELNR: document.number,
+      GJAHR: document.year
+    }
+  }
+
+  buildDeleteParameters(sapKey, context = {}) {
+    const document = this._parseDocumentKey(sapKey, context)
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+
+    return this.compact({
+      INVOICEDOCNUMBER: document.number,
+      FISCALYEAR: document.year,
+      REASONREVERSAL: data.reversalReason || DEFAULT_REVERSAL_REASON,
+      POSTINGDATE: this.formatDate(data.reversalDate)
+    })
+  }
+
+  /**
+   * Read the invoice document with its status and reversal document (RBKP)
+   * @param {string} sapKey - Invoice document key
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} BAPI_INCOMINGINVOICE_GETDETAIL result with INVOICEDOCNUMBER, FISCALYEAR and STATUS
+   */
+  async executeRead(sapKey, context = {}) {
+    const service = context.sapService
+    const parameters = this.buildReadParameters(sapKey, context)
+    const detail = await service.executeBAPI(this.definition.bapiRead, parameters, { ...context.options, commitWork: false })
+
+    const query = RFCTableQuery.fromCriteria(this.definition.table || 'RBKP', {
+      BELNR: parameters.INVOICEDOCNUMBER,
+      GJAHR: parameters.FISCALYEAR
+    }).select(['BELNR', 'GJAHR', 'RBSTAT', 'STBLG', 'STJAH'])
+
+    const [header] = await service.readTable(query, { ...context.options, convertFields: false })
+
+    if (!header) {
+      return detail
+    }
+
+    return {
+      ...detail,
+      ...parameters,
+      STATUS: {
+        document: INVOICE_STATUS[header.RBSTAT] || header.RBSTAT,
+        reversed: Boolean(header.STBLG),
+        reversalDocument: header.STBLG ? `${header.STBLG}/${header.STJAH}` : null
+      }
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Build one ITEMDATA entry referencing a purchase order item
+   * @param {Object} item - Bridge item
+   * @param {number} index - Item index
+   * @param {Object} data - Invoice data (header defaults such as purchaseOrder and taxCode)
+   * @returns {Object} Invoice item
+   * @private
+   */
+  _buildItem(item, index, data) {
+    const purchaseOrder = item.purchaseOrder || data.purchaseOrder
+
+    if (!purchaseOrder || !item.purchaseOrderItem) {
+      throw new Error(`Incoming invoice item ${index + 1} requires a purchase order and purchase order item`)
+    }
+
+    if (item.amount === undefined) {
+      throw new Error(`Incoming invoice item ${index + 1} requires an amount`)
+    }
+
+    // Goods-receipt-based invoice verification references the material document
+    const [referenceDocument, referenceYear] = item.goodsReceipt ? String(item.goodsReceipt).split('/') : []
+
+    return this.compact({
+      INVOICE_DOC_ITEM: String(index + 1).padStart(6, '0'),
+      PO_NUMBER: this.padNumber(purchaseOrder, 10),
+      PO_ITEM: this.padNumber(item.purchaseOrderItem, 5),
+      REF_DOC: referenceDocument ? this.padNumber(referenceDocument, 10) : undefined,
+      REF_DOC_YEAR: referenceYear,
+      REF_DOC_IT: referenceDocument && item.goodsReceiptItem ? this.padNumber(item.goodsReceiptItem, 4) : undefined,
+      TAX_CODE: item.taxCode || data.taxCode,
+      ITEM_AMOUNT: item.amount,
+      QUANTITY: item.quantity,
+      PO_UNIT: item.unit,
+      ITEM_TEXT: item.text
+    })
+  }
+
+  /**
+   * Split an invoice document key ("number/year"); the year may also come from the event data
+   * @param {string} sapKey - Invoice document key
+   * @param {Object} context - Builder context
+   * @returns {Object} number, year
+   * @private
+   */
+  _parseDocumentKey(sapKey, context) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+    const [number, year] = String(data.invoiceDocument || sapKey).split('/')
+    const fiscalYear = year || data.fiscalYear
+
+    if (!fiscalYear) {
+      throw new Error(`Invoice document ${number} requires a fiscal year (number/year or fiscalYear)`)
+    }
+
+    return {
+      number: this.padNumber(number, 10),
+      year: String(fiscalYear)
+    }
+  }
+}
+
+module.exports = { IncomingInvoiceParameterBuilder }
@@ -0,0 +1,213 @@
+/**
+ * Inventory Parameter Builder
+ * Reads storage location stock (MARD) and ATP quantities (BAPI_MATERIAL_AVAILABILITY)
+ *
+ * Read and search take their filters from options.inventory:
+ *   plant, storageLocation, availability (ATP check, on by default for reads),
+ *   requirementDate, requirementQuantity, checkRule
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// MARD stock columns -> Bridge stock types
+const STOCK_FIELDS = {
+  LABST: 'unrestricted',
+  INSME: 'qualityInspection',
+  SPEME: 'blocked',
+  EINME: 'restricted',
+  UMLME: 'inTransfer',
+  RETME: 'returns'
+}
+
+// Checking rule for ATP checks (A = sales order)
+const DEFAULT_CHECK_RULE = 'A'
+
+class InventoryParameterBuilder extends EntityParameterBuilder {
+  buildReadParameters(sapKey, context = {}) {
+    const filter = this._getFilter(context)
+
+    return this.compact({
+      MATERIAL: this.padMaterial(sapKey),
+      PLANT: filter.plant,
+      STGE_LOC: filter.storageLocation,
+      CHECK_RULE: filter.checkRule || this.definition.checkRule || DEFAULT_CHECK_RULE
+    })
+  }
+
+  /**
+   * Read the stock of one material per plant and storage location, with ATP quantities per plant
+   * @param {string} sapKey - Material number
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} MATERIAL, STOCK and AVAILABILITY; failed ATP checks keep their messages per plant
+   */
+  async executeRead(sapKey, context = {}) {
+    const filter = this._getFilter(context)
+    const stock = await this._readStock([sapKey], filter, context)
+    const result = {
+      MATERIAL: sapKey,
+      STOCK: stock,
+      AVAILABILITY: []
+    }
+
+    if (filter.availability !== false) {
+      const plants = filter.plant ? [filter.plant] : [...new Set(stock.map(entry => entry.plant))]
+      for (const plant of plants) {
+        result.AVAILABILITY.push(await this._checkAvailability(sapKey, plant, stock, filter, context))
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Search stock by material, plant and storage location
+   * @param {Object} criteria - material (one or several), plant, storageLocation
+   * @param {Object} context - Builder context
+   * @returns {Promise<Array<Object>>} Stock entries, with ATP quantities when options.inventory.availability is set
+   */
+  async executeSearch(criteria = {}, context = {}) {
+    const filter = { ...this._getFilter(context), ...criteria }
+    const materials = filter.material === undefined ? [] : [].concat(filter.material)
+    const stock = await this._readStock(materials, filter, context)
+
+    if (!filter.availability) {
+      return stock
+    }
+
+    // One ATP check per material and plant
+    const checks = new Map()
+    for (const entry of stock) {
+      const key = `${entry.material}:${entry.plant}`
+      if (!checks.has(key)) {
+        checks.set(key, await this._checkAvailability(entry.material, entry.plant, stock, filter, context))
+      }
+      entry.availability = checks.get(key)
+    }
+
+    return stock
+  }
+
+  // Private helper methods
+
+  /**
+   * Get the inventory filter from the operation options
+   * @param {Object} context - Builder context
+   * @returns {Object} Filter
+   * @private
+   */
+  _getFilter(context) {
+    return (context.options && context.options.inventory) || {}
+  }
+
+  /**
+   * Read MARD stock with the base unit of each material (MARA)
+   * @param {Array<string>} materials - Material numbers (all when empty)
+   * @param {Object} filter - plant, storageLocation, limit, offset
+   * @param {Object} context - Builder context
+   * @returns {Promise<Array<Object>>} Stock entries
+   * @private
+   */
+  async _readStock(materials, filter, context) {
+    const service = context.sapService
+    const options = { ...context.options, convertFields: false }
+    const materialNumbers = materials.map(material => this.padMaterial(material))
+
+    const query = RFCTableQuery.fromCriteria(this.definition.table || 'MARD', this.compact({
+      MATNR: materialNumbers.length > 0 ? materialNumbers : undefined,
+      WERKS: filter.plant,
+      LGORT: filter.storageLocation
+    }))
+      .select(['MATNR', 'WERKS', 'LGORT', ...Object.keys(STOCK_FIELDS)])
+      .limit(filter.limit || (context.options && context.options.limit) || 1000)
+      .offset(filter.offset || (context.options && context.options.offset) || 0)
+
+    const rows = await service.readTable(query, options)
+    const units = await this._readBaseUnits([...new Set(rows.map(row => row.MATNR))], service, options)
+
+    // Material numbers are returned in the form the caller used
+    const requested = new Map(materialNumbers.map((number, index) => [number, String(materials[index])]))
+
+    return rows.map(row => {
+      const entry = {
+        material: requested.get(row.MATNR) || row.MATNR.replace(/^0+(?=\d)/, ''),
+        plant: row.WERKS,
+        storageLocation: row.LGORT,
+        unit: units.get(row.MATNR) || null
+      }
+
+      Object.entries(STOCK_FIELDS).forEach(([field, stockType]) => {
+        entry[stockType] = row[field] || 0
+      })
+
+      return entry
+    })
+  }
+
+  /**
+   * Read the base unit of measure of materials
+   * @param {Array<string>} materialNumbers - Internal material numbers
+   * @param {SAPRFCService} service - SAP service
+   * @param {Object} options - Call options
+   * @returns {Promise<Map<string, string>>} Base unit by material number
+   * @private
+   */
+  async _readBaseUnits(materialNumbers, service, options) {
+    if (materialNumbers.length === 0) {
+      return new Map()
+    }
+
+    const query = RFCTableQuery.fromCriteria('MARA', { MATNR: materialNumbers }).select(['MATNR', 'MEINS'])
+    const rows = await service.readTable(query, options)
+
+    return new Map(rows.map(row => [row.MATNR, row.MEINS]))
+  }
+
+  /**
+   * Run the ATP check for a material in a plant; BAPI errors are returned as messages
+   * @param {string} material - Material number
+   * @param {string} plant - Plant
+   * @param {Array<Object>} stock - Stock entries (for the base unit)
+   * @param {Object} filter - storageLocation, requirementDate, requirementQuantity, checkRule
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} plant, availableQuantity, unit, endLeadTime, confirmations, messages
+   * @private
+   */
+  async _checkAvailability(material, plant, stock, filter, context) {
+    const stockEntry = stock.find(entry => entry.material === String(material) && entry.unit)
+    const unit = filter.unit || (stockEntry && stockEntry.unit)
+
+    const parameters = {
+      ...this.buildReadParameters(material, { options: { inventory: { ...filter, plant } } }),
+      ...this.compact({ UNIT: unit })
+    }
+
+    if (filter.requirementQuantity) {
+      parameters.WMDVSX = [{
+        REQ_DATE: this.formatDate(filter.requirementDate || new Date()),
+        REQ_QTY: filter.requirementQuantity
+      }]
+    }
+
+    const result = await context.sapService.executeBAPI(this.definition.bapiRead, parameters, {
+      ...context.options,
+      commitWork: false
+    })
+    const messages = [].concat(result.RETURN || []).filter(message => message.TYPE)
+    const failed = messages.some(message => message.TYPE === 'E' || message.TYPE === 'A')
+
+    return {
+      plant,
+      availableQuantity: failed ? null : Number(result.AV_QTY_PLT) || 0,
+      unit: unit || null,
+      endLeadTime: failed ? null : this.parseDate(result.ENDLEADTME),
+      confirmations: (result.WMDVEX || []).map(line => ({
+        date: this.parseDate(line.COM_DATE),
+        quantity: Number(line.COM_QTY) || 0
+      })),
+      messages
+    }
+  }
+}
+
+module.exports = { InventoryParameterBuilder }
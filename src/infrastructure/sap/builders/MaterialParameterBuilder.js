@@ -0,0 +1,363 @@
+/**
+ * Material Parameter Builder
+ * Builds BAPI_MATERIAL_SAVEDATA / BAPI_MATERIAL_GET_DETAIL parameters
+ *
+ * The views maintained for a material come from definition.materialViews, keyed by material
+ * type (with a "default" entry). A view is only maintained when its organizational level
+ * (plant, sales organization and distribution channel, valuation area) is known.
+ * A deletion (DELETION_FLAG) flags the material for deletion at client level.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// View name -> HEADDATA view indicator
+const VIEW_FLAGS = {
+  basic: 'BASIC_VIEW',
+  sales: 'SALES_VIEW',
+  purchasing: 'PURCHASE_VIEW',
+  mrp: 'MRP_VIEW',
+  storage: 'STORAGE_VIEW',
+  accounting: 'ACCOUNT_VIEW',
+  costing: 'COST_VIEW'
+}
+
+// MATL_DESC length
+const DESCRIPTION_LENGTH = 40
+
+class MaterialParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+    const materialType = fields.MATERIAL_TYPE || 'FERT'
+
+    if (!fields.DESCRIPTION && !data.name && !data.description && !data.descriptions) {
+      throw new Error('Material requires a description (name or descriptions)')
+    }
+
+    const headData = {
+      MATERIAL: this.padMaterial(fields.MATERIAL || ''),
+      IND_SECTOR: fields.INDUSTRY_SECTOR || 'M',
+      MATL_TYPE: materialType
+    }
+
+    return this._buildMaterialData(headData, fields, data, {
+      create: true,
+      views: this._getViews(materialType)
+    }, context)
+  }
+
+  buildUpdateParameters(sapKey, data, context = {}) {
+    // Only the fields sent with the update are changed, without the record's defaults
+    const fields = { ...data, ...this.mapFields(data) }
+    const materialType = fields.MATERIAL_TYPE
+
+    const headData = this.compact({
+      MATERIAL: this.padMaterial(sapKey),
+      MATL_TYPE: materialType
+    })
+
+    // Without a material type every view is considered; only views with changes are flagged
+    const parameters = this._buildMaterialData(headData, fields, data, {
+      create: false,
+      views: materialType ? this._getViews(materialType) : Object.keys(VIEW_FLAGS)
+    }, context)
+
+    if (!Object.values(VIEW_FLAGS).some(flag => parameters.HEADDATA[flag])) {
+      throw new Error(`Material update for ${sapKey} contains no fields to change`)
+    }
+
+    return parameters
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return { MATERIAL: this.padMaterial(sapKey) }
+  }
+
+  // Private helper methods
+
+  /**
+   * Get the views to maintain for a material type
+   * @param {string} materialType - Material type (MTART)
+   * @returns {Array<string>} View names
+   * @private
+   */
+  _getViews(materialType) {
+    const materialViews = this.definition.materialViews || {}
+    const views = materialViews[materialType] || materialViews.default || ['basic']
+
+    views.forEach(view => {
+      if (!VIEW_FLAGS[view]) {
+        throw new Error(`Unknown material view ${view} for material type ${materialType}`)
+      }
+    })
+
+    return views
+  }
+
+  /**
+   * Build the SAVEDATA parameters for the given views
+   * @param {Object} headData - HEADDATA without view indicators
+   * @param {Object} fields - SAP fields (SAPRecord mapping on create)
+   * @param {Object} data - Material data
+   * @param {Object} mode - create (true on create), views (view names)
+   * @param {Object} context - Builder context
+   * @returns {Object} BAPI parameters
+   * @private
+   */
+  _buildMaterialData(headData, fields, data, mode, context) {
+    const parameters = {
+      HEADDATA: headData,
+      MATERIALDESCRIPTION: this._buildDescriptions(fields, data, context)
+    }
+    const orgLevels = this._getOrgLevels(data, context)
+
+    mode.views.forEach(view => {
+      if (this._addView(parameters, view, fields, data, orgLevels, mode)) {
+        parameters.HEADDATA[VIEW_FLAGS[view]] = 'X'
+      }
+    })
+
+    return parameters
+  }
+
+  /**
+   * Get the organizational levels of the material data
+   * @param {Object} data - Material data
+   * @param {Object} context - Builder context
+   * @returns {Object} plant, storageLocation, salesOrg, distributionChannel, valuationArea, valuationType
+   * @private
+   */
+  _getOrgLevels(data, context) {
+    const plantData = data.plantData || {}
+    const salesData = data.salesData || {}
+    const valuationData = data.valuationData || {}
+    const plant = plantData.plant || data.plant || (context.sapRecord && context.sapRecord.plant)
+
+    return {
+      plant,
+      storageLocation: plantData.storageLocation || data.storageLocation,
+      salesOrg: salesData.salesOrg || data.salesOrg,
+      distributionChannel: salesData.distributionChannel || data.distributionChannel,
+      valuationArea: valuationData.valuationArea || data.valuationArea || plant,
+      valuationType: valuationData.valuationType || data.valuationType || ''
+    }
+  }
+
+  /**
+   * Add the data of one view to the parameters
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} view - View name
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Material data
+   * @param {Object} orgLevels - Organizational levels
+   * @param {Object} mode - create (true on create)
+   * @returns {boolean} True when the view is maintained
+   * @private
+   */
+  _addView(parameters, view, fields, data, orgLevels, mode) {
+    const plantData = { ...data, ...(data.plantData || {}) }
+    const salesData = { ...data, ...(data.salesData || {}) }
+    const valuationData = { ...data, ...(data.valuationData || {}) }
+    const plantKey = { PLANT: orgLevels.plant }
+    const valuationKey = { VAL_AREA: orgLevels.valuationArea, VAL_TYPE: orgLevels.valuationType }
+
+    switch (view) {
+      case 'basic': {
+        const netWeight = fields.NET_WEIGHT || undefined
+        const grossWeight = fields.GROSS_WEIGHT || data.grossWeight || undefined
+
+        return this._addSegment(parameters, 'CLIENTDATA', {}, {
+          MATL_GROUP: fields.MATERIAL_GROUP || data.materialGroup,
+          BASE_UOM: fields.BASE_UOM || fields.BASE_UNIT || data.baseUnit || (mode.create ? 'EA' : undefined),
+          OLD_MAT_NO: data.oldMaterialNumber,
+          DIVISION: fields.DIVISION || data.division,
+          PROD_HIER: data.productHierarchy,
+          SIZE_DIM: data.dimensions,
+          NET_WEIGHT: netWeight,
+          GROSS_WT: grossWeight,
+          UNIT_OF_WT: netWeight || grossWeight ? fields.WEIGHT_UNIT || data.weightUnit || 'KG' : undefined,
+          DEL_FLAG: data.DELETION_FLAG
+        }, mode) || parameters.MATERIALDESCRIPTION.length > 0
+      }
+
+      case 'sales': {
+        if (!orgLevels.salesOrg || !orgLevels.distributionChannel) {
+          return false
+        }
+
+        const salesKey = { SALES_ORG: orgLevels.salesOrg, DISTR_CHAN: orgLevels.distributionChannel }
+        const taxClassifications = this._buildTaxClassifications(salesData)
+        if (taxClassifications.length > 0) {
+          parameters.TAXCLASSIFICATIONS = taxClassifications
+        }
+
+        const clientChanged = this._addSegment(parameters, 'CLIENTDATA', {}, { TRANS_GRP: salesData.transportationGroup }, mode)
+        const plantChanged = Boolean(orgLevels.plant) && this._addSegment(parameters, 'PLANTDATA', plantKey, {
+          AVAILCHECK: plantData.availabilityCheck,
+          LOADINGGRP: plantData.loadingGroup,
+          PROFIT_CTR: plantData.profitCenter ? this.padNumber(plantData.profitCenter, 10) : undefined
+        }, mode)
+        const salesChanged = this._addSegment(parameters, 'SALESDATA', salesKey, {
+          DELYG_PLNT: salesData.deliveringPlant || (mode.create ? orgLevels.plant : undefined),
+          ITEM_CAT: salesData.itemCategoryGroup,
+          MIN_ORDER: salesData.minimumOrderQuantity,
+          SALES_UNIT: salesData.salesUnit,
+          ACCT_ASSGT: salesData.accountAssignmentGroup,
+          MATL_GRP_1: salesData.materialGroup1
+        }, mode)
+
+        return salesChanged || clientChanged || plantChanged || taxClassifications.length > 0
+      }
+
+      case 'purchasing': {
+        if (!orgLevels.plant) {
+          return false
+        }
+
+        const clientChanged = this._addSegment(parameters, 'CLIENTDATA', {}, {
+          PO_UNIT: data.purchaseUnit,
+          PUR_VALKEY: data.purchasingValueKey
+        }, mode)
+        const plantChanged = this._addSegment(parameters, 'PLANTDATA', plantKey, {
+          PUR_GROUP: plantData.purchasingGroup,
+          GR_PR_TIME: plantData.goodsReceiptDays
+        }, mode)
+
+        return clientChanged || plantChanged
+      }
+
+      case 'mrp':
+        if (!orgLevels.plant) {
+          return false
+        }
+
+        return this._addSegment(parameters, 'PLANTDATA', plantKey, {
+          MRP_TYPE: plantData.mrpType,
+          MRP_CTRLER: plantData.mrpController,
+          LOTSIZEKEY: plantData.lotSize,
+          PROC_TYPE: plantData.procurementType,
+          PLND_DELRY: plantData.plannedDeliveryDays,
+          REORDER_PT: plantData.reorderPoint,
+          SAFETY_STK: plantData.safetyStock
+        }, mode)
+
+      case 'storage':
+        if (!orgLevels.plant) {
+          return false
+        }
+
+        if (!orgLevels.storageLocation) {
+          return mode.create
+        }
+
+        return this._addSegment(parameters, 'STORAGELOCATIONDATA', {
+          PLANT: orgLevels.plant,
+          STGE_LOC: orgLevels.storageLocation
+        }, {
+          STGE_BIN: plantData.storageBin
+        }, mode)
+
+      case 'accounting':
+        if (!orgLevels.valuationArea) {
+          return false
+        }
+
+        return this._addSegment(parameters, 'VALUATIONDATA', valuationKey, {
+          VAL_CLASS: valuationData.valuationClass,
+          PRICE_CTRL: valuationData.priceControl,
+          STD_PRICE: valuationData.standardPrice,
+          MOVING_PR: valuationData.movingPrice,
+          PRICE_UNIT: valuationData.priceUnit
+        }, mode)
+
+      case 'costing': {
+        if (!orgLevels.plant) {
+          return false
+        }
+
+        const plantChanged = this._addSegment(parameters, 'PLANTDATA', plantKey, {
+          PROFIT_CTR: plantData.profitCenter ? this.padNumber(plantData.profitCenter, 10) : undefined,
+          LOT_SIZE: plantData.costingLotSize
+        }, mode)
+        const valuationChanged = this._addSegment(parameters, 'VALUATIONDATA', valuationKey, {
+          QTY_STRUCT: valuationData.withQuantityStructure ? 'X' : undefined
+        }, mode)
+
+        return plantChanged || valuationChanged
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Merge fields into a data structure and its X-structure; key fields are repeated in the X-structure
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} name - Structure name (CLIENTDATA, PLANTDATA, ...)
+   * @param {Object} keys - Key fields of the organizational level
+   * @param {Object} values - Fields to maintain
+   * @param {Object} mode - create (true on create)
+   * @returns {boolean} True on create or when fields were given
+   * @private
+   */
+  _addSegment(parameters, name, keys, values, mode) {
+    const segmentFields = this.compact(values)
+    const hasFields = Object.keys(segmentFields).length > 0
+
+    // On update a segment is only sent when it changes
+    if (!mode.create && !hasFields) {
+      return false
+    }
+
+    parameters[name] = { ...keys, ...(parameters[name] || {}), ...segmentFields }
+    parameters[`${name}X`] = { ...keys, ...(parameters[`${name}X`] || {}), ...this.buildUpdateFlags(segmentFields) }
+
+    return true
+  }
+
+  /**
+   * Build MATERIALDESCRIPTION from descriptions (array of { language, text } or language -> text)
+   * and the description in the record language
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Material data
+   * @param {Object} context - Builder context
+   * @returns {Array<Object>} Material descriptions
+   * @private
+   */
+  _buildDescriptions(fields, data, context) {
+    const descriptions = Array.isArray(data.descriptions)
+      ? [...data.descriptions]
+      : Object.entries(data.descriptions || {}).map(([language, text]) => ({ language, text }))
+
+    const description = fields.DESCRIPTION || data.name || data.description
+    const language = (context.sapRecord && context.sapRecord.language) || 'EN'
+    const languages = descriptions.map(entry => entry.language.toUpperCase())
+
+    if (description && !languages.includes(language.toUpperCase())) {
+      descriptions.push({ language, text: description })
+    }
+
+    return descriptions
+      .filter(entry => entry.text)
+      .map(entry => ({
+        // Two-letter codes are ISO languages, one-letter codes are SAP languages
+        ...(entry.language.length === 2 ? { LANGU_ISO: entry.language.toUpperCase() } : { LANGU: entry.language }),
+        MATL_DESC: String(entry.text).substring(0, DESCRIPTION_LENGTH)
+      }))
+  }
+
+  /**
+   * Build TAXCLASSIFICATIONS from taxClassifications ({ country, taxType, taxClass })
+   * @param {Object} salesData - Sales data
+   * @returns {Array<Object>} Tax classifications
+   * @private
+   */
+  _buildTaxClassifications(salesData) {
+    return (salesData.taxClassifications || []).map(classification => ({
+      DEPCOUNTRY: classification.country,
+      TAX_TYPE_1: classification.taxType || 'MWST',
+      TAXCLASS_1: classification.taxClass
+    }))
+  }
+}
+
+module.exports = { MaterialParameterBuilder }
@@ -0,0 +1,194 @@
+/**
+ * Plant Parameter Builder
+ * Reads plants (T001W) with their address (ADRC) and storage locations (T001L)
+ *
+ * Plants are maintained in customizing and cannot be created over RFC. Store Create / Update
+ * events are checked against the existing plant instead: fields that differ from SAP are
+ * reported as drift (warnings), and only a plant that does not exist fails the event.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// T001W columns read for every plant
+const PLANT_FIELDS = ['WERKS', 'NAME1', 'NAME2', 'STRAS', 'PFACH', 'PSTLZ', 'ORT01', 'LAND1', 'REGIO', 'ADRNR', 'BWKEY', 'EKORG', 'VKORG', 'VTWEG', 'SPART', 'FABKL', 'VLFKZ']
+
+// ADRC columns read for the plant address; fieldMappings may name these as well
+const ADDRESS_FIELDS = ['ADDRNUMBER', 'DATE_FROM', 'DATE_TO', 'NAME1', 'NAME2', 'STREET', 'HOUSE_NUM1', 'POST_CODE1', 'CITY1', 'COUNTRY', 'REGION', 'TEL_NUMBER', 'FAX_NUMBER', 'TIME_ZONE', 'LANGU']
+
+class PlantParameterBuilder extends EntityParameterBuilder {
+  buildReadParameters(sapKey, _context) {
+    return {
+      WERKS: this._getPlant(sapKey)
+    }
+  }
+
+  /**
+   * Read the plant with its address and storage locations
+   * @param {string} sapKey - Plant
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} PLANT, STORE (Bridge fields through fieldMappings), PLANTDATA, ADDRESS, STORAGELOCATIONS
+   */
+  async executeRead(sapKey, context = {}) {
+    const plant = await this._readPlant(this._getPlant(sapKey), context)
+
+    if (!plant) {
+      throw new Error(`Plant ${this._getPlant(sapKey)} does not exist in SAP`)
+    }
+
+    return plant
+  }
+
+  /**
+   * Check a Store from Bridge against the existing plant; nothing is written to SAP
+   * @param {string} sapKey - Plant (the event's id when empty)
+   * @param {Object} data - Store data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} The plant as read, with DRIFT and one warning in RETURN per drifted field
+   */
+  async executeCheck(sapKey, data = {}, context = {}) {
+    const werks = this._getPlant(sapKey || data.id)
+    const plant = await this._readPlant(werks, context)
+
+    if (!plant) {
+      throw new Error(`Plant ${werks} does not exist in SAP; plants are maintained in customizing and cannot be created from Bridge`)
+    }
+
+    const record = this._combine(plant.PLANTDATA, plant.ADDRESS)
+    const drift = []
+
+    Object.entries(this.definition.fieldMappings || {}).forEach(([field, sapField]) => {
+      if (data[field] === undefined || data[field] === null) {
+        return
+      }
+
+      const bridgeValue = String(data[field]).trim()
+      const sapValue = record[sapField] === undefined ? null : String(record[sapField]).trim()
+
+      if (bridgeValue !== sapValue) {
+        drift.push({ field, sapField, bridgeValue, sapValue })
+      }
+    })
+
+    // Storage locations the store uses must exist in the plant
+    const storageLocations = new Set(plant.STORAGELOCATIONS.map(location => location.LGORT))
+    for (const location of [].concat(data.storageLocations || [])) {
+      const storageLocation = typeof location === 'object' ? location.storageLocation || location.id : location
+      if (!storageLocations.has(String(storageLocation))) {
+        drift.push({ field: 'storageLocations', sapField: 'LGORT', bridgeValue: String(storageLocation), sapValue: null })
+      }
+    }
+
+    return {
+      ...plant,
+      DRIFT: drift,
+      RETURN: drift.map(entry => ({
+        TYPE: 'W',
+        MESSAGE: entry.sapField === 'LGORT'
+          ? `Storage location ${entry.bridgeValue} does not exist in plant ${werks}`
+          : `Store field ${entry.field} differs from plant ${werks} (${entry.sapField}): '${entry.bridgeValue}' in Bridge, '${entry.sapValue === null ? '' : entry.sapValue}' in SAP`
+      }))
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Read T001W, the current ADRC address and T001L for one plant
+   * @param {string} werks - Plant
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object|null>} Plant, or null when it does not exist
+   * @private
+   */
+  async _readPlant(werks, context) {
+    const service = context.sapService
+    const options = { ...context.options, convertFields: false }
+    const mappedFields = Object.values(this.definition.fieldMappings || {})
+
+    const plantQuery = RFCTableQuery.fromCriteria(this.definition.table || 'T001W', { WERKS: werks })
+      .select([...new Set([...PLANT_FIELDS, ...mappedFields.filter(field => !ADDRESS_FIELDS.includes(field))])])
+    const [plantData] = await service.readTable(plantQuery, options)
+
+    if (!plantData) {
+      return null
+    }
+
+    const address = plantData.ADRNR ? await this._readAddress(plantData.ADRNR, service, options) : null
+
+    const locationQuery = RFCTableQuery.fromCriteria('T001L', { WERKS: werks }).select(['WERKS', 'LGORT', 'LGOBE'])
+    const storageLocations = await service.readTable(locationQuery, options)
+
+    const record = this._combine(plantData, address)
+    const store = {}
+    Object.entries(this.definition.fieldMappings || {}).forEach(([field, sapField]) => {
+      if (record[sapField] !== undefined) {
+        store[field] = record[sapField]
+      }
+    })
+    store.storageLocations = storageLocations.map(location => ({
+      storageLocation: location.LGORT,
+      name: location.LGOBE
+    }))
+
+    return {
+      PLANT: werks,
+      STORE: store,
+      PLANTDATA: plantData,
+      ADDRESS: address,
+      STORAGELOCATIONS: storageLocations
+    }
+  }
+
+  /**
+   * Read the address valid today (international version) from ADRC
+   * @param {string} addressNumber - ADRNR
+   * @param {SAPRFCService} service - SAP service
+   * @param {Object} options - Call options
+   * @returns {Promise<Object|null>} Address
+   * @private
+   */
+  async _readAddress(addressNumber, service, options) {
+    const query = RFCTableQuery.fromCriteria('ADRC', { ADDRNUMBER: addressNumber, NATION: '' }).select(ADDRESS_FIELDS)
+    const rows = await service.readTable(query, options)
+    const today = this.formatDate(new Date())
+
+    const current = rows
+      .filter(row => String(row.DATE_FROM) <= today)
+      .sort((a, b) => String(a.DATE_FROM).localeCompare(String(b.DATE_FROM)))
+      .pop()
+
+    return current || rows[0] || null
+  }
+
+  /**
+   * Combine address and plant columns; T001W wins for names both tables share
+   * @param {Object} plantData - T001W row
+   * @param {Object|null} address - ADRC row
+   * @returns {Object} SAP fields
+   * @private
+   */
+  _combine(plantData, address) {
+    return {
+      ...(address || {}),
+      ...plantData
+    }
+  }
+
+  /**
+   * Check the plant key
+   * @param {string} value - Plant
+   * @returns {string} Plant
+   * @private
+   */
+  _getPlant(value) {
+    const werks = String(value || '').trim().toUpperCase()
+
+    if (!werks || werks.length > 4) {
+      throw new Error(`Invalid plant: ${value} (1 to 4 characters)`)
+    }
+
+    return werks
+  }
+}
+
+module.exports = { PlantParameterBuilder }
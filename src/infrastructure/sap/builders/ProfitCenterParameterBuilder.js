@@ -0,0 +1,143 @@
+/**
+ * Profit Center Parameter Builder
+ * Builds BAPI_PROFITCENTER_CREATE / BAPI_PROFITCENTER_CHANGE / BAPI_PROFITCENTER_GETDETAIL parameters
+ *
+ * The controlling area comes from the event (controllingArea) or the entity definition;
+ * the validity period from SAPRecord.validFrom / validTo, on change from the CEPC interval
+ * valid today when no validFrom is given. Deleted profit centers are locked.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+class ProfitCenterParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const basicData = this._buildBasicData(data)
+
+    if (!basicData.PRCTR_NAME || !basicData.IN_CHARGE || !basicData.PRCTR_HIER_GRP) {
+      throw new Error('Profit center requires name, personInCharge and hierarchyArea')
+    }
+
+    const companyCodes = [].concat(data.companyCodes || data.companyCode || (context.sapRecord ? context.sapRecord.companyCode : []))
+
+    return {
+      ...this._buildHeader(data.id || data.profitCenter, data, context, this.validityPeriod(data, context)),
+      BASIC_DATA: basicData,
+      COMPANYCODEASSIGNMENT: companyCodes.map(companyCode => ({
+        COMP_CODE: companyCode,
+        ASSIGN_TO_PRCTR: 'X'
+      }))
+    }
+  }
+
+  async buildUpdateParameters(sapKey, data, context = {}) {
+    const basicData = this._buildBasicData(data)
+
+    if (Object.keys(basicData).length === 0) {
+      throw new Error(`Profit center update for ${sapKey} contains no fields to change`)
+    }
+
+    const validity = await this.currentValidityPeriod({
+      KOKRS: this._getControllingArea(data),
+      PRCTR: this.padNumber(sapKey, 10)
+    }, data, context)
+
+    return {
+      ...this._buildHeader(sapKey, data, context, validity),
+      BASIC_DATA: basicData,
+      BASIC_DATAX: this.buildUpdateFlags(basicData)
+    }
+  }
+
+  buildReadParameters(sapKey, context = {}) {
+    const data = (context.sapRecord && context.sapRecord.data) || {}
+
+    return {
+      PROFITCENTER: this.padNumber(sapKey, 10),
+      CONTROLLINGAREA: this._getControllingArea(data)
+    }
+  }
+
+  /**
+   * Add the profit center number, which BAPI_PROFITCENTER_CREATE does not return
+   * @param {Object} result - BAPI result
+   * @param {Object} data - Profit center data
+   * @param {Object} _context - Builder context
+   * @returns {Object} Result with PROFITCENTER
+   */
+  completeCreate(result, data, _context) {
+    return { ...result, PROFITCENTER: this.padNumber(data.id || data.profitCenter, 10) }
+  }
+
+  // Private helper methods
+
+  /**
+   * Build the key, validity period and test flag shared by create and change
+   * @param {string} sapKey - Profit center
+   * @param {Object} data - Profit center data
+   * @param {Object} context - Builder context
+   * @param {Object} validity - from, to
+   * @returns {Object} PROFITCENTERID, VALIDFROM, VALIDTO, TESTRUN
+   * @private
+   */
+  _buildHeader(sapKey, data, context, validity) {
+    if (!sapKey) {
+      throw new Error('Profit center requires a profit center number (id)')
+    }
+
+    return {
+      PROFITCENTERID: {
+        PROFIT_CTR: this.padNumber(sapKey, 10),
+        CO_AREA: this._getControllingArea(data)
+      },
+      VALIDFROM: validity.from,
+      VALIDTO: validity.to,
+      TESTRUN: context.options && context.options.testRun ? 'X' : ''
+    }
+  }
+
+  /**
+   * Build BASIC_DATA from the given fields
+   * @param {Object} data - Profit center data
+   * @returns {Object} Basic data
+   * @private
+   */
+  _buildBasicData(data) {
+    const basicData = this.compact({
+      PRCTR_NAME: data.name,
+      LONG_TEXT: data.description,
+      IN_CHARGE: data.personInCharge,
+      DEPARTMENT: data.department,
+      PRCTR_HIER_GRP: data.hierarchyArea,
+      SEGMENT: data.segment,
+      ...this.mapFields(data)
+    })
+
+    // Unlocking sends an empty lock indicator, which compact() would drop
+    if (data.locked !== undefined) {
+      basicData.LOCK_IND = data.locked ? 'X' : ''
+    } else if (data.DELETION_FLAG === 'X') {
+      // Profit centers are locked instead of deleted
+      basicData.LOCK_IND = 'X'
+    }
+
+    return basicData
+  }
+
+  /**
+   * Get the controlling area from the event or the entity definition
+   * @param {Object} data - Profit center data
+   * @returns {string} Controlling area
+   * @private
+   */
+  _getControllingArea(data) {
+    const controllingArea = data.controllingArea || this.definition.controllingArea
+
+    if (!controllingArea) {
+      throw new Error('Profit center requires a controlling area (controllingArea in the event or the entity mapping)')
+    }
+
+    return controllingArea
+  }
+}
+
+module.exports = { ProfitCenterParameterBuilder }
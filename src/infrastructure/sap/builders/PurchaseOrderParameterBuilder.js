@@ -0,0 +1,303 @@
+/**
+ * Purchase Order Parameter Builder
+ * Builds BAPI_PO_CREATE1 / BAPI_PO_CHANGE / BAPI_PO_GETDETAIL1 parameters
+ *
+ * A deletion (DELETION_FLAG) marks every item of the order that is not yet deleted (EKPO).
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+const { RFCTableQuery } = require('../RFCTableQuery')
+
+// Account assignment category for cost-center purchase orders
+const COST_CENTER_ASSIGNMENT = 'K'
+
+// SAP default user date format (DATFM 1); POSCHEDULE.DELIVERY_DATE is in external format
+const DEFAULT_DATE_FORMAT = 'DD.MM.YYYY'
+
+class PurchaseOrderParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+    const items = data.items || data.lineItems || []
+
+    if (!fields.VENDOR && !data.vendorId && !data.supplier) {
+      throw new Error('Purchase order requires a vendor (vendorId or supplier)')
+    }
+
+    if (items.length === 0) {
+      throw new Error('Purchase order requires at least one item')
+    }
+
+    const header = this.compact({
+      COMP_CODE: data.companyCode || fields.COMPANY_CODE,
+      DOC_TYPE: fields.DOC_TYPE || data.documentType || 'NB',
+      VENDOR: this.padNumber(fields.VENDOR || data.vendorId || data.supplier, 10),
+      PURCH_ORG: fields.PURCHASING_ORG || data.purchasingOrg || '1000',
+      PUR_GROUP: fields.PURCHASING_GROUP || data.purchasingGroup || '001',
+      CURRENCY: fields.CURRENCY || data.currency,
+      DOC_DATE: fields.DOC_DATE || this.formatDate(data.documentDate),
+      PMNTTRMS: data.paymentTerms,
+      INCOTERMS1: data.incoterms
+    })
+
+    return this._buildDocument(header, items, data, { create: true, plant: fields.PLANT })
+  }
+
+  async buildUpdateParameters(sapKey, data, context = {}) {
+    // Only the fields sent with the update are changed
+    const header = this.compact({
+      DOC_TYPE: data.documentType,
+      VENDOR: data.vendorId || data.supplier ? this.padNumber(data.vendorId || data.supplier, 10) : undefined,
+      PURCH_ORG: data.purchasingOrg,
+      PUR_GROUP: data.purchasingGroup,
+      CURRENCY: data.currency,
+      PMNTTRMS: data.paymentTerms,
+      INCOTERMS1: data.incoterms
+    })
+
+    const items = data.DELETION_FLAG === 'X' ? await this._readItemsToDelete(sapKey, context) : data.items || data.lineItems || []
+
+    if (Object.keys(header).length === 0 && items.length === 0 && !(data.conditions && data.conditions.length > 0)) {
+      throw new Error(`Purchase order update for ${sapKey} contains no fields to change`)
+    }
+
+    return {
+      PURCHASEORDER: sapKey,
+      ...this._buildDocument(header, items, data, { create: false })
+    }
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return {
+      PURCHASEORDER: sapKey,
+      ACCOUNT_ASSIGNMENT: 'X',
+      ITEM_TEXT: 'X'
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Read the items of a purchase order that are not deleted yet, as items to delete
+   * @param {string} sapKey - Purchase order number
+   * @param {Object} context - Builder context
+   * @returns {Promise<Array<Object>>} Bridge items with deleted: true
+   * @private
+   */
+  async _readItemsToDelete(sapKey, context) {
+    const query = RFCTableQuery.fromCriteria('EKPO', { EBELN: this.padNumber(sapKey, 10), LOEKZ: '' }).select(['EBELN', 'EBELP'])
+    const rows = await context.sapService.readTable(query, { ...context.options, convertFields: false })
+
+    if (rows.length === 0) {
+      throw new Error(`Purchase order ${sapKey} has no items left to delete`)
+    }
+
+    return rows.map(row => ({ itemNumber: row.EBELP, deleted: true }))
+  }
+
+  /**
+   * Build header, item, schedule, account assignment and condition tables with their X-structures
+   * @param {Object} header - POHEADER fields
+   * @param {Array<Object>} items - Bridge items
+   * @param {Object} data - Purchase order data
+   * @param {Object} mode - create (true for BAPI_PO_CREATE1), plant (default plant)
+   * @returns {Object} BAPI parameters
+   * @private
+   */
+  _buildDocument(header, items, data, mode) {
+    const parameters = {
+      POHEADER: header,
+      POHEADERX: this.buildUpdateFlags(header),
+      POITEM: [],
+      POITEMX: [],
+      POSCHEDULE: [],
+      POSCHEDULEX: [],
+      POACCOUNT: [],
+      POACCOUNTX: [],
+      POCOND: [],
+      POCONDX: [],
+      POCONDHEADER: [],
+      POCONDHEADERX: []
+    }
+
+    items.forEach((item, index) => {
+      const itemNumber = this.padNumber(item.itemNumber || (index + 1) * 10, 5)
+      const accounts = this._getAccountAssignments(item)
+
+      const itemFields = this.compact({
+        MATERIAL: item.materialId || item.material ? this.padMaterial(item.materialId || item.material) : undefined,
+        SHORT_TEXT: item.description,
+        PLANT: item.plant || data.plant || mode.plant,
+        STGE_LOC: item.storageLocation,
+        MATL_GROUP: item.materialGroup,
+        QUANTITY: item.quantity,
+        PO_UNIT: item.unit,
+        NET_PRICE: item.netPrice !== undefined ? item.netPrice : item.unitPrice,
+        PRICE_UNIT: item.priceUnit,
+        TAX_CODE: item.taxCode,
+        ACCTASSCAT: item.accountAssignmentCategory || (accounts.length > 0 && mode.create ? COST_CENTER_ASSIGNMENT : undefined),
+        DISTRIB: accounts.length > 1 ? this._getDistribution(accounts) : undefined,
+        DELETE_IND: item.deleted ? 'L' : undefined
+      })
+
+      parameters.POITEM.push({ PO_ITEM: itemNumber, ...itemFields })
+      parameters.POITEMX.push({ PO_ITEM: itemNumber, PO_ITEMX: 'X', ...this.buildUpdateFlags(itemFields) })
+
+      if (item.deleted) {
+        return
+      }
+
+      this._buildScheduleLines(item, data, mode).forEach((scheduleLine, lineIndex) => {
+        const scheduleLineNumber = this.padNumber(scheduleLine.number || lineIndex + 1, 4)
+        const scheduleFields = this.compact({
+          DELIVERY_DATE: this._formatDeliveryDate(scheduleLine.date),
+          QUANTITY: scheduleLine.quantity
+        })
+
+        parameters.POSCHEDULE.push({ PO_ITEM: itemNumber, SCHED_LINE: scheduleLineNumber, ...scheduleFields })
+        parameters.POSCHEDULEX.push({
+          PO_ITEM: itemNumber,
+          SCHED_LINE: scheduleLineNumber,
+          PO_ITEMX: 'X',
+          SCHED_LINEX: 'X',
+          ...this.buildUpdateFlags(scheduleFields)
+        })
+      })
+
+      accounts.forEach((account, accountIndex) => {
+        const serialNumber = this.padNumber(account.serialNumber || accountIndex + 1, 2)
+        const accountFields = this.compact({
+          COSTCENTER: account.costCenter ? this.padNumber(account.costCenter, 10) : undefined,
+          GL_ACCOUNT: account.glAccount ? this.padNumber(account.glAccount, 10) : undefined,
+          ORDERID: account.orderId ? this.padNumber(account.orderId, 12) : undefined,
+          WBS_ELEMENT: account.wbsElement,
+          ASSET_NO: account.assetNumber,
+          QUANTITY: account.quantity,
+          DISTR_PERC: account.percentage,
+          CO_AREA: account.controllingArea
+        })
+
+        parameters.POACCOUNT.push({ PO_ITEM: itemNumber, SERIAL_NO: serialNumber, ...accountFields })
+        parameters.POACCOUNTX.push({
+          PO_ITEM: itemNumber,
+          SERIAL_NO: serialNumber,
+          PO_ITEMX: 'X',
+          SERIAL_NOX: 'X',
+          ...this.buildUpdateFlags(accountFields)
+        })
+      })
+
+      const conditions = item.conditions || []
+      conditions.forEach(condition => {
+        const conditionFields = this.compact({
+          COND_TYPE: condition.type,
+          COND_VALUE: condition.value,
+          CURRENCY: condition.currency || header.CURRENCY,
+          COND_UNIT: condition.unit,
+          COND_P_UNT: condition.pricingUnit
+        })
+
+        // Condition item numbers are six digits, unlike PO_ITEM
+        const conditionItem = this.padNumber(itemNumber, 6)
+        parameters.POCOND.push({ ITM_NUMBER: conditionItem, ...conditionFields, CHANGE_ID: condition.changeId || 'I' })
+        parameters.POCONDX.push({
+          ITM_NUMBER: conditionItem,
+          ITM_NUMBERX: 'X',
+          ...this.buildUpdateFlags(conditionFields),
+          CHANGE_ID: 'X'
+        })
+      })
+    })
+
+    const headerConditions = data.conditions || []
+    headerConditions.forEach(condition => {
+      const conditionFields = this.compact({
+        COND_TYPE: condition.type,
+        COND_VALUE: condition.value,
+        CURRENCY: condition.currency || header.CURRENCY
+      })
+
+      parameters.POCONDHEADER.push({ ...conditionFields, CHANGE_ID: condition.changeId || 'I' })
+      parameters.POCONDHEADERX.push({ ...this.buildUpdateFlags(conditionFields), CHANGE_ID: 'X' })
+    })
+
+    return parameters
+  }
+
+  /**
+   * Get the account assignments of an item (accountAssignments, accountAssignment or costCenter/glAccount)
+   * @param {Object} item - Bridge item
+   * @returns {Array<Object>} Account assignments
+   * @private
+   */
+  _getAccountAssignments(item) {
+    if (item.accountAssignments && item.accountAssignments.length > 0) {
+      return item.accountAssignments
+    }
+
+    if (item.accountAssignment) {
+      return [item.accountAssignment]
+    }
+
+    if (item.costCenter || item.glAccount) {
+      return [{ costCenter: item.costCenter, glAccount: item.glAccount }]
+    }
+
+    return []
+  }
+
+  /**
+   * Get the distribution indicator for multiple account assignments
+   * @param {Array<Object>} accounts - Account assignments
+   * @returns {string} 1 (by quantity) or 2 (by percentage)
+   * @private
+   */
+  _getDistribution(accounts) {
+    return accounts.some(account => account.percentage !== undefined) ? '2' : '1'
+  }
+
+  /**
+   * Build schedule lines for an item; on create the full quantity is scheduled on the
+   * item or header delivery date when no lines are given
+   * @param {Object} item - Bridge item
+   * @param {Object} data - Purchase order data
+   * @param {Object} mode - create: true for BAPI_PO_CREATE1
+   * @returns {Array<Object>} Schedule lines (number, date, quantity)
+   * @private
+   */
+  _buildScheduleLines(item, data, mode) {
+    if (item.scheduleLines && item.scheduleLines.length > 0) {
+      return item.scheduleLines.map(line => ({
+        number: line.scheduleLine,
+        date: line.date || line.deliveryDate,
+        quantity: line.quantity
+      }))
+    }
+
+    const date = item.deliveryDate || data.deliveryDate
+    if (!mode.create || !date) {
+      return []
+    }
+
+    return [{ date, quantity: item.quantity }]
+  }
+
+  /**
+   * Format a delivery date in the RFC user's date format (definition.dateFormat)
+   * @param {Date|string} value - Date
+   * @returns {string} External date
+   * @private
+   */
+  _formatDeliveryDate(value) {
+    const date = this.formatDate(value)
+    if (!date) {
+      return ''
+    }
+
+    return (this.definition.dateFormat || DEFAULT_DATE_FORMAT)
+      .replace('YYYY', date.substring(0, 4))
+      .replace('MM', date.substring(4, 6))
+      .replace('DD', date.substring(6, 8))
+  }
+}
+
+module.exports = { PurchaseOrderParameterBuilder }
@@ -0,0 +1,668 @@
+/**
+ * Sales Order Parameter Builder
+ * Builds BAPI_SALESORDER_CREATEFROMDAT2 / BAPI_SALESORDER_CHANGE / BAPI_SALESORDER_GETDETAIL
+ * and BAPI_SALESORDER_SIMULATE parameters
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// Bridge partner roles -> SAP partner functions
+const PARTNER_ROLES = {
+  soldTo: 'AG',
+  shipTo: 'WE',
+  billTo: 'RE',
+  payer: 'RG'
+}
+
+const DEFAULT_PRICE_CONDITION = 'PR00'
+
+class SalesOrderParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+    const soldTo = fields.CUSTOMER || data.customerId || data.soldToParty
+    const items = data.items || data.lineItems || []
+
+    if (!soldTo) {
+      throw new Error('Sales order requires a sold-to party (customerId or soldToParty)')
+    }
+
+    if (items.length === 0) {
+      throw new Error('Sales order requires at least one item')
+    }
+
+    const header = this._buildHeader(fields, data)
+
+    const parameters = {
+      ORDER_HEADER_IN: header,
+      ORDER_HEADER_INX: { ...this.buildUpdateFlags(header), UPDATEFLAG: 'I' },
+      ORDER_PARTNERS: this._buildPartners(soldTo, data),
+      ORDER_ITEMS_IN: [],
+      ORDER_ITEMS_INX: [],
+      ORDER_SCHEDULES_IN: [],
+      ORDER_SCHEDULES_INX: [],
+      ORDER_CONDITIONS_IN: [],
+      ORDER_CONDITIONS_INX: []
+    }
+
+    items.forEach((item, index) => {
+      const itemNumber = this.padNumber(item.itemNumber || (index + 1) * 10, 6)
+      const itemFields = this._buildItemFields(item, data)
+
+      parameters.ORDER_ITEMS_IN.push({ ITM_NUMBER: itemNumber, ...itemFields })
+      parameters.ORDER_ITEMS_INX.push({ ITM_NUMBER: itemNumber, UPDATEFLAG: 'I', ...this.buildUpdateFlags(itemFields) })
+
+      this._buildScheduleLines(item, data).forEach((scheduleLine, lineIndex) => {
+        const scheduleLineNumber = this.padNumber(lineIndex + 1, 4)
+
+        parameters.ORDER_SCHEDULES_IN.push({ ITM_NUMBER: itemNumber, SCHED_LINE: scheduleLineNumber, ...scheduleLine })
+        parameters.ORDER_SCHEDULES_INX.push({
+          ITM_NUMBER: itemNumber,
+          SCHED_LINE: scheduleLineNumber,
+          UPDATEFLAG: 'I',
+          ...this.buildUpdateFlags(scheduleLine)
+        })
+      })
+
+      this._getItemConditions(item).forEach(condition => {
+        this._addCondition(parameters, 'ORDER_CONDITIONS', itemNumber, condition, header.CURRENCY)
+      })
+    })
+
+    // Header conditions apply to the whole order (item 000000)
+    const headerConditions = data.conditions || []
+    headerConditions.forEach(condition => {
+      this._addCondition(parameters, 'ORDER_CONDITIONS', '000000', condition, header.CURRENCY)
+    })
+
+    return parameters
+  }
+
+  /**
+   * Build BAPI_SALESORDER_CHANGE parameters from the complete order sent by Bridge.
+   * The current order is read from SAP and only the differences are sent: items and
+   * schedule lines are inserted (I), updated (U) or deleted (D), and the manual conditions
+   * sent are inserted or updated. Conditions missing from the payload are left to pricing.
+   * @param {string} sapKey - Sales document number
+   * @param {Object} data - Complete order data
+   * @param {Object} context - Builder context (sapService is required)
+   * @returns {Promise<Object>} BAPI parameters
+   */
+  async buildUpdateParameters(sapKey, data, context = {}) {
+    if (!context.sapService) {
+      throw new Error('Sales order update requires the SAP service to read the current order')
+    }
+
+    const salesDocument = this.padNumber(sapKey, 10)
+    const current = await this._readCurrentOrder(salesDocument, context)
+    const items = data.items || data.lineItems || []
+
+    const headerChanges = this._diffFields(current.header, this.compact({
+      PURCH_NO_C: data.purchaseOrderNumber || data.customerReference,
+      PURCH_DATE: this.formatDate(data.purchaseOrderDate),
+      REQ_DATE_H: this.formatDate(data.requestedDeliveryDate),
+      PMNTTRMS: data.paymentTerms,
+      INCOTERMS1: data.incoterms
+    }))
+
+    const parameters = {
+      SALESDOCUMENT: salesDocument,
+      ORDER_HEADER_IN: headerChanges,
+      ORDER_HEADER_INX: { ...this.buildUpdateFlags(headerChanges), UPDATEFLAG: 'U' },
+      ORDER_ITEM_IN: [],
+      ORDER_ITEM_INX: [],
+      SCHEDULE_LINES: [],
+      SCHEDULE_LINESX: [],
+      CONDITIONS_IN: [],
+      CONDITIONS_INX: []
+    }
+
+    const matches = this._matchItems(current.items, items)
+
+    // New items keep the number Bridge gives them; the others are numbered after every known item
+    let nextItemNumber = [...current.items.map(item => item.ITM_NUMBER), ...items.map(item => item.itemNumber)]
+      .reduce((max, itemNumber) => Math.max(max, Number(itemNumber) || 0), 0)
+
+    matches.forEach(({ item, currentItem }) => {
+      const itemFields = this._buildItemFields(item, data)
+
+      if (!currentItem) {
+        if (!item.itemNumber) {
+          nextItemNumber += 10
+        }
+        const itemNumber = this.padNumber(item.itemNumber || nextItemNumber, 6)
+
+        this._pushItemChange(parameters, itemNumber, 'I', itemFields)
+        this._buildScheduleLines(item, data).forEach((scheduleLine, lineIndex) => {
+          this._pushScheduleChange(parameters, itemNumber, this.padNumber(lineIndex + 1, 4), 'I', scheduleLine)
+        })
+        this._getItemConditions(item).forEach(condition => {
+          this._addCondition(parameters, 'CONDITIONS', itemNumber, condition, data.currency)
+        })
+        return
+      }
+
+      const itemNumber = currentItem.ITM_NUMBER
+      delete itemFields.MATERIAL // The material of an existing item cannot be changed
+
+      const itemChanges = this._diffFields(currentItem, itemFields)
+      if (Object.keys(itemChanges).length > 0) {
+        this._pushItemChange(parameters, itemNumber, 'U', itemChanges)
+      }
+
+      this._diffScheduleLines(parameters, itemNumber, current.schedules.get(itemNumber) || [], this._buildScheduleLines(item, data))
+      this._diffConditions(parameters, itemNumber, current.conditions.get(itemNumber) || [], this._getItemConditions(item), data.currency)
+    })
+
+    // Header conditions apply to the whole order (item 000000)
+    this._diffConditions(parameters, '000000', current.conditions.get('000000') || [], data.conditions || [], data.currency)
+
+    // Items no longer in the payload are deleted
+    const matchedItems = new Set(matches.filter(match => match.currentItem).map(match => match.currentItem))
+    current.items
+      .filter(currentItem => !matchedItems.has(currentItem))
+      .forEach(currentItem => this._pushItemChange(parameters, currentItem.ITM_NUMBER, 'D', {}))
+
+    return parameters
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return { SALESDOCUMENT: sapKey }
+  }
+
+  /**
+   * Build BAPI_SALESORDER_SIMULATE parameters with the item and partner mapping of order creation.
+   * The simulation takes one manual condition per item (unitPrice or the first of conditions);
+   * header conditions are not simulated.
+   * @param {Object} data - Order data
+   * @param {Object} context - Builder context
+   * @returns {Object} BAPI parameters
+   */
+  buildSimulateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+    const soldTo = fields.CUSTOMER || data.customerId || data.soldToParty
+    const items = data.items || data.lineItems || []
+
+    if (!soldTo) {
+      throw new Error('Sales order simulation requires a sold-to party (customerId or soldToParty)')
+    }
+
+    if (items.length === 0) {
+      throw new Error('Sales order simulation requires at least one item')
+    }
+
+    // BAPISDHEAD names the customer reference PURCH_NO and has no document date
+    const header = this._buildHeader(fields, data)
+    header.PURCH_NO = header.PURCH_NO_C
+    delete header.PURCH_NO_C
+    delete header.DOC_DATE
+
+    const parameters = {
+      ORDER_HEADER_IN: this.compact(header),
+      ORDER_PARTNERS: this._buildPartners(soldTo, data),
+      ORDER_ITEMS_IN: [],
+      ORDER_SCHEDULE_IN: []
+    }
+
+    items.forEach((item, index) => {
+      const itemNumber = this.padNumber(item.itemNumber || (index + 1) * 10, 6)
+      const [condition] = this._getItemConditions(item)
+      const itemCondition = condition
+        ? this.compact({
+          COND_TYPE: condition.type,
+          COND_VALUE: condition.value,
+          COND_P_UNT: condition.pricingUnit,
+          CURRENCY: condition.currency || header.CURRENCY
+        })
+        : {}
+
+      parameters.ORDER_ITEMS_IN.push({
+        ITM_NUMBER: itemNumber,
+        ...this._buildItemFields(item, data),
+        ...itemCondition
+      })
+
+      this._buildScheduleLines(item, data).forEach((scheduleLine, lineIndex) => {
+        parameters.ORDER_SCHEDULE_IN.push({
+          ITM_NUMBER: itemNumber,
+          SCHED_LINE: this.padNumber(lineIndex + 1, 4),
+          ...scheduleLine
+        })
+      })
+    })
+
+    return parameters
+  }
+
+  /**
+   * Add the simulated prices, conditions, taxes and confirmed schedule lines per item
+   * @param {Object} result - BAPI_SALESORDER_SIMULATE result, with or without field conversion
+   * @returns {Object} Result with SIMULATION
+   */
+  completeSimulation(result) {
+    const conditions = result.ORDER_CONDITION_EX || []
+    const schedules = result.ORDER_SCHEDULE_EX || []
+
+    const items = (result.ORDER_ITEMS_OUT || []).map(item => {
+      const netValue = Number(item.NET_VALUE) || 0
+      const tax = Number(item.TX_DOC_CUR) || 0
+      const quantity = Number(item.REQ_QTY) || 0
+
+      return {
+        itemNumber: item.ITM_NUMBER,
+        material: String(item.MATERIAL || '').replace(/^0+(?=\d)/, ''),
+        plant: item.PLANT || null,
+        quantity,
+        unit: item.SALES_UNIT || null,
+        netPrice: quantity > 0 ? netValue / quantity : null,
+        netValue,
+        tax,
+        currency: item.CURRENCY || null,
+        conditions: conditions
+          .filter(condition => condition.ITM_NUMBER === item.ITM_NUMBER)
+          .map(condition => ({
+            type: condition.COND_TYPE,
+            step: condition.COND_ST_NO,
+            rate: Number(condition.COND_VALUE) || 0,
+            currency: condition.CURRENCY || null,
+            pricingUnit: Number(condition.COND_P_UNT) || null,
+            unit: condition.COND_UNIT || null,
+            value: Number(condition.CONDVALUE) || 0
+          })),
+        // Only lines with a confirmed quantity are returned
+        scheduleLines: schedules
+          .filter(line => line.ITM_NUMBER === item.ITM_NUMBER && Number(line.CONFIR_QTY) > 0)
+          .map(line => ({
+            scheduleLine: line.SCHED_LINE,
+            // Dates are already converted when field conversion is on
+            date: line.REQ_DATE instanceof Date ? line.REQ_DATE : this.parseDate(line.REQ_DATE),
+            requestedQuantity: Number(line.REQ_QTY) || 0,
+            confirmedQuantity: Number(line.CONFIR_QTY) || 0
+          }))
+      }
+    })
+
+    const netValue = items.reduce((sum, item) => sum + item.netValue, 0)
+    const tax = items.reduce((sum, item) => sum + item.tax, 0)
+
+    return {
+      ...result,
+      SIMULATION: {
+        soldTo: result.SOLD_TO_PARTY ? result.SOLD_TO_PARTY.SOLD_TO || null : null,
+        currency: items.length > 0 ? items[0].currency : null,
+        netValue,
+        tax,
+        grossValue: netValue + tax,
+        items,
+        incomplete: (result.ORDER_INCOMPLETE || []).map(entry => ({
+          itemNumber: entry.ITM_NUMBER,
+          table: entry.TABLE_NAME,
+          field: entry.FIELD_NAME
+        }))
+      }
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Map order header data to ORDER_HEADER_IN (BAPISDHD1) fields
+   * @param {Object} fields - SAP-named record fields
+   * @param {Object} data - Order data
+   * @returns {Object} Header fields without empty values
+   * @private
+   */
+  _buildHeader(fields, data) {
+    return this.compact({
+      DOC_TYPE: fields.ORDER_TYPE || data.orderType || 'OR',
+      SALES_ORG: fields.SALES_ORG || data.salesOrg || '1000',
+      DISTR_CHAN: fields.DISTRIBUTION_CHANNEL || data.distributionChannel || '10',
+      DIVISION: fields.DIVISION || data.division || '00',
+      PURCH_NO_C: data.purchaseOrderNumber || data.customerReference,
+      PURCH_DATE: this.formatDate(data.purchaseOrderDate),
+      DOC_DATE: this.formatDate(data.orderDate),
+      REQ_DATE_H: this.formatDate(data.requestedDeliveryDate),
+      CURRENCY: fields.CURRENCY || data.currency,
+      PMNTTRMS: data.paymentTerms,
+      INCOTERMS1: data.incoterms
+    })
+  }
+
+  /**
+   * Map a Bridge item to ORDER_ITEMS_IN / ORDER_ITEM_IN fields
+   * @param {Object} item - Order item
+   * @param {Object} data - Order data
+   * @returns {Object} Item fields without empty values
+   * @private
+   */
+  _buildItemFields(item, data) {
+    return this.compact({
+      MATERIAL: this.padMaterial(item.materialId || item.productId || item.material),
+      TARGET_QTY: item.quantity,
+      TARGET_QU: item.unit,
+      PLANT: item.plant || data.plant,
+      SHORT_TEXT: item.description,
+      ITEM_CATEG: item.itemCategory
+    })
+  }
+
+  /**
+   * Get the manual pricing conditions of an item, including unitPrice as the price condition
+   * @param {Object} item - Order item
+   * @returns {Array<Object>} Conditions
+   * @private
+   */
+  _getItemConditions(item) {
+    const conditions = [...(item.conditions || [])]
+
+    if (item.unitPrice !== undefined && item.unitPrice !== null) {
+      conditions.push({
+        type: this.definition.priceCondition || DEFAULT_PRICE_CONDITION,
+        value: item.unitPrice,
+        currency: item.currency
+      })
+    }
+
+    return conditions
+  }
+
+  /**
+   * Read header, items, schedule lines and conditions of an existing order with BAPISDORDER_GETDETAILEDLIST
+   * @param {string} salesDocument - Sales document number
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} header, items (main items only), schedules and conditions (by item number)
+   * @private
+   */
+  async _readCurrentOrder(salesDocument, context) {
+    const options = context.options || {}
+    const result = await context.sapService.executeRFC(this.definition.bapiDetail || 'BAPISDORDER_GETDETAILEDLIST', {
+      I_BAPI_VIEW: { HEADER: 'X', ITEM: 'X', SDSCHEDULE: 'X', SDCOND: 'X' },
+      SALES_DOCUMENTS: [{ VBELN: salesDocument }]
+    }, { signal: options.signal, timeout: options.timeout })
+
+    const headers = result.ORDER_HEADERS_OUT || []
+    if (headers.length === 0) {
+      throw new Error(`Sales order ${salesDocument} not found`)
+    }
+
+    const header = headers[0]
+    const schedules = new Map()
+
+    // Lines without a requested quantity only carry confirmations and are maintained by SAP
+    const requestedLines = (result.ORDER_SCHEDULES_OUT || []).filter(line => Number(line.REQ_QTY) > 0)
+    requestedLines.forEach(line => {
+      if (!schedules.has(line.ITM_NUMBER)) {
+        schedules.set(line.ITM_NUMBER, [])
+      }
+      schedules.get(line.ITM_NUMBER).push(line)
+    })
+    schedules.forEach(lines => lines.sort((a, b) => Number(a.SCHED_LINE) - Number(b.SCHED_LINE)))
+
+    const conditions = new Map()
+    const orderConditions = result.ORDER_CONDITIONS_OUT || []
+    orderConditions.forEach(condition => {
+      const itemNumber = this.padNumber(condition.ITM_NUMBER || 0, 6)
+      if (!conditions.has(itemNumber)) {
+        conditions.set(itemNumber, [])
+      }
+      conditions.get(itemNumber).push(condition)
+    })
+
+    return {
+      header: { ...header, PURCH_NO_C: header.PURCH_NO_C || header.PURCH_NO },
+      // Sub-items (free goods, BOM components) are created by SAP and follow their main item
+      items: (result.ORDER_ITEMS_OUT || []).filter(item => !Number(item.HG_LV_ITEM)),
+      schedules,
+      conditions
+    }
+  }
+
+  /**
+   * Pair incoming items with current items: by itemNumber, otherwise by material in order
+   * @param {Array<Object>} currentItems - Current SAP items
+   * @param {Array<Object>} items - Incoming Bridge items
+   * @returns {Array<Object>} { item, currentItem } with currentItem null for new items
+   * @private
+   */
+  _matchItems(currentItems, items) {
+    const unmatched = [...currentItems]
+    const take = predicate => {
+      const index = unmatched.findIndex(predicate)
+      return index === -1 ? null : unmatched.splice(index, 1)[0]
+    }
+
+    const matches = items.map(item => ({
+      item,
+      currentItem: item.itemNumber
+        ? take(currentItem => Number(currentItem.ITM_NUMBER) === Number(item.itemNumber))
+        : null
+    }))
+
+    matches
+      .filter(match => !match.currentItem && !match.item.itemNumber)
+      .forEach(match => {
+        const material = this.padMaterial(match.item.materialId || match.item.productId || match.item.material)
+        match.currentItem = take(currentItem => this.padMaterial(currentItem.MATERIAL) === material)
+      })
+
+    return matches
+  }
+
+  /**
+   * Compare schedule lines by position: changed lines are updated, extra lines inserted or deleted
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} itemNumber - Item number
+   * @param {Array<Object>} currentLines - Current schedule lines
+   * @param {Array<Object>} lines - Wanted schedule lines (REQ_DATE, REQ_QTY)
+   * @private
+   */
+  _diffScheduleLines(parameters, itemNumber, currentLines, lines) {
+    let nextLineNumber = currentLines.reduce((max, line) => Math.max(max, Number(line.SCHED_LINE)), 0)
+
+    lines.forEach((line, index) => {
+      const currentLine = currentLines[index]
+
+      if (!currentLine) {
+        nextLineNumber++
+        this._pushScheduleChange(parameters, itemNumber, this.padNumber(nextLineNumber, 4), 'I', line)
+        return
+      }
+
+      const changes = this._diffFields(currentLine, line)
+      if (Object.keys(changes).length > 0) {
+        this._pushScheduleChange(parameters, itemNumber, currentLine.SCHED_LINE, 'U', changes)
+      }
+    })
+
+    currentLines.slice(lines.length).forEach(currentLine => {
+      this._pushScheduleChange(parameters, itemNumber, currentLine.SCHED_LINE, 'D', {})
+    })
+  }
+
+  /**
+   * Compare manual conditions by type: changed rates are updated on the existing condition
+   * (same step and counter), conditions the item does not have yet are inserted
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} itemNumber - Item number (000000 for header conditions)
+   * @param {Array<Object>} currentConditions - Current ORDER_CONDITIONS_OUT rows of the item
+   * @param {Array<Object>} conditions - Wanted conditions (type, value, currency, unit, pricingUnit)
+   * @param {string} currency - Order currency
+   * @private
+   */
+  _diffConditions(parameters, itemNumber, currentConditions, conditions, currency) {
+    conditions.forEach(condition => {
+      const currentCondition = currentConditions.find(entry => entry.COND_TYPE === condition.type)
+
+      if (!currentCondition) {
+        this._addCondition(parameters, 'CONDITIONS', itemNumber, condition, currency)
+        return
+      }
+
+      const changes = this._diffFields(currentCondition, this.compact({
+        COND_VALUE: condition.value === undefined || condition.value === null ? undefined : Number(condition.value),
+        CURRENCY: condition.currency,
+        COND_UNIT: condition.unit,
+        COND_P_UNT: condition.pricingUnit === undefined || condition.pricingUnit === null ? undefined : Number(condition.pricingUnit)
+      }))
+
+      if (Object.keys(changes).length === 0) {
+        return
+      }
+
+      // The rate alone is ambiguous without its currency
+      if (changes.COND_VALUE !== undefined && !changes.CURRENCY && (condition.currency || currentCondition.CURRENCY)) {
+        changes.CURRENCY = condition.currency || currentCondition.CURRENCY
+      }
+
+      const conditionKey = {
+        ITM_NUMBER: itemNumber,
+        COND_ST_NO: currentCondition.COND_ST_NO,
+        COND_COUNT: currentCondition.COND_COUNT,
+        COND_TYPE: condition.type
+      }
+
+      parameters.CONDITIONS_IN.push({ ...conditionKey, ...changes })
+      parameters.CONDITIONS_INX.push({ ...conditionKey, UPDATEFLAG: 'U', ...this.buildUpdateFlags(changes) })
+    })
+  }
+
+  /**
+   * Get the fields whose value differs from the current SAP value
+   * @param {Object} current - Current SAP structure
+   * @param {Object} fields - Wanted values
+   * @returns {Object} Changed fields
+   * @private
+   */
+  _diffFields(current, fields) {
+    const changes = {}
+
+    Object.entries(fields).forEach(([key, value]) => {
+      const currentValue = current[key]
+      const same = typeof value === 'number'
+        ? Number(currentValue) === value
+        : String(currentValue === undefined || currentValue === null ? '' : currentValue).trim() === String(value)
+
+      if (!same) {
+        changes[key] = value
+      }
+    })
+
+    return changes
+  }
+
+  /**
+   * Add an item to ORDER_ITEM_IN/INX
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} itemNumber - Item number
+   * @param {string} updateFlag - I, U or D
+   * @param {Object} fields - Item fields to send
+   * @private
+   */
+  _pushItemChange(parameters, itemNumber, updateFlag, fields) {
+    parameters.ORDER_ITEM_IN.push({ ITM_NUMBER: itemNumber, ...fields })
+    parameters.ORDER_ITEM_INX.push({ ITM_NUMBER: itemNumber, UPDATEFLAG: updateFlag, ...this.buildUpdateFlags(fields) })
+  }
+
+  /**
+   * Add a schedule line to SCHEDULE_LINES/SCHEDULE_LINESX
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} itemNumber - Item number
+   * @param {string} scheduleLineNumber - Schedule line number
+   * @param {string} updateFlag - I, U or D
+   * @param {Object} fields - Schedule line fields to send
+   * @private
+   */
+  _pushScheduleChange(parameters, itemNumber, scheduleLineNumber, updateFlag, fields) {
+    parameters.SCHEDULE_LINES.push({ ITM_NUMBER: itemNumber, SCHED_LINE: scheduleLineNumber, ...fields })
+    parameters.SCHEDULE_LINESX.push({
+      ITM_NUMBER: itemNumber,
+      SCHED_LINE: scheduleLineNumber,
+      UPDATEFLAG: updateFlag,
+      ...this.buildUpdateFlags(fields)
+    })
+  }
+
+  /**
+   * Build ORDER_PARTNERS; the ship-to party defaults to the sold-to party
+   * @param {string} soldTo - Sold-to customer
+   * @param {Object} data - Order data
+   * @returns {Array<Object>} Partner rows
+   * @private
+   */
+  _buildPartners(soldTo, data) {
+    const partners = new Map()
+    partners.set('AG', soldTo)
+    partners.set('WE', data.shipToParty || soldTo)
+
+    if (data.billToParty) {
+      partners.set('RE', data.billToParty)
+    }
+    if (data.payer) {
+      partners.set('RG', data.payer)
+    }
+
+    // Explicit partners override the defaults above
+    const explicitPartners = data.partners || []
+    explicitPartners.forEach(partner => {
+      partners.set(PARTNER_ROLES[partner.role] || partner.role, partner.customerId || partner.number)
+    })
+
+    return Array.from(partners, ([role, number]) => ({
+      PARTN_ROLE: role,
+      PARTN_NUMB: this.padNumber(number, 10)
+    }))
+  }
+
+  /**
+   * Build schedule lines for an item; without explicit lines the full quantity is requested
+   * on the item or header delivery date
+   * @param {Object} item - Order item
+   * @param {Object} data - Order data
+   * @returns {Array<Object>} Schedule line fields (REQ_DATE, REQ_QTY)
+   * @private
+   */
+  _buildScheduleLines(item, data) {
+    if (item.scheduleLines && item.scheduleLines.length > 0) {
+      return item.scheduleLines.map(line => this.compact({
+        REQ_DATE: this.formatDate(line.date || line.deliveryDate),
+        REQ_QTY: line.quantity
+      }))
+    }
+
+    if (item.quantity === undefined || item.quantity === null) {
+      return []
+    }
+
+    return [this.compact({
+      REQ_DATE: this.formatDate(item.requestedDeliveryDate || data.requestedDeliveryDate),
+      REQ_QTY: item.quantity
+    })]
+  }
+
+  /**
+   * Add a manual pricing condition to <table>_IN/INX
+   * @param {Object} parameters - BAPI parameters
+   * @param {string} table - ORDER_CONDITIONS (create) or CONDITIONS (change)
+   * @param {string} itemNumber - Item number (000000 for header conditions)
+   * @param {Object} condition - type, value, currency, unit, pricingUnit
+   * @param {string} currency - Order currency
+   * @private
+   */
+  _addCondition(parameters, table, itemNumber, condition, currency) {
+    const conditionFields = this.compact({
+      COND_VALUE: condition.value,
+      CURRENCY: condition.currency || currency,
+      COND_UNIT: condition.unit,
+      COND_P_UNT: condition.pricingUnit
+    })
+
+    parameters[`${table}_IN`].push({ ITM_NUMBER: itemNumber, COND_TYPE: condition.type, ...conditionFields })
+    parameters[`${table}_INX`].push({
+      ITM_NUMBER: itemNumber,
+      COND_TYPE: condition.type,
+      UPDATEFLAG: 'I',
+      ...this.buildUpdateFlags(conditionFields)
+    })
+  }
+}
+
+module.exports = { SalesOrderParameterBuilder }
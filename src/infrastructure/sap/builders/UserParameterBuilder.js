@@ -0,0 +1,274 @@
+/**
+ * User Parameter Builder
+ * Builds BAPI_USER_CREATE1 / BAPI_USER_CHANGE / BAPI_USER_GET_DETAIL parameters, locks and unlocks
+ * users (BAPI_USER_LOCK / BAPI_USER_UNLOCK) and assigns roles (BAPI_USER_ACTGROUPS_ASSIGN)
+ *
+ * Users are never deleted: a Delete event locks the user. The roles array replaces the user's
+ * role assignments; each role is a name or { name, validFrom, validTo }.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// User types (USTYP)
+const USER_TYPES = {
+  dialog: 'A',
+  system: 'B',
+  communication: 'C',
+  reference: 'L',
+  service: 'S'
+}
+
+// User names are at most 12 characters
+const USERNAME_LENGTH = 12
+
+class UserParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const userName = this._getUserName(data.id || data.userName)
+    const address = this._buildAddress(data)
+
+    if (!address.LASTNAME) {
+      throw new Error(`User ${userName} requires a last name`)
+    }
+
+    const parameters = {
+      USERNAME: userName,
+      LOGONDATA: this._buildLogonData(data, context, { create: true }),
+      ADDRESS: address,
+      DEFAULTS: this._buildDefaults(data)
+    }
+
+    if (data.password) {
+      parameters.PASSWORD = { BAPIPWD: data.password }
+      parameters.PRODUCTIVE_PWD = data.productivePassword ? 'X' : ''
+    } else if (parameters.LOGONDATA.USTYP === USER_TYPES.dialog) {
+      // Dialog users get a generated initial password, which is not returned to Bridge
+      parameters.GENERATE_PWD = 'X'
+    }
+
+    return parameters
+  }
+
+  buildUpdateParameters(sapKey, data, context = {}) {
+    const logonData = this._buildLogonData(data, context, { create: false })
+    const address = this._buildAddress(data)
+    const defaults = this._buildDefaults(data)
+
+    const parameters = {
+      USERNAME: this._getUserName(sapKey),
+      LOGONDATA: logonData,
+      LOGONDATAX: this.buildUpdateFlags(logonData),
+      ADDRESS: address,
+      ADDRESSX: this.buildUpdateFlags(address),
+      DEFAULTS: defaults,
+      DEFAULTSX: this.buildUpdateFlags(defaults)
+    }
+
+    if (data.password) {
+      parameters.PASSWORD = { BAPIPWD: data.password }
+      parameters.PASSWORDX = { BAPIPWD: 'X' }
+      parameters.PRODUCTIVE_PWD = data.productivePassword ? 'X' : ''
+    }
+
+    return parameters
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return {
+      USERNAME: this._getUserName(sapKey)
+    }
+  }
+
+  buildDeleteParameters(sapKey, _context) {
+    return {
+      USERNAME: this._getUserName(sapKey)
+    }
+  }
+
+  /**
+   * Create the user, assign its roles and lock it when requested
+   * @param {RFCTransaction} tx - Transaction
+   * @param {Object} data - User data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} USERNAME and the RETURN messages of all calls
+   */
+  async executeCreate(tx, data, context = {}) {
+    const options = context.options || {}
+    const parameters = this.buildCreateParameters(data, context)
+
+    await tx.executeBAPI(this.definition.bapiCreate, parameters, options)
+    await this._maintainRolesAndLock(tx, parameters.USERNAME, data, context)
+
+    return this._collectResult(tx, parameters.USERNAME)
+  }
+
+  /**
+   * Change the user, replace its roles and lock or unlock it, each only when the event carries it
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} sapKey - User name
+   * @param {Object} data - Changed data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} USERNAME and the RETURN messages of all calls
+   */
+  async executeUpdate(tx, sapKey, data, context = {}) {
+    const options = context.options || {}
+    const parameters = this.buildUpdateParameters(sapKey, data, context)
+
+    const changes = Object.keys(parameters).filter(key => key.endsWith('X') && Object.keys(parameters[key]).length > 0)
+    if (changes.length > 0) {
+      await tx.executeBAPI(this.definition.bapiUpdate, parameters, options)
+    }
+
+    await this._maintainRolesAndLock(tx, parameters.USERNAME, data, context)
+
+    if (tx.results.length === 0) {
+      throw new Error(`User update for ${parameters.USERNAME} contains no fields to change`)
+    }
+
+    return this._collectResult(tx, parameters.USERNAME)
+  }
+
+  // Private helper methods
+
+  /**
+   * Assign the roles of the event and apply its locked flag
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} userName - User name
+   * @param {Object} data - User data
+   * @param {Object} context - Builder context
+   * @private
+   */
+  async _maintainRolesAndLock(tx, userName, data, context) {
+    const options = context.options || {}
+
+    if (Array.isArray(data.roles)) {
+      await tx.executeBAPI('BAPI_USER_ACTGROUPS_ASSIGN', {
+        USERNAME: userName,
+        ACTIVITYGROUPS: data.roles.map(role => this._buildRole(role, data, context))
+      }, options)
+    }
+
+    if (data.locked !== undefined) {
+      await tx.executeBAPI(data.locked ? 'BAPI_USER_LOCK' : 'BAPI_USER_UNLOCK', { USERNAME: userName }, options)
+    }
+  }
+
+  /**
+   * Build one ACTIVITYGROUPS entry; roles run for the user's validity period unless they give their own
+   * @param {string|Object} role - Role name or { name, validFrom, validTo }
+   * @param {Object} data - User data
+   * @param {Object} context - Builder context
+   * @returns {Object} Role assignment
+   * @private
+   */
+  _buildRole(role, data, context) {
+    const assignment = typeof role === 'string' ? { name: role } : role
+
+    if (!assignment.name) {
+      throw new Error('Role assignment requires a role name')
+    }
+
+    const validity = this.validityPeriod(data, context)
+
+    return {
+      AGR_NAME: assignment.name,
+      FROM_DAT: this.formatDate(assignment.validFrom) || validity.from,
+      TO_DAT: this.formatDate(assignment.validTo) || validity.to
+    }
+  }
+
+  /**
+   * Build LOGONDATA: user type, user group and validity period
+   * @param {Object} data - User data
+   * @param {Object} context - Builder context
+   * @param {Object} mode - create
+   * @returns {Object} Logon data
+   * @private
+   */
+  _buildLogonData(data, context, mode) {
+    const record = context.sapRecord || {}
+    const userType = data.userType || (mode.create ? 'dialog' : undefined)
+
+    if (userType && !USER_TYPES[userType]) {
+      throw new Error(`Unknown user type: ${userType} (use ${Object.keys(USER_TYPES).join(', ')})`)
+    }
+
+    return this.compact({
+      USTYP: userType ? USER_TYPES[userType] : undefined,
+      CLASS: data.userGroup,
+      GLTGV: this.formatDate(record.validFrom || data.validFrom),
+      GLTGB: this.formatDate(record.validTo || data.validTo),
+      TZONE: data.timeZone
+    })
+  }
+
+  /**
+   * Build ADDRESS (BAPIADDR3)
+   * @param {Object} data - User data
+   * @returns {Object} Address data
+   * @private
+   */
+  _buildAddress(data) {
+    return this.compact({
+      FIRSTNAME: data.firstName,
+      LASTNAME: data.lastName,
+      E_MAIL: data.email,
+      TEL1_NUMBR: data.phone,
+      DEPARTMENT: data.department,
+      FUNCTION: data.function || data.jobTitle
+    })
+  }
+
+  /**
+   * Build DEFAULTS: logon language, date and decimal format, printer and cost center
+   * @param {Object} data - User data
+   * @returns {Object} Defaults
+   * @private
+   */
+  _buildDefaults(data) {
+    return this.compact({
+      LANGU: data.language,
+      DATFM: data.dateFormat,
+      DCPFM: data.decimalFormat,
+      SPLD: data.printer,
+      KOSTL: data.costCenter ? this.padNumber(data.costCenter, 10) : undefined
+    })
+  }
+
+  /**
+   * Check and upper-case the user name
+   * @param {string} value - User name
+   * @returns {string} SAP user name
+   * @private
+   */
+  _getUserName(value) {
+    const userName = String(value || '').trim().toUpperCase()
+
+    if (!userName || userName.length > USERNAME_LENGTH) {
+      throw new Error(`Invalid SAP user name: ${value} (1 to ${USERNAME_LENGTH} characters)`)
+    }
+
+    return userName
+  }
+
+  /**
+   * Combine the RETURN messages of all calls in the LUW
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} userName - User name
+   * @returns {Object} USERNAME and RETURN
+   * @private
+   */
+  _collectResult(tx, userName) {
+    const messages = []
+    tx.results.forEach(result => {
+      const returnMessages = result.RETURN || []
+      messages.push(...(Array.isArray(returnMessages) ? returnMessages : [returnMessages]))
+    })
+
+    return {
+      USERNAME: userName,
+      RETURN: messages
+    }
+  }
+}
+
+module.exports = { UserParameterBuilder }
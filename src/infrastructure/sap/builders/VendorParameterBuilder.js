@@ -0,0 +1,290 @@
+/**
+ * Vendor Parameter Builder
+ * Builds vendor master parameters for ECC (VMD_EI_API through an RFC-enabled wrapper) and
+ * BAPI_VENDOR_GETDETAIL parameters.
+ *
+ * VMD_EI_API is an ABAP class and cannot be called over RFC. The create and update
+ * functions of the entity (bapiCreate / bapiUpdate) must wrap VMD_EI_API=>MAINTAIN_BAPI:
+ *   IMPORTING IS_MASTER_DATA (VMDS_EI_MAIN), TESTRUN
+ *   EXPORTING VENDOR (LIFNR), RETURN (BAPIRET2 table)
+ * without committing; the adapter commits with BAPI_TRANSACTION_COMMIT. SAP ships no such
+ * wrapper: the default is Z_VMD_EI_API_MAINTAIN, whose source is in the README.
+ */
+
+const { EntityParameterBuilder } = require('./EntityParameterBuilder')
+
+// VMD_EI_API tasks
+const TASK_INSERT = 'I'
+const TASK_UPDATE = 'U'
+const TASK_MODIFY = 'M'
+const TASK_DELETE = 'D'
+
+class VendorParameterBuilder extends EntityParameterBuilder {
+  buildCreateParameters(data, context = {}) {
+    const fields = this.recordFields(data, context)
+
+    if (!fields.NAME1 && !data.name && !data.companyName) {
+      throw new Error('Vendor requires a name')
+    }
+
+    return this._buildMasterData(data.vendorNumber ? this.padNumber(data.vendorNumber, 10) : '', fields, data, {
+      create: true,
+      companyCode: fields.COMPANY_CODE
+    }, context)
+  }
+
+  buildUpdateParameters(sapKey, data, context = {}) {
+    // Only the fields sent with the update are changed, without the record's defaults
+    const fields = { ...data, ...this.mapFields(data) }
+    const parameters = this._buildMasterData(this.padNumber(sapKey, 10), fields, data, { create: false }, context)
+
+    if (!this._hasChanges(parameters.IS_MASTER_DATA.VENDORS[0])) {
+      throw new Error(`Vendor update for ${sapKey} contains no fields to change`)
+    }
+
+    return parameters
+  }
+
+  buildReadParameters(sapKey, _context) {
+    return { VENDORNO: this.padNumber(sapKey, 10) }
+  }
+
+  /**
+   * Create the vendor with the configured VMD_EI_API wrapper
+   * @param {RFCTransaction} tx - Transaction
+   * @param {Object} data - Vendor data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} Wrapper result (VENDOR, RETURN)
+   */
+  async executeCreate(tx, data, context = {}) {
+    return await tx.executeBAPI(this.definition.bapiCreate, this.buildCreateParameters(data, context), context.options || {})
+  }
+
+  /**
+   * Change the vendor with the configured VMD_EI_API wrapper
+   * @param {RFCTransaction} tx - Transaction
+   * @param {string} sapKey - Vendor number
+   * @param {Object} data - Changed data
+   * @param {Object} context - Builder context
+   * @returns {Promise<Object>} Wrapper result (VENDOR, RETURN)
+   */
+  async executeUpdate(tx, sapKey, data, context = {}) {
+    return await tx.executeBAPI(this.definition.bapiUpdate, this.buildUpdateParameters(sapKey, data, context), context.options || {})
+  }
+
+  /**
+   * Require the VMD_EI_API wrapper for create and update
+   */
+  validateDefinition() {
+    const missing = ['bapiCreate', 'bapiUpdate'].filter(key => !this.definition[key])
+
+    if (missing.length > 0) {
+      throw new Error(`Vendor maintenance needs an RFC-enabled wrapper around VMD_EI_API=>MAINTAIN_BAPI: set ${missing.join(' and ')} in the entity mapping of ${this.definition.sapEntityType}`)
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Check whether a vendor entry changes anything besides its header
+   * @param {Object} vendorData - VENDORS entry
+   * @returns {boolean} True when central, address, bank, company code or purchasing data is sent
+   * @private
+   */
+  _hasChanges(vendorData) {
+    const { CENTRAL, ADDRESS, BANKDETAIL } = vendorData.CENTRAL_DATA
+
+    return Object.keys(CENTRAL.DATAX).length > 0 ||
+      Object.keys(ADDRESS.POSTAL.DATAX).length > 0 ||
+      ADDRESS.COMMUNICATION.PHONE.PHONE.length > 0 ||
+      ADDRESS.COMMUNICATION.SMTP.SMTP.length > 0 ||
+      BANKDETAIL.BANKDETAILS.length > 0 ||
+      vendorData.COMPANY_DATA.COMPANY.length > 0 ||
+      vendorData.PURCHASING_DATA.PURCHASING.length > 0
+  }
+
+  /**
+   * Build IS_MASTER_DATA for one vendor
+   * @param {string} vendor - Vendor number (empty for internal numbering)
+   * @param {Object} fields - SAP fields (SAPRecord mapping on create)
+   * @param {Object} data - Vendor data
+   * @param {Object} mode - create (true on create), companyCode (default company code)
+   * @param {Object} context - Builder context
+   * @returns {Object} Wrapper parameters
+   * @private
+   */
+  _buildMasterData(vendor, fields, data, mode, context) {
+    const task = mode.create ? TASK_INSERT : TASK_UPDATE
+    const subTask = mode.create ? TASK_INSERT : TASK_MODIFY
+
+    const central = this.compact({
+      KTOKK: mode.create ? fields.ACCOUNT_GROUP || data.accountGroup || 'KRED' : data.accountGroup,
+      STCD1: fields.TAX_NUMBER_1 || data.taxNumber || data.taxId,
+      STCD2: fields.TAX_NUMBER_2 || data.taxNumber2,
+      STCEG: fields.VAT_NUMBER || data.vatNumber,
+      // Central deletion flag, set when the vendor is deleted in Bridge
+      LOEVM: mode.create ? undefined : this._getDeletionFlag(fields, data)
+    })
+
+    const name = fields.NAME1 || data.name || data.companyName
+    const postal = this.compact({
+      NAME: name,
+      // The search term is required on create and defaults to the start of the name
+      SORT1: fields.SEARCH_TERM || data.searchTerm || (mode.create ? name.substring(0, 20).toUpperCase() : undefined),
+      STREET: fields.STREET || data.street || data.address,
+      CITY: fields.CITY || data.city,
+      POSTL_COD1: fields.POSTAL_CODE || data.postalCode || data.zipCode,
+      COUNTRY: fields.COUNTRY || data.country,
+      REGION: fields.REGION || data.region || data.state,
+      LANGU: mode.create ? (context.sapRecord && context.sapRecord.language) || 'EN' : undefined
+    })
+
+    const centralData = {
+      CENTRAL: { DATA: central, DATAX: this.buildUpdateFlags(central) },
+      ADDRESS: {
+        TASK: task,
+        POSTAL: { DATA: postal, DATAX: this.buildUpdateFlags(postal) },
+        COMMUNICATION: this._buildCommunication(fields, data, subTask)
+      },
+      BANKDETAIL: {
+        BANKDETAILS: this._getBankDetails(fields, data).map(account => this._buildBankDetail(account, subTask))
+      }
+    }
+
+    const vendorData = {
+      HEADER: {
+        OBJECT_INSTANCE: { LIFNR: vendor },
+        OBJECT_TASK: task
+      },
+      CENTRAL_DATA: centralData,
+      COMPANY_DATA: {
+        COMPANY: this.getCompanyCodes(fields, data, mode).map(companyCode => this.buildSubData(subTask, { BUKRS: companyCode.companyCode }, {
+          AKONT: companyCode.reconciliationAccount ? this.padNumber(companyCode.reconciliationAccount, 10) : undefined,
+          ZTERM: companyCode.paymentTerms,
+          ZWELS: companyCode.paymentMethods
+        }))
+      },
+      PURCHASING_DATA: {
+        PURCHASING: this._getPurchasingOrgs(fields, data).map(purchasingOrg => this.buildSubData(subTask, { EKORG: purchasingOrg.purchasingOrg }, {
+          WAERS: purchasingOrg.currency,
+          ZTERM: purchasingOrg.paymentTerms,
+          WEBRE: purchasingOrg.grBasedInvoiceVerification ? 'X' : undefined
+        }))
+      }
+    }
+
+    return {
+      IS_MASTER_DATA: { VENDORS: [vendorData] },
+      TESTRUN: context.options && context.options.testRun ? 'X' : ''
+    }
+  }
+
+  /**
+   * Get the central deletion flag of an update: DELETION_FLAG or deletionFlag
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Vendor data
+   * @returns {string|undefined} X to flag the vendor, undefined to leave the flag as it is
+   * @private
+   */
+  _getDeletionFlag(fields, data) {
+    const flag = fields.DELETION_FLAG || data.deletionFlag
+
+    return flag === true || flag === 'X' ? 'X' : undefined
+  }
+
+  /**
+   * Build the phone and e-mail communication data of the address
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Vendor data
+   * @param {string} task - VMD_EI_API task
+   * @returns {Object} Communication data
+   * @private
+   */
+  _buildCommunication(fields, data, task) {
+    const phone = fields.TELEPHONE || data.phone
+    const email = fields.EMAIL || data.email
+    const contact = contactData => ({
+      CONTACT: { TASK: task, DATA: contactData, DATAX: { ...this.buildUpdateFlags(contactData), UPDATEFLAG: task } }
+    })
+
+    return {
+      PHONE: { PHONE: phone ? [contact({ TELEPHONE: phone, STD_NO: 'X' })] : [] },
+      SMTP: { SMTP: email ? [contact({ E_MAIL: email, STD_NO: 'X' })] : [] }
+    }
+  }
+
+  /**
+   * Get bank accounts from the SAPRecord mapping or the Bridge data
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Vendor data
+   * @returns {Array<Object>} Bank accounts (SAPRecord BANK_DETAILS layout)
+   * @private
+   */
+  _getBankDetails(fields, data) {
+    if (fields.BANK_DETAILS && fields.BANK_DETAILS.length > 0) {
+      return fields.BANK_DETAILS
+    }
+
+    return (data.bankAccounts || []).map(account => ({
+      BANK_COUNTRY: account.country || data.country,
+      BANK_KEY: account.bankKey || account.routingNumber,
+      BANK_ACCOUNT: account.accountNumber,
+      ACCOUNT_HOLDER: account.accountHolder,
+      CONTROL_KEY: account.controlKey,
+      IBAN: account.iban,
+      DELETED: account.deleted
+    }))
+  }
+
+  /**
+   * Build one BANKDETAILS entry
+   * @param {Object} account - Bank account (SAPRecord BANK_DETAILS layout)
+   * @param {string} task - VMD_EI_API task
+   * @returns {Object} Bank detail
+   * @private
+   */
+  _buildBankDetail(account, task) {
+    const bankData = this.compact({
+      KOINH: account.ACCOUNT_HOLDER,
+      BKONT: account.CONTROL_KEY,
+      IBAN: account.IBAN
+    })
+
+    return {
+      TASK: account.DELETED ? TASK_DELETE : task,
+      DATA_KEY: {
+        BANKS: account.BANK_COUNTRY,
+        BANKL: account.BANK_KEY,
+        BANKN: account.BANK_ACCOUNT
+      },
+      DATA: bankData,
+      DATAX: this.buildUpdateFlags(bankData)
+    }
+  }
+
+  /**
+   * Get the purchasing organizations to maintain: purchasingOrgs or purchasingOrg
+   * @param {Object} fields - SAP fields
+   * @param {Object} data - Vendor data
+   * @returns {Array<Object>} purchasingOrg, currency, paymentTerms, grBasedInvoiceVerification
+   * @private
+   */
+  _getPurchasingOrgs(fields, data) {
+    if (data.purchasingOrgs && data.purchasingOrgs.length > 0) {
+      return data.purchasingOrgs
+    }
+
+    const purchasingOrg = fields.PURCHASING_ORG || data.purchasingOrg
+    if (!purchasingOrg) {
+      return []
+    }
+
+    return [{
+      purchasingOrg,
+      currency: fields.CURRENCY || data.currency,
+      paymentTerms: fields.PAYMENT_TERMS || data.paymentTerms
+    }]
+  }
+}
+
+module.exports = { VendorParameterBuilder }
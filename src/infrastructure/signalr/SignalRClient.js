@@ -500,6 +500,12 @@ class SignalRClient extends ISignalRClient {
       this.logger.debug('Received ping via SignalR')
       this._emitToApplicationHandlers('ping', data)
     })
+
+    // Handle sales order simulation requests; the application replies with SalesOrderSimulationResult
+    this.on('SimulateSalesOrder', (requestId, order) => {
+      this.logger.debug('Received sales order simulation request via SignalR', { requestId })
+      this._emitToApplicationHandlers('sales-order-simulation', { requestId, order })
+    })
   }
 
   /**
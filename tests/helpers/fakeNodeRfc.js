@@ -0,0 +1,138 @@
+/**
+ * Fake node-rfc module
+ * Scriptable Client used instead of the native binding, which needs the SAP NW RFC SDK.
+ *
+ * state.handlers[functionName] = (parameters, client) => result (or throws)
+ * state.calls lists every call as { client, functionName, parameters }
+ */
+
+const state = {
+  handlers: {},
+  calls: [],
+  clients: [],
+  connectError: null,
+  pingResult: true,
+  delay: 0
+}
+
+class Client {
+  constructor (connectionParameters, clientOptions) {
+    this.connectionParameters = connectionParameters
+    this.clientOptions = clientOptions
+    this.alive = false
+    this.id = state.clients.length + 1
+    this.cancelled = false
+    this.pending = null
+    state.clients.push(this)
+  }
+
+  async connect () {
+    if (state.connectError) {
+      throw state.connectError
+    }
+    this.alive = true
+    return this
+  }
+
+  async open () {
+    return this.connect()
+  }
+
+  async close () {
+    this.alive = false
+  }
+
+  async ping () {
+    return typeof state.pingResult === 'function' ? state.pingResult(this) : state.pingResult
+  }
+
+  async cancel () {
+    this.cancelled = true
+    if (this.pending) {
+      this.pending(rfcError('cancelled', 'RFC_CANCELED', 7))
+    }
+  }
+
+  call (functionName, parameters = {}) {
+    state.calls.push({ client: this.id, functionName, parameters })
+    const handler = state.handlers[functionName]
+
+    return new Promise((resolve, reject) => {
+      this.pending = reject
+      const run = () => {
+        this.pending = null
+        try {
+          resolve(handler ? handler(parameters, this) : {})
+        } catch (error) {
+          reject(error)
+        }
+      }
+
+      if (state.delay > 0) {
+        setTimeout(run, state.delay)
+      } else {
+        setImmediate(run)
+      }
+    })
+  }
+}
+
+/**
+ * Build an error shaped like node-rfc's RfcLibError / ABAP errors
+ * @param {string} message - Message
+ * @param {string} codeString - RFC return code name
+ * @param {number} code - RFC return code
+ * @returns {Error} Error
+ */
+function rfcError (message, codeString, code = 1) {
+  const error = new Error(message)
+  error.name = 'RfcLibError'
+  error.codeString = codeString
+  error.code = code
+  return error
+}
+
+/**
+ * Reset handlers, calls and clients between tests
+ */
+function reset () {
+  state.handlers = {}
+  state.calls = []
+  state.clients = []
+  state.connectError = null
+  state.pingResult = true
+  state.delay = 0
+}
+
+/**
+ * Calls of one function
+ * @param {string} functionName - RFC function name
+ * @returns {Array<Object>} Calls
+ */
+function callsOf (functionName) {
+  return state.calls.filter(call => call.functionName === functionName)
+}
+
+/**
+ * Build an RFC_READ_TABLE result from column definitions and rows
+ * @param {Array<Array>} fields - [name, length, type]
+ * @param {Array<Array>} rows - Values in field order
+ * @returns {Object} FIELDS and DATA
+ */
+function tableResult (fields, rows) {
+  let offset = 0
+  const FIELDS = fields.map(([name, length, type]) => {
+    const field = { FIELDNAME: name, OFFSET: String(offset), LENGTH: String(length), TYPE: type || 'C' }
+    offset += length
+    return field
+  })
+
+  return {
+    FIELDS,
+    DATA: rows.map(row => ({
+      WA: FIELDS.map((field, index) => String(row[index] === undefined ? '' : row[index]).padEnd(Number(field.LENGTH))).join('')
+    }))
+  }
+}
+
+module.exports = { Client, state, reset, callsOf, rfcError, tableResult }
@@ -0,0 +1,18 @@
+/**
+ * Silent logger that records what was logged
+ */
+
+function createLogger () {
+  const entries = []
+  const log = level => (message, meta) => entries.push({ level, message, meta })
+
+  return {
+    entries,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  }
+}
+
+module.exports = { createLogger }
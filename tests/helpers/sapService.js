@@ -0,0 +1,33 @@
+/**
+ * Connected SAPRFCService on top of the fake node-rfc client
+ */
+
+const { SAPRFCService } = require('../../src/infrastructure/sap/SAPRFCService')
+const { createLogger } = require('./logger')
+
+const connectionConfig = {
+  host: 'sap',
+  systemNumber: '00',
+  client: '100',
+  user: 'BRIDGE',
+  passwd: 'secret'
+}
+
+/**
+ * Create and connect a service
+ * @param {Object} options - Service options (backend, entityMappings, conversion, limiter, ...)
+ * @param {Object} config - Connection configuration overrides (poolSize, ...)
+ * @returns {Promise<SAPRFCService>} Connected service
+ */
+async function createService (options = {}, config = {}) {
+  const service = new SAPRFCService(createLogger(), options)
+  const connected = await service.connect({ ...connectionConfig, ...config })
+
+  if (!connected) {
+    throw service.lastError
+  }
+
+  return service
+}
+
+module.exports = { createService, connectionConfig }
@@ -0,0 +1,10 @@
+/**
+ * Jest setup
+ * The native node-rfc binding needs the SAP NW RFC SDK, so every test runs against the fake client.
+ */
+
+jest.mock('node-rfc', () => require('./helpers/fakeNodeRfc'))
+
+beforeEach(() => {
+  require('node-rfc').reset()
+})
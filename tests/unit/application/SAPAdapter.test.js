@@ -0,0 +1,211 @@
+const rfc = require('node-rfc')
+const { SAPAdapter } = require('../../../src/application/SAPAdapter')
+const { ProcessingResult, ProcessingErrorType } = require('../../../src/domain/entities/ProcessingResult')
+const { createLogger } = require('../../helpers/logger')
+const { createService } = require('../../helpers/sapService')
+
+const readFailure = errorType => ProcessingResult.failure('', 'MATERIAL', 'READ', 'Read failed', true, {}, errorType)
+
+describe('SAPAdapter', () => {
+  describe('sync events', () => {
+    let adapter
+    let sapRecord
+
+    beforeEach(() => {
+      adapter = new SAPAdapter({}, createLogger())
+      adapter.sapService = {
+        readRecord: jest.fn(),
+        createRecord: jest.fn().mockResolvedValue(ProcessingResult.success('', 'MATERIAL', 'CREATE', {})),
+        updateRecord: jest.fn().mockResolvedValue(ProcessingResult.success('', 'MATERIAL', 'UPDATE', {}))
+      }
+      sapRecord = { sapEntityType: 'MATERIAL', sapKey: 'M-01', data: { id: 'M-01' } }
+    })
+
+    it('creates the record when the read reports NOT_FOUND', async () => {
+      adapter.sapService.readRecord.mockResolvedValue(readFailure(ProcessingErrorType.NOT_FOUND))
+
+      await adapter._handleSyncEvent({}, sapRecord)
+
+      expect(adapter.sapService.createRecord).toHaveBeenCalledWith('MATERIAL', sapRecord.data, {})
+    })
+
+    it.each([
+      ProcessingErrorType.ERROR,
+      ProcessingErrorType.CIRCUIT_OPEN,
+      ProcessingErrorType.VALIDATION,
+      ProcessingErrorType.TIMEOUT,
+      ProcessingErrorType.CANCELLED
+    ])('returns a %s read failure without creating the record', async errorType => {
+      const failure = readFailure(errorType)
+      adapter.sapService.readRecord.mockResolvedValue(failure)
+
+      await expect(adapter._handleSyncEvent({}, sapRecord)).resolves.toBe(failure)
+
+      expect(adapter.sapService.createRecord).not.toHaveBeenCalled()
+      expect(adapter.sapService.updateRecord).not.toHaveBeenCalled()
+    })
+
+    it('updates a record that exists', async () => {
+      adapter.sapService.readRecord.mockResolvedValue(ProcessingResult.success('', 'MATERIAL', 'READ', {}))
+
+      await adapter._handleSyncEvent({}, sapRecord)
+
+      expect(adapter.sapService.updateRecord).toHaveBeenCalledWith('MATERIAL', 'M-01', sapRecord.data, {})
+    })
+  })
+
+  describe('inventory', () => {
+    let adapter
+    let handlers
+
+    const stockRead = ProcessingResult.success('', 'STOCK', 'READ', {
+      STOCK: [{ PLANT: '1000', STORAGE_LOCATION: '0001', UNRESTRICTED: 5 }],
+      AVAILABILITY: [{ PLANT: '1000', AVAILABLE: 3 }]
+    })
+
+    beforeEach(() => {
+      adapter = new SAPAdapter({}, createLogger())
+      adapter.sapService = {
+        readRecord: jest.fn().mockResolvedValue(stockRead),
+        searchRecords: jest.fn().mockResolvedValue([{ MATERIAL: 'M-01', PLANT: '1000' }])
+      }
+      handlers = {}
+      adapter.webhookServer = {
+        onEvent: handler => { handlers.event = handler },
+        onHealthCheck: handler => { handlers.health = handler },
+        onStatus: handler => { handlers.status = handler },
+        onInventoryQuery: handler => { handlers.inventory = handler },
+        onSalesOrderSimulation: handler => { handlers.simulation = handler }
+      }
+      adapter._setupWebhookHandlers()
+    })
+
+    it('reads the stock of one material with the inventory filter', async () => {
+      const filter = { plant: '1000', availability: true, requirementQuantity: 2 }
+
+      await expect(adapter.getInventory('M-01', filter)).resolves.toBe(stockRead)
+
+      expect(adapter.sapService.readRecord).toHaveBeenCalledWith('STOCK', 'M-01', { inventory: filter })
+    })
+
+    it('searches stock with the inventory filter', async () => {
+      await adapter.searchInventory({ material: ['M-01', 'M-02'], plant: '1000' }, { limit: 10 })
+
+      expect(adapter.sapService.searchRecords).toHaveBeenCalledWith('STOCK', { material: ['M-01', 'M-02'], plant: '1000' }, { inventory: { limit: 10 } })
+    })
+
+    it('answers a query for one material with its stock and availability', async () => {
+      const reply = await handlers.inventory({ material: 'M-01', plant: '1000', requirementDate: '2026-11-02' })
+
+      expect(reply).toEqual({ success: true, material: 'M-01', stock: stockRead.sapResult.STOCK, availability: stockRead.sapResult.AVAILABILITY })
+      expect(adapter.sapService.readRecord).toHaveBeenCalledWith('STOCK', 'M-01', {
+        inventory: { requirementDate: '2026-11-02', plant: '1000', storageLocation: undefined }
+      })
+    })
+
+    it('searches when several materials or only a plant are queried', async () => {
+      const reply = await handlers.inventory({ plant: '1000', limit: 50 })
+
+      expect(reply).toEqual({ success: true, stock: [{ MATERIAL: 'M-01', PLANT: '1000' }] })
+      expect(adapter.sapService.readRecord).not.toHaveBeenCalled()
+      expect(adapter.sapService.searchRecords).toHaveBeenCalledWith('STOCK', { material: undefined, plant: '1000', storageLocation: undefined }, { inventory: { limit: 50 } })
+    })
+
+    it('passes read and search failures on', async () => {
+      adapter.sapService.readRecord.mockResolvedValue(ProcessingResult.failure('', 'STOCK', 'READ', 'Material M-09 does not exist'))
+      adapter.sapService.searchRecords.mockResolvedValue(ProcessingResult.failure('', 'STOCK', 'SEARCH', 'Plant 9999 does not exist'))
+
+      await expect(handlers.inventory({ material: 'M-09' })).resolves.toMatchObject({ success: false, error: 'Material M-09 does not exist' })
+      await expect(handlers.inventory({ plant: '9999' })).resolves.toMatchObject({ success: false, error: 'Plant 9999 does not exist' })
+    })
+  })
+
+  describe('sales order simulation', () => {
+    const order = { customerId: '100', items: [{ materialId: '42', quantity: 2 }] }
+    const simulated = {
+      SOLD_TO_PARTY: { SOLD_TO: '0000000100' },
+      ORDER_ITEMS_OUT: [{ ITM_NUMBER: '000010', MATERIAL: '000000000000000042', REQ_QTY: 2, NET_VALUE: 19, TX_DOC_CUR: 4, CURRENCY: 'EUR' }],
+      ORDER_CONDITION_EX: [],
+      ORDER_SCHEDULE_EX: [],
+      RETURN: [{ TYPE: 'S', ID: 'V1', NUMBER: '233', MESSAGE: 'SALES_HEADER_IN has been processed successfully' }]
+    }
+
+    let adapter
+    let listeners
+
+    beforeEach(async () => {
+      adapter = new SAPAdapter({}, createLogger())
+      adapter.sapService = await createService()
+      adapter.signalRClient = { send: jest.fn().mockResolvedValue() }
+
+      const before = process.listeners('signalr-sales-order-simulation')
+      adapter._setupSignalRHandlers()
+      listeners = process.listeners('signalr-sales-order-simulation').filter(listener => !before.includes(listener))
+    })
+
+    afterEach(async () => {
+      listeners.forEach(listener => process.removeListener('signalr-sales-order-simulation', listener))
+      await adapter.sapService.disconnect()
+    })
+
+    const requestSimulation = async requestId => {
+      process.emit('signalr-sales-order-simulation', { requestId, order })
+      await new Promise(resolve => {
+        const waitForReply = () => adapter.signalRClient.send.mock.calls.length > 0 ? resolve() : setImmediate(waitForReply)
+        waitForReply()
+      })
+      return adapter.signalRClient.send.mock.calls[0]
+    }
+
+    it('replies to a SignalR request with the simulation under its request id', async () => {
+      rfc.state.handlers.BAPI_SALESORDER_SIMULATE = () => simulated
+
+      const [method, requestId, reply] = await requestSimulation('request-1')
+
+      expect(method).toBe('SalesOrderSimulationResult')
+      expect(requestId).toBe('request-1')
+      expect(reply).toMatchObject({ success: true, simulation: { soldTo: '0000000100', netValue: 19, tax: 4, currency: 'EUR' } })
+      expect(rfc.callsOf('BAPI_SALESORDER_SIMULATE')[0].parameters.ORDER_PARTNERS).toContainEqual({ PARTN_ROLE: 'AG', PARTN_NUMB: '0000000100' })
+      expect(rfc.callsOf('BAPI_TRANSACTION_COMMIT')).toHaveLength(0)
+    })
+
+    it('replies with the BAPI error when SAP rejects the simulation', async () => {
+      rfc.state.handlers.BAPI_SALESORDER_SIMULATE = () => ({
+        RETURN: [{ TYPE: 'E', ID: 'V1', NUMBER: '320', MESSAGE: 'Material 42 is not defined for sales org.1000' }]
+      })
+
+      const [, requestId, reply] = await requestSimulation('request-2')
+
+      expect(requestId).toBe('request-2')
+      expect(reply).toMatchObject({ success: false })
+      expect(reply.error).toContain('Material 42 is not defined for sales org.1000')
+    })
+
+    it('replies with the error when the simulation throws', async () => {
+      adapter.sapService.simulateSalesOrder = jest.fn().mockRejectedValue(new Error('SAP not connected'))
+
+      const [, requestId, reply] = await requestSimulation('request-3')
+
+      expect(requestId).toBe('request-3')
+      expect(reply).toEqual({ success: false, message: 'Sales order simulation failed', error: 'SAP not connected' })
+    })
+
+    it('answers webhook simulations with the same reply', async () => {
+      rfc.state.handlers.BAPI_SALESORDER_SIMULATE = () => simulated
+      const handlers = {}
+      adapter.webhookServer = {
+        onEvent: () => {},
+        onHealthCheck: () => {},
+        onStatus: () => {},
+        onInventoryQuery: () => {},
+        onSalesOrderSimulation: handler => { handlers.simulation = handler }
+      }
+      adapter._setupWebhookHandlers()
+
+      const reply = await handlers.simulation(order)
+
+      expect(reply).toMatchObject({ success: true, simulation: { netValue: 19 } })
+      expect(reply.messages).toEqual([expect.objectContaining({ TYPE: 'S', NUMBER: '233' })])
+    })
+  })
+})
@@ -0,0 +1,140 @@
+const request = require('supertest')
+const { WebhookServer } = require('../../../../src/infrastructure/http/WebhookServer')
+const { createLogger } = require('../../../helpers/logger')
+
+const createServer = async (config = {}) => {
+  const server = new WebhookServer(createLogger())
+  await server.initialize({ port: 0, requestLogging: false, ...config })
+  return server
+}
+
+describe('WebhookServer', () => {
+  describe('POST /inventory/query', () => {
+    let server
+    let handler
+
+    beforeEach(async () => {
+      server = await createServer()
+      handler = jest.fn().mockResolvedValue({ success: true, material: 'M-01', stock: [{ PLANT: '1000', UNRESTRICTED: 5 }] })
+      server.onInventoryQuery(handler)
+    })
+
+    it('answers with the handler result', async () => {
+      const response = await request(server.app)
+        .post('/inventory/query')
+        .send({ material: 'M-01', plant: '1000', requirementQuantity: 2 })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ success: true, material: 'M-01', stock: [{ PLANT: '1000', UNRESTRICTED: 5 }] })
+      expect(response.body.timestamp).toBeDefined()
+      expect(handler).toHaveBeenCalledWith({ material: 'M-01', plant: '1000', requirementQuantity: 2 })
+    })
+
+    it('accepts a list of materials', async () => {
+      await request(server.app).post('/inventory/query').send({ material: ['M-01', 'M-02'] }).expect(200)
+
+      expect(handler).toHaveBeenCalledWith({ material: ['M-01', 'M-02'] })
+    })
+
+    it.each([
+      [{ material: 42 }, 'Material must be a material number or a list of material numbers'],
+      [{ material: 'M-01', plant: 1000 }, 'Plant must be a string'],
+      [{ material: 'M-01', storageLocation: 1 }, 'Storage location must be a string'],
+      [{ material: 'M-01', requirementDate: 'tomorrow' }, 'Requirement date must be a valid date'],
+      [{ material: 'M-01', requirementQuantity: 0 }, 'Requirement quantity must be positive'],
+      [{ storageLocation: '0001' }, 'Material or plant is required']
+    ])('rejects %j', async (query, message) => {
+      const response = await request(server.app).post('/inventory/query').send(query)
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toBe('Validation failed')
+      expect(response.body.details.map(detail => detail.msg)).toContain(message)
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('reports a failed query as 400', async () => {
+      handler.mockResolvedValue({ success: false, message: 'Failed to read STOCK', error: 'Material M-09 does not exist' })
+
+      const response = await request(server.app).post('/inventory/query').send({ material: 'M-09' })
+
+      expect(response.status).toBe(400)
+      expect(response.body).toMatchObject({ success: false, error: 'Material M-09 does not exist' })
+    })
+
+    it('reports a handler error as 500', async () => {
+      handler.mockRejectedValue(new Error('SAP not connected'))
+
+      const response = await request(server.app).post('/inventory/query').send({ material: 'M-01' })
+
+      expect(response.status).toBe(500)
+      expect(response.body).toMatchObject({ success: false, message: 'Internal server error', error: 'SAP not connected' })
+    })
+
+    it('is unavailable without a handler', async () => {
+      server = await createServer()
+
+      const response = await request(server.app).post('/inventory/query').send({ material: 'M-01' })
+
+      expect(response.status).toBe(503)
+    })
+  })
+
+  describe('POST /sales-orders/simulate', () => {
+    const order = { customerId: '1000', items: [{ materialId: 'M-01', quantity: 2 }] }
+    let server
+    let handler
+
+    beforeEach(async () => {
+      server = await createServer()
+      handler = jest.fn().mockResolvedValue({ success: true, simulation: { netValue: 200, currency: 'EUR' }, messages: [] })
+      server.onSalesOrderSimulation(handler)
+    })
+
+    it('answers with the simulation', async () => {
+      const response = await request(server.app).post('/sales-orders/simulate').send(order)
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ success: true, simulation: { netValue: 200, currency: 'EUR' } })
+      expect(handler).toHaveBeenCalledWith(order)
+    })
+
+    it.each([
+      [{ customerId: '1000' }, 'Items must be a non-empty array'],
+      [{ customerId: '1000', items: [] }, 'Items must be a non-empty array'],
+      [{ customerId: '1000', items: [{ materialId: 'M-01', quantity: -1 }] }, 'Item quantity must be positive'],
+      [{ customerId: 1000, items: order.items }, 'Customer ID must be a string'],
+      [{ ...order, requestedDeliveryDate: 'soon' }, 'Requested delivery date must be a valid date'],
+      [{ items: order.items }, 'Customer ID or sold-to party is required']
+    ])('rejects %j', async (body, message) => {
+      const response = await request(server.app).post('/sales-orders/simulate').send(body)
+
+      expect(response.status).toBe(400)
+      expect(response.body.details.map(detail => detail.msg)).toContain(message)
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('reports a failed simulation as 400', async () => {
+      handler.mockResolvedValue({ success: false, message: 'Failed to simulate SALES_ORDER', error: 'Material M-09 is not defined for sales org 1000' })
+
+      const response = await request(server.app).post('/sales-orders/simulate').send(order)
+
+      expect(response.status).toBe(400)
+      expect(response.body).toMatchObject({ success: false, error: 'Material M-09 is not defined for sales org 1000' })
+    })
+
+    it('reports a handler error as 500', async () => {
+      handler.mockRejectedValue(new Error('SAP not connected'))
+
+      const response = await request(server.app).post('/sales-orders/simulate').send(order)
+
+      expect(response.status).toBe(500)
+      expect(response.body.error).toBe('SAP not connected')
+    })
+
+    it('is unavailable without a handler', async () => {
+      server = await createServer()
+
+      await request(server.app).post('/sales-orders/simulate').send(order).expect(503)
+    })
+  })
+})
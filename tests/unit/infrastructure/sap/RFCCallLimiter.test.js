@@ -0,0 +1,153 @@
+const rfc = require('node-rfc')
+const { RFCCallLimiter } = require('../../../../src/infrastructure/sap/RFCCallLimiter')
+const { RFCQueueTimeoutError } = require('../../../../src/infrastructure/sap/RFCErrors')
+const { createLogger } = require('../../../helpers/logger')
+const { createService } = require('../../../helpers/sapService')
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+describe('RFCCallLimiter', () => {
+  it('queues calls above maxConcurrent until a slot is released', async () => {
+    const limiter = new RFCCallLimiter({ maxConcurrent: 1 }, createLogger())
+
+    const release = await limiter.acquire('BAPI_A')
+    let started = false
+    const next = limiter.acquire('BAPI_B').then(releaseNext => {
+      started = true
+      return releaseNext
+    })
+    await tick()
+
+    expect(started).toBe(false)
+    expect(limiter.getStats()).toMatchObject({ active: 1, queueDepth: 1 })
+
+    release()
+    ;(await next)()
+
+    expect(started).toBe(true)
+    expect(limiter.getStats().active).toBe(0)
+  })
+
+  it('limits one function without holding up others', async () => {
+    const limiter = new RFCCallLimiter({ functions: { bapi_po_create1: { maxConcurrent: 1 } } }, createLogger())
+
+    const release = await limiter.acquire('BAPI_PO_CREATE1')
+    const queued = limiter.acquire('BAPI_PO_CREATE1')
+    const other = await limiter.acquire('BAPI_MATERIAL_SAVEDATA')
+
+    expect(limiter.getStats().queueDepth).toBe(1)
+
+    other()
+    release()
+    ;(await queued)()
+  })
+
+  it('rejects calls that wait longer than queueTimeout', async () => {
+    const limiter = new RFCCallLimiter({ maxConcurrent: 1, queueTimeout: 10 }, createLogger())
+    const release = await limiter.acquire('BAPI_A')
+
+    await expect(limiter.acquire('BAPI_B')).rejects.toBeInstanceOf(RFCQueueTimeoutError)
+    expect(limiter.getStats()).toMatchObject({ queueTimeouts: 1, queueDepth: 0 })
+
+    release()
+  })
+
+  it('stops waiting when the signal aborts', async () => {
+    const limiter = new RFCCallLimiter({ maxConcurrent: 1 }, createLogger())
+    const release = await limiter.acquire('BAPI_A')
+    const controller = new AbortController()
+
+    const queued = limiter.acquire('BAPI_B', { signal: controller.signal, onAbort: () => new Error('aborted') })
+    controller.abort()
+
+    await expect(queued).rejects.toThrow('aborted')
+    expect(limiter.getStats().queueDepth).toBe(0)
+
+    release()
+  })
+
+  it('spreads calls over time with maxCallsPerSecond', async () => {
+    jest.useFakeTimers()
+    const limiter = new RFCCallLimiter({ maxCallsPerSecond: 2 }, createLogger())
+
+    ;(await limiter.acquire('BAPI_A'))()
+    ;(await limiter.acquire('BAPI_A'))()
+    let started = false
+    const third = limiter.acquire('BAPI_A').then(release => {
+      started = true
+      release()
+    })
+
+    await jest.advanceTimersByTimeAsync(500)
+    expect(started).toBe(false)
+
+    await jest.advanceTimersByTimeAsync(600)
+    await third
+    jest.useRealTimers()
+
+    expect(started).toBe(true)
+  })
+
+  describe('in SAPRFCService', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('waits for a call slot before leasing a pool connection', async () => {
+      service = await createService({ limiter: { maxConcurrent: 1 } }, { poolSize: 3, pool: { min: 0, healthCheckInterval: 0 } })
+      rfc.state.delay = 20
+
+      const calls = [service.executeRFC('RFC_A'), service.executeRFC('RFC_B'), service.executeRFC('RFC_C')]
+      await tick()
+
+      expect(service.pool.getStats()).toMatchObject({ inUse: 1, waiting: 0 })
+      expect(service.callLimiter.getStats().queueDepth).toBe(2)
+
+      await Promise.all(calls)
+
+      expect(rfc.state.clients).toHaveLength(1)
+    })
+
+    it('runs metadata lookups inside the call slot of the call that needs them', async () => {
+      service = await createService({ limiter: { maxConcurrent: 1 } })
+      rfc.state.handlers.RFC_GET_FUNCTION_INTERFACE = () => ({ PARAMS: [] })
+
+      await expect(service.executeRFC('RFC_A', {}, { validateParameters: true })).resolves.toMatchObject({ SUCCESS: true })
+      expect(rfc.state.calls.map(call => call.functionName)).toEqual(['RFC_GET_FUNCTION_INTERFACE', 'RFC_A'])
+    })
+
+    it.each([
+      ['a single connection', {}],
+      ['a pool', { poolSize: 2, pool: { min: 0, healthCheckInterval: 0 } }]
+    ])('runs a transaction alongside single calls with one slot on %s', async (_label, config) => {
+      service = await createService({ limiter: { maxConcurrent: 1, queueTimeout: 200 } }, config)
+      rfc.state.delay = 5
+
+      const results = await Promise.all([
+        service.executeRFC('RFC_A'),
+        service.executeBAPI('BAPI_X', {}),
+        service.transaction(async tx => {
+          await tx.executeRFC('RFC_B')
+          return tx.executeBAPI('BAPI_Y', {})
+        }),
+        service.executeRFC('RFC_C')
+      ])
+
+      expect(results.map(result => result.FUNCTION_NAME)).toEqual(['RFC_A', 'BAPI_X', 'BAPI_Y', 'RFC_C'])
+      expect(service.callLimiter.getStats()).toMatchObject({ active: 0, queueDepth: 0 })
+    })
+
+    it('applies the limits of the BAPI to its transaction', async () => {
+      service = await createService({ limiter: { maxConcurrent: 10, functions: { BAPI_X: { maxConcurrent: 1 } } } })
+      rfc.state.delay = 20
+
+      const calls = [service.executeBAPI('BAPI_X', {}), service.executeBAPI('BAPI_X', {})]
+      await tick()
+
+      expect(service.callLimiter.getStats().queueDepth).toBe(1)
+      await Promise.all(calls)
+    })
+  })
+})
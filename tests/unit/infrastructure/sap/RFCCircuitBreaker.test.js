@@ -0,0 +1,104 @@
+const { RFCCircuitBreaker, CircuitState } = require('../../../../src/infrastructure/sap/RFCCircuitBreaker')
+const { CircuitOpenError } = require('../../../../src/infrastructure/sap/RFCErrors')
+const { createLogger } = require('../../../helpers/logger')
+
+const unavailable = new Error('Connection refused')
+
+describe('RFCCircuitBreaker', () => {
+  let breaker
+
+  afterEach(() => {
+    breaker.reset()
+  })
+
+  const createBreaker = (options = {}, probe = jest.fn().mockResolvedValue()) =>
+    new RFCCircuitBreaker({ minimumCalls: 4, windowSize: 4, failureRateThreshold: 0.5, coolDown: 60000, ...options }, createLogger(), probe)
+
+  it('stays closed below the minimum number of calls', () => {
+    breaker = createBreaker()
+
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure(unavailable)
+    }
+
+    expect(breaker.state).toBe(CircuitState.CLOSED)
+    expect(() => breaker.assertCallAllowed('RFC_PING')).not.toThrow()
+  })
+
+  it('opens at the failure rate threshold and rejects calls', () => {
+    breaker = createBreaker()
+    const changes = []
+    breaker.onStateChange((state, previousState) => changes.push([previousState, state]))
+
+    breaker.recordSuccess()
+    breaker.recordSuccess()
+    breaker.recordFailure(unavailable)
+    breaker.recordFailure(unavailable)
+
+    expect(breaker.state).toBe(CircuitState.OPEN)
+    expect(changes).toEqual([[CircuitState.CLOSED, CircuitState.OPEN]])
+    expect(() => breaker.assertCallAllowed('BAPI_MATERIAL_SAVEDATA')).toThrow(CircuitOpenError)
+    expect(breaker.getState()).toMatchObject({ lastFailure: 'Connection refused', stats: { opened: 1, rejected: 1 } })
+  })
+
+  it('only counts the outcomes inside the sliding window', () => {
+    breaker = createBreaker()
+
+    breaker.recordFailure(unavailable)
+    breaker.recordSuccess()
+    breaker.recordSuccess()
+    breaker.recordSuccess()
+    breaker.recordSuccess()
+
+    expect(breaker.getState()).toMatchObject({ calls: 4, failureRate: 0 })
+  })
+
+  it('closes again after a successful probe', async () => {
+    const probe = jest.fn().mockResolvedValue()
+    breaker = createBreaker({}, probe)
+    for (let i = 0; i < 4; i++) {
+      breaker.recordFailure(unavailable)
+    }
+
+    await expect(breaker.probeNow()).resolves.toBe(true)
+
+    expect(probe).toHaveBeenCalledTimes(1)
+    expect(breaker.getState()).toMatchObject({ state: CircuitState.CLOSED, calls: 0 })
+  })
+
+  it('reopens when the probe fails', async () => {
+    breaker = createBreaker({}, jest.fn().mockRejectedValue(new Error('Still down')))
+    for (let i = 0; i < 4; i++) {
+      breaker.recordFailure(unavailable)
+    }
+
+    await expect(breaker.probeNow()).resolves.toBe(false)
+
+    expect(breaker.getState()).toMatchObject({ state: CircuitState.OPEN, lastFailure: 'Still down', stats: { probes: 1, probeFailures: 1 } })
+  })
+
+  it('probes on its own after the cool-down', async () => {
+    jest.useFakeTimers()
+    const probe = jest.fn().mockResolvedValue()
+    breaker = createBreaker({ coolDown: 1000 }, probe)
+    for (let i = 0; i < 4; i++) {
+      breaker.recordFailure(unavailable)
+    }
+
+    await jest.advanceTimersByTimeAsync(1000)
+    jest.useRealTimers()
+
+    expect(probe).toHaveBeenCalledTimes(1)
+    expect(breaker.state).toBe(CircuitState.CLOSED)
+  })
+
+  it('lets every call through when disabled', () => {
+    breaker = createBreaker({ enabled: false })
+    for (let i = 0; i < 4; i++) {
+      breaker.recordFailure(unavailable)
+    }
+
+    expect(breaker.state).toBe(CircuitState.CLOSED)
+    expect(() => breaker.assertCallAllowed('RFC_PING')).not.toThrow()
+  })
+})
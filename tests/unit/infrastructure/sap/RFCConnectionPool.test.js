@@ -0,0 +1,124 @@
+const rfc = require('node-rfc')
+const { RFCConnectionPool } = require('../../../../src/infrastructure/sap/RFCConnectionPool')
+const { createLogger } = require('../../../helpers/logger')
+
+const createPool = (options = {}) => new RFCConnectionPool({ ashost: 'sap' }, { healthCheckInterval: 0, ...options }, createLogger())
+
+describe('RFCConnectionPool', () => {
+  let pool
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.close()
+      pool = null
+    }
+  })
+
+  it('opens the minimum number of connections', async () => {
+    pool = createPool({ min: 2, max: 4 })
+    await pool.open()
+
+    expect(rfc.state.clients).toHaveLength(2)
+    expect(pool.getStats()).toMatchObject({ size: 2, idle: 2, inUse: 0 })
+  })
+
+  it('creates connections up to max and queues further acquires', async () => {
+    pool = createPool({ min: 0, max: 2, acquireTimeout: 1000 })
+    await pool.open()
+
+    const first = await pool.acquire()
+    const second = await pool.acquire()
+    const third = pool.acquire()
+
+    expect(pool.getStats()).toMatchObject({ size: 2, inUse: 2, waiting: 1 })
+
+    pool.release(first)
+    await expect(third).resolves.toBe(first)
+    pool.release(second)
+    expect(pool.getStats().idle).toBe(1)
+  })
+
+  it('rejects an acquire that waits longer than the timeout', async () => {
+    pool = createPool({ min: 0, max: 1 })
+    await pool.open()
+    await pool.acquire()
+
+    await expect(pool.acquire(10)).rejects.toThrow('Timed out after 10ms')
+    expect(pool.getStats().acquireTimeouts).toBe(1)
+  })
+
+  it('replaces a connection released as broken', async () => {
+    pool = createPool({ min: 1, max: 2 })
+    await pool.open()
+
+    const client = await pool.acquire()
+    pool.release(client, true)
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(pool.getStats()).toMatchObject({ destroyed: 1, size: 1, idle: 1 })
+    expect(pool.idleClients[0].client).not.toBe(client)
+  })
+
+  it('hands healthy checked connections to waiters queued during the check', async () => {
+    pool = createPool({ min: 0, max: 1, acquireTimeout: 1000 })
+    await pool.open()
+    pool.release(await pool.acquire())
+
+    let finishPing
+    rfc.state.pingResult = () => new Promise(resolve => { finishPing = resolve })
+
+    const check = pool._checkIdleConnections()
+    const waiting = pool.acquire()
+    expect(pool.getStats()).toMatchObject({ size: 1, waiting: 1 })
+
+    finishPing(true)
+    await check
+
+    await expect(waiting).resolves.toBe(rfc.state.clients[0])
+    expect(pool.getStats()).toMatchObject({ size: 1, inUse: 1, waiting: 0 })
+  })
+
+  it('does not run overlapping health checks', async () => {
+    pool = createPool({ min: 2, max: 2 })
+    await pool.open()
+
+    let finishPing
+    rfc.state.pingResult = () => new Promise(resolve => { finishPing = resolve })
+
+    const first = pool._checkIdleConnections()
+    await pool._checkIdleConnections()
+
+    expect(pool.checkingCount).toBe(2)
+    expect(pool.getStats().healthChecks).toBe(1)
+
+    rfc.state.pingResult = true
+    finishPing(true)
+    await first
+
+    expect(pool.getStats()).toMatchObject({ size: 2, idle: 2 })
+  })
+
+  it('removes connections that fail the ping and tops up to min', async () => {
+    pool = createPool({ min: 1, max: 2 })
+    await pool.open()
+    rfc.state.pingResult = false
+
+    await pool._checkIdleConnections()
+    rfc.state.pingResult = true
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(pool.getStats()).toMatchObject({ unhealthyRemoved: 1, size: 1, idle: 1 })
+  })
+
+  it('trims expired idle connections above min', async () => {
+    pool = createPool({ min: 1, max: 3, idleTimeout: 1 })
+    await pool.open()
+    const extra = await Promise.all([pool.acquire(), pool.acquire()])
+    extra.forEach(client => pool.release(client))
+    pool.idleClients.forEach(idle => { idle.idleSince -= 1000 })
+
+    await pool._checkIdleConnections()
+
+    expect(pool.getStats().size).toBe(1)
+  })
+})
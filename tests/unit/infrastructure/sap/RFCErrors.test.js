@@ -0,0 +1,55 @@
+const { RFCErrorType, RFCCancelledError, classifyRFCError } = require('../../../../src/infrastructure/sap/RFCErrors')
+const { rfcError } = require('node-rfc')
+
+describe('classifyRFCError', () => {
+  it.each([
+    ['RFC_COMMUNICATION_FAILURE', RFCErrorType.COMMUNICATION_FAILURE],
+    ['RFC_CLOSED', RFCErrorType.RFC_CLOSED],
+    ['RFC_INVALID_HANDLE', RFCErrorType.INVALID_HANDLE],
+    ['RFC_LOGON_FAILURE', RFCErrorType.LOGON_FAILURE],
+    ['RFC_ABAP_CLASS_EXCEPTION', RFCErrorType.ABAP_EXCEPTION],
+    ['RFC_ABAP_MESSAGE', RFCErrorType.ABAP_MESSAGE],
+    ['RFC_AUTHORIZATION_FAILURE', RFCErrorType.AUTHORIZATION_FAILURE]
+  ])('maps the return code %s', (codeString, errorType) => {
+    expect(classifyRFCError(rfcError('Failed', codeString))).toBe(errorType)
+  })
+
+  it('reads the return code from key or the numeric code', () => {
+    expect(classifyRFCError(Object.assign(new Error('Failed'), { key: 'RFC_CLOSED' }))).toBe(RFCErrorType.RFC_CLOSED)
+    expect(classifyRFCError(Object.assign(new Error('Failed'), { code: 2 }))).toBe(RFCErrorType.LOGON_FAILURE)
+    expect(classifyRFCError(Object.assign(new Error('Failed'), { code: 13 }))).toBe(RFCErrorType.INVALID_HANDLE)
+  })
+
+  it.each([
+    'Connection closed by partner',
+    'read ECONNRESET',
+    'Partner 10.0.0.1:sapgw00 not reached',
+    'Broken pipe'
+  ])('treats "%s" without a code as a lost connection', message => {
+    expect(classifyRFCError(new Error(message))).toBe(RFCErrorType.COMMUNICATION_FAILURE)
+  })
+
+  it('classifies ABAP errors without a code as ABAP exceptions', () => {
+    const error = Object.assign(new Error('MATERIAL_NOT_FOUND'), { name: 'ABAPError' })
+
+    expect(classifyRFCError(error)).toBe(RFCErrorType.ABAP_EXCEPTION)
+  })
+
+  it('separates timeouts from cancellations', () => {
+    expect(classifyRFCError(new RFCCancelledError('RFC_A', 'timeout', 1000))).toBe(RFCErrorType.TIMEOUT)
+    expect(classifyRFCError(new RFCCancelledError('RFC_A', 'aborted'))).toBe(RFCErrorType.CANCELLED)
+  })
+
+  it('falls back to UNKNOWN', () => {
+    expect(classifyRFCError(new Error('Something else'))).toBe(RFCErrorType.UNKNOWN)
+    expect(classifyRFCError(null)).toBe(RFCErrorType.UNKNOWN)
+  })
+
+  it('counts only lost sessions as connection errors and adds logon failures and timeouts to availability', () => {
+    expect(RFCErrorType.isConnectionError(RFCErrorType.RFC_CLOSED)).toBe(true)
+    expect(RFCErrorType.isConnectionError(RFCErrorType.LOGON_FAILURE)).toBe(false)
+    expect(RFCErrorType.isAvailabilityError(RFCErrorType.LOGON_FAILURE)).toBe(true)
+    expect(RFCErrorType.isAvailabilityError(RFCErrorType.TIMEOUT)).toBe(true)
+    expect(RFCErrorType.isAvailabilityError(RFCErrorType.ABAP_EXCEPTION)).toBe(false)
+  })
+})
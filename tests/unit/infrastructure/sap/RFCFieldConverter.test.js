@@ -0,0 +1,165 @@
+const rfc = require('node-rfc')
+const { RFCFieldConverter } = require('../../../../src/infrastructure/sap/RFCFieldConverter')
+const { createService } = require('../../../helpers/sapService')
+const { createLogger } = require('../../../helpers/logger')
+
+const field = (name, abapType, length, conversionExit = null) => ({ name, abapType, length, conversionExit })
+
+const materialFields = [
+  field('MATERIAL', 'C', 18, 'MATN1'),
+  field('CUSTOMER', 'C', 10, 'ALPHA'),
+  field('CREATED_ON', 'D', 8),
+  field('CREATED_AT', 'T', 6),
+  field('QUANTITY', 'P', 7),
+  field('TEXT', 'C', 40)
+]
+
+const description = {
+  name: 'Z_TEST',
+  parameters: {
+    IMPORT: [
+      { name: 'HEADER', abapType: 'u', fields: materialFields, field: null },
+      { name: 'CUSTOMERNO', abapType: 'C', fields: null, field: field('KUNNR', 'C', 10, 'ALPHA') }
+    ],
+    EXPORT: [{ name: 'RESULT', abapType: 'u', fields: materialFields, field: null }],
+    CHANGING: [],
+    TABLES: [{ name: 'ITEMS', abapType: 'h', fields: materialFields, field: null }]
+  }
+}
+
+describe('RFCFieldConverter', () => {
+  const converter = new RFCFieldConverter(createLogger(), { enabled: true })
+
+  it('is opt-in', () => {
+    expect(new RFCFieldConverter(createLogger()).enabled).toBe(false)
+    expect(new RFCFieldConverter(createLogger(), { enabled: 'yes' }).enabled).toBe(false)
+    expect(converter.enabled).toBe(true)
+  })
+
+  describe('toInternal', () => {
+    it('pads numeric ALPHA and MATN1 values and leaves others alone', () => {
+      const parameters = converter.toInternal(description, {
+        HEADER: { MATERIAL: '4711', CUSTOMER: 815, TEXT: '123' },
+        ITEMS: [{ MATERIAL: 'pump-01', CUSTOMER: 'C-1' }],
+        CUSTOMERNO: ' 42 '
+      })
+
+      expect(parameters.HEADER).toEqual({ MATERIAL: '000000000000004711', CUSTOMER: '0000000815', TEXT: '123' })
+      expect(parameters.ITEMS).toEqual([{ MATERIAL: 'PUMP-01', CUSTOMER: 'C-1' }])
+      expect(parameters.CUSTOMERNO).toBe('0000000042')
+    })
+
+    it('pads material numbers to materialLength', () => {
+      const longMaterial = new RFCFieldConverter(createLogger(), { enabled: true, materialLength: 40 })
+
+      expect(longMaterial.toInternal(description, { HEADER: { MATERIAL: '4711' } }).HEADER.MATERIAL).toBe('4711'.padStart(40, '0'))
+    })
+
+    it('writes dates as DATS and times as TIMS', () => {
+      const { HEADER } = converter.toInternal(description, {
+        HEADER: { CREATED_ON: '2026-10-19T23:30:00+02:00', CREATED_AT: '08:15' }
+      })
+      const fromDate = converter.toInternal(description, {
+        HEADER: { CREATED_ON: new Date(Date.UTC(2026, 9, 19)), CREATED_AT: new Date(Date.UTC(2026, 9, 19, 8, 15, 30)) }
+      })
+
+      expect(HEADER).toEqual({ CREATED_ON: '20261019', CREATED_AT: '081500' })
+      expect(fromDate.HEADER).toEqual({ CREATED_ON: '20261019', CREATED_AT: '081530' })
+    })
+
+    it('applies configured exits when the function cannot be described', () => {
+      const configured = new RFCFieldConverter(createLogger(), { enabled: true, fields: { PARTNER: { exit: 'ALPHA', length: 10 } } })
+
+      expect(configured.toInternal(null, { PARTNER: '17', OTHER: '17', DATE: new Date(Date.UTC(2026, 0, 2)) }))
+        .toEqual({ PARTNER: '0000000017', OTHER: '17', DATE: '20260102' })
+    })
+  })
+
+  describe('toExternal', () => {
+    it('strips the leading zeros of ALPHA and MATN1 values', () => {
+      const { RESULT } = converter.toExternal(description, {
+        RESULT: { MATERIAL: '000000000000004711', CUSTOMER: '0000000000', TEXT: '000123' }
+      })
+
+      expect(RESULT).toEqual({ MATERIAL: '4711', CUSTOMER: '0', TEXT: '000123' })
+    })
+
+    it('reads DATS, TIMS and packed numbers', () => {
+      const { RESULT } = converter.toExternal(description, {
+        RESULT: { CREATED_ON: '20261019', CREATED_AT: '081530', QUANTITY: ' 12.500' }
+      })
+
+      expect(RESULT).toEqual({ CREATED_ON: new Date(Date.UTC(2026, 9, 19)), CREATED_AT: '08:15:30', QUANTITY: 12.5 })
+    })
+
+    it('reads initial dates as null and trailing minus signs as negative numbers', () => {
+      const { ITEMS } = converter.toExternal(description, {
+        ITEMS: [
+          { CREATED_ON: '00000000', QUANTITY: '3.250-' },
+          { CREATED_ON: '        ', QUANTITY: '' }
+        ]
+      })
+
+      expect(ITEMS).toEqual([
+        { CREATED_ON: null, QUANTITY: -3.25 },
+        { CREATED_ON: null, QUANTITY: '' }
+      ])
+    })
+
+    it('converts table rows by their field descriptions', () => {
+      expect(converter.rowsToExternal(materialFields, [{ MATERIAL: '000000000000000042', QUANTITY: '1-' }]))
+        .toEqual([{ MATERIAL: '42', QUANTITY: -1 }])
+    })
+  })
+
+  describe('criteriaToInternal', () => {
+    it('converts plain values, lists, operators and nested groups', () => {
+      const criteria = converter.criteriaToInternal(materialFields, {
+        MATERIAL: '4711',
+        CUSTOMER: ['1', '2'],
+        CREATED_ON: { GE: '2026-01-01', BT: ['2026-01-01', new Date(Date.UTC(2026, 11, 31))] },
+        $or: [{ CUSTOMER: '3' }, { TEXT: '7' }]
+      })
+
+      expect(criteria).toEqual({
+        MATERIAL: '000000000000004711',
+        CUSTOMER: ['0000000001', '0000000002'],
+        CREATED_ON: { GE: '20260101', BT: ['20260101', '20261231'] },
+        $or: [{ CUSTOMER: '0000000003' }, { TEXT: '7' }]
+      })
+    })
+  })
+
+  describe('in SAPRFCService', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('sends and returns values unconverted by default', async () => {
+      service = await createService()
+      rfc.state.handlers.Z_TEST = () => ({ RESULT: { MATERIAL: '000000000000004711' } })
+
+      const result = await service.executeRFC('Z_TEST', { HEADER: { MATERIAL: '4711' } })
+
+      expect(rfc.state.calls.map(call => call.functionName)).toEqual(['Z_TEST'])
+      expect(rfc.callsOf('Z_TEST')[0].parameters).toEqual({ HEADER: { MATERIAL: '4711' } })
+      expect(result.RESULT.MATERIAL).toBe('000000000000004711')
+    })
+
+    it('converts configured fields when enabled and the interface cannot be read', async () => {
+      service = await createService({ conversion: { enabled: true, fields: { PARTNER: { exit: 'ALPHA', length: 10 } } } })
+      rfc.state.handlers.RFC_GET_FUNCTION_INTERFACE = () => {
+        throw rfc.rfcError('No RFC authorization for function module RFC_GET_FUNCTION_INTERFACE', 'RFC_ABAP_EXCEPTION')
+      }
+      rfc.state.handlers.Z_TEST = () => ({})
+
+      await service.executeRFC('Z_TEST', { PARTNER: '17' })
+      await service.executeRFC('Z_TEST', { PARTNER: '18' })
+
+      expect(rfc.callsOf('Z_TEST').map(call => call.parameters)).toEqual([{ PARTNER: '0000000017' }, { PARTNER: '0000000018' }])
+      expect(rfc.callsOf('RFC_GET_FUNCTION_INTERFACE')).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,104 @@
+const { RFCFunctionMetadata } = require('../../../../src/infrastructure/sap/RFCFunctionMetadata')
+const { createLogger } = require('../../../helpers/logger')
+
+const interfaceRows = [
+  { PARAMCLASS: 'I', PARAMETER: 'MATERIAL', EXID: 'C', INTLENGTH: '80', TABNAME: '', FIELDNAME: '', OPTIONAL: '' },
+  { PARAMCLASS: 'I', PARAMETER: 'PLANT', EXID: 'C', INTLENGTH: '8', TABNAME: 'MARC', FIELDNAME: 'WERKS', OPTIONAL: 'X' },
+  { PARAMCLASS: 'I', PARAMETER: 'QUANTITY', EXID: 'P', INTLENGTH: '7', DECIMALS: '3', TABNAME: '', FIELDNAME: '', OPTIONAL: 'X' },
+  { PARAMCLASS: 'I', PARAMETER: 'HEADDATA', EXID: 'u', INTLENGTH: '100', TABNAME: 'BAPIMATHEAD', FIELDNAME: '', OPTIONAL: 'X' },
+  { PARAMCLASS: 'E', PARAMETER: 'RETURN', EXID: 'u', INTLENGTH: '100', TABNAME: 'BAPIRET2', FIELDNAME: '', OPTIONAL: '' },
+  { PARAMCLASS: 'T', PARAMETER: 'MESSAGES', EXID: 'h', INTLENGTH: '100', TABNAME: 'BAPIRET2', FIELDNAME: '', OPTIONAL: 'X' },
+  { PARAMCLASS: 'X', PARAMETER: 'NOT_FOUND' }
+]
+
+const ddicFields = {
+  MARC: [{ FIELDNAME: 'WERKS', DATATYPE: 'CHAR', INTTYPE: 'C', LENG: '000004' }],
+  BAPIMATHEAD: [
+    { FIELDNAME: 'MATERIAL', DATATYPE: 'CHAR', INTTYPE: 'C', LENG: '000040' },
+    { FIELDNAME: 'IND_SECTOR', DATATYPE: 'CHAR', INTTYPE: 'C', LENG: '000001' }
+  ],
+  BAPIRET2: [
+    { FIELDNAME: 'TYPE', DATATYPE: 'CHAR', INTTYPE: 'C', LENG: '000001' },
+    { FIELDNAME: 'MESSAGE', DATATYPE: 'CHAR', INTTYPE: 'C', LENG: '000220' }
+  ]
+}
+
+const createCall = () => jest.fn(async (functionName, parameters) => {
+  if (functionName === 'RFC_GET_FUNCTION_INTERFACE') {
+    return { PARAMS: interfaceRows }
+  }
+  return { DFIES_TAB: ddicFields[parameters.TABNAME] || [] }
+})
+
+describe('RFCFunctionMetadata', () => {
+  it('describes parameters by direction with DDIC fields', async () => {
+    const metadata = new RFCFunctionMetadata(createLogger())
+    const description = await metadata.describeFunction('bapi_test', createCall())
+
+    expect(description.name).toBe('BAPI_TEST')
+    expect(description.parameters.IMPORT.map(param => param.name)).toEqual(['MATERIAL', 'PLANT', 'QUANTITY', 'HEADDATA'])
+    expect(description.parameters.EXPORT[0]).toMatchObject({ name: 'RETURN', kind: 'structure' })
+    expect(description.parameters.TABLES[0]).toMatchObject({ name: 'MESSAGES', kind: 'table' })
+    expect(description.parameters.IMPORT[3].fields.map(field => field.name)).toEqual(['MATERIAL', 'IND_SECTOR'])
+  })
+
+  it('gives character lengths for character-like scalars on a Unicode system', async () => {
+    const metadata = new RFCFunctionMetadata(createLogger())
+    const [material, plant, quantity] = (await metadata.describeFunction('BAPI_TEST', createCall())).parameters.IMPORT
+
+    expect(material).toMatchObject({ length: 40, byteLength: 80 })
+    expect(plant).toMatchObject({ length: 4, byteLength: 8 })
+    expect(quantity).toMatchObject({ length: 7, decimals: 3 })
+  })
+
+  it('uses the byte length as character length on a non-Unicode system', async () => {
+    const metadata = new RFCFunctionMetadata(createLogger(), { unicode: false })
+    const [material] = (await metadata.describeFunction('BAPI_TEST', createCall())).parameters.IMPORT
+
+    expect(material.length).toBe(80)
+  })
+
+  it('rejects values longer than the character length', async () => {
+    const metadata = new RFCFunctionMetadata(createLogger())
+    const description = await metadata.describeFunction('BAPI_TEST', createCall())
+
+    expect(metadata.validateParameters(description, { MATERIAL: 'M'.repeat(40) })).toEqual([])
+    expect(metadata.validateParameters(description, { MATERIAL: 'M'.repeat(41) })).toEqual([
+      expect.objectContaining({ parameter: 'MATERIAL', issue: 'TOO_LONG' })
+    ])
+    expect(metadata.validateParameters(description, { MATERIAL: 'M', PLANT: '10000' })).toEqual([
+      expect.objectContaining({ parameter: 'PLANT', issue: 'TOO_LONG' })
+    ])
+  })
+
+  it('reports missing, unknown and mistyped parameters and fields', async () => {
+    const metadata = new RFCFunctionMetadata(createLogger())
+    const description = await metadata.describeFunction('BAPI_TEST', createCall())
+
+    const issues = metadata.validateParameters(description, {
+      RETURN: {},
+      QUANTITY: 'abc',
+      HEADDATA: { MATERIAL: 'M1', COLOR: 'red' },
+      MESSAGES: {}
+    })
+
+    expect(issues.map(issue => [issue.parameter, issue.field, issue.issue])).toEqual([
+      ['RETURN', null, 'UNKNOWN_PARAMETER'],
+      ['QUANTITY', null, 'WRONG_TYPE'],
+      ['HEADDATA', 'COLOR', 'UNKNOWN_FIELD'],
+      ['MESSAGES', null, 'WRONG_TYPE'],
+      ['MATERIAL', null, 'MISSING_PARAMETER']
+    ])
+  })
+
+  it('shares one lookup between concurrent callers and caches the result', async () => {
+    const metadata = new RFCFunctionMetadata(createLogger())
+    const call = createCall()
+
+    await Promise.all([metadata.describeFunction('BAPI_TEST', call), metadata.describeFunction('BAPI_TEST', call)])
+    await metadata.describeFunction('BAPI_TEST', call)
+
+    expect(call.mock.calls.filter(([name]) => name === 'RFC_GET_FUNCTION_INTERFACE')).toHaveLength(1)
+    expect(metadata.getStats()).toMatchObject({ cachedFunctions: 1, pendingLookups: 0 })
+  })
+})
@@ -0,0 +1,136 @@
+const rfc = require('node-rfc')
+const { RFCTableQuery } = require('../../../../src/infrastructure/sap/RFCTableQuery')
+const { ParameterValidationError } = require('../../../../src/infrastructure/sap/RFCErrors')
+const { ProcessingErrorType } = require('../../../../src/domain/entities/ProcessingResult')
+const { createService } = require('../../../helpers/sapService')
+
+const optionsText = query => query.buildOptions().map(option => option.TEXT)
+
+describe('RFCTableQuery', () => {
+  describe('OPTIONS', () => {
+    it('quotes values and doubles single quotes', () => {
+      const query = new RFCTableQuery('kna1')
+        .where('name1', 'EQ', "O'Brien")
+        .where('erdat', 'GE', new Date(Date.UTC(2026, 9, 19)))
+        .where('umsat', 'GT', 100)
+
+      expect(optionsText(query)).toEqual(["NAME1 EQ 'O''Brien' AND ERDAT GE '20261019' AND UMSAT GT 100"])
+    })
+
+    it('wraps the WHERE clause into lines of at most 72 characters without splitting literals', () => {
+      const values = ['A'.repeat(30), 'B'.repeat(30), 'C'.repeat(30)]
+      const lines = optionsText(new RFCTableQuery('MARA').where('MATNR', 'IN', values))
+
+      expect(lines).toEqual([
+        `MATNR IN ( '${values[0]}',`,
+        `'${values[1]}', '${values[2]}' )`
+      ])
+      lines.forEach(line => expect(line.length).toBeLessThanOrEqual(72))
+    })
+
+    it('accepts a literal that fills a whole line', () => {
+      const lines = optionsText(new RFCTableQuery('MARA').where('MATNR', 'EQ', 'X'.repeat(70)))
+
+      expect(lines).toEqual(['MATNR EQ', `'${'X'.repeat(70)}'`])
+    })
+
+    it('rejects a literal longer than one line with a validation error', () => {
+      const build = () => new RFCTableQuery('MAKT').where('MAKTX', 'EQ', 'X'.repeat(71))
+
+      expect(build).toThrow(ParameterValidationError)
+      expect(build).toThrow(/OPTIONS-MAKTX: .* 73 characters as a literal, OPTIONS lines hold 72/)
+      expect(() => new RFCTableQuery('MAKT').where('MAKTX', 'IN', ['Y'.repeat(70), 'X'])).toThrow(ParameterValidationError)
+      expect(() => new RFCTableQuery('MAKT').where('MAKTX', 'EQ', "'".repeat(36))).toThrow(ParameterValidationError)
+    })
+
+    it('builds IN, BETWEEN and OR groups from criteria', () => {
+      const query = RFCTableQuery.fromCriteria('VBAK', {
+        VKORG: ['1000', '2000'],
+        ERDAT: { BT: ['20260101', '20261231'] },
+        $or: [{ AUART: 'TA' }, { AUART: 'ZOR', VTWEG: '10' }],
+        KUNNR: undefined
+      })
+
+      expect(optionsText(query).join(' ')).toBe(
+        "VKORG IN ( '1000', '2000' ) AND ERDAT BETWEEN '20260101' AND '20261231' AND " +
+        "( AUART EQ 'TA' OR ( AUART EQ 'ZOR' AND VTWEG EQ '10' ) )"
+      )
+    })
+
+    it('skips empty groups and unwraps single conditions', () => {
+      const query = new RFCTableQuery('MARA')
+        .whereAny(() => {})
+        .whereAny(group => group.where('MTART', 'EQ', 'FERT'))
+
+      expect(optionsText(query)).toEqual(["MTART EQ 'FERT'"])
+    })
+
+    it('rejects unsafe names, unknown operators and malformed operands', () => {
+      expect(() => new RFCTableQuery("MARA' OR '1")).toThrow(/Invalid RFC_READ_TABLE table name/)
+      expect(() => new RFCTableQuery('MARA').where('MATNR = 1 OR MATNR', 'EQ', 1)).toThrow(/Invalid RFC_READ_TABLE field name/)
+      expect(() => new RFCTableQuery('MARA').where('MATNR', 'CP', '*')).toThrow(/Unsupported RFC_READ_TABLE operator/)
+      expect(() => new RFCTableQuery('MARA').where('MATNR', 'BT', ['1'])).toThrow(/requires \[low, high\]/)
+      expect(() => new RFCTableQuery('MARA').where('MATNR', 'IN', [])).toThrow(/non-empty array/)
+      expect(() => new RFCTableQuery('MARA').where('BRGEW', 'GT', Infinity).buildOptions()).toThrow(/Invalid numeric value/)
+    })
+  })
+
+  it('builds RFC_READ_TABLE parameters', () => {
+    const parameters = new RFCTableQuery('MARA').select(['matnr', 'mtart']).where('MTART', 'EQ', 'FERT').limit(10).offset(20).toParameters()
+
+    expect(parameters).toEqual({
+      QUERY_TABLE: 'MARA',
+      DELIMITER: '',
+      ROWCOUNT: 10,
+      ROWSKIPS: 20,
+      FIELDS: [{ FIELDNAME: 'MATNR' }, { FIELDNAME: 'MTART' }],
+      OPTIONS: [{ TEXT: "MTART EQ 'FERT'" }]
+    })
+    expect(new RFCTableQuery('MARA').toParameters()).not.toHaveProperty('OPTIONS')
+  })
+
+  describe('parseResult', () => {
+    it('cuts rows at the returned offsets and parses values by type', () => {
+      const result = {
+        FIELDS: [
+          { FIELDNAME: 'MATNR', OFFSET: '000000', LENGTH: '000010', TYPE: 'C' },
+          { FIELDNAME: 'ERSDA', OFFSET: '000010', LENGTH: '000008', TYPE: 'D' },
+          { FIELDNAME: 'BRGEW', OFFSET: '000018', LENGTH: '000008', TYPE: 'P' },
+          { FIELDNAME: 'LAEDA', OFFSET: '000026', LENGTH: '000008', TYPE: 'D' }
+        ],
+        DATA: [
+          { WA: 'PUMP-01   20261019  12.50000000000' },
+          { WA: 'VALVE-02  00000000   3.2-        ' },
+          { WA: 'SEAL      20260101' }
+        ]
+      }
+
+      expect(RFCTableQuery.parseResult(result)).toEqual([
+        { MATNR: 'PUMP-01', ERSDA: '20261019', BRGEW: 12.5, LAEDA: null },
+        { MATNR: 'VALVE-02', ERSDA: null, BRGEW: -3.2, LAEDA: null },
+        { MATNR: 'SEAL', ERSDA: '20260101', BRGEW: 0, LAEDA: null }
+      ])
+    })
+
+    it('returns no rows for an empty result', () => {
+      expect(RFCTableQuery.parseResult({})).toEqual([])
+    })
+  })
+
+  describe('in SAPRFCService', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('fails a search with an over-long literal as a validation error without calling SAP', async () => {
+      service = await createService()
+
+      const result = await service.searchRecords('MAKT', { MAKTX: 'X'.repeat(80) })
+
+      expect(result).toMatchObject({ success: false, errorType: ProcessingErrorType.VALIDATION, retryable: false })
+      expect(rfc.callsOf('RFC_READ_TABLE')).toHaveLength(0)
+    })
+  })
+})
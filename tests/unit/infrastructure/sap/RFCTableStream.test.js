@@ -0,0 +1,164 @@
+const { RFCTableStream } = require('../../../../src/infrastructure/sap/RFCTableStream')
+const { RFCConditionGroup } = require('../../../../src/infrastructure/sap/RFCTableQuery')
+const { createLogger } = require('../../../helpers/logger')
+
+const compare = {
+  EQ: (a, b) => a === b,
+  GT: (a, b) => a > b,
+  LT: (a, b) => a < b,
+  IN: (a, b) => b.includes(a)
+}
+
+const matches = (group, row) => {
+  const results = group.items.map(item => item instanceof RFCConditionGroup
+    ? matches(item, row)
+    : compare[item.operator](row[item.field], item.value))
+  return group.connector === 'OR' ? results.some(Boolean) : results.every(Boolean)
+}
+
+/**
+ * Service whose readTable evaluates the query against rows held in memory
+ * @param {Array<Object>} rows - Table rows
+ * @param {Array<Object>} fields - describeTable fields
+ * @param {Object} options - reverse: deliver rows against key order, order: reorder matching rows
+ * @returns {Object} Service
+ */
+const createService = (rows, fields, options = {}) => {
+  const service = {
+    logger: createLogger(),
+    queries: [],
+    describeTable: async () => fields,
+    readTable: async query => {
+      service.queries.push(query)
+      let result = rows.filter(row => matches(query.conditions, row))
+      if (options.reverse) {
+        result = result.reverse()
+      }
+      if (options.order) {
+        result = options.order(result)
+      }
+      if (query.rowCount) {
+        result = result.slice(0, query.rowCount)
+      }
+      return result.map(row => Object.fromEntries(query.fields.map(name => [name, row[name]])))
+    }
+  }
+  return service
+}
+
+const field = (name, length, isKey = false) => ({ name, length, outputLength: length, ddicType: name === 'MANDT' ? 'CLNT' : 'CHAR', isKey })
+
+const customerFields = [field('MANDT', 3, true), field('KUNNR', 10, true), field('NAME1', 35), field('LAND1', 3)]
+const customers = Array.from({ length: 7 }, (_, index) => ({
+  MANDT: '100',
+  KUNNR: String(index + 1).padStart(10, '0'),
+  NAME1: `Customer ${index + 1}`,
+  LAND1: index % 2 ? 'ES' : 'PT'
+}))
+
+const collect = async stream => {
+  const rows = []
+  for await (const row of stream) {
+    rows.push(row)
+  }
+  return rows
+}
+
+describe('RFCTableStream', () => {
+  it('pages by key range in key order without ROWSKIPS', async () => {
+    const service = createService(customers, customerFields)
+    const checkpoints = []
+    const stream = new RFCTableStream(service, 'kna1', { pageSize: 3, onCheckpoint: checkpoint => checkpoints.push(checkpoint) })
+
+    const rows = await collect(stream)
+
+    expect(rows.map(row => row.KUNNR)).toEqual(customers.map(row => row.KUNNR))
+    expect(rows[0]).toEqual({ KUNNR: '0000000001', NAME1: 'Customer 1', LAND1: 'PT' })
+    expect(service.queries.every(query => query.rowSkips === 0)).toBe(true)
+    expect(service.queries[1].buildOptions()).toEqual([{ TEXT: "KUNNR GT '0000000003'" }])
+    expect(checkpoints.map(checkpoint => checkpoint.lastKey)).toEqual([
+      { KUNNR: '0000000003' }, { KUNNR: '0000000006' }, { KUNNR: '0000000007' }
+    ])
+    expect(stream.checkpoint).toMatchObject({ table: 'KNA1', rowsRead: 7 })
+  })
+
+  it('resumes after the key stored in the checkpoint', async () => {
+    const service = createService(customers, customerFields)
+    const checkpoint = { table: 'KNA1', lastKey: { KUNNR: '0000000005' }, rowsRead: 5 }
+
+    const rows = await collect(new RFCTableStream(service, 'KNA1', { pageSize: 3, checkpoint, criteria: { LAND1: 'ES' } }))
+
+    expect(rows.map(row => row.KUNNR)).toEqual(['0000000006'])
+  })
+
+  it('rejects offset checkpoints and checkpoints of other tables', () => {
+    const service = createService(customers, customerFields)
+
+    expect(() => new RFCTableStream(service, 'KNA1', { checkpoint: { table: 'KNA1', offset: 10 } })).toThrow('no lastKey')
+    expect(() => new RFCTableStream(service, 'KNA1', { checkpoint: { table: 'LFA1', lastKey: null } })).toThrow('belongs to table LFA1')
+  })
+
+  it('compares composite keys field by field', async () => {
+    const fields = [field('WERKS', 4, true), field('LGORT', 4, true), field('LGOBE', 16)]
+    const rows = [
+      { WERKS: '1000', LGORT: '0001', LGOBE: 'A' },
+      { WERKS: '1000', LGORT: '0002', LGOBE: 'B' },
+      { WERKS: '1000', LGORT: '0003', LGOBE: 'C' },
+      { WERKS: '2000', LGORT: '0001', LGOBE: 'D' },
+      { WERKS: '2000', LGORT: '0002', LGOBE: 'E' }
+    ]
+    const service = createService(rows, fields)
+
+    const result = await collect(new RFCTableStream(service, 'T001L', { pageSize: 2 }))
+
+    expect(result.map(row => row.LGOBE)).toEqual(['A', 'B', 'C', 'D', 'E'])
+    expect(service.queries[1].buildOptions().map(line => line.TEXT).join(' '))
+      .toBe("( WERKS GT '1000' OR ( WERKS EQ '1000' AND LGORT GT '0002' ) )")
+  })
+
+  it('narrows the key range with limited reads when rows do not come in key order', async () => {
+    const service = createService(customers, customerFields, { reverse: true })
+
+    const rows = await collect(new RFCTableStream(service, 'KNA1', { pageSize: 3 }))
+
+    expect(rows.map(row => row.KUNNR)).toEqual(customers.map(row => row.KUNNR))
+    expect(service.queries.every(query => query.rowCount > 0 && query.rowCount <= 6)).toBe(true)
+  })
+
+  it('pages scrambled rows completely and in key order', async () => {
+    const many = Array.from({ length: 60 }, (_, index) => ({ MANDT: '100', KUNNR: String(index + 1).padStart(10, '0'), NAME1: `C${index}`, LAND1: 'ES' }))
+    const scramble = rows => [...rows].sort((a, b) => (Number(a.KUNNR) * 37) % 61 - (Number(b.KUNNR) * 37) % 61)
+    const service = createService(many, customerFields, { order: scramble })
+
+    const rows = await collect(new RFCTableStream(service, 'KNA1', { pageSize: 7 }))
+
+    expect(rows.map(row => row.KUNNR)).toEqual(many.map(row => row.KUNNR))
+    expect(service.queries.every(query => query.rowCount > 0 && query.rowCount <= 14)).toBe(true)
+  })
+
+  it('joins column sets on the key range of the page', async () => {
+    const fields = [field('KUNNR', 10, true), field('TEXT1', 300), field('TEXT2', 300)]
+    const rows = customers.map(row => ({ KUNNR: row.KUNNR, TEXT1: `a${row.KUNNR}`, TEXT2: `b${row.KUNNR}` }))
+    const service = createService(rows, fields)
+
+    const result = await collect(new RFCTableStream(service, 'ZWIDE', { pageSize: 4 }))
+
+    expect(result).toHaveLength(7)
+    result.forEach(row => {
+      expect(row.TEXT1).toBe(`a${row.KUNNR}`)
+      expect(row.TEXT2).toBe(`b${row.KUNNR}`)
+    })
+
+    const secondSet = service.queries[1]
+    expect(secondSet.fields).toEqual(['KUNNR', 'TEXT2'])
+    expect(secondSet.rowCount).toBe(0)
+    expect(secondSet.buildOptions().map(line => line.TEXT).join(' '))
+      .toBe("( KUNNR LT '0000000004' OR KUNNR EQ '0000000004' )")
+  })
+
+  it('needs key fields to page by', async () => {
+    const service = createService([], [field('TEXT', 10)])
+
+    await expect(collect(new RFCTableStream(service, 'ZVIEW'))).rejects.toThrow('no key fields')
+  })
+})
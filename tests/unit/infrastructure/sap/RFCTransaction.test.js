@@ -0,0 +1,105 @@
+const rfc = require('node-rfc')
+const { createService } = require('../../../helpers/sapService')
+
+const bapiError = { RETURN: [{ TYPE: 'E', ID: 'M3', NUMBER: '305', MESSAGE: 'Material locked' }] }
+
+describe('RFCTransaction', () => {
+  let service
+
+  afterEach(async () => {
+    await service.disconnect()
+  })
+
+  it('commits once after all BAPIs of the callback succeed', async () => {
+    service = await createService()
+
+    const value = await service.transaction(async tx => {
+      await tx.executeBAPI('BAPI_FIRST', { A: '1' })
+      await tx.executeBAPI('BAPI_SECOND', { B: '2' })
+      return 'done'
+    })
+
+    expect(value).toBe('done')
+    expect(rfc.state.calls.map(call => call.functionName)).toEqual(['BAPI_FIRST', 'BAPI_SECOND', 'BAPI_TRANSACTION_COMMIT'])
+    expect(rfc.callsOf('BAPI_TRANSACTION_COMMIT')[0].parameters).toEqual({ WAIT: 'X' })
+    expect(service.connectionStats.transactionsCommitted).toBe(1)
+  })
+
+  it('rolls back when a BAPI reports an error message', async () => {
+    service = await createService()
+    rfc.state.handlers.BAPI_SECOND = () => bapiError
+
+    await expect(service.transaction(async tx => {
+      await tx.executeBAPI('BAPI_FIRST')
+      await tx.executeBAPI('BAPI_SECOND')
+    })).rejects.toMatchObject({ name: 'BAPIError' })
+
+    expect(rfc.callsOf('BAPI_TRANSACTION_COMMIT')).toHaveLength(0)
+    expect(rfc.callsOf('BAPI_TRANSACTION_ROLLBACK')).toHaveLength(1)
+    expect(service.connectionStats.transactionsRolledBack).toBe(1)
+  })
+
+  it('reports BAPI errors from executeBAPI as the BAPI result', async () => {
+    service = await createService()
+    rfc.state.handlers.BAPI_MATERIAL_SAVEDATA = () => bapiError
+
+    await expect(service.executeBAPI('BAPI_MATERIAL_SAVEDATA')).resolves.toMatchObject(bapiError)
+    expect(rfc.callsOf('BAPI_TRANSACTION_ROLLBACK')).toHaveLength(1)
+  })
+
+  it('rejects calls after the transaction has ended', async () => {
+    service = await createService()
+    let leaked
+
+    await service.transaction(async tx => { leaked = tx })
+
+    await expect(leaked.executeBAPI('BAPI_LATE')).rejects.toThrow('Transaction already committed')
+  })
+
+  it('keeps other calls out of an open LUW on the single shared client', async () => {
+    service = await createService()
+    let finishWork
+    const order = []
+    rfc.state.handlers.BAPI_FIRST = () => order.push('BAPI_FIRST')
+    rfc.state.handlers.BAPI_TRANSACTION_COMMIT = () => order.push('COMMIT')
+    rfc.state.handlers.RFC_OTHER = () => order.push('RFC_OTHER')
+
+    const transaction = service.transaction(async tx => {
+      await tx.executeBAPI('BAPI_FIRST')
+      await new Promise(resolve => { finishWork = resolve })
+    })
+    await new Promise(resolve => setImmediate(resolve))
+    await new Promise(resolve => setImmediate(resolve))
+
+    const other = service.executeRFC('RFC_OTHER')
+    await new Promise(resolve => setImmediate(resolve))
+    expect(order).toEqual(['BAPI_FIRST'])
+
+    finishWork()
+    await Promise.all([transaction, other])
+
+    expect(order).toEqual(['BAPI_FIRST', 'COMMIT', 'RFC_OTHER'])
+  })
+
+  it('frees the single client after a failed call', async () => {
+    service = await createService()
+    rfc.state.handlers.RFC_FAILING = () => { throw rfc.rfcError('boom', 'RFC_ABAP_EXCEPTION', 5) }
+
+    await expect(service.executeRFC('RFC_FAILING')).rejects.toThrow('boom')
+    await expect(service.executeRFC('RFC_OTHER')).resolves.toMatchObject({ SUCCESS: true })
+  })
+
+  it('runs each pooled transaction on its own connection', async () => {
+    service = await createService({}, { poolSize: 2, pool: { min: 2, healthCheckInterval: 0 } })
+
+    await Promise.all([
+      service.transaction(tx => tx.executeBAPI('BAPI_FIRST')),
+      service.transaction(tx => tx.executeBAPI('BAPI_SECOND'))
+    ])
+
+    const first = rfc.callsOf('BAPI_FIRST')[0].client
+    const second = rfc.callsOf('BAPI_SECOND')[0].client
+    expect(first).not.toBe(second)
+    expect(rfc.callsOf('BAPI_TRANSACTION_COMMIT').map(call => call.client).sort()).toEqual([first, second].sort())
+  })
+})
@@ -0,0 +1,125 @@
+const { SAPEntityRegistry, SAPBackend } = require('../../../../src/infrastructure/sap/SAPEntityRegistry')
+const { GenericParameterBuilder } = require('../../../../src/infrastructure/sap/builders/GenericParameterBuilder')
+const { CustomerParameterBuilder } = require('../../../../src/infrastructure/sap/builders/CustomerParameterBuilder')
+const { BusinessPartnerParameterBuilder } = require('../../../../src/infrastructure/sap/builders/BusinessPartnerParameterBuilder')
+const { createLogger } = require('../../../helpers/logger')
+const { entityMappings } = require('../../../../config/default.json')
+
+const warningsOf = logger => logger.entries.filter(entry => entry.level === 'warn')
+
+describe('SAPEntityRegistry', () => {
+  describe('fromConfig', () => {
+    it('lays mappings over the built-in definitions and shares the settings', () => {
+      const registry = SAPEntityRegistry.fromConfig({
+        Product: { sapEntityType: 'material', bapiRead: 'Z_MATERIAL_READ' },
+        Article: { sapEntityType: 'MATERIAL', table: 'ZMARA' }
+      }, createLogger(), SAPBackend.ECC, { materialLength: 40 })
+
+      expect(registry.get('MATERIAL')).toMatchObject({
+        bapiCreate: 'BAPI_MATERIAL_SAVEDATA',
+        bapiRead: 'Z_MATERIAL_READ',
+        table: 'ZMARA',
+        materialLength: 40,
+        bridgeEntityTypes: ['Product', 'Article']
+      })
+    })
+
+    it('registers new entity types with the generic builder', () => {
+      const registry = SAPEntityRegistry.fromConfig({ Contract: { sapEntityType: 'Z_CONTRACT', bapiRead: 'Z_CONTRACT_READ' } }, createLogger())
+
+      expect(registry.has('z_contract')).toBe(true)
+      expect(registry.get('Z_CONTRACT').builder).toBeInstanceOf(GenericParameterBuilder)
+    })
+
+    it('skips mappings without sapEntityType', () => {
+      const logger = createLogger()
+      const registry = SAPEntityRegistry.fromConfig({ Broken: { table: 'ZTAB' } }, logger)
+
+      expect(registry.getEntityTypes()).toEqual(Object.keys(SAPEntityRegistry.getDefaultDefinitions()))
+      expect(warningsOf(logger)[0].meta).toEqual({ entityType: 'Broken' })
+    })
+
+    it('rejects unknown backends', () => {
+      expect(() => SAPEntityRegistry.fromConfig({}, createLogger(), 'R3')).toThrow('Unsupported SAP backend: R3')
+    })
+
+    it('loads the shipped entity mappings on ECC', () => {
+      const registry = SAPEntityRegistry.fromConfig(entityMappings, createLogger())
+
+      expect(registry.get('CUSTOMER')).toMatchObject({
+        bapiCreate: 'BAPI_CUSTOMER_CREATEFROMDATA1',
+        bapiUpdate: 'BAPI_CUSTOMER_CHANGEFROMDATA1',
+        bapiRead: 'BAPI_CUSTOMER_GETDETAIL2'
+      })
+      expect(registry.get('CUSTOMER').builder).toBeInstanceOf(CustomerParameterBuilder)
+    })
+  })
+
+  describe('S/4HANA', () => {
+    it('maintains customers and vendors as Business Partners', () => {
+      const registry = SAPEntityRegistry.fromConfig({}, createLogger(), SAPBackend.S4)
+
+      expect(registry.get('CUSTOMER')).toMatchObject({ bapiCreate: 'BAPI_BUPA_CREATE_FROM_DATA', table: 'BUT000', bpRoles: ['FLCU00', 'FLCU01'] })
+      expect(registry.get('VENDOR')).toMatchObject({ bapiUpdate: 'BAPI_BUPA_CENTRAL_CHANGE', partnerRole: 'VENDOR' })
+      expect(registry.get('VENDOR').builder).toBeInstanceOf(BusinessPartnerParameterBuilder)
+      expect(registry.get('MATERIAL').bapiCreate).toBe('BAPI_MATERIAL_SAVEDATA')
+    })
+
+    it('drops only the ECC settings of the shipped mappings and keeps the rest', () => {
+      const logger = createLogger()
+      const registry = SAPEntityRegistry.fromConfig(entityMappings, logger, SAPBackend.S4)
+
+      expect(registry.get('CUSTOMER')).toMatchObject({
+        bapiUpdate: 'BAPI_BUPA_CENTRAL_CHANGE',
+        keyField: 'PARTNER',
+        fieldMappings: entityMappings.Customer.fieldMappings
+      })
+      expect(warningsOf(logger).map(entry => entry.meta.entityType)).toEqual(['Customer', 'Vendor'])
+    })
+
+    it('keeps mappings that equal the Business Partner settings without warning', () => {
+      const logger = createLogger()
+      const registry = SAPEntityRegistry.fromConfig({
+        Customer: { sapEntityType: 'CUSTOMER', table: 'BUT000', cviFunction: 'Z_CVI_MAINTAIN' }
+      }, logger, SAPBackend.S4)
+
+      expect(registry.get('CUSTOMER').cviFunction).toBe('Z_CVI_MAINTAIN')
+      expect(warningsOf(logger)).toEqual([])
+    })
+
+    it('applies a mapping with its own builder completely', () => {
+      const registry = SAPEntityRegistry.fromConfig({
+        Customer: { sapEntityType: 'CUSTOMER', table: 'KNA1', bapiRead: 'BAPI_CUSTOMER_GETDETAIL2', builder: CustomerParameterBuilder }
+      }, createLogger(), SAPBackend.S4)
+
+      expect(registry.get('CUSTOMER')).toMatchObject({ table: 'KNA1', bapiRead: 'BAPI_CUSTOMER_GETDETAIL2' })
+      expect(registry.get('CUSTOMER').builder).toBeInstanceOf(CustomerParameterBuilder)
+    })
+  })
+
+  describe('builders', () => {
+    it('loads a builder module path relative to the working directory', () => {
+      const registry = SAPEntityRegistry.fromConfig({
+        Contract: { sapEntityType: 'Z_CONTRACT', builder: 'src/infrastructure/sap/builders/CustomerParameterBuilder.js' }
+      }, createLogger())
+
+      const contract = registry.get('Z_CONTRACT')
+      expect(contract.builder).toBeInstanceOf(CustomerParameterBuilder)
+      expect(contract.builder.definition).toBe(contract)
+    })
+
+    it('rejects a module that exports no builder', () => {
+      expect(() => SAPEntityRegistry.fromConfig({ Contract: { sapEntityType: 'Z_CONTRACT', builder: 'config/default.json' } }, createLogger()))
+        .toThrow('Builder module config/default.json does not export a builder')
+    })
+
+    it('gives a builder instance the definition unless it has one', () => {
+      const builder = { buildReadParameters: sapKey => ({ KEY: sapKey }) }
+      const registry = new SAPEntityRegistry(createLogger())
+      registry.register('z_contract', { table: 'ZCONTRACT', builder })
+
+      expect(registry.get('Z_CONTRACT').builder).toBe(builder)
+      expect(builder.definition).toMatchObject({ sapEntityType: 'Z_CONTRACT', table: 'ZCONTRACT' })
+    })
+  })
+})
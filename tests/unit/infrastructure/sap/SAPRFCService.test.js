@@ -0,0 +1,287 @@
+const rfc = require('node-rfc')
+const { createService } = require('../../../helpers/sapService')
+const { ProcessingErrorType } = require('../../../../src/domain/entities/ProcessingResult')
+const { RFCCancelledError } = require('../../../../src/infrastructure/sap/RFCErrors')
+
+const notFound = { RETURN: [{ TYPE: 'E', ID: 'M3', NUMBER: '305', MESSAGE: 'Material does not exist' }] }
+const materialTable = rows => rfc.tableResult([['MATNR', 40]], rows)
+
+describe('SAPRFCService', () => {
+  let service
+
+  afterEach(async () => {
+    await service.disconnect()
+  })
+
+  describe('readRecord', () => {
+    it('reports NOT_FOUND when a failed read is confirmed by the entity table', async () => {
+      service = await createService()
+      rfc.state.handlers.BAPI_MATERIAL_GET_DETAIL = () => notFound
+      rfc.state.handlers.RFC_READ_TABLE = () => materialTable([])
+
+      const result = await service.readRecord('MATERIAL', 'M-01')
+
+      expect(result).toMatchObject({ success: false, errorType: ProcessingErrorType.NOT_FOUND, retryable: false })
+      expect(rfc.callsOf('RFC_READ_TABLE')[0].parameters).toMatchObject({
+        QUERY_TABLE: 'MARA',
+        ROWCOUNT: 1,
+        OPTIONS: [{ TEXT: "MATNR EQ 'M-01'" }]
+      })
+    })
+
+    it('keeps the read error when the record exists', async () => {
+      service = await createService()
+      rfc.state.handlers.BAPI_MATERIAL_GET_DETAIL = () => notFound
+      rfc.state.handlers.RFC_READ_TABLE = () => materialTable([['M-01']])
+
+      const result = await service.readRecord('MATERIAL', 'M-01')
+
+      expect(result).toMatchObject({ success: false, errorType: ProcessingErrorType.ERROR })
+    })
+
+    it('keeps the read error when existence cannot be checked', async () => {
+      service = await createService()
+      rfc.state.handlers.BAPI_MATERIAL_GET_DETAIL = () => notFound
+      rfc.state.handlers.RFC_READ_TABLE = () => { throw rfc.rfcError('No authorization', 'RFC_ABAP_EXCEPTION', 5) }
+
+      const result = await service.readRecord('MATERIAL', 'M-01')
+
+      expect(result.errorType).toBe(ProcessingErrorType.ERROR)
+    })
+
+    it('does not look up records while the circuit is open', async () => {
+      service = await createService()
+      service.circuitBreaker.state = 'OPEN'
+
+      const result = await service.readRecord('MATERIAL', 'M-01')
+
+      expect(result.errorType).toBe(ProcessingErrorType.CIRCUIT_OPEN)
+      expect(rfc.state.calls).toHaveLength(0)
+    })
+
+    it('checks documents by number and year', async () => {
+      service = await createService()
+      rfc.state.handlers.BAPI_GOODSMVT_GETDETAIL = () => notFound
+      rfc.state.handlers.RFC_READ_TABLE = () => rfc.tableResult([['MBLNR', 10], ['MJAHR', 4]], [])
+
+      const result = await service.readRecord('GOODS_RECEIPT', '4900000001/2026')
+
+      expect(result.errorType).toBe(ProcessingErrorType.NOT_FOUND)
+      expect(rfc.callsOf('RFC_READ_TABLE')[0].parameters.OPTIONS).toEqual([{ TEXT: "MBLNR EQ '4900000001' AND MJAHR EQ '2026'" }])
+    })
+  })
+
+  describe('connection loss', () => {
+    const lostConnection = () => { throw rfc.rfcError('Connection reset by peer', 'RFC_COMMUNICATION_FAILURE', 1) }
+    const nextEvent = eventName => new Promise(resolve => service.on(eventName, resolve))
+
+    const recordEvents = () => {
+      const events = []
+      ;['connected', 'disconnected', 'reconnecting', 'reconnect-failed'].forEach(eventName =>
+        service.on(eventName, data => events.push([eventName, data])))
+      return events
+    }
+
+    it('reconnects the single connection after the session is lost', async () => {
+      service = await createService({}, { reconnect: { initialDelay: 5 } })
+      const events = recordEvents()
+      rfc.state.handlers.RFC_A = lostConnection
+
+      const reconnected = nextEvent('connected')
+      await expect(service.executeRFC('RFC_A')).rejects.toMatchObject({ rfcErrorType: 'COMMUNICATION_FAILURE' })
+      await reconnected
+
+      expect(events).toMatchObject([
+        ['disconnected', { reason: 'COMMUNICATION_FAILURE', error: 'Connection reset by peer' }],
+        ['reconnecting', { attempt: 1, delay: 5 }],
+        ['connected', { reconnected: true, attempts: 1 }]
+      ])
+      expect(rfc.state.clients[0].alive).toBe(false)
+      expect(service.isConnected()).toBe(true)
+      expect(service.getConnectionStats()).toMatchObject({ disconnections: 1, reconnections: 1, lastDisconnectReason: 'COMMUNICATION_FAILURE' })
+    })
+
+    it('backs off exponentially up to maxDelay and gives up after maxAttempts', async () => {
+      service = await createService({}, { reconnect: { initialDelay: 5, multiplier: 3, maxDelay: 20, maxAttempts: 3 } })
+      const events = recordEvents()
+      rfc.state.handlers.RFC_A = lostConnection
+      rfc.state.connectError = rfc.rfcError('Partner not reached', 'RFC_COMMUNICATION_FAILURE', 1)
+
+      const failed = nextEvent('reconnect-failed')
+      await expect(service.executeRFC('RFC_A')).rejects.toThrow('Connection reset by peer')
+      await failed
+
+      expect(events.filter(([eventName]) => eventName === 'reconnecting').map(([, data]) => data.delay)).toEqual([5, 15, 20])
+      expect(events[events.length - 1]).toMatchObject(['reconnect-failed', { attempts: 3 }])
+      expect(service.getConnectionState()).toBe('disconnected')
+    })
+
+    it('does not reconnect when reconnection is disabled', async () => {
+      service = await createService({}, { reconnect: { enabled: false } })
+      const events = recordEvents()
+      rfc.state.handlers.RFC_A = lostConnection
+
+      const disconnected = nextEvent('disconnected')
+      await expect(service.executeRFC('RFC_A')).rejects.toThrow('Connection reset by peer')
+      await disconnected
+
+      expect(events.map(([eventName]) => eventName)).toEqual(['disconnected'])
+      expect(service.isConnected()).toBe(false)
+    })
+
+    it('survives a connection that fails to close', async () => {
+      service = await createService({}, { reconnect: { initialDelay: 5 } })
+      rfc.state.clients[0].close = jest.fn().mockRejectedValue(new Error('Invalid handle'))
+      rfc.state.handlers.RFC_A = lostConnection
+
+      const reconnected = nextEvent('connected')
+      await expect(service.executeRFC('RFC_A')).rejects.toThrow('Connection reset by peer')
+      await reconnected
+
+      expect(rfc.state.clients[0].close).toHaveBeenCalled()
+      expect(service.isConnected()).toBe(true)
+    })
+
+    it('discards only the failed connection of a pool', async () => {
+      service = await createService({}, { poolSize: 2, pool: { min: 2, healthCheckInterval: 0 }, reconnect: { initialDelay: 5 } })
+      const events = recordEvents()
+      const pool = service.pool
+      rfc.state.handlers.RFC_A = (parameters, client) => client.id === 1 ? lostConnection() : {}
+
+      const results = await Promise.allSettled([service.executeRFC('RFC_A'), service.executeRFC('RFC_A')])
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected'])
+      expect(events).toEqual([])
+      expect(service.pool).toBe(pool)
+      expect(service.isConnected()).toBe(true)
+      expect(rfc.state.clients[0].alive).toBe(false)
+      expect(rfc.state.clients[1].alive).toBe(true)
+      expect(pool.getStats()).toMatchObject({ destroyed: 1 })
+      expect(service.getConnectionStats()).toMatchObject({ disconnections: 0, discardedConnections: 1 })
+
+      await expect(service.executeRFC('RFC_B')).resolves.toMatchObject({ SUCCESS: true })
+    })
+  })
+
+  describe('timeouts and cancellation', () => {
+    const slowCall = () => {
+      rfc.state.delay = 100
+      rfc.state.handlers.RFC_SLOW = () => ({ DONE: 'X' })
+    }
+
+    it('cancels a call that exceeds its own timeout', async () => {
+      service = await createService({}, { timeout: 5000 })
+      slowCall()
+
+      const error = await service.executeRFC('RFC_SLOW', {}, { timeout: 10 }).catch(caught => caught)
+
+      expect(error).toBeInstanceOf(RFCCancelledError)
+      expect(error).toMatchObject({ functionName: 'RFC_SLOW', reason: 'timeout', timeout: 10 })
+      expect(rfc.state.clients[0].cancelled).toBe(true)
+      expect(service.getConnectionStats()).toMatchObject({ timeouts: 1, cancellations: 0 })
+    })
+
+    it('falls back to sap.timeout', async () => {
+      service = await createService({}, { timeout: 10 })
+      slowCall()
+
+      await expect(service.executeRFC('RFC_SLOW')).rejects.toMatchObject({ reason: 'timeout', timeout: 10 })
+    })
+
+    it('cancels a running call when its signal aborts', async () => {
+      service = await createService()
+      slowCall()
+      const controller = new AbortController()
+
+      const call = service.executeRFC('RFC_SLOW', {}, { signal: controller.signal })
+      setTimeout(() => controller.abort(), 10)
+
+      await expect(call).rejects.toMatchObject({ name: 'RFCCancelledError', reason: 'aborted' })
+      expect(rfc.state.clients[0].cancelled).toBe(true)
+      expect(service.getConnectionStats()).toMatchObject({ timeouts: 0, cancellations: 1 })
+    })
+
+    it('counts AbortSignal.timeout() as a timeout', async () => {
+      service = await createService()
+      slowCall()
+
+      await expect(service.executeRFC('RFC_SLOW', {}, { signal: AbortSignal.timeout(10) })).rejects.toMatchObject({ reason: 'timeout' })
+      expect(service.getConnectionStats().timeouts).toBe(1)
+    })
+
+    it('does not call SAP with an already aborted signal', async () => {
+      service = await createService()
+      const controller = new AbortController()
+      controller.abort()
+
+      await expect(service.executeRFC('RFC_A', {}, { signal: controller.signal })).rejects.toMatchObject({ reason: 'aborted' })
+      expect(rfc.callsOf('RFC_A')).toHaveLength(0)
+      expect(service.getConnectionStats().cancellations).toBe(1)
+    })
+
+    it('reopens the single connection after a cancelled call', async () => {
+      service = await createService()
+      const disconnected = jest.fn()
+      service.on('disconnected', disconnected)
+      slowCall()
+
+      await expect(service.executeRFC('RFC_SLOW', {}, { timeout: 10 })).rejects.toThrow(RFCCancelledError)
+      rfc.state.delay = 0
+
+      await expect(service.executeRFC('RFC_SLOW')).resolves.toMatchObject({ DONE: 'X', SUCCESS: true })
+      expect(rfc.state.clients).toHaveLength(1)
+      expect(rfc.state.clients[0].alive).toBe(true)
+      expect(disconnected).not.toHaveBeenCalled()
+      expect(service.isConnected()).toBe(true)
+    })
+
+    it('replaces a cancelled pooled connection', async () => {
+      service = await createService({}, { poolSize: 2, pool: { min: 1, healthCheckInterval: 0 } })
+      slowCall()
+
+      await expect(service.executeRFC('RFC_SLOW', {}, { timeout: 10 })).rejects.toThrow(RFCCancelledError)
+      rfc.state.delay = 0
+
+      await expect(service.executeRFC('RFC_SLOW')).resolves.toMatchObject({ DONE: 'X' })
+      expect(rfc.state.clients[0].alive).toBe(false)
+      expect(service.pool.getStats()).toMatchObject({ destroyed: 1 })
+    })
+
+    it('opens the circuit for timeouts but not for aborted calls', async () => {
+      service = await createService({ circuitBreaker: { minimumCalls: 1, failureRateThreshold: 0.5 } })
+      slowCall()
+      const controller = new AbortController()
+
+      const aborted = service.executeRFC('RFC_SLOW', {}, { signal: controller.signal })
+      setTimeout(() => controller.abort(), 10)
+      await expect(aborted).rejects.toThrow(RFCCancelledError)
+      expect(service.getConnectionStats().circuitBreaker.state).toBe('CLOSED')
+
+      await expect(service.executeRFC('RFC_SLOW', {}, { timeout: 10 })).rejects.toThrow(RFCCancelledError)
+      expect(service.getConnectionStats().circuitBreaker.state).toBe('OPEN')
+    })
+
+    it('reports a timed out read as a retryable TIMEOUT', async () => {
+      service = await createService()
+      rfc.state.delay = 100
+
+      const result = await service.readRecord('MATERIAL', 'M-01', { timeout: 10 })
+
+      expect(result).toMatchObject({ success: false, errorType: ProcessingErrorType.TIMEOUT, retryable: true })
+      expect(result.metadata).toMatchObject({ rfcFunction: 'BAPI_MATERIAL_GET_DETAIL', timeout: 10 })
+      expect(rfc.callsOf('RFC_READ_TABLE')).toHaveLength(0)
+    })
+
+    it('reports an aborted read as CANCELLED, which is not retried', async () => {
+      service = await createService()
+      rfc.state.delay = 100
+      const controller = new AbortController()
+
+      const read = service.readRecord('MATERIAL', 'M-01', { signal: controller.signal })
+      setTimeout(() => controller.abort(), 10)
+      const result = await read
+
+      expect(result).toMatchObject({ success: false, errorType: ProcessingErrorType.CANCELLED, retryable: false })
+    })
+  })
+})
@@ -0,0 +1,109 @@
+const rfc = require('node-rfc')
+const { AccountingDocumentParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/AccountingDocumentParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+const journalEntry = (extra = {}) => ({
+  companyCode: '1000',
+  currency: 'EUR',
+  postingDate: '2026-10-19',
+  documentType: 'SA',
+  items: [
+    { account: '400000', amount: 100, costCenter: '4711' },
+    { account: '113100', amount: -100 }
+  ],
+  ...extra
+})
+
+describe('AccountingDocumentParameterBuilder', () => {
+  const builder = new AccountingDocumentParameterBuilder({ sapEntityType: 'ACCOUNTING_DOCUMENT', bapiCreate: 'BAPI_ACC_DOCUMENT_POST', table: 'BKPF' })
+
+  describe('buildCreateParameters', () => {
+    it('builds the header, G/L items and signed amounts', () => {
+      const parameters = builder.buildCreateParameters(journalEntry())
+
+      expect(parameters.DOCUMENTHEADER).toEqual({
+        BUS_ACT: 'RFBU',
+        COMP_CODE: '1000',
+        DOC_DATE: '20261019',
+        PSTNG_DATE: '20261019',
+        DOC_TYPE: 'SA'
+      })
+      expect(parameters.ACCOUNTGL).toEqual([
+        { ITEMNO_ACC: '0000000001', GL_ACCOUNT: '0000400000', COSTCENTER: '0000004711' },
+        { ITEMNO_ACC: '0000000002', GL_ACCOUNT: '0000113100' }
+      ])
+      expect(parameters.CURRENCYAMOUNT).toEqual([
+        { AMT_DOCCUR: 100, ITEMNO_ACC: '0000000001', CURR_TYPE: '00', CURRENCY: 'EUR' },
+        { AMT_DOCCUR: -100, ITEMNO_ACC: '0000000002', CURR_TYPE: '00', CURRENCY: 'EUR' }
+      ])
+      expect(parameters.ACCOUNTRECEIVABLE).toBeUndefined()
+    })
+
+    it('enters the document as the connection user and ignores userName in the event', () => {
+      const context = { sapService: { storedConfig: { user: 'BRIDGE', client: '100' } } }
+
+      expect(builder.buildCreateParameters(journalEntry(), context).DOCUMENTHEADER.USERNAME).toBe('BRIDGE')
+      expect(builder.buildCreateParameters(journalEntry({ userName: 'JDOE' }), context).DOCUMENTHEADER.USERNAME).toBe('BRIDGE')
+    })
+
+    it('enters the document as the userName of the entity mapping', () => {
+      const mapped = new AccountingDocumentParameterBuilder({ ...builder.definition, userName: 'FI_POSTING' })
+      const context = { sapService: { storedConfig: { user: 'BRIDGE', client: '100' } } }
+
+      expect(mapped.buildCreateParameters(journalEntry({ userName: 'JDOE' }), context).DOCUMENTHEADER.USERNAME).toBe('FI_POSTING')
+    })
+
+    it('validates items and amounts', () => {
+      expect(() => builder.buildCreateParameters(journalEntry({ items: [{ account: '400000', amount: 100 }] }))).toThrow('at least two line items')
+      expect(() => builder.buildCreateParameters(journalEntry({ items: [{ account: '400000', amount: 100 }, { type: 'asset', account: '1', amount: -100 }] }))).toThrow('Unknown accounting line item type: asset')
+      expect(() => builder.buildCreateParameters(journalEntry({ items: [{ account: '400000', amount: 0 }, { account: '113100', amount: -100 }] }))).toThrow('item 1 requires a non-zero amount')
+    })
+  })
+
+  describe('buildDeleteParameters', () => {
+    it('reverses with the configured logical system', async () => {
+      const configured = new AccountingDocumentParameterBuilder({ sapEntityType: 'ACCOUNTING_DOCUMENT', logicalSystem: 'PRDCLNT100' })
+
+      await expect(configured.buildDeleteParameters('010000012310002026')).resolves.toEqual({
+        REVERSAL: {
+          OBJ_TYPE: 'BKPFF',
+          OBJ_SYS: 'PRDCLNT100',
+          OBJ_KEY_R: '010000012310002026',
+          COMP_CODE: '1000',
+          REASON_REV: '01'
+        },
+        BUS_ACT: 'RFBU'
+      })
+    })
+
+    it('reads the logical system of the connected client from T000', async () => {
+      const service = await createService()
+      rfc.state.handlers.RFC_READ_TABLE = () => rfc.tableResult([['MANDT', 3], ['LOGSYS', 10]], [['100', 'PRDCLNT100']])
+
+      const parameters = await builder.buildDeleteParameters('010000012310002026', { sapService: service, options: {} })
+      await service.disconnect()
+
+      expect(parameters.REVERSAL.OBJ_SYS).toBe('PRDCLNT100')
+      expect(rfc.callsOf('RFC_READ_TABLE')[0].parameters).toMatchObject({ QUERY_TABLE: 'T000', OPTIONS: [{ TEXT: "MANDT EQ '100'" }] })
+    })
+
+    it('fails when T000 has no logical system for the client', async () => {
+      const sapService = { storedConfig: { client: '100' }, readTable: jest.fn().mockResolvedValue([]) }
+
+      await expect(builder.buildDeleteParameters('010000012310002026', { sapService }))
+        .rejects.toThrow('Client 100 has no logical system in T000')
+    })
+
+    it('rejects an invalid document key', async () => {
+      await expect(builder.buildDeleteParameters('0100000123')).rejects.toThrow('Invalid accounting document key 0100000123')
+    })
+  })
+
+  it('checks the document before posting it in the same transaction', async () => {
+    const tx = { executeBAPI: jest.fn().mockResolvedValue({ OBJ_KEY: '010000012310002026', RETURN: [] }) }
+
+    await builder.executeCreate(tx, journalEntry(), { options: {} })
+
+    expect(tx.executeBAPI.mock.calls.map(([functionName]) => functionName)).toEqual(['BAPI_ACC_DOCUMENT_CHECK', 'BAPI_ACC_DOCUMENT_POST'])
+  })
+})
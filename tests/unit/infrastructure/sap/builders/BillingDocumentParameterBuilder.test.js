@@ -0,0 +1,61 @@
+const { BillingDocumentParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/BillingDocumentParameterBuilder')
+
+describe('BillingDocumentParameterBuilder', () => {
+  const builder = new BillingDocumentParameterBuilder({ sapEntityType: 'BILLING_DOCUMENT', bapiRead: 'BAPI_BILLINGDOC_GETDETAIL', table: 'VBRK', billingType: 'F2' })
+
+  describe('buildCreateParameters', () => {
+    it('bills deliveries and sales orders', () => {
+      const parameters = builder.buildCreateParameters({ deliveries: ['80000001'], salesOrder: '12', billingDate: '2026-10-19' })
+
+      expect(parameters).toEqual({
+        BILLINGDATAIN: [
+          { REF_DOC: '0080000001', REF_DOC_CA: 'J', ORDBILLTYP: 'F2', BILL_DATE: '20261019' },
+          { REF_DOC: '0000000012', REF_DOC_CA: 'C', ORDBILLTYP: 'F2', BILL_DATE: '20261019' }
+        ],
+        TESTRUN: ''
+      })
+    })
+
+    it('bills explicit references with their item', () => {
+      const [line] = builder.buildCreateParameters({ references: [{ type: 'order', document: '12', item: 10 }] }).BILLINGDATAIN
+
+      expect(line).toMatchObject({ REF_DOC: '0000000012', REF_DOC_CA: 'C', REF_ITEM: '000010' })
+    })
+
+    it('requires a known reference', () => {
+      expect(() => builder.buildCreateParameters({})).toThrow('at least one delivery or sales order reference')
+      expect(() => builder.buildCreateParameters({ references: [{ type: 'invoice', document: '1' }] })).toThrow('Unknown billing reference type: invoice')
+    })
+  })
+
+  it('cancels without committing inside the BAPI', () => {
+    expect(builder.buildDeleteParameters('90000001', { sapRecord: { data: { cancellationDate: '2026-10-20' } } })).toEqual({
+      BILLINGDOCUMENT: '0090000001',
+      BILLINGDATE: '20261020',
+      NO_COMMIT: 'X'
+    })
+  })
+
+  it('adds the documents and fiscal year after create', async () => {
+    const sapService = { readTable: jest.fn().mockResolvedValue([{ VBELN: '0090000001', GJAHR: '2026' }]) }
+
+    const result = await builder.completeCreate({ SUCCESS: [{ BILL_DOC: '0090000001' }, { BILL_DOC: '0090000001' }], RETURN: [] }, {}, { sapService })
+
+    expect(result).toMatchObject({ BILLINGDOCUMENT: '0090000001', BILLINGDOCUMENTS: ['0090000001'], FISCALYEAR: '2026' })
+  })
+
+  it('adds the accounting and cancellation status to the read result', async () => {
+    const sapService = {
+      executeBAPI: jest.fn().mockResolvedValue({ BILLINGDOCUMENTDETAIL: { NET_VALUE: 100 }, RETURN: [] }),
+      readTable: jest.fn().mockResolvedValue([{ VBELN: '0090000001', GJAHR: '2026', RFBSK: 'C', FKSTO: 'X', SFAKN: '0090000002' }])
+    }
+
+    const result = await builder.executeRead('90000001', { sapService, options: {} })
+
+    expect(sapService.executeBAPI).toHaveBeenCalledWith('BAPI_BILLINGDOC_GETDETAIL', { BILLINGDOCUMENT: '0090000001' }, { commitWork: false })
+    expect(result).toMatchObject({
+      FISCALYEAR: '2026',
+      STATUS: { accounting: 'posted', cancelled: true, cancelledDocument: '0090000002' }
+    })
+  })
+})
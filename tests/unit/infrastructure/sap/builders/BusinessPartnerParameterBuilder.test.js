@@ -0,0 +1,186 @@
+const rfc = require('node-rfc')
+const { SAPEntityRegistry, SAPBackend } = require('../../../../../src/infrastructure/sap/SAPEntityRegistry')
+const { createService } = require('../../../../helpers/sapService')
+const { createLogger } = require('../../../../helpers/logger')
+
+const customerMapping = { Customer: { sapEntityType: 'CUSTOMER', cviFunction: 'Z_CVI_EI_MAINTAIN' } }
+
+const handleLinkTables = () => {
+  rfc.state.handlers.RFC_READ_TABLE = parameters => {
+    if (parameters.QUERY_TABLE === 'BUT000') {
+      return rfc.tableResult([['PARTNER', 10], ['PARTNER_GUID', 32]], [['0000001000', '005056A1B2C3']])
+    }
+    return rfc.tableResult([['CUSTOMER', 10]], [['0000200001']])
+  }
+}
+
+const functionsCalled = () => rfc.state.calls.map(call => call.functionName)
+
+describe('BusinessPartnerParameterBuilder', () => {
+  describe('registry', () => {
+    it('reads S/4HANA customers by business partner number', () => {
+      const customer = SAPEntityRegistry.fromConfig({}, createLogger(), SAPBackend.S4).get('CUSTOMER')
+
+      expect(customer).toMatchObject({ table: 'BUT000', keyField: 'PARTNER', partnerRole: 'CUSTOMER' })
+      expect(customer.cviFunction).toBeUndefined()
+    })
+
+    it('ignores the ECC BAPIs, table and key field of a mapping on S/4HANA and warns', () => {
+      const logger = createLogger()
+      const registry = SAPEntityRegistry.fromConfig({
+        Vendor: { sapEntityType: 'VENDOR', table: 'LFA1', keyField: 'LIFNR', bapiCreate: 'Z_VMD_EI_API_MAINTAIN', fieldMappings: { name: 'NAME1' } }
+      }, logger, SAPBackend.S4)
+
+      expect(registry.get('VENDOR')).toMatchObject({
+        bapiCreate: 'BAPI_BUPA_CREATE_FROM_DATA',
+        table: 'BUT000',
+        keyField: 'PARTNER',
+        fieldMappings: { name: 'NAME1' }
+      })
+      expect(logger.entries.find(entry => entry.level === 'warn').meta).toEqual({
+        entityType: 'Vendor',
+        ignored: ['bapiCreate=Z_VMD_EI_API_MAINTAIN', 'table=LFA1', 'keyField=LIFNR']
+      })
+    })
+
+    it('keeps ECC mappings on ECC', () => {
+      const registry = SAPEntityRegistry.fromConfig({ Customer: { sapEntityType: 'CUSTOMER', table: 'KNA1', keyField: 'KUNNR' } }, createLogger())
+
+      expect(registry.get('CUSTOMER')).toMatchObject({ bapiCreate: 'BAPI_CUSTOMER_CREATEFROMDATA1', table: 'KNA1' })
+    })
+  })
+
+  describe('through SAPRFCService', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('creates the partner, adds its roles and extends the customer CVI creates', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+      rfc.state.handlers.BAPI_BUPA_CREATE_FROM_DATA = () => ({ BUSINESSPARTNER: '0000001000', RETURN: [] })
+
+      const result = await service.createRecord('CUSTOMER', { name: 'Acme', city: 'Madrid', companyCode: '1000', reconciliationAccount: '140000' })
+
+      expect(result.success).toBe(true)
+      expect(functionsCalled()).toEqual([
+        'BAPI_BUPA_CREATE_FROM_DATA',
+        'BAPI_BUPA_ROLE_ADD_2',
+        'BAPI_BUPA_ROLE_ADD_2',
+        'Z_CVI_EI_MAINTAIN',
+        'BAPI_TRANSACTION_COMMIT'
+      ])
+      const [extension] = rfc.callsOf('Z_CVI_EI_MAINTAIN')[0].parameters.I_DATA
+      expect(extension.PARTNER.HEADER.OBJECT_INSTANCE).toEqual({ BPARTNER: '0000001000' })
+      expect(extension.CUSTOMER.HEADER).toEqual({ OBJECT_INSTANCE: { KUNNR: '' }, OBJECT_TASK: 'M' })
+      expect(extension.CUSTOMER.COMPANY_DATA.COMPANY[0]).toMatchObject({ DATA_KEY: { BUKRS: '1000' }, DATA: { AKONT: '0000140000' } })
+    })
+
+    it('updates the customer linked to the partner instead of assuming the same number', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+      handleLinkTables()
+
+      const result = await service.updateRecord('CUSTOMER', '1000', { salesOrg: '1000', currency: 'EUR' })
+
+      expect(result.success).toBe(true)
+      expect(rfc.callsOf('RFC_READ_TABLE')[1].parameters).toMatchObject({
+        QUERY_TABLE: 'CVI_CUST_LINK',
+        OPTIONS: [{ TEXT: "PARTNER_GUID EQ '005056A1B2C3'" }]
+      })
+      const [extension] = rfc.callsOf('Z_CVI_EI_MAINTAIN')[0].parameters.I_DATA
+      expect(extension.CUSTOMER.HEADER).toEqual({ OBJECT_INSTANCE: { KUNNR: '0000200001' }, OBJECT_TASK: 'U' })
+      expect(extension.CUSTOMER.SALES_DATA.SALES[0]).toMatchObject({ DATA_KEY: { VKORG: '1000', VTWEG: '10', SPART: '00' }, DATA: { WAERS: 'EUR' } })
+    })
+
+    it('changes the existing standard phone number and adds a missing e-mail address', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+      rfc.state.handlers.BAPI_BUPA_ADDRESS_GETDETAIL = () => ({
+        BAPIADTEL: [
+          { TELEPHONE: '910000000', STD_NO: '', CONSNUMBER: '001' },
+          { TELEPHONE: '910000001', STD_NO: 'X', CONSNUMBER: '002' }
+        ],
+        BAPIADSMTP: [],
+        RETURN: []
+      })
+
+      const result = await service.updateRecord('CUSTOMER', '1000', { phone: '919999999', email: 'ventas@acme.es' })
+
+      expect(result.success).toBe(true)
+      expect(functionsCalled()).toEqual(['BAPI_BUPA_ADDRESS_GETDETAIL', 'BAPI_BUPA_ADDRESS_CHANGE', 'BAPI_TRANSACTION_COMMIT'])
+      expect(rfc.callsOf('BAPI_BUPA_ADDRESS_GETDETAIL')[0].parameters).toEqual({ BUSINESSPARTNER: '0000001000' })
+      expect(rfc.callsOf('BAPI_BUPA_ADDRESS_CHANGE')[0].parameters).toMatchObject({
+        TELEFONDATA: [{ TELEPHONE: '919999999', STD_NO: 'X', CONSNUMBER: '002' }],
+        TELEFONDATA_X: [{ TELEPHONE: 'X', STD_NO: 'X', UPDATEFLAG: 'U' }],
+        E_MAILDATA: [{ E_MAIL: 'ventas@acme.es', STD_NO: 'X' }],
+        E_MAILDATA_X: [{ E_MAIL: 'X', STD_NO: 'X', UPDATEFLAG: 'I' }]
+      })
+    })
+
+    it('does not read communication data for address-only updates', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+
+      const result = await service.updateRecord('CUSTOMER', '1000', { city: 'Sevilla' })
+
+      expect(result.success).toBe(true)
+      expect(functionsCalled()).toEqual(['BAPI_BUPA_ADDRESS_CHANGE', 'BAPI_TRANSACTION_COMMIT'])
+      expect(rfc.callsOf('BAPI_BUPA_ADDRESS_CHANGE')[0].parameters).toMatchObject({ TELEFONDATA: [], E_MAILDATA: [] })
+    })
+
+    it('fails when the partner has no linked customer', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+      rfc.state.handlers.RFC_READ_TABLE = parameters => parameters.QUERY_TABLE === 'BUT000'
+        ? rfc.tableResult([['PARTNER', 10], ['PARTNER_GUID', 32]], [['0000001000', '005056A1B2C3']])
+        : rfc.tableResult([['CUSTOMER', 10]], [])
+
+      const result = await service.updateRecord('CUSTOMER', '1000', { salesOrg: '1000' })
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('has no customer linked in CVI_CUST_LINK')
+    })
+
+    it('requires cviFunction for customer extension data', async () => {
+      service = await createService({ backend: 'S4' })
+      rfc.state.handlers.BAPI_BUPA_CREATE_FROM_DATA = () => ({ BUSINESSPARTNER: '0000001000', RETURN: [] })
+
+      const result = await service.createRecord('CUSTOMER', { name: 'Acme', salesOrg: '1000' })
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('set cviFunction in the entity mapping of CUSTOMER')
+      expect(functionsCalled()).toContain('BAPI_TRANSACTION_ROLLBACK')
+    })
+
+    it('creates partners without extension data when cviFunction is not set', async () => {
+      service = await createService({ backend: 'S4' })
+      rfc.state.handlers.BAPI_BUPA_CREATE_FROM_DATA = () => ({ BUSINESSPARTNER: '0000001000', RETURN: [] })
+
+      const result = await service.createRecord('CUSTOMER', { name: 'Acme' })
+
+      expect(result.success).toBe(true)
+    })
+
+    it('fails an update without changes', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+
+      const result = await service.updateRecord('CUSTOMER', '1000', { unknownField: 'x' })
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('contains no fields to change')
+      expect(functionsCalled()).toEqual(['BAPI_TRANSACTION_ROLLBACK'])
+    })
+
+    it('blocks the partner centrally on delete', async () => {
+      service = await createService({ backend: 'S4', entityMappings: customerMapping })
+
+      const result = await service.deleteRecord('CUSTOMER', '1000')
+
+      expect(result.success).toBe(true)
+      expect(rfc.callsOf('BAPI_BUPA_CENTRAL_CHANGE')[0].parameters).toMatchObject({
+        BUSINESSPARTNER: '0000001000',
+        CENTRALDATA: { CENTRALBLOCK: 'X' },
+        CENTRALDATA_X: { CENTRALBLOCK: 'X' }
+      })
+      expect(functionsCalled()).toEqual(['BAPI_BUPA_CENTRAL_CHANGE', 'BAPI_TRANSACTION_COMMIT'])
+    })
+  })
+})
@@ -0,0 +1,101 @@
+const rfc = require('node-rfc')
+const { CostCenterParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/CostCenterParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+const definition = { sapEntityType: 'COST_CENTER', table: 'CSKS', controllingArea: '1000' }
+
+const currentInterval = () => ({
+  readTable: jest.fn().mockResolvedValue([{ DATAB: '20260101', DATBI: '99991231' }])
+})
+
+describe('CostCenterParameterBuilder', () => {
+  const builder = new CostCenterParameterBuilder(definition)
+
+  it('creates a cost center valid from the given date', () => {
+    const parameters = builder.buildCreateParameters({
+      id: '4711',
+      name: 'Ventas',
+      personInCharge: 'JDOE',
+      category: 'V',
+      hierarchyArea: 'H1000',
+      profitCenter: '1402',
+      validFrom: '2026-01-01'
+    }, { sapRecord: { companyCode: '1000', language: 'ES' } })
+
+    expect(parameters).toMatchObject({ CONTROLLINGAREA: '1000', LANGUAGE: { LANGU_ISO: 'ES' }, TESTRUN: '' })
+    expect(parameters.COSTCENTERLIST).toEqual([{
+      COSTCENTER: '0000004711',
+      VALID_FROM: '20260101',
+      VALID_TO: '99991231',
+      NAME: 'Ventas',
+      PERSON_IN_CHARGE: 'JDOE',
+      COSTCENTER_TYPE: 'V',
+      COSTCTR_HIER_GRP: 'H1000',
+      COMP_CODE: '1000',
+      PROFIT_CTR: '0000001402'
+    }])
+  })
+
+  it('requires the mandatory fields on create', () => {
+    expect(() => builder.buildCreateParameters({ id: '4711', name: 'Ventas' })).toThrow('requires personInCharge')
+  })
+
+  it('changes the interval valid today when no validFrom is given', async () => {
+    const sapService = currentInterval()
+
+    const parameters = await builder.buildUpdateParameters('4711', { name: 'Ventas Norte' }, { sapService, options: {} })
+
+    expect(parameters.COSTCENTERLIST).toEqual([{ COSTCENTER: '0000004711', VALID_FROM: '20260101', VALID_TO: '99991231', NAME: 'Ventas Norte' }])
+    const [query, options] = sapService.readTable.mock.calls[0]
+    expect(query.tableName).toBe('CSKS')
+    expect(options).toEqual({ convertFields: false })
+  })
+
+  it('changes the given interval without reading CSKS', async () => {
+    const sapService = currentInterval()
+
+    const parameters = await builder.buildUpdateParameters('4711', { name: 'Ventas', validFrom: '2026-07-01' }, { sapService })
+
+    expect(parameters.COSTCENTERLIST[0]).toMatchObject({ VALID_FROM: '20260701', VALID_TO: '99991231' })
+    expect(sapService.readTable).not.toHaveBeenCalled()
+  })
+
+  it('fails when no interval is valid today', async () => {
+    const sapService = { readTable: jest.fn().mockResolvedValue([]) }
+
+    await expect(builder.buildUpdateParameters('4711', { name: 'Ventas' }, { sapService }))
+      .rejects.toThrow('COST_CENTER 1000/0000004711 has no interval valid today in CSKS; send validFrom and validTo')
+  })
+
+  it('rejects an update without fields to change', async () => {
+    await expect(builder.buildUpdateParameters('4711', { controllingArea: '1000' }, { sapService: currentInterval() }))
+      .rejects.toThrow('Cost center update for 4711 contains no fields to change')
+  })
+
+  it('locks a cost center for all postings', async () => {
+    const parameters = await builder.buildUpdateParameters('4711', { locked: true }, { sapService: currentInterval() })
+
+    expect(parameters.COSTCENTERLIST[0]).toMatchObject({
+      LOCK_IND_ACTUAL_PRIMARY_COSTS: 'X',
+      LOCK_IND_PLAN_PRIMARY_COSTS: 'X',
+      LOCK_IND_ACT_SECONDARY_COSTS: 'X',
+      LOCK_IND_PLAN_SECONDARY_COSTS: 'X',
+      LOCK_IND_ACTUAL_REVENUES: 'X',
+      LOCK_IND_PLAN_REVENUES: 'X',
+      LOCK_IND_COMMITMENT_UPDATE: 'X'
+    })
+  })
+
+  it('locks the cost center on delete', async () => {
+    const service = await createService({ entityMappings: { CostCenter: definition } })
+    rfc.state.handlers.RFC_READ_TABLE = () => rfc.tableResult([['DATAB', 8], ['DATBI', 8]], [['20260101', '99991231']])
+
+    const result = await service.deleteRecord('COST_CENTER', '4711')
+    await service.disconnect()
+
+    expect(result.success).toBe(true)
+    const [costCenter] = rfc.callsOf('BAPI_COSTCENTER_CHANGEMULTIPLE')[0].parameters.COSTCENTERLIST
+    expect(costCenter).toMatchObject({ COSTCENTER: '0000004711', VALID_FROM: '20260101', LOCK_IND_ACTUAL_PRIMARY_COSTS: 'X' })
+    expect(costCenter.DELETION_FLAG).toBeUndefined()
+  })
+})
@@ -0,0 +1,68 @@
+const rfc = require('node-rfc')
+const { CustomerParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/CustomerParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+describe('CustomerParameterBuilder', () => {
+  const builder = new CustomerParameterBuilder({ sapEntityType: 'CUSTOMER', table: 'KNA1', fieldMappings: { lastName: 'NAME2', city: 'ORT01' } })
+
+  it('builds the personal data from the record fields', () => {
+    expect(builder.buildCreateParameters({ NAME1: 'Ana', lastName: 'Ruiz', COUNTRY: 'ES' })).toEqual({
+      PI_CUSTOMER: '',
+      PI_PERSONALDATA: { FIRSTNAME: 'Ana', LASTNAME: 'Ruiz', COUNTRY: 'ES' }
+    })
+  })
+
+  it('reads by customer number', () => {
+    expect(builder.buildReadParameters('0000200001')).toEqual({ CUSTOMERNO: '0000200001' })
+  })
+
+  describe('buildUpdateParameters', () => {
+    it('changes only the personal data that was sent', () => {
+      expect(builder.buildUpdateParameters('200001', { lastName: 'Gil', city: 'Sevilla', salesOrg: '2000' })).toEqual({
+        PI_CUSTOMERNO: '0000200001',
+        PI_SALESORG: '2000',
+        PI_DISTR_CHAN: '10',
+        PI_DIVISION: '00',
+        PI_PERSONALDATA: { LASTNAME: 'Gil', CITY: 'Sevilla' },
+        PI_PERSONALDATAX: { LASTNAME: 'X', CITY: 'X' }
+      })
+    })
+
+    it('rejects an update without changes', () => {
+      expect(() => builder.buildUpdateParameters('200001', { unknownField: 1 })).toThrow('Customer update for 200001 contains no fields to change')
+    })
+
+    it('rejects deletion flags, which the BAPI cannot set', () => {
+      expect(() => builder.buildUpdateParameters('200001', { DELETION_FLAG: 'X' })).toThrow('cannot flag customer 200001 for deletion')
+    })
+  })
+
+  describe('through SAPRFCService', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('updates the customer with BAPI_CUSTOMER_CHANGEFROMDATA1 and commits', async () => {
+      service = await createService()
+      rfc.state.handlers.BAPI_CUSTOMER_CHANGEFROMDATA1 = () => ({ RETURN: { TYPE: 'S', MESSAGE: 'Changes have been made' } })
+
+      const result = await service.updateRecord('CUSTOMER', '200001', { NAME1: 'Ana' })
+
+      expect(result.success).toBe(true)
+      expect(rfc.state.calls.map(call => call.functionName)).toEqual(['BAPI_CUSTOMER_CHANGEFROMDATA1', 'BAPI_TRANSACTION_COMMIT'])
+      expect(rfc.callsOf('BAPI_CUSTOMER_CHANGEFROMDATA1')[0].parameters).toMatchObject({ PI_PERSONALDATA: { FIRSTNAME: 'Ana' } })
+    })
+
+    it('fails deletion with a clear error without calling SAP', async () => {
+      service = await createService()
+
+      const result = await service.deleteRecord('CUSTOMER', '200001')
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('flag it in SAP (XD06)')
+      expect(rfc.state.calls).toHaveLength(0)
+    })
+  })
+})
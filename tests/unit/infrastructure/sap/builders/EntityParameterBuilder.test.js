@@ -0,0 +1,71 @@
+const { EntityParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/EntityParameterBuilder')
+
+describe('EntityParameterBuilder', () => {
+  const builder = new EntityParameterBuilder({ sapEntityType: 'TEST', keyField: 'KEY', fieldMappings: { name: 'NAME1' } })
+
+  describe('formatDate', () => {
+    it('uses the UTC date of Date values', () => {
+      expect(builder.formatDate(new Date('2026-10-19T23:30:00Z'))).toBe('20261019')
+      expect(builder.formatDate(new Date('2026-10-20T00:30:00Z'))).toBe('20261020')
+    })
+
+    it('keeps the date written in ISO strings', () => {
+      expect(builder.formatDate('2026-10-20')).toBe('20261020')
+      expect(builder.formatDate('2026-10-20T01:00:00+02:00')).toBe('20261020')
+    })
+
+    it('returns an empty value for missing or invalid dates', () => {
+      expect(builder.formatDate(null)).toBe('')
+      expect(builder.formatDate('not a date')).toBe('')
+    })
+
+    it('round-trips with parseDate', () => {
+      expect(builder.formatDate(builder.parseDate('20261231'))).toBe('20261231')
+      expect(builder.parseDate('00000000')).toBeNull()
+    })
+  })
+
+  it('maps, compacts and flags fields', () => {
+    expect(builder.mapFields({ name: 'Acme', other: 1 })).toEqual({ NAME1: 'Acme' })
+    expect(builder.compact({ A: 'x', B: '', C: null, D: 0 })).toEqual({ A: 'x', D: 0 })
+    expect(builder.buildUpdateFlags({ A: 'x', D: 0 })).toEqual({ A: 'X', D: 'X' })
+  })
+
+  it('pads numeric keys only', () => {
+    expect(builder.padNumber(' 42 ', 10)).toBe('0000000042')
+    expect(builder.padNumber('A-42', 10)).toBe('A-42')
+  })
+
+  it('builds sub-data entries with their X-structure', () => {
+    expect(builder.buildSubData('M', { BUKRS: '1000' }, { AKONT: '0000160000', ZTERM: undefined })).toEqual({
+      TASK: 'M',
+      DATA_KEY: { BUKRS: '1000' },
+      DATA: { AKONT: '0000160000' },
+      DATAX: { AKONT: 'X' }
+    })
+  })
+
+  describe('getCompanyCodes', () => {
+    it('prefers the companyCodes list', () => {
+      const companyCodes = [{ companyCode: '2000' }]
+      expect(builder.getCompanyCodes({}, { companyCodes, companyCode: '1000' }, { create: true })).toBe(companyCodes)
+    })
+
+    it('uses the default company code on create', () => {
+      expect(builder.getCompanyCodes({ RECONCILIATION_ACCOUNT: '160000' }, {}, { create: true, companyCode: '1000' })).toEqual([
+        { companyCode: '1000', reconciliationAccount: '160000', paymentTerms: undefined }
+      ])
+    })
+
+    it('only returns a company code on update when company code data was sent', () => {
+      expect(builder.getCompanyCodes({}, { companyCode: '1000' }, { create: false })).toEqual([])
+      expect(builder.getCompanyCodes({}, { companyCode: '1000', paymentTerms: 'Z030' }, { create: false })).toEqual([
+        { companyCode: '1000', reconciliationAccount: undefined, paymentTerms: 'Z030' }
+      ])
+    })
+  })
+
+  it('finds records by key field', () => {
+    expect(builder.buildExistsCriteria('4711')).toEqual({ KEY: '4711' })
+  })
+})
@@ -0,0 +1,57 @@
+const { GLAccountParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/GLAccountParameterBuilder')
+
+describe('GLAccountParameterBuilder', () => {
+  const builder = new GLAccountParameterBuilder({ sapEntityType: 'GL_ACCOUNT', table: 'SKA1', chartOfAccounts: 'INT' })
+
+  it('creates the chart of accounts, name and company code segments', () => {
+    const parameters = builder.buildCreateParameters({
+      id: '400000',
+      accountGroup: 'SAKO',
+      shortText: 'Consumo',
+      plStatementType: 'X',
+      currency: 'EUR',
+      lineItems: true
+    }, { sapRecord: { companyCode: '1000', language: 'ES' } })
+
+    expect(parameters).toEqual({
+      ACCOUNT_COA: {
+        KEYY: { KTOPL: 'INT', SAKNR: '0000400000' },
+        DATA: { KTOKS: 'SAKO', GVTYP: 'X' },
+        ACTION: 'I'
+      },
+      TESTMODE: '',
+      ACCOUNT_NAMES: [{ KEYY: { KTOPL: 'INT', SAKNR: '0000400000', SPRAS: 'ES' }, DATA: { TXT20: 'Consumo' }, ACTION: 'I' }],
+      ACCOUNT_CCODES: [{ KEYY: { BUKRS: '1000', SAKNR: '0000400000' }, DATA: { WAERS: 'EUR', XKRES: 'X' }, ACTION: 'I' }]
+    })
+  })
+
+  it('requires the account group and a short text', () => {
+    expect(() => builder.buildCreateParameters({ id: '400000', shortText: 'Consumo' })).toThrow('requires accountGroup and shortText')
+  })
+
+  it('sends only the changed segments on update', () => {
+    const parameters = builder.buildUpdateParameters('400000', { longText: 'Consumo de materiales' })
+
+    expect(parameters.ACCOUNT_COA.DATA).toEqual({})
+    expect(parameters.ACCOUNT_NAMES[0].DATA).toEqual({ TXT50: 'Consumo de materiales' })
+    expect(parameters.ACCOUNT_CCODES).toBeUndefined()
+  })
+
+  it('marks the account for deletion and blocks it in every segment on delete', () => {
+    const parameters = builder.buildUpdateParameters('400000', { DELETION_FLAG: 'X', DELETION_DATE: '20261019' }, {
+      sapRecord: { companyCode: '1000' }
+    })
+
+    expect(parameters.ACCOUNT_COA).toMatchObject({ DATA: { XLOEV: 'X', XSPEB: 'X' }, ACTION: 'U' })
+    expect(parameters.ACCOUNT_CCODES).toEqual([{
+      KEYY: { BUKRS: '1000', SAKNR: '0000400000' },
+      DATA: { XLOEB: 'X', XSPEB: 'X' },
+      ACTION: 'U'
+    }])
+  })
+
+  it('rejects an update without fields to change', () => {
+    expect(() => builder.buildUpdateParameters('400000', { chartOfAccounts: 'INT' }))
+      .toThrow('G/L account update for 400000 contains no fields to change')
+  })
+})
@@ -0,0 +1,26 @@
+const { GenericParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/GenericParameterBuilder')
+
+describe('GenericParameterBuilder', () => {
+  const fieldMappings = { name: 'NAME', city: 'CITY' }
+
+  it('passes mapped fields as flat parameters', () => {
+    const builder = new GenericParameterBuilder({ sapEntityType: 'ZROUTE', keyField: 'ROUTE', fieldMappings })
+
+    expect(builder.buildCreateParameters({ name: 'Norte', city: 'Bilbao', ignored: true })).toEqual({ NAME: 'Norte', CITY: 'Bilbao' })
+    expect(builder.buildUpdateParameters('R1', { city: 'Vitoria' })).toEqual({ ROUTE: 'R1', CITY: 'Vitoria' })
+    expect(builder.buildReadParameters('R1')).toEqual({ ROUTE: 'R1' })
+  })
+
+  it('nests fields under the import structure and uses the key parameter', () => {
+    const builder = new GenericParameterBuilder({
+      sapEntityType: 'ZROUTE',
+      keyField: 'ROUTE',
+      keyParameter: 'IV_ROUTE',
+      importStructure: 'IS_ROUTE',
+      fieldMappings
+    })
+
+    expect(builder.buildUpdateParameters('R1', { name: 'Norte' })).toEqual({ IV_ROUTE: 'R1', IS_ROUTE: { NAME: 'Norte' } })
+    expect(builder.buildSearchParameters({ city: 'Bilbao' })).toEqual({ IS_ROUTE: { CITY: 'Bilbao' } })
+  })
+})
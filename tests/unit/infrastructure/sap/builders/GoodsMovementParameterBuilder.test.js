@@ -0,0 +1,72 @@
+const { GoodsMovementParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/GoodsMovementParameterBuilder')
+
+describe('GoodsMovementParameterBuilder', () => {
+  const receipt = new GoodsMovementParameterBuilder({ sapEntityType: 'GOODS_RECEIPT', movementType: '101' })
+  const issue = new GoodsMovementParameterBuilder({ sapEntityType: 'GOODS_ISSUE', movementType: '201' })
+
+  describe('buildCreateParameters', () => {
+    it('posts a goods receipt for a purchase order', () => {
+      const parameters = receipt.buildCreateParameters({
+        postingDate: '2026-10-19',
+        deliveryNote: 'DN-1',
+        purchaseOrder: '4500000001',
+        items: [{ purchaseOrderItem: 10, quantity: 5, unit: 'ST', plant: '1000', finalDelivery: true }]
+      })
+
+      expect(parameters.GOODSMVT_HEADER).toEqual({ PSTNG_DATE: '20261019', DOC_DATE: '20261019', REF_DOC_NO: 'DN-1' })
+      expect(parameters.GOODSMVT_CODE).toEqual({ GM_CODE: '01' })
+      expect(parameters.GOODSMVT_ITEM).toEqual([{
+        PLANT: '1000',
+        MOVE_TYPE: '101',
+        ENTRY_QNT: 5,
+        ENTRY_UOM: 'ST',
+        PO_NUMBER: '4500000001',
+        PO_ITEM: '00010',
+        MVT_IND: 'B',
+        NO_MORE_GR: 'X'
+      }])
+    })
+
+    it('pads materials to the configured material length', () => {
+      const builder = new GoodsMovementParameterBuilder({ movementType: '311', materialLength: 40 })
+
+      const [item] = builder.buildCreateParameters({ material: '42', toMaterial: '43', quantity: 1, plant: '1000', toStorageLocation: '0002' }).GOODSMVT_ITEM
+
+      expect(item.MATERIAL).toBe('42'.padStart(40, '0'))
+      expect(item.MOVE_MAT).toBe('43'.padStart(40, '0'))
+    })
+
+    it('uses GM code 02 for receipts of production orders', () => {
+      const parameters = receipt.buildCreateParameters({ material: '42', quantity: 1, orderId: '1000001' })
+
+      expect(parameters.GOODSMVT_CODE.GM_CODE).toBe('02')
+      expect(parameters.GOODSMVT_ITEM[0]).toMatchObject({ ORDERID: '000001000001', MVT_IND: 'F' })
+    })
+
+    it('validates the items', () => {
+      expect(() => receipt.buildCreateParameters({})).toThrow('at least one item')
+      expect(() => receipt.buildCreateParameters({ material: '42' })).toThrow('requires a quantity')
+      expect(() => issue.buildCreateParameters({ material: '42', quantity: 1 })).toThrow('requires a cost center')
+      expect(() => receipt.buildCreateParameters({ material: '42', quantity: 1, movementType: '311' })).toThrow('receiving storage location')
+      expect(() => receipt.buildCreateParameters({
+        items: [{ material: '42', quantity: 1 }, { material: '42', quantity: 1, movementType: '201', costCenter: '4711' }]
+      })).toThrow('post them separately')
+    })
+  })
+
+  describe('document keys', () => {
+    it('splits number and year for read, existence check and cancellation', () => {
+      expect(receipt.buildReadParameters('4900000123/2026')).toEqual({ MATERIALDOCUMENT: '4900000123', MATDOCUMENTYEAR: '2026' })
+      expect(receipt.buildExistsCriteria('4900000123/2026')).toEqual({ MBLNR: '4900000123', MJAHR: '2026' })
+      expect(receipt.buildDeleteParameters('4900000123', { sapRecord: { data: { documentYear: 2026, reversalDate: '2026-10-20' } } })).toEqual({
+        MATERIALDOCUMENT: '4900000123',
+        MATDOCUMENTYEAR: '2026',
+        GOODSMVT_PSTNG_DATE: '20261020'
+      })
+    })
+
+    it('requires the document year', () => {
+      expect(() => receipt.buildReadParameters('4900000123')).toThrow('requires a year')
+    })
+  })
+})
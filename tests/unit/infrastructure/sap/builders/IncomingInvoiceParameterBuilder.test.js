@@ -0,0 +1,86 @@
+const { IncomingInvoiceParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/IncomingInvoiceParameterBuilder')
+
+const invoice = (extra = {}) => ({
+  vendor: '100001',
+  reference: 'FRA-2026-77',
+  invoiceDate: '2026-10-19',
+  postingDate: '2026-10-19',
+  currency: 'EUR',
+  grossAmount: 121,
+  taxCode: 'V1',
+  purchaseOrder: '4500000001',
+  items: [{ purchaseOrderItem: 10, amount: 100, quantity: 5, unit: 'EA', goodsReceipt: '5000000001/2026', goodsReceiptItem: 1 }],
+  ...extra
+})
+
+describe('IncomingInvoiceParameterBuilder', () => {
+  const builder = new IncomingInvoiceParameterBuilder({ sapEntityType: 'INCOMING_INVOICE', bapiRead: 'BAPI_INCOMINGINVOICE_GETDETAIL', table: 'RBKP' })
+
+  describe('buildCreateParameters', () => {
+    it('builds the header and purchase order items', () => {
+      const parameters = builder.buildCreateParameters(invoice({ companyCode: '1000' }))
+
+      expect(parameters.HEADERDATA).toEqual({
+        INVOICE_IND: 'X',
+        DOC_DATE: '20261019',
+        PSTNG_DATE: '20261019',
+        REF_DOC_NO: 'FRA-2026-77',
+        COMP_CODE: '1000',
+        CURRENCY: 'EUR',
+        GROSS_AMOUNT: 121,
+        CALC_TAX_IND: 'X'
+      })
+      expect(parameters.ITEMDATA).toEqual([{
+        INVOICE_DOC_ITEM: '000001',
+        PO_NUMBER: '4500000001',
+        PO_ITEM: '00010',
+        REF_DOC: '5000000001',
+        REF_DOC_YEAR: '2026',
+        REF_DOC_IT: '0001',
+        TAX_CODE: 'V1',
+        ITEM_AMOUNT: 100,
+        QUANTITY: 5,
+        PO_UNIT: 'EA'
+      }])
+    })
+
+    it('sets a different invoicing party only when invoicingParty is given', () => {
+      expect(builder.buildCreateParameters(invoice()).HEADERDATA.DIFF_INV).toBeUndefined()
+      expect(builder.buildCreateParameters(invoice({ invoicingParty: '200002' })).HEADERDATA.DIFF_INV).toBe('0000200002')
+    })
+
+    it('posts credit memos without the invoice indicator', () => {
+      expect(builder.buildCreateParameters(invoice({ creditMemo: true })).HEADERDATA.INVOICE_IND).toBeUndefined()
+    })
+
+    it('validates amounts and purchase order references', () => {
+      expect(() => builder.buildCreateParameters(invoice({ items: [] }))).toThrow('at least one purchase order item')
+      expect(() => builder.buildCreateParameters(invoice({ currency: undefined }))).toThrow('gross amount and a currency')
+      expect(() => builder.buildCreateParameters(invoice({ purchaseOrder: undefined }))).toThrow('item 1 requires a purchase order')
+      expect(() => builder.buildCreateParameters(invoice({ items: [{ purchaseOrderItem: 10 }] }))).toThrow('item 1 requires an amount')
+    })
+  })
+
+  it('cancels with the default reversal reason', () => {
+    expect(builder.buildDeleteParameters('5105600001/2026')).toEqual({
+      INVOICEDOCNUMBER: '5105600001',
+      FISCALYEAR: '2026',
+      REASONREVERSAL: '01'
+    })
+  })
+
+  it('adds the document status to the read result', async () => {
+    const sapService = {
+      executeBAPI: jest.fn().mockResolvedValue({ HEADERDATA: { GROSS_AMOUNT: 121 }, RETURN: [] }),
+      readTable: jest.fn().mockResolvedValue([{ BELNR: '5105600001', GJAHR: '2026', RBSTAT: '5', STBLG: '5105600002', STJAH: '2026' }])
+    }
+
+    const result = await builder.executeRead('5105600001/2026', { sapService, options: {} })
+
+    expect(result).toMatchObject({
+      INVOICEDOCNUMBER: '5105600001',
+      FISCALYEAR: '2026',
+      STATUS: { document: 'posted', reversed: true, reversalDocument: '5105600002/2026' }
+    })
+  })
+})
@@ -0,0 +1,88 @@
+const { InventoryParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/InventoryParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+const definition = { sapEntityType: 'STOCK', bapiRead: 'BAPI_MATERIAL_AVAILABILITY', table: 'MARD', materialLength: 40 }
+const longMaterial = '42'.padStart(40, '0')
+
+const createContext = (inventory = {}) => {
+  const sapService = {
+    readTable: jest.fn(async query => {
+      const { QUERY_TABLE: table } = query.toParameters()
+      if (table === 'MARA') {
+        return [{ MATNR: longMaterial, MEINS: 'ST' }]
+      }
+      return [
+        { MATNR: longMaterial, WERKS: '1000', LGORT: '0001', LABST: 7, INSME: 1 },
+        { MATNR: longMaterial, WERKS: '1000', LGORT: '0002', LABST: 3 }
+      ]
+    }),
+    executeBAPI: jest.fn().mockResolvedValue({
+      AV_QTY_PLT: '9',
+      ENDLEADTME: '20261105',
+      WMDVEX: [{ COM_DATE: '20261020', COM_QTY: '9' }],
+      RETURN: { TYPE: '' }
+    })
+  }
+
+  return { sapService, options: { inventory } }
+}
+
+describe('InventoryParameterBuilder', () => {
+  const builder = new InventoryParameterBuilder(definition)
+
+  it('pads material numbers to the configured material length', () => {
+    expect(builder.buildReadParameters('42', { options: { inventory: { plant: '1000' } } })).toEqual({
+      MATERIAL: longMaterial,
+      PLANT: '1000',
+      CHECK_RULE: 'A'
+    })
+  })
+
+  it('reads stock per storage location with the base unit and ATP quantity', async () => {
+    const context = createContext({ plant: '1000' })
+
+    const result = await builder.executeRead('42', context)
+
+    expect(context.sapService.readTable.mock.calls[0][0].toParameters().OPTIONS.map(option => option.TEXT).join(' '))
+      .toBe(`MATNR IN ( '${longMaterial}' ) AND WERKS EQ '1000'`)
+    expect(result.STOCK).toEqual([
+      { material: '42', plant: '1000', storageLocation: '0001', unit: 'ST', unrestricted: 7, qualityInspection: 1, blocked: 0, restricted: 0, inTransfer: 0, returns: 0 },
+      { material: '42', plant: '1000', storageLocation: '0002', unit: 'ST', unrestricted: 3, qualityInspection: 0, blocked: 0, restricted: 0, inTransfer: 0, returns: 0 }
+    ])
+    expect(result.AVAILABILITY).toEqual([{
+      plant: '1000',
+      availableQuantity: 9,
+      unit: 'ST',
+      endLeadTime: new Date(Date.UTC(2026, 10, 5)),
+      confirmations: [{ date: new Date(Date.UTC(2026, 9, 20)), quantity: 9 }],
+      messages: []
+    }])
+  })
+
+  it('reports failed ATP checks with their messages', async () => {
+    const context = createContext({ plant: '1000' })
+    context.sapService.executeBAPI.mockResolvedValue({ RETURN: { TYPE: 'E', MESSAGE: 'No checking rule' } })
+
+    const { AVAILABILITY } = await builder.executeRead('42', context)
+
+    expect(AVAILABILITY[0]).toMatchObject({ availableQuantity: null, endLeadTime: null, messages: [{ TYPE: 'E' }] })
+  })
+
+  it('searches without ATP checks unless asked for', async () => {
+    const context = createContext()
+
+    const stock = await builder.executeSearch({ material: ['42'] }, context)
+
+    expect(stock).toHaveLength(2)
+    expect(context.sapService.executeBAPI).not.toHaveBeenCalled()
+  })
+
+  it('takes the material length from the conversion settings of the service', async () => {
+    const service = await createService({ conversion: { enabled: false, materialLength: 40 } })
+
+    expect(service.entityRegistry.get('STOCK').builder.padMaterial('42')).toBe(longMaterial)
+    expect(service.entityRegistry.get('SALES_ORDER').builder.padMaterial('A-42')).toBe('A-42')
+
+    await service.disconnect()
+  })
+})
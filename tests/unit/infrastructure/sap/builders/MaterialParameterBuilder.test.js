@@ -0,0 +1,78 @@
+const { MaterialParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/MaterialParameterBuilder')
+
+const definition = {
+  sapEntityType: 'MATERIAL',
+  table: 'MARA',
+  materialViews: {
+    FERT: ['basic', 'sales', 'mrp', 'storage'],
+    default: ['basic']
+  }
+}
+
+describe('MaterialParameterBuilder', () => {
+  const builder = new MaterialParameterBuilder(definition)
+
+  describe('buildCreateParameters', () => {
+    it('maintains the views of the material type whose organizational levels are known', () => {
+      const parameters = builder.buildCreateParameters({
+        MATERIAL: '42',
+        MATERIAL_TYPE: 'FERT',
+        name: 'Tornillo',
+        materialGroup: '001',
+        plant: '1000',
+        mrpType: 'PD'
+      })
+
+      expect(parameters.HEADDATA).toEqual({
+        MATERIAL: '000000000000000042',
+        IND_SECTOR: 'M',
+        MATL_TYPE: 'FERT',
+        BASIC_VIEW: 'X',
+        MRP_VIEW: 'X',
+        STORAGE_VIEW: 'X'
+      })
+      expect(parameters.CLIENTDATA).toEqual({ MATL_GROUP: '001', BASE_UOM: 'EA' })
+      expect(parameters.PLANTDATA).toEqual({ PLANT: '1000', MRP_TYPE: 'PD' })
+      expect(parameters.PLANTDATAX).toEqual({ PLANT: '1000', MRP_TYPE: 'X' })
+      expect(parameters.SALESDATA).toBeUndefined()
+      expect(parameters.MATERIALDESCRIPTION).toEqual([{ LANGU_ISO: 'EN', MATL_DESC: 'Tornillo' }])
+    })
+
+    it('requires a description', () => {
+      expect(() => builder.buildCreateParameters({ MATERIAL: '42' })).toThrow('Material requires a description')
+    })
+
+    it('rejects views that do not exist', () => {
+      const invalid = new MaterialParameterBuilder({ ...definition, materialViews: { default: ['basic', 'quality'] } })
+
+      expect(() => invalid.buildCreateParameters({ MATERIAL: '42', name: 'Tornillo' })).toThrow('Unknown material view quality')
+    })
+  })
+
+  describe('buildUpdateParameters', () => {
+    it('sends only the views with changes', () => {
+      const parameters = builder.buildUpdateParameters('42', { salesOrg: '1000', distributionChannel: '10', salesUnit: 'CS' })
+
+      expect(parameters.HEADDATA).toEqual({ MATERIAL: '000000000000000042', SALES_VIEW: 'X' })
+      expect(parameters.SALESDATA).toEqual({ SALES_ORG: '1000', DISTR_CHAN: '10', SALES_UNIT: 'CS' })
+      expect(parameters.SALESDATAX).toEqual({ SALES_ORG: '1000', DISTR_CHAN: '10', SALES_UNIT: 'X' })
+      expect(parameters.CLIENTDATA).toBeUndefined()
+    })
+
+    it('flags the material for deletion on delete', () => {
+      const parameters = builder.buildUpdateParameters('42', { DELETION_FLAG: 'X', DELETION_DATE: '20261019' })
+
+      expect(parameters.HEADDATA).toEqual({ MATERIAL: '000000000000000042', BASIC_VIEW: 'X' })
+      expect(parameters.CLIENTDATA).toEqual({ DEL_FLAG: 'X' })
+      expect(parameters.CLIENTDATAX).toEqual({ DEL_FLAG: 'X' })
+    })
+
+    it('rejects an update without fields to change', () => {
+      expect(() => builder.buildUpdateParameters('42', { plant: '1000' })).toThrow('Material update for 42 contains no fields to change')
+    })
+  })
+
+  it('reads the padded material number', () => {
+    expect(builder.buildReadParameters('42')).toEqual({ MATERIAL: '000000000000000042' })
+  })
+})
@@ -0,0 +1,66 @@
+const { PlantParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/PlantParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+const tables = {
+  T001W: [{ WERKS: '1000', NAME1: 'Tienda Centro', ORT01: 'Madrid', ADRNR: '0000022001' }],
+  ADRC: [
+    { ADDRNUMBER: '0000022001', DATE_FROM: '00010101', STREET: 'Gran Vía', TEL_NUMBER: '910000000' },
+    { ADDRNUMBER: '0000022001', DATE_FROM: '99991231', STREET: 'Alcalá', TEL_NUMBER: '910000001' }
+  ],
+  T001L: [{ WERKS: '1000', LGORT: '0001', LGOBE: 'Tienda' }]
+}
+
+const sapServiceFor = rows => ({
+  readTable: jest.fn(async query => rows[query.tableName] || [])
+})
+
+describe('PlantParameterBuilder', () => {
+  const builder = new PlantParameterBuilder({
+    sapEntityType: 'PLANT',
+    table: 'T001W',
+    fieldMappings: { name: 'NAME1', city: 'ORT01', phone: 'TEL_NUMBER' }
+  })
+
+  it('reads the plant with its current address and storage locations', async () => {
+    const result = await builder.executeRead('1000', { sapService: sapServiceFor(tables), options: {} })
+
+    expect(result.STORE).toEqual({
+      name: 'Tienda Centro',
+      city: 'Madrid',
+      phone: '910000000',
+      storageLocations: [{ storageLocation: '0001', name: 'Tienda' }]
+    })
+    expect(result.ADDRESS.STREET).toBe('Gran Vía')
+  })
+
+  it('fails to read a plant that does not exist', async () => {
+    await expect(builder.executeRead('9999', { sapService: sapServiceFor({}) })).rejects.toThrow('Plant 9999 does not exist in SAP')
+  })
+
+  it('reports fields and storage locations that differ from SAP as drift', async () => {
+    const result = await builder.executeCheck('1000', { name: 'Tienda Centro', city: 'Getafe', storageLocations: ['0001', '0002'] }, {
+      sapService: sapServiceFor(tables)
+    })
+
+    expect(result.DRIFT).toEqual([
+      { field: 'city', sapField: 'ORT01', bridgeValue: 'Getafe', sapValue: 'Madrid' },
+      { field: 'storageLocations', sapField: 'LGORT', bridgeValue: '0002', sapValue: null }
+    ])
+    expect(result.RETURN.map(message => message.TYPE)).toEqual(['W', 'W'])
+    expect(result.RETURN[1].MESSAGE).toBe('Storage location 0002 does not exist in plant 1000')
+  })
+
+  it('rejects invalid plant keys', () => {
+    expect(() => builder.buildReadParameters('10000')).toThrow('Invalid plant: 10000')
+  })
+
+  it('rejects Delete events for stores', async () => {
+    const service = await createService()
+
+    const result = await service.deleteRecord('PLANT', '1000')
+    await service.disconnect()
+
+    expect(result.success).toBe(false)
+    expect(result.error).toContain('Deletion not supported for entity type PLANT')
+  })
+})
@@ -0,0 +1,72 @@
+const { ProfitCenterParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/ProfitCenterParameterBuilder')
+
+const currentInterval = () => ({
+  readTable: jest.fn().mockResolvedValue([{ DATAB: '20250101', DATBI: '99991231' }])
+})
+
+describe('ProfitCenterParameterBuilder', () => {
+  const builder = new ProfitCenterParameterBuilder({ sapEntityType: 'PROFIT_CENTER', table: 'CEPC', controllingArea: '1000' })
+
+  it('creates a profit center assigned to the company codes', () => {
+    const parameters = builder.buildCreateParameters({
+      id: '1402',
+      name: 'Norte',
+      personInCharge: 'JDOE',
+      hierarchyArea: 'H1000',
+      companyCodes: ['1000', '2000'],
+      validFrom: '2026-01-01'
+    })
+
+    expect(parameters).toEqual({
+      PROFITCENTERID: { PROFIT_CTR: '0000001402', CO_AREA: '1000' },
+      VALIDFROM: '20260101',
+      VALIDTO: '99991231',
+      TESTRUN: '',
+      BASIC_DATA: { PRCTR_NAME: 'Norte', IN_CHARGE: 'JDOE', PRCTR_HIER_GRP: 'H1000' },
+      COMPANYCODEASSIGNMENT: [
+        { COMP_CODE: '1000', ASSIGN_TO_PRCTR: 'X' },
+        { COMP_CODE: '2000', ASSIGN_TO_PRCTR: 'X' }
+      ]
+    })
+  })
+
+  it('changes the CEPC interval valid today when no validFrom is given', async () => {
+    const sapService = currentInterval()
+
+    const parameters = await builder.buildUpdateParameters('1402', { name: 'Norte y Centro' }, { sapService })
+
+    expect(parameters).toMatchObject({
+      VALIDFROM: '20250101',
+      VALIDTO: '99991231',
+      BASIC_DATA: { PRCTR_NAME: 'Norte y Centro' },
+      BASIC_DATAX: { PRCTR_NAME: 'X' }
+    })
+    expect(sapService.readTable.mock.calls[0][0].tableName).toBe('CEPC')
+  })
+
+  it('fails when no interval is valid today', async () => {
+    const sapService = { readTable: jest.fn().mockResolvedValue([]) }
+
+    await expect(builder.buildUpdateParameters('1402', { name: 'Norte' }, { sapService }))
+      .rejects.toThrow('has no interval valid today in CEPC')
+  })
+
+  it('locks and unlocks the profit center', async () => {
+    const locked = await builder.buildUpdateParameters('1402', { locked: true }, { sapService: currentInterval() })
+    const unlocked = await builder.buildUpdateParameters('1402', { locked: false }, { sapService: currentInterval() })
+
+    expect(locked.BASIC_DATA).toEqual({ LOCK_IND: 'X' })
+    expect(unlocked).toMatchObject({ BASIC_DATA: { LOCK_IND: '' }, BASIC_DATAX: { LOCK_IND: 'X' } })
+  })
+
+  it('locks the profit center on delete', async () => {
+    const parameters = await builder.buildUpdateParameters('1402', { DELETION_FLAG: 'X', DELETION_DATE: '20261019' }, { sapService: currentInterval() })
+
+    expect(parameters.BASIC_DATA).toEqual({ LOCK_IND: 'X' })
+  })
+
+  it('rejects an update without fields to change', async () => {
+    await expect(builder.buildUpdateParameters('1402', {}, { sapService: currentInterval() }))
+      .rejects.toThrow('Profit center update for 1402 contains no fields to change')
+  })
+})
@@ -0,0 +1,100 @@
+const rfc = require('node-rfc')
+const { PurchaseOrderParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/PurchaseOrderParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+const order = (extra = {}) => ({
+  vendorId: '300',
+  currency: 'EUR',
+  deliveryDate: '2026-12-01',
+  items: [{ description: 'Sillas', quantity: 2, unit: 'EA', netPrice: 100, materialGroup: 'OFFICE', costCenter: '4711', glAccount: '400000' }],
+  ...extra
+})
+
+describe('PurchaseOrderParameterBuilder', () => {
+  const builder = new PurchaseOrderParameterBuilder({ sapEntityType: 'PURCHASE_ORDER', table: 'EKKO' })
+
+  describe('buildCreateParameters', () => {
+    it('builds the header, items, schedule lines and cost center assignment', () => {
+      const parameters = builder.buildCreateParameters(order())
+
+      expect(parameters.POHEADER).toEqual({ DOC_TYPE: 'NB', VENDOR: '0000000300', PURCH_ORG: '1000', PUR_GROUP: '001', CURRENCY: 'EUR' })
+      expect(parameters.POITEM).toEqual([{
+        PO_ITEM: '00010',
+        SHORT_TEXT: 'Sillas',
+        MATL_GROUP: 'OFFICE',
+        QUANTITY: 2,
+        PO_UNIT: 'EA',
+        NET_PRICE: 100,
+        ACCTASSCAT: 'K'
+      }])
+      expect(parameters.POSCHEDULE).toEqual([{ PO_ITEM: '00010', SCHED_LINE: '0001', DELIVERY_DATE: '01.12.2026', QUANTITY: 2 }])
+      expect(parameters.POACCOUNT).toEqual([{ PO_ITEM: '00010', SERIAL_NO: '01', COSTCENTER: '0000004711', GL_ACCOUNT: '0000400000' }])
+      expect(parameters.POACCOUNTX[0]).toMatchObject({ PO_ITEMX: 'X', SERIAL_NOX: 'X', COSTCENTER: 'X' })
+    })
+
+    it('formats delivery dates in the configured date format', () => {
+      const american = new PurchaseOrderParameterBuilder({ sapEntityType: 'PURCHASE_ORDER', dateFormat: 'MM/DD/YYYY' })
+
+      expect(american.buildCreateParameters(order()).POSCHEDULE[0].DELIVERY_DATE).toBe('12/01/2026')
+    })
+
+    it('requires a vendor and items', () => {
+      expect(() => builder.buildCreateParameters(order({ vendorId: undefined }))).toThrow('requires a vendor')
+      expect(() => builder.buildCreateParameters(order({ items: [] }))).toThrow('at least one item')
+    })
+  })
+
+  describe('buildUpdateParameters', () => {
+    it('changes only the given fields and marks deleted items', async () => {
+      const parameters = await builder.buildUpdateParameters('4500000001', {
+        paymentTerms: 'ZB14',
+        items: [{ itemNumber: 10, quantity: 3 }, { itemNumber: 20, deleted: true }]
+      })
+
+      expect(parameters).toMatchObject({
+        PURCHASEORDER: '4500000001',
+        POHEADER: { PMNTTRMS: 'ZB14' },
+        POHEADERX: { PMNTTRMS: 'X' },
+        POITEM: [{ PO_ITEM: '00010', QUANTITY: 3 }, { PO_ITEM: '00020', DELETE_IND: 'L' }],
+        POITEMX: [{ PO_ITEM: '00010', PO_ITEMX: 'X', QUANTITY: 'X' }, { PO_ITEM: '00020', PO_ITEMX: 'X', DELETE_IND: 'X' }],
+        POSCHEDULE: [],
+        POACCOUNT: []
+      })
+    })
+
+    it('rejects an update without fields to change', async () => {
+      await expect(builder.buildUpdateParameters('4500000001', {})).rejects.toThrow('Purchase order update for 4500000001 contains no fields to change')
+    })
+  })
+
+  describe('deleteRecord', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('marks the items that are not deleted yet', async () => {
+      service = await createService()
+      rfc.state.handlers.RFC_READ_TABLE = () => rfc.tableResult([['EBELN', 10], ['EBELP', 5]], [['4500000001', '00010'], ['4500000001', '00030']])
+
+      const result = await service.deleteRecord('PURCHASE_ORDER', '4500000001')
+
+      expect(result.success).toBe(true)
+      expect(rfc.callsOf('RFC_READ_TABLE')[0].parameters).toMatchObject({ QUERY_TABLE: 'EKPO', OPTIONS: [{ TEXT: "EBELN EQ '4500000001' AND LOEKZ EQ ''" }] })
+      const [change] = rfc.callsOf('BAPI_PO_CHANGE')
+      expect(change.parameters.POITEM).toEqual([{ PO_ITEM: '00010', DELETE_IND: 'L' }, { PO_ITEM: '00030', DELETE_IND: 'L' }])
+    })
+
+    it('fails when every item is already deleted', async () => {
+      service = await createService()
+      rfc.state.handlers.RFC_READ_TABLE = () => rfc.tableResult([['EBELN', 10], ['EBELP', 5]], [])
+
+      const result = await service.deleteRecord('PURCHASE_ORDER', '4500000001')
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('Purchase order 4500000001 has no items left to delete')
+      expect(rfc.callsOf('BAPI_PO_CHANGE')).toHaveLength(0)
+    })
+  })
+})
@@ -0,0 +1,158 @@
+const { SalesOrderParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/SalesOrderParameterBuilder')
+
+const currentOrder = {
+  ORDER_HEADERS_OUT: [{ DOC_NUMBER: '0000012345', PURCH_NO_C: 'PO-1', CURRENCY: 'EUR' }],
+  ORDER_ITEMS_OUT: [
+    { ITM_NUMBER: '000010', MATERIAL: '000000000000000042', TARGET_QTY: 5, TARGET_QU: 'ST', PLANT: '1000', HG_LV_ITEM: '000000' },
+    { ITM_NUMBER: '000020', MATERIAL: '000000000000000043', TARGET_QTY: 1, TARGET_QU: 'ST', PLANT: '1000', HG_LV_ITEM: '000000' }
+  ],
+  ORDER_SCHEDULES_OUT: [
+    { ITM_NUMBER: '000010', SCHED_LINE: '0001', REQ_DATE: '20261101', REQ_QTY: 5 },
+    { ITM_NUMBER: '000020', SCHED_LINE: '0001', REQ_DATE: '20261101', REQ_QTY: 1 }
+  ],
+  ORDER_CONDITIONS_OUT: [
+    { ITM_NUMBER: '000010', COND_ST_NO: '011', COND_COUNT: '01', COND_TYPE: 'PR00', COND_VALUE: 10, CURRENCY: 'EUR' },
+    { ITM_NUMBER: '000010', COND_ST_NO: '100', COND_COUNT: '01', COND_TYPE: 'MWST', COND_VALUE: 21, CURRENCY: '' },
+    { ITM_NUMBER: '000020', COND_ST_NO: '011', COND_COUNT: '01', COND_TYPE: 'PR00', COND_VALUE: 7, CURRENCY: 'EUR' }
+  ]
+}
+
+const createContext = (detail = currentOrder) => ({
+  sapService: { executeRFC: jest.fn().mockResolvedValue(detail) },
+  options: {}
+})
+
+const item = (itemNumber, material, extra = {}) => ({ itemNumber, materialId: material, quantity: 5, unit: 'ST', plant: '1000', requestedDeliveryDate: '2026-11-01T12:00:00Z', ...extra })
+
+describe('SalesOrderParameterBuilder', () => {
+  const builder = new SalesOrderParameterBuilder({ sapEntityType: 'SALES_ORDER' })
+
+  describe('buildCreateParameters', () => {
+    it('maps header, partners, items, schedule lines and conditions', () => {
+      const parameters = builder.buildCreateParameters({
+        customerId: '100',
+        currency: 'EUR',
+        items: [{ materialId: '42', quantity: 2, unit: 'ST', unitPrice: 9.5 }],
+        conditions: [{ type: 'HB00', value: 5 }]
+      })
+
+      expect(parameters.ORDER_HEADER_INX.UPDATEFLAG).toBe('I')
+      expect(parameters.ORDER_PARTNERS).toEqual([
+        { PARTN_ROLE: 'AG', PARTN_NUMB: '0000000100' },
+        { PARTN_ROLE: 'WE', PARTN_NUMB: '0000000100' }
+      ])
+      expect(parameters.ORDER_ITEMS_IN[0]).toMatchObject({ ITM_NUMBER: '000010', TARGET_QTY: 2 })
+      expect(parameters.ORDER_SCHEDULES_IN[0]).toMatchObject({ ITM_NUMBER: '000010', SCHED_LINE: '0001', REQ_QTY: 2 })
+      expect(parameters.ORDER_CONDITIONS_IN).toEqual([
+        { ITM_NUMBER: '000010', COND_TYPE: 'PR00', COND_VALUE: 9.5, CURRENCY: 'EUR' },
+        { ITM_NUMBER: '000000', COND_TYPE: 'HB00', COND_VALUE: 5, CURRENCY: 'EUR' }
+      ])
+    })
+
+    it('requires a sold-to party and items', () => {
+      expect(() => builder.buildCreateParameters({ items: [{}] })).toThrow('sold-to party')
+      expect(() => builder.buildCreateParameters({ customerId: '100' })).toThrow('at least one item')
+    })
+  })
+
+  describe('buildUpdateParameters', () => {
+    it('sends nothing for items that did not change', async () => {
+      const parameters = await builder.buildUpdateParameters('12345', {
+        items: [item(10, '42', { unitPrice: 10 }), item(20, '43', { quantity: 1, unitPrice: 7 })]
+      }, createContext())
+
+      expect(parameters.SALESDOCUMENT).toBe('0000012345')
+      expect(parameters.ORDER_ITEM_IN).toEqual([])
+      expect(parameters.SCHEDULE_LINES).toEqual([])
+      expect(parameters.CONDITIONS_IN).toEqual([])
+    })
+
+    it('updates the price of an existing item on its condition step and counter', async () => {
+      const parameters = await builder.buildUpdateParameters('12345', {
+        items: [item(10, '42', { unitPrice: 12.5 }), item(20, '43', { quantity: 1, unitPrice: 7 })]
+      }, createContext())
+
+      expect(parameters.CONDITIONS_IN).toEqual([
+        { ITM_NUMBER: '000010', COND_ST_NO: '011', COND_COUNT: '01', COND_TYPE: 'PR00', COND_VALUE: 12.5, CURRENCY: 'EUR' }
+      ])
+      expect(parameters.CONDITIONS_INX).toEqual([
+        { ITM_NUMBER: '000010', COND_ST_NO: '011', COND_COUNT: '01', COND_TYPE: 'PR00', UPDATEFLAG: 'U', COND_VALUE: 'X', CURRENCY: 'X' }
+      ])
+    })
+
+    it('inserts conditions the item does not have yet', async () => {
+      const parameters = await builder.buildUpdateParameters('12345', {
+        currency: 'EUR',
+        items: [item(10, '42', { conditions: [{ type: 'K007', value: -3 }] }), item(20, '43', { quantity: 1 })]
+      }, createContext())
+
+      expect(parameters.CONDITIONS_IN).toEqual([{ ITM_NUMBER: '000010', COND_TYPE: 'K007', COND_VALUE: -3, CURRENCY: 'EUR' }])
+      expect(parameters.CONDITIONS_INX[0]).toMatchObject({ UPDATEFLAG: 'I' })
+    })
+
+    it('creates new items with the item number Bridge sends', async () => {
+      const parameters = await builder.buildUpdateParameters('12345', {
+        items: [item(10, '42'), item(20, '43', { quantity: 1 }), item(15, '44', { unitPrice: 3 }), item(undefined, '45')]
+      }, createContext())
+
+      expect(parameters.ORDER_ITEM_INX.map(entry => [entry.ITM_NUMBER, entry.UPDATEFLAG])).toEqual([
+        ['000015', 'I'],
+        ['000030', 'I']
+      ])
+      expect(parameters.SCHEDULE_LINES.map(line => line.ITM_NUMBER)).toEqual(['000015', '000030'])
+      expect(parameters.CONDITIONS_IN).toEqual([{ ITM_NUMBER: '000015', COND_TYPE: 'PR00', COND_VALUE: 3 }])
+    })
+
+    it('updates changed items and schedule lines and deletes missing items', async () => {
+      const parameters = await builder.buildUpdateParameters('12345', {
+        purchaseOrderNumber: 'PO-2',
+        items: [item(10, '42', { quantity: 8 })]
+      }, createContext())
+
+      expect(parameters.ORDER_HEADER_IN).toEqual({ PURCH_NO_C: 'PO-2' })
+      expect(parameters.ORDER_ITEM_IN).toEqual([
+        { ITM_NUMBER: '000010', TARGET_QTY: 8 },
+        { ITM_NUMBER: '000020' }
+      ])
+      expect(parameters.ORDER_ITEM_INX.map(entry => entry.UPDATEFLAG)).toEqual(['U', 'D'])
+      expect(parameters.SCHEDULE_LINES).toEqual([{ ITM_NUMBER: '000010', SCHED_LINE: '0001', REQ_QTY: 8 }])
+    })
+
+    it('fails when the order does not exist', async () => {
+      await expect(builder.buildUpdateParameters('99', { items: [] }, createContext({ ORDER_HEADERS_OUT: [] })))
+        .rejects.toThrow('Sales order 0000000099 not found')
+    })
+  })
+
+  describe('simulation', () => {
+    it('builds simulation parameters with one condition per item', () => {
+      const parameters = builder.buildSimulateParameters({
+        customerId: '100',
+        purchaseOrderNumber: 'PO-1',
+        items: [{ materialId: '42', quantity: 2, unitPrice: 9.5 }]
+      })
+
+      expect(parameters.ORDER_HEADER_IN).toMatchObject({ PURCH_NO: 'PO-1' })
+      expect(parameters.ORDER_HEADER_IN.PURCH_NO_C).toBeUndefined()
+      expect(parameters.ORDER_ITEMS_IN[0]).toMatchObject({ ITM_NUMBER: '000010', COND_TYPE: 'PR00', COND_VALUE: 9.5 })
+    })
+
+    it('summarizes simulated prices and confirmed schedule lines', () => {
+      const { SIMULATION } = builder.completeSimulation({
+        SOLD_TO_PARTY: { SOLD_TO: '0000000100' },
+        ORDER_ITEMS_OUT: [{ ITM_NUMBER: '000010', MATERIAL: '000000000000000042', REQ_QTY: 2, NET_VALUE: 19, TX_DOC_CUR: 4, CURRENCY: 'EUR' }],
+        ORDER_CONDITION_EX: [{ ITM_NUMBER: '000010', COND_TYPE: 'PR00', COND_VALUE: 9.5, CONDVALUE: 19 }],
+        ORDER_SCHEDULE_EX: [
+          { ITM_NUMBER: '000010', SCHED_LINE: '0001', REQ_DATE: '20261101', REQ_QTY: 2, CONFIR_QTY: 0 },
+          { ITM_NUMBER: '000010', SCHED_LINE: '0002', REQ_DATE: '20261105', REQ_QTY: 0, CONFIR_QTY: 2 }
+        ]
+      })
+
+      expect(SIMULATION).toMatchObject({ soldTo: '0000000100', netValue: 19, tax: 4, grossValue: 23, currency: 'EUR' })
+      expect(SIMULATION.items[0]).toMatchObject({ material: '42', netPrice: 9.5 })
+      expect(SIMULATION.items[0].scheduleLines).toEqual([
+        { scheduleLine: '0002', date: new Date(Date.UTC(2026, 10, 5)), requestedQuantity: 0, confirmedQuantity: 2 }
+      ])
+    })
+  })
+})
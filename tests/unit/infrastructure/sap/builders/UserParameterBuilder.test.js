@@ -0,0 +1,94 @@
+const rfc = require('node-rfc')
+const { UserParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/UserParameterBuilder')
+const { createService } = require('../../../../helpers/sapService')
+
+const functionsCalled = () => rfc.state.calls.map(call => call.functionName)
+
+describe('UserParameterBuilder', () => {
+  const builder = new UserParameterBuilder({ sapEntityType: 'USER', bapiCreate: 'BAPI_USER_CREATE1', bapiUpdate: 'BAPI_USER_CHANGE' })
+
+  describe('buildCreateParameters', () => {
+    it('creates a dialog user with a generated password', () => {
+      expect(builder.buildCreateParameters({ id: 'jperez', lastName: 'Pérez', email: 'jperez@tienda.es', language: 'S' })).toEqual({
+        USERNAME: 'JPEREZ',
+        LOGONDATA: { USTYP: 'A' },
+        ADDRESS: { LASTNAME: 'Pérez', E_MAIL: 'jperez@tienda.es' },
+        DEFAULTS: { LANGU: 'S' },
+        GENERATE_PWD: 'X'
+      })
+    })
+
+    it('validates the user name, last name and user type', () => {
+      expect(() => builder.buildCreateParameters({ id: 'averylongusername', lastName: 'Pérez' })).toThrow('Invalid SAP user name')
+      expect(() => builder.buildCreateParameters({ id: 'jperez' })).toThrow('User JPEREZ requires a last name')
+      expect(() => builder.buildCreateParameters({ id: 'jperez', lastName: 'Pérez', userType: 'robot' })).toThrow('Unknown user type: robot')
+    })
+  })
+
+  it('flags only the changed fields on update', () => {
+    const parameters = builder.buildUpdateParameters('jperez', { email: 'juan@tienda.es' })
+
+    expect(parameters).toMatchObject({
+      USERNAME: 'JPEREZ',
+      ADDRESS: { E_MAIL: 'juan@tienda.es' },
+      ADDRESSX: { E_MAIL: 'X' },
+      LOGONDATAX: {},
+      DEFAULTSX: {}
+    })
+  })
+
+  describe('service', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('creates the user, assigns its roles and locks it in one LUW', async () => {
+      service = await createService()
+
+      const result = await service.createRecord('USER', {
+        id: 'jperez',
+        lastName: 'Pérez',
+        validFrom: '2026-01-01',
+        roles: ['Z_CAJERO', { name: 'Z_STOCK', validTo: '2026-12-31' }],
+        locked: true
+      })
+
+      expect(result.success).toBe(true)
+      expect(functionsCalled()).toEqual(['BAPI_USER_CREATE1', 'BAPI_USER_ACTGROUPS_ASSIGN', 'BAPI_USER_LOCK', 'BAPI_TRANSACTION_COMMIT'])
+      expect(rfc.callsOf('BAPI_USER_ACTGROUPS_ASSIGN')[0].parameters.ACTIVITYGROUPS).toEqual([
+        { AGR_NAME: 'Z_CAJERO', FROM_DAT: '20260101', TO_DAT: '99991231' },
+        { AGR_NAME: 'Z_STOCK', FROM_DAT: '20260101', TO_DAT: '20261231' }
+      ])
+    })
+
+    it('unlocks without changing the user master', async () => {
+      service = await createService()
+
+      const result = await service.updateRecord('USER', 'jperez', { locked: false })
+
+      expect(result.success).toBe(true)
+      expect(functionsCalled()).toEqual(['BAPI_USER_UNLOCK', 'BAPI_TRANSACTION_COMMIT'])
+    })
+
+    it('rejects an update without changes', async () => {
+      service = await createService()
+
+      const result = await service.updateRecord('USER', 'jperez', {})
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('User update for JPEREZ contains no fields to change')
+      expect(rfc.callsOf('BAPI_TRANSACTION_COMMIT')).toHaveLength(0)
+    })
+
+    it('locks the user on delete', async () => {
+      service = await createService()
+
+      const result = await service.deleteRecord('USER', 'jperez')
+
+      expect(result.success).toBe(true)
+      expect(rfc.callsOf('BAPI_USER_LOCK')[0].parameters).toEqual({ USERNAME: 'JPEREZ' })
+    })
+  })
+})
@@ -0,0 +1,103 @@
+const rfc = require('node-rfc')
+const { VendorParameterBuilder } = require('../../../../../src/infrastructure/sap/builders/VendorParameterBuilder')
+const { SAPEntityRegistry } = require('../../../../../src/infrastructure/sap/SAPEntityRegistry')
+const { createService } = require('../../../../helpers/sapService')
+const { createLogger } = require('../../../../helpers/logger')
+
+const wrapper = { bapiCreate: 'Z_VMD_EI_API_MAINTAIN', bapiUpdate: 'Z_VMD_EI_API_MAINTAIN' }
+const vendorsOf = parameters => parameters.IS_MASTER_DATA.VENDORS
+
+describe('VendorParameterBuilder', () => {
+  const builder = new VendorParameterBuilder({ sapEntityType: 'VENDOR', ...wrapper })
+
+  describe('buildCreateParameters', () => {
+    it('builds central, address, company code and purchasing data', () => {
+      const [vendor] = vendorsOf(builder.buildCreateParameters({
+        name: 'Acme Supplies',
+        city: 'Madrid',
+        country: 'ES',
+        vatNumber: 'ESB12345678',
+        email: 'ap@acme.test',
+        companyCode: '1000',
+        reconciliationAccount: '160000',
+        purchasingOrg: '1000',
+        currency: 'EUR'
+      }))
+
+      expect(vendor.HEADER).toEqual({ OBJECT_INSTANCE: { LIFNR: '' }, OBJECT_TASK: 'I' })
+      expect(vendor.CENTRAL_DATA.CENTRAL.DATA).toEqual({ KTOKK: 'KRED', STCEG: 'ESB12345678' })
+      expect(vendor.CENTRAL_DATA.ADDRESS.POSTAL.DATA).toMatchObject({ NAME: 'Acme Supplies', SORT1: 'ACME SUPPLIES', CITY: 'Madrid', COUNTRY: 'ES' })
+      expect(vendor.CENTRAL_DATA.ADDRESS.COMMUNICATION.SMTP.SMTP[0].CONTACT.DATA).toEqual({ E_MAIL: 'ap@acme.test', STD_NO: 'X' })
+      expect(vendor.COMPANY_DATA.COMPANY).toEqual([{
+        TASK: 'I',
+        DATA_KEY: { BUKRS: '1000' },
+        DATA: { AKONT: '0000160000' },
+        DATAX: { AKONT: 'X' }
+      }])
+      expect(vendor.PURCHASING_DATA.PURCHASING[0]).toMatchObject({ DATA_KEY: { EKORG: '1000' }, DATA: { WAERS: 'EUR' } })
+    })
+
+    it('requires a name', () => {
+      expect(() => builder.buildCreateParameters({ city: 'Madrid' })).toThrow('Vendor requires a name')
+    })
+  })
+
+  describe('buildUpdateParameters', () => {
+    it('sends only the changed fields', () => {
+      const [vendor] = vendorsOf(builder.buildUpdateParameters('4711', { city: 'Bilbao' }))
+
+      expect(vendor.HEADER).toEqual({ OBJECT_INSTANCE: { LIFNR: '0000004711' }, OBJECT_TASK: 'U' })
+      expect(vendor.CENTRAL_DATA.CENTRAL.DATAX).toEqual({})
+      expect(vendor.CENTRAL_DATA.ADDRESS.POSTAL.DATA).toEqual({ CITY: 'Bilbao' })
+      expect(vendor.COMPANY_DATA.COMPANY).toEqual([])
+    })
+
+    it('sets the central deletion flag', () => {
+      const [vendor] = vendorsOf(builder.buildUpdateParameters('4711', { DELETION_FLAG: 'X', DELETION_DATE: '20261019' }))
+
+      expect(vendor.CENTRAL_DATA.CENTRAL).toEqual({ DATA: { LOEVM: 'X' }, DATAX: { LOEVM: 'X' } })
+    })
+
+    it('rejects an update without changes', () => {
+      expect(() => builder.buildUpdateParameters('4711', { unknownField: 1 })).toThrow('contains no fields to change')
+    })
+  })
+
+  describe('validateDefinition', () => {
+    it('rejects a mapping without the wrapper when the registry loads', () => {
+      const entityMappings = { Vendor: { sapEntityType: 'VENDOR', bapiUpdate: '' } }
+
+      expect(() => SAPEntityRegistry.fromConfig(entityMappings, createLogger()))
+        .toThrow('set bapiUpdate in the entity mapping of VENDOR')
+    })
+  })
+
+  describe('through SAPRFCService', () => {
+    let service
+
+    afterEach(async () => {
+      await service.disconnect()
+    })
+
+    it('creates the vendor with the default wrapper and commits', async () => {
+      service = await createService()
+      rfc.state.handlers.Z_VMD_EI_API_MAINTAIN = () => ({ VENDOR: '0000004711', RETURN: [] })
+
+      const result = await service.createRecord('VENDOR', { name: 'Acme' })
+
+      expect(result.success).toBe(true)
+      expect(rfc.state.calls.map(call => call.functionName)).toEqual(['Z_VMD_EI_API_MAINTAIN', 'BAPI_TRANSACTION_COMMIT'])
+    })
+
+    it('flags the vendor for deletion instead of sending an empty update', async () => {
+      service = await createService({ entityMappings: { Vendor: { sapEntityType: 'VENDOR', ...wrapper } } })
+      rfc.state.handlers.Z_VMD_EI_API_MAINTAIN = () => ({ VENDOR: '0000004711', RETURN: [] })
+
+      const result = await service.deleteRecord('VENDOR', '4711')
+
+      expect(result.success).toBe(true)
+      const [vendor] = vendorsOf(rfc.callsOf('Z_VMD_EI_API_MAINTAIN')[0].parameters)
+      expect(vendor.CENTRAL_DATA.CENTRAL.DATA).toEqual({ LOEVM: 'X' })
+    })
+  })
+})
@@ -0,0 +1,24 @@
+const { SignalRClient } = require('../../../../src/infrastructure/signalr/SignalRClient')
+const { createLogger } = require('../../../helpers/logger')
+
+describe('SignalRClient', () => {
+  let client
+  let hubHandlers
+
+  beforeEach(() => {
+    client = new SignalRClient(createLogger())
+    hubHandlers = {}
+    client.connection = { on: (eventName, handler) => { hubHandlers[eventName] = handler } }
+    client._setupMessageHandlers()
+  })
+
+  it('passes sales order simulation requests on with their request id', async () => {
+    const order = { customerId: '1000', items: [{ materialId: 'M-01', quantity: 2 }] }
+    const emitted = new Promise(resolve => process.once('signalr-sales-order-simulation', resolve))
+
+    hubHandlers.SimulateSalesOrder('request-1', order)
+
+    await expect(emitted).resolves.toEqual({ requestId: 'request-1', order })
+    expect(client.connectionStats.messagesReceived).toBe(1)
+  })
+})